@@ -0,0 +1,74 @@
+/**
+ * Sheet change notifications for the lead sync
+ *
+ * Tells the app about every change to this spreadsheet, so edited rows reach
+ * the dialer within seconds instead of at the next scheduled sync (see
+ * services/sheetWebhook.js).
+ *
+ * Setup, in the spreadsheet that is synced:
+ * 1. Extensions > Apps Script, and paste this file in place of Code.gs.
+ * 2. Project Settings > Script Properties: add WEBHOOK_URL (e.g.
+ *    https://your-app.vercel.app/api/sheet-webhook) and WEBHOOK_SECRET (the
+ *    app's SHEET_WEBHOOK_SECRET).
+ * 3. Select installTriggers in the editor and Run it once, granting access.
+ *
+ * Installable triggers are needed because simple onEdit triggers may not
+ * fetch URLs. They run as the user who installed them.
+ */
+
+/**
+ * Creates the edit and change triggers (running it again replaces them)
+ */
+function installTriggers() {
+  const spreadsheet = SpreadsheetApp.getActive();
+  ScriptApp.getProjectTriggers().forEach(trigger => ScriptApp.deleteTrigger(trigger));
+  ScriptApp.newTrigger('onSheetEdit').forSpreadsheet(spreadsheet).onEdit().create();
+  ScriptApp.newTrigger('onSheetChange').forSpreadsheet(spreadsheet).onChange().create();
+}
+
+/**
+ * Reports the rows of an edit (typing, pasting, clearing)
+ * @param {Object} e - Edit event
+ */
+function onSheetEdit(e) {
+  notifyApp_({
+    spreadsheetId: e.source.getId(),
+    sheetName: e.range.getSheet().getName(),
+    startRow: e.range.getRow(),
+    endRow: e.range.getLastRow()
+  });
+}
+
+/**
+ * Reports structural changes, which can move or remove any row
+ * Change events do not say which tab changed, and the active sheet is not
+ * reliably the changed one, so the app syncs every tab it reads.
+ * @param {Object} e - Change event
+ */
+function onSheetChange(e) {
+  // Edits are reported with their range by onSheetEdit, and formatting does not matter
+  if (e.changeType === 'EDIT' || e.changeType === 'FORMAT') return;
+
+  notifyApp_({ spreadsheetId: e.source.getId() });
+}
+
+/**
+ * Posts a change to the app's sheet webhook
+ * @param {Object} change - { spreadsheetId, sheetName, startRow, endRow }, where only
+ *   spreadsheetId is needed
+ */
+function notifyApp_(change) {
+  const properties = PropertiesService.getScriptProperties();
+  const response = UrlFetchApp.fetch(properties.getProperty('WEBHOOK_URL'), {
+    method: 'post',
+    contentType: 'application/json',
+    headers: { Authorization: `Bearer ${properties.getProperty('WEBHOOK_SECRET')}` },
+    payload: JSON.stringify(change),
+    muteHttpExceptions: true
+  });
+
+  // Missed changes are picked up by the scheduled sync, so only log failures
+  if (response.getResponseCode() >= 300) {
+    console.warn(`Sheet webhook answered ${response.getResponseCode()}: ${response.getContentText()}`);
+  }
+}
@@ -16,24 +16,90 @@ CREATE TABLE IF NOT EXISTS "profiles" (
   "email" TEXT NOT NULL,
   "full_name" TEXT,
   "avatar_url" TEXT,
+  "role" TEXT NOT NULL DEFAULT 'rep' CHECK ("role" IN ('rep', 'manager', 'admin')),  -- See services/userRoles.js
   "created_at" TIMESTAMP WITH TIME ZONE DEFAULT now() NOT NULL,
   "updated_at" TIMESTAMP WITH TIME ZONE DEFAULT now() NOT NULL
 );
 
+-- Role of the signed-in user, for RLS policies. SECURITY DEFINER lets policies
+-- on profiles itself call it without recursing into those policies.
+CREATE OR REPLACE FUNCTION current_user_role()
+RETURNS TEXT AS $$
+  SELECT role FROM public.profiles WHERE id = auth.uid();
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
 -- Set up Row Level Security (RLS) for the profiles table
 ALTER TABLE "profiles" ENABLE ROW LEVEL SECURITY;
 
 -- Create policies for secure access
--- Users can only read their own profile
+-- Users can read their own profile
 CREATE POLICY "Users can view their own profile" 
   ON "profiles" FOR SELECT 
   USING (auth.uid() = id);
 
+-- Managers and admins can see every rep, to assign leads to them
+CREATE POLICY "Managers can view all profiles" 
+  ON "profiles" FOR SELECT 
+  USING (current_user_role() IN ('manager', 'admin'));
+
 -- Users can update their own profile
 CREATE POLICY "Users can update their own profile" 
   ON "profiles" FOR UPDATE 
   USING (auth.uid() = id);
 
+-- Only admins (or the service role) can change roles, so users cannot promote themselves
+CREATE OR REPLACE FUNCTION protect_profile_role()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.role IS DISTINCT FROM OLD.role
+     AND auth.role() = 'authenticated'
+     AND current_user_role() IS DISTINCT FROM 'admin' THEN
+    RAISE EXCEPTION 'Only admins can change user roles';
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER protect_profile_role
+BEFORE UPDATE ON profiles
+FOR EACH ROW
+EXECUTE PROCEDURE protect_profile_role();
+
+-- =============================================================================
+-- Table: sync_sources (registry of spreadsheets and tabs to sync leads from)
+-- =============================================================================
+-- Null settings fall back to the SYNC_* environment variables (see services/syncSources.js)
+CREATE TABLE IF NOT EXISTS "sync_sources" (
+  "id" UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  "name" TEXT NOT NULL,  -- e.g. the campaign the lead list belongs to
+  "spreadsheet_id" TEXT NOT NULL,
+  "sheet_name" TEXT NOT NULL DEFAULT 'Sheet1',
+  "column_mapping" JSONB,  -- Header-to-field overrides (see services/leadFieldMapping.js)
+  "identity_strategy" TEXT,  -- 'column', 'natural' or 'row'
+  "id_column" TEXT,
+  "write_back_ids" BOOLEAN,
+  "delete_policy" TEXT,  -- 'soft', 'hard' or 'ignore'
+  "default_phone_country" TEXT,
+  "writeback_columns" JSONB,  -- Lead field to sheet header for two-way sync (see services/sheetWriteback.js)
+  "conflict_policy" TEXT,  -- 'sheet_wins' or 'app_wins' when both sides changed a field
+  "field_policies" JSONB,  -- Per-field 'sheet_wins' or 'app_wins' for fields edited in the app (see services/leadEdits.js)
+  "sync_interval_minutes" INTEGER NOT NULL DEFAULT 360,  -- Minimum time between scheduled syncs
+  "enabled" BOOLEAN NOT NULL DEFAULT true,
+  "last_synced_at" TIMESTAMP WITH TIME ZONE,  -- Start of the last successful sync
+  "sheet_changed_at" TIMESTAMP WITH TIME ZONE,  -- Last sheet change the webhook could not sync; due at the next cron run if later than last_synced_at
+  "created_at" TIMESTAMP WITH TIME ZONE DEFAULT now() NOT NULL,
+  "updated_at" TIMESTAMP WITH TIME ZONE DEFAULT now() NOT NULL,
+  UNIQUE ("spreadsheet_id", "sheet_name")
+);
+
+-- Set up Row Level Security (RLS) for the sync_sources table
+ALTER TABLE "sync_sources" ENABLE ROW LEVEL SECURITY;
+
+-- Authenticated users can see which lead lists are synced (sources are managed with the service role)
+CREATE POLICY "Authenticated users can view sync sources" 
+  ON "sync_sources" FOR SELECT 
+  USING (auth.role() = 'authenticated');
+
 -- =============================================================================
 -- Table: leads (contains contact information synced from Google Sheets)
 -- =============================================================================
@@ -41,33 +107,930 @@ CREATE TABLE IF NOT EXISTS "leads" (
   "id" UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
   "name" TEXT NOT NULL,
   "email" TEXT,
-  "phone" TEXT,
+  "phone" TEXT,  -- E.164 when the number is valid, otherwise as typed in the sheet
+  "phone_raw" TEXT,  -- Phone number exactly as typed in the sheet
+  "phone_extension" TEXT,
+  "phone_status" TEXT,  -- 'valid', 'invalid' or 'missing'
+  "phone_country" TEXT,  -- ISO country code of a valid phone number
   "company" TEXT,
   "position" TEXT,
   "notes" TEXT,
   "status" TEXT DEFAULT 'new',  -- e.g., 'new', 'contacted', 'converted', 'rejected'
   "last_contacted_at" TIMESTAMP WITH TIME ZONE,
-  "assigned_to" UUID REFERENCES profiles(id),
-  "source" TEXT DEFAULT 'google_sheets',
-  "sheet_row_id" TEXT,  -- To track the original row in Google Sheets
+  "last_disposition" TEXT,  -- Outcome of the most recent call
+  "assigned_to" UUID REFERENCES profiles(id),  -- Rep the lead is assigned to (see services/leadAssignment.js)
+  "territory" TEXT,  -- Sales territory, used by territory assignment rules
+  "timezone" TEXT,  -- IANA time zone of the lead, e.g. 'America/Chicago', used for callbacks and calling hours
+  "timezone_source" TEXT,  -- Where timezone came from: 'sheet', 'area_code' or 'country' (see leadTimeZone.js)
+  "dnc_at" TIMESTAMP WITH TIME ZONE,  -- Set while the lead's number is on the do-not-call list (see dnc_numbers)
+  "merged_into" UUID REFERENCES leads(id) ON DELETE SET NULL,  -- Lead this duplicate was merged into (see merge_leads)
+  "source" TEXT DEFAULT 'google_sheets',  -- 'google_sheets', or 'file_import' for leads uploaded from a file (see services/fileImport.js)
+  -- Sync source the lead was synced from. A source with leads cannot be
+  -- deleted, since deleting its leads would take their call history along:
+  -- disable it (enabled = false) instead.
+  "source_id" UUID REFERENCES sync_sources(id) ON DELETE RESTRICT,
+  "extra" JSONB DEFAULT '{}'::jsonb NOT NULL,  -- Sheet columns not mapped to a lead field
+  "sheet_key" TEXT,  -- Stable identity of the sheet row within its source (ID column, email/phone, or row number)
+  "sheet_row_id" TEXT,  -- Row number of the lead in Google Sheets at its last sync
+  "row_hash" TEXT,  -- Fingerprint of the sheet row, used to skip unchanged rows during sync
+  "sheet_snapshot" JSONB,  -- Written-back fields as they were in the sheet at the last sync
+  "manual_edits" JSONB DEFAULT '{}'::jsonb NOT NULL,  -- Fields edited in the app, with their value before the edit (see services/leadEdits.js)
+  "archived_at" TIMESTAMP WITH TIME ZONE,  -- Set when the row is removed from the sheet (soft delete)
   "last_sync" TIMESTAMP WITH TIME ZONE DEFAULT now(),
   "created_at" TIMESTAMP WITH TIME ZONE DEFAULT now() NOT NULL,
-  "updated_at" TIMESTAMP WITH TIME ZONE DEFAULT now() NOT NULL
+  "updated_at" TIMESTAMP WITH TIME ZONE DEFAULT now() NOT NULL,
+  -- Dashboard search: words of the name, email, company and phone (punctuation splits words)
+  "search_vector" TSVECTOR GENERATED ALWAYS AS (
+    to_tsvector('simple', regexp_replace(
+      coalesce("name", '') || ' ' || coalesce("email", '') || ' ' || coalesce("company", '') || ' ' ||
+      coalesce("phone", '') || ' ' || coalesce("phone_raw", '') || ' ' || regexp_replace(coalesce("phone", ''), '\D', '', 'g'),
+      '[^[:alnum:]]+', ' ', 'g'))
+  ) STORED,
+  -- Imported files have no source, so their leads share source_id NULL (PostgreSQL 15+)
+  CONSTRAINT "leads_source_sheet_key_key" UNIQUE NULLS NOT DISTINCT ("source_id", "sheet_key")
 );
 
+CREATE INDEX IF NOT EXISTS "leads_search_vector_idx" ON "leads" USING GIN ("search_vector");
+CREATE INDEX IF NOT EXISTS "leads_last_contacted_at_idx" ON "leads" ("last_contacted_at");
+CREATE INDEX IF NOT EXISTS "leads_assigned_to_idx" ON "leads" ("assigned_to");
+CREATE INDEX IF NOT EXISTS "leads_phone_idx" ON "leads" ("phone");
+
 -- Set up Row Level Security (RLS) for the leads table
 ALTER TABLE "leads" ENABLE ROW LEVEL SECURITY;
 
 -- Create policies for secure access
--- Authenticated users can read all leads
-CREATE POLICY "Authenticated users can view leads" 
+-- Reps can read their assigned leads; managers and admins can read all leads
+CREATE POLICY "Users can view leads they are allowed to work" 
   ON "leads" FOR SELECT 
-  USING (auth.role() = 'authenticated');
+  USING (assigned_to = auth.uid() OR current_user_role() IN ('manager', 'admin'));
 
--- Authenticated users can update leads
-CREATE POLICY "Authenticated users can update leads" 
+-- Reps change leads only through the API routes (validated and audited, see
+-- apply_lead_edit) and by logging calls (see log_call_on_lead), so they have
+-- no UPDATE policy of their own
+CREATE POLICY "Managers can update leads" 
   ON "leads" FOR UPDATE 
-  USING (auth.role() = 'authenticated');
+  USING (current_user_role() IN ('manager', 'admin'));
+
+-- Apply an edit made in the lead view (see /api/leads/[id]). The changes are
+-- already validated; each edited field is recorded in manual_edits with the
+-- value it had before its first edit, so the sync can tell whether the sheet
+-- has changed since. Returns the updated lead, or nothing if it does not exist.
+CREATE OR REPLACE FUNCTION apply_lead_edit(lead_id UUID, changes JSONB, editor UUID)
+RETURNS SETOF leads AS $$
+DECLARE
+  current_lead leads%ROWTYPE;
+  current_row JSONB;
+  edited leads%ROWTYPE;
+  edits JSONB;
+  field TEXT;
+BEGIN
+  SELECT * INTO current_lead FROM leads WHERE id = lead_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RETURN;
+  END IF;
+  
+  current_row := to_jsonb(current_lead);
+  edits := current_lead.manual_edits;
+  FOR field IN
+    SELECT key FROM jsonb_object_keys(changes) AS key
+    WHERE key = ANY (ARRAY['name', 'email', 'phone', 'company', 'position', 'notes', 'status', 'territory'])
+  LOOP
+    IF current_row->field IS DISTINCT FROM changes->field THEN
+      edits := edits || jsonb_build_object(field, jsonb_build_object(
+        'sheet_value', COALESCE(edits->field->'sheet_value', current_row->field),
+        'edited_at', now(),
+        'edited_by', editor
+      ));
+    END IF;
+  END LOOP;
+  
+  -- Attribute the change in lead_audit (see audit_lead_changes)
+  PERFORM set_config('app.changed_by', editor::TEXT, true);
+  PERFORM set_config('app.change_source', 'app', true);
+  
+  edited := jsonb_populate_record(current_lead, changes);
+  RETURN QUERY
+  UPDATE leads
+  SET name = edited.name,
+      email = edited.email,
+      phone = edited.phone,
+      phone_raw = edited.phone_raw,
+      phone_extension = edited.phone_extension,
+      phone_status = edited.phone_status,
+      phone_country = edited.phone_country,
+      timezone = edited.timezone,
+      timezone_source = edited.timezone_source,
+      company = edited.company,
+      position = edited.position,
+      notes = edited.notes,
+      status = edited.status,
+      territory = edited.territory,
+      manual_edits = edits
+  WHERE id = lead_id
+  RETURNING *;
+END;
+$$ LANGUAGE plpgsql;
+
+REVOKE EXECUTE ON FUNCTION apply_lead_edit(UUID, JSONB, UUID) FROM PUBLIC, anon, authenticated;
+
+-- =============================================================================
+-- Table: lead_audit (field-level history of every change to a lead)
+-- =============================================================================
+-- Written only by the audit_lead_changes trigger, so edits in the lead view,
+-- calls, assignments and the sheet sync are all recorded
+CREATE TABLE IF NOT EXISTS "lead_audit" (
+  "id" UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  "lead_id" UUID REFERENCES leads(id) ON DELETE CASCADE NOT NULL,
+  "field" TEXT NOT NULL,
+  "old_value" TEXT,
+  "new_value" TEXT,
+  "changed_by" UUID REFERENCES profiles(id) ON DELETE SET NULL,  -- NULL for the sync and other unattributed changes
+  "change_source" TEXT NOT NULL,  -- 'app', 'call', 'sync' or 'system'
+  "changed_at" TIMESTAMP WITH TIME ZONE DEFAULT now() NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS "lead_audit_lead_id_idx" ON "lead_audit" ("lead_id", "changed_at");
+
+-- Set up Row Level Security (RLS) for the lead_audit table
+ALTER TABLE "lead_audit" ENABLE ROW LEVEL SECURITY;
+
+-- Users can see the history of the leads they can see (the leads policies apply)
+CREATE POLICY "Users can view the history of visible leads" 
+  ON "lead_audit" FOR SELECT 
+  USING (EXISTS (SELECT 1 FROM leads WHERE leads.id = lead_audit.lead_id));
+
+-- Record every changed field of a lead. Functions that know who made a change
+-- and why say so with set_config('app.changed_by' / 'app.change_source');
+-- otherwise rows stamped with a new last_sync come from the sync, and changes
+-- made with a user's token are that user's.
+CREATE OR REPLACE FUNCTION audit_lead_changes()
+RETURNS TRIGGER AS $$
+DECLARE
+  old_row JSONB := to_jsonb(OLD);
+  new_row JSONB := to_jsonb(NEW);
+  editor UUID := COALESCE(NULLIF(current_setting('app.changed_by', true), '')::UUID, auth.uid());
+  change_source TEXT := NULLIF(current_setting('app.change_source', true), '');
+BEGIN
+  IF change_source IS NULL THEN
+    change_source := CASE
+      WHEN NEW.last_sync IS DISTINCT FROM OLD.last_sync THEN 'sync'
+      WHEN editor IS NOT NULL THEN 'app'
+      ELSE 'system'
+    END;
+  END IF;
+  
+  INSERT INTO lead_audit (lead_id, field, old_value, new_value, changed_by, change_source)
+  SELECT NEW.id, field, old_row->>field, new_row->>field, editor, change_source
+  FROM unnest(ARRAY[
+    'name', 'email', 'phone', 'phone_extension', 'company', 'position', 'notes',
+    'status', 'territory', 'assigned_to', 'archived_at', 'merged_into'
+  ]) AS field
+  WHERE old_row->field IS DISTINCT FROM new_row->field;
+  
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE TRIGGER audit_lead_changes
+AFTER UPDATE ON leads
+FOR EACH ROW
+EXECUTE PROCEDURE audit_lead_changes();
+
+-- =============================================================================
+-- Table: call_logs (calls made from the dialer and how they went)
+-- =============================================================================
+CREATE TABLE IF NOT EXISTS "call_logs" (
+  "id" UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  "lead_id" UUID REFERENCES leads(id) ON DELETE CASCADE NOT NULL,
+  "rep_id" UUID REFERENCES profiles(id) DEFAULT auth.uid() NOT NULL,
+  "started_at" TIMESTAMP WITH TIME ZONE NOT NULL,
+  "ended_at" TIMESTAMP WITH TIME ZONE,
+  "duration_seconds" INTEGER,
+  "disposition" TEXT NOT NULL CHECK ("disposition" IN ('no_answer', 'voicemail', 'connected', 'wrong_number', 'do_not_call')),
+  "lead_status" TEXT,  -- Status the rep left the lead in after the call
+  "notes" TEXT,
+  "provider" TEXT,          -- Telephony provider that placed the call (tel, mock, twilio)
+  "provider_call_id" TEXT,  -- The provider's ID for the call
+  "call_status" TEXT,       -- Final status reported by the provider (busy, voicemail, ...)
+  "recording_url" TEXT,
+  "created_at" TIMESTAMP WITH TIME ZONE DEFAULT now() NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS "call_logs_lead_id_started_at_idx" ON "call_logs" ("lead_id", "started_at" DESC);
+
+-- Set up Row Level Security (RLS) for the call_logs table
+ALTER TABLE "call_logs" ENABLE ROW LEVEL SECURITY;
+
+-- Users can see the call history of the leads they can see (the leads policies apply)
+CREATE POLICY "Users can view call logs of visible leads" 
+  ON "call_logs" FOR SELECT 
+  USING (EXISTS (SELECT 1 FROM leads WHERE leads.id = call_logs.lead_id));
+
+-- Reps can only log calls as themselves, on leads they can see
+CREATE POLICY "Reps can log their own calls" 
+  ON "call_logs" FOR INSERT 
+  WITH CHECK (auth.uid() = rep_id AND EXISTS (SELECT 1 FROM leads WHERE leads.id = call_logs.lead_id));
+
+-- Saving a call log updates the lead it belongs to. SECURITY DEFINER because
+-- reps cannot update leads; the call_logs policy already limits them to
+-- their own calls on leads they can see.
+CREATE OR REPLACE FUNCTION log_call_on_lead()
+RETURNS TRIGGER AS $$
+BEGIN
+  PERFORM set_config('app.change_source', 'call', true);
+  UPDATE leads
+  SET status = COALESCE(NEW.lead_status, status),
+      last_contacted_at = COALESCE(NEW.ended_at, NEW.started_at),
+      last_disposition = NEW.disposition
+  WHERE id = NEW.lead_id;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE TRIGGER log_call_on_lead
+AFTER INSERT ON call_logs
+FOR EACH ROW
+EXECUTE PROCEDURE log_call_on_lead();
+
+-- =============================================================================
+-- Table: scheduled_callbacks (calls reps promised to make at a given time)
+-- =============================================================================
+-- Scheduled from the disposition form; due_at is the time the lead asked for,
+-- given in the lead's time zone (see services/callbackSchedule.js)
+CREATE TABLE IF NOT EXISTS "scheduled_callbacks" (
+  "id" UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  "lead_id" UUID REFERENCES leads(id) ON DELETE CASCADE NOT NULL,
+  "rep_id" UUID REFERENCES profiles(id) DEFAULT auth.uid() NOT NULL,
+  "call_log_id" UUID REFERENCES call_logs(id) ON DELETE SET NULL,  -- Call the callback was promised on
+  "due_at" TIMESTAMP WITH TIME ZONE NOT NULL,
+  "timezone" TEXT NOT NULL,  -- Time zone the lead gave the time in
+  "notes" TEXT,
+  "completed_at" TIMESTAMP WITH TIME ZONE,
+  "completed_call_id" UUID REFERENCES call_logs(id) ON DELETE SET NULL,  -- Call that completed it
+  "canceled_at" TIMESTAMP WITH TIME ZONE,
+  "created_at" TIMESTAMP WITH TIME ZONE DEFAULT now() NOT NULL,
+  "updated_at" TIMESTAMP WITH TIME ZONE DEFAULT now() NOT NULL
+);
+
+-- Open callbacks of a rep, in the order they fall due
+CREATE INDEX IF NOT EXISTS "scheduled_callbacks_open_idx" ON "scheduled_callbacks" ("rep_id", "due_at")
+  WHERE "completed_at" IS NULL AND "canceled_at" IS NULL;
+
+-- Set up Row Level Security (RLS) for the scheduled_callbacks table
+ALTER TABLE "scheduled_callbacks" ENABLE ROW LEVEL SECURITY;
+
+-- Users can see the callbacks of the leads they can see (the leads policies apply)
+CREATE POLICY "Users can view callbacks of visible leads" 
+  ON "scheduled_callbacks" FOR SELECT 
+  USING (EXISTS (SELECT 1 FROM leads WHERE leads.id = scheduled_callbacks.lead_id));
+
+-- Reps schedule callbacks for themselves, on leads they can see
+CREATE POLICY "Reps can schedule their own callbacks" 
+  ON "scheduled_callbacks" FOR INSERT 
+  WITH CHECK (auth.uid() = rep_id AND EXISTS (SELECT 1 FROM leads WHERE leads.id = scheduled_callbacks.lead_id));
+
+-- Reps can reschedule or cancel their own callbacks
+CREATE POLICY "Reps can update their own callbacks" 
+  ON "scheduled_callbacks" FOR UPDATE 
+  USING (auth.uid() = rep_id);
+
+-- The next call logged for a lead completes its open callbacks, whoever made it.
+-- SECURITY DEFINER because the caller may not own the callbacks.
+CREATE OR REPLACE FUNCTION complete_callbacks_on_call()
+RETURNS TRIGGER AS $$
+BEGIN
+  UPDATE scheduled_callbacks
+  SET completed_at = COALESCE(NEW.ended_at, NEW.started_at),
+      completed_call_id = NEW.id
+  WHERE lead_id = NEW.lead_id
+    AND completed_at IS NULL
+    AND canceled_at IS NULL;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE TRIGGER complete_callbacks_on_call
+AFTER INSERT ON call_logs
+FOR EACH ROW
+EXECUTE PROCEDURE complete_callbacks_on_call();
+
+-- =============================================================================
+-- Table: provider_calls (live state of calls placed through a telephony provider)
+-- =============================================================================
+-- Created when the dialer places a call and advanced by the provider's status
+-- webhooks, which may arrive late, twice or out of order (see apply_call_event)
+CREATE TABLE IF NOT EXISTS "provider_calls" (
+  "id" UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  "provider" TEXT NOT NULL,
+  "provider_call_id" TEXT NOT NULL,
+  "lead_id" UUID REFERENCES leads(id) ON DELETE SET NULL,
+  "rep_id" UUID REFERENCES profiles(id),
+  "status" TEXT,
+  "status_rank" INTEGER DEFAULT 0 NOT NULL,  -- 1 queued, 2 ringing, 3 in_progress, 4 ended
+  "answered_by" TEXT,
+  "duration_seconds" INTEGER,
+  "recording_url" TEXT,
+  "answered_at" TIMESTAMP WITH TIME ZONE,
+  "ended_at" TIMESTAMP WITH TIME ZONE,
+  "last_event_at" TIMESTAMP WITH TIME ZONE,
+  "created_at" TIMESTAMP WITH TIME ZONE DEFAULT now() NOT NULL,
+  "updated_at" TIMESTAMP WITH TIME ZONE DEFAULT now() NOT NULL,
+  UNIQUE ("provider", "provider_call_id")
+);
+
+-- Set up Row Level Security (RLS) for the provider_calls table
+ALTER TABLE "provider_calls" ENABLE ROW LEVEL SECURITY;
+
+-- Reps see the calls they placed; managers and admins see every call (the
+-- API routes write with the service role)
+CREATE POLICY "Users can view their own provider calls" 
+  ON "provider_calls" FOR SELECT 
+  USING (rep_id = auth.uid() OR current_user_role() IN ('manager', 'admin'));
+
+-- =============================================================================
+-- Table: call_events (every status webhook received from a telephony provider)
+-- =============================================================================
+CREATE TABLE IF NOT EXISTS "call_events" (
+  "id" UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  "provider" TEXT NOT NULL,
+  "provider_call_id" TEXT NOT NULL,
+  "event_id" TEXT NOT NULL,  -- Provider-derived ID; a redelivered event is ignored
+  "status" TEXT,             -- NULL for events that only carry a recording
+  "sequence" INTEGER,
+  "occurred_at" TIMESTAMP WITH TIME ZONE NOT NULL,
+  "outcome" TEXT,            -- 'applied' or 'stale'
+  "payload" JSONB NOT NULL,
+  "received_at" TIMESTAMP WITH TIME ZONE DEFAULT now() NOT NULL,
+  UNIQUE ("provider", "event_id")
+);
+
+-- No policies: only the service role (which bypasses RLS) may read or write events
+ALTER TABLE "call_events" ENABLE ROW LEVEL SECURITY;
+
+-- Apply one webhook event. Returns 'duplicate' if it was seen before, 'stale'
+-- if the call has already moved past its status, and 'applied' otherwise.
+-- A stale answer event still records when the call was answered, since
+-- providers often deliver it after the call's end.
+-- Answered calls mark their lead as contacted, and the call's log (if the rep
+-- has saved it) gets the final status, duration and recording.
+CREATE OR REPLACE FUNCTION apply_call_event(event JSONB)
+RETURNS TEXT AS $$
+DECLARE
+  new_status TEXT := event->>'status';
+  new_rank INTEGER := CASE
+    WHEN event->>'status' IS NULL THEN 0
+    WHEN event->>'status' = 'queued' THEN 1
+    WHEN event->>'status' = 'ringing' THEN 2
+    WHEN event->>'status' = 'in_progress' THEN 3
+    ELSE 4
+  END;
+  occurred TIMESTAMP WITH TIME ZONE := COALESCE((event->>'occurredAt')::TIMESTAMP WITH TIME ZONE, now());
+  event_row_id UUID;
+  call provider_calls%ROWTYPE;
+  result TEXT := 'applied';
+BEGIN
+  INSERT INTO call_events (provider, provider_call_id, event_id, status, sequence, occurred_at, payload)
+  VALUES (
+    event->>'provider',
+    event->>'providerCallId',
+    event->>'eventId',
+    new_status,
+    (event->>'sequence')::INTEGER,
+    occurred,
+    COALESCE(event->'payload', '{}'::jsonb)
+  )
+  ON CONFLICT (provider, event_id) DO NOTHING
+  RETURNING id INTO event_row_id;
+  
+  IF event_row_id IS NULL THEN
+    RETURN 'duplicate';
+  END IF;
+  
+  -- Events can beat the dialer's own record of the call
+  INSERT INTO provider_calls (provider, provider_call_id)
+  VALUES (event->>'provider', event->>'providerCallId')
+  ON CONFLICT (provider, provider_call_id) DO NOTHING;
+  
+  SELECT * INTO call
+  FROM provider_calls
+  WHERE provider = event->>'provider' AND provider_call_id = event->>'providerCallId'
+  FOR UPDATE;
+  
+  -- Recordings and answering details are kept whatever order they arrive in
+  UPDATE provider_calls
+  SET recording_url = COALESCE(event->>'recordingUrl', recording_url),
+      answered_by = COALESCE(event->>'answeredBy', answered_by),
+      answered_at = CASE WHEN new_status = 'in_progress' THEN COALESCE(answered_at, occurred) ELSE answered_at END,
+      last_event_at = GREATEST(last_event_at, occurred)
+  WHERE id = call.id;
+  
+  -- A status only moves a call forward; an ended call stays ended
+  IF new_rank > 0 AND new_rank <= call.status_rank THEN
+    result := 'stale';
+  ELSIF new_rank > 0 THEN
+    UPDATE provider_calls
+    SET status = new_status,
+        status_rank = new_rank,
+        ended_at = CASE WHEN new_rank = 4 THEN occurred ELSE ended_at END,
+        duration_seconds = COALESCE((event->>'durationSeconds')::INTEGER, duration_seconds)
+    WHERE id = call.id;
+    
+    IF call.lead_id IS NOT NULL AND new_status IN ('in_progress', 'completed', 'voicemail') THEN
+      PERFORM set_config('app.change_source', 'call', true);
+      UPDATE leads
+      SET status = CASE WHEN status = 'new' THEN 'contacted' ELSE status END,
+          last_contacted_at = GREATEST(last_contacted_at, occurred)
+      WHERE id = call.lead_id;
+    END IF;
+  END IF;
+  
+  UPDATE call_logs
+  SET call_status = pc.status,
+      duration_seconds = COALESCE(pc.duration_seconds, call_logs.duration_seconds),
+      recording_url = COALESCE(pc.recording_url, call_logs.recording_url)
+  FROM provider_calls pc
+  WHERE pc.id = call.id
+    AND pc.status_rank = 4
+    AND call_logs.provider = pc.provider
+    AND call_logs.provider_call_id = pc.provider_call_id;
+  
+  UPDATE call_events SET outcome = result WHERE id = event_row_id;
+  RETURN result;
+END;
+$$ LANGUAGE plpgsql;
+
+REVOKE EXECUTE ON FUNCTION apply_call_event(JSONB) FROM PUBLIC, anon, authenticated;
+
+-- A call log saved after the provider reported the call's end starts out with its details
+CREATE OR REPLACE FUNCTION fill_call_log_from_provider()
+RETURNS TRIGGER AS $$
+DECLARE
+  call provider_calls%ROWTYPE;
+BEGIN
+  IF NEW.provider_call_id IS NOT NULL THEN
+    SELECT * INTO call
+    FROM provider_calls
+    WHERE provider = NEW.provider AND provider_call_id = NEW.provider_call_id AND status_rank = 4;
+    
+    IF FOUND THEN
+      NEW.call_status := call.status;
+      NEW.duration_seconds := COALESCE(call.duration_seconds, NEW.duration_seconds);
+      NEW.recording_url := COALESCE(call.recording_url, NEW.recording_url);
+    END IF;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER fill_call_log_from_provider
+BEFORE INSERT ON call_logs
+FOR EACH ROW
+EXECUTE PROCEDURE fill_call_log_from_provider();
+
+-- =============================================================================
+-- Table: assignment_rules (how new and bulk-assigned leads are handed out)
+-- =============================================================================
+-- Rules are tried in priority order; each hands leads to its reps in turn
+-- (see services/leadAssignment.js)
+CREATE TABLE IF NOT EXISTS "assignment_rules" (
+  "id" UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  "name" TEXT NOT NULL,
+  "strategy" TEXT NOT NULL CHECK ("strategy" IN ('round_robin', 'territory')),
+  "territory" TEXT,  -- Lead territory a 'territory' rule matches
+  "source_id" UUID REFERENCES sync_sources(id) ON DELETE CASCADE,  -- Optional: only leads from this source
+  "rep_ids" UUID[] NOT NULL DEFAULT '{}',
+  "priority" INTEGER NOT NULL DEFAULT 100,  -- Lower numbers are tried first
+  "next_rep_index" INTEGER NOT NULL DEFAULT 0,  -- Position in the rotation of rep_ids
+  "enabled" BOOLEAN NOT NULL DEFAULT true,
+  "created_at" TIMESTAMP WITH TIME ZONE DEFAULT now() NOT NULL,
+  "updated_at" TIMESTAMP WITH TIME ZONE DEFAULT now() NOT NULL
+);
+
+-- Set up Row Level Security (RLS) for the assignment_rules table
+ALTER TABLE "assignment_rules" ENABLE ROW LEVEL SECURITY;
+
+-- Managers and admins manage the rules from the Dashboard
+CREATE POLICY "Managers can manage assignment rules" 
+  ON "assignment_rules" FOR ALL 
+  USING (current_user_role() IN ('manager', 'admin'))
+  WITH CHECK (current_user_role() IN ('manager', 'admin'));
+
+-- =============================================================================
+-- Table: dnc_numbers (numbers that must never be called again)
+-- =============================================================================
+-- Numbers are stored in E.164 form and only marked removed, never deleted
+-- (see services/dncService.js). Written by the API and the sync with the
+-- service role, and by the suppress_on_dnc_disposition trigger.
+CREATE TABLE IF NOT EXISTS "dnc_numbers" (
+  "id" UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  "phone" TEXT NOT NULL UNIQUE,
+  "source" TEXT NOT NULL CHECK ("source" IN ('disposition', 'sheet', 'csv', 'manual')),
+  "reason" TEXT,
+  "lead_id" UUID REFERENCES leads(id) ON DELETE SET NULL,  -- Lead the number was suppressed from, if any
+  "added_by" UUID REFERENCES profiles(id),
+  "added_at" TIMESTAMP WITH TIME ZONE DEFAULT now() NOT NULL,
+  "removed_at" TIMESTAMP WITH TIME ZONE,
+  "removed_by" UUID REFERENCES profiles(id),
+  "created_at" TIMESTAMP WITH TIME ZONE DEFAULT now() NOT NULL,
+  "updated_at" TIMESTAMP WITH TIME ZONE DEFAULT now() NOT NULL
+);
+
+-- Set up Row Level Security (RLS) for the dnc_numbers table
+ALTER TABLE "dnc_numbers" ENABLE ROW LEVEL SECURITY;
+
+-- Managers and admins review the list from the Dashboard; changes go through /api/dnc
+CREATE POLICY "Managers can view the do-not-call list" 
+  ON "dnc_numbers" FOR SELECT 
+  USING (current_user_role() IN ('manager', 'admin'));
+
+-- =============================================================================
+-- Table: dnc_audit (every addition to and removal from the do-not-call list)
+-- =============================================================================
+CREATE TABLE IF NOT EXISTS "dnc_audit" (
+  "id" UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  "phone" TEXT NOT NULL,
+  "action" TEXT NOT NULL CHECK ("action" IN ('added', 'removed')),
+  "source" TEXT,  -- Where an added number came from (see dnc_numbers.source)
+  "reason" TEXT,
+  "lead_id" UUID REFERENCES leads(id) ON DELETE SET NULL,
+  "actor" UUID REFERENCES profiles(id),  -- User who made the change; null for the sync
+  "created_at" TIMESTAMP WITH TIME ZONE DEFAULT now() NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS "dnc_audit_created_at_idx" ON "dnc_audit" ("created_at" DESC);
+
+-- Set up Row Level Security (RLS) for the dnc_audit table
+ALTER TABLE "dnc_audit" ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Managers can view the do-not-call audit" 
+  ON "dnc_audit" FOR SELECT 
+  USING (current_user_role() IN ('manager', 'admin'));
+
+-- Audits each change to the list and applies it to the leads with the number:
+-- suppressed leads get dnc_at and lose their open callbacks, and leads whose
+-- number is taken off the list become callable again.
+-- SECURITY DEFINER because it changes leads the caller may not see.
+CREATE OR REPLACE FUNCTION apply_dnc_number()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'INSERT' OR (OLD.removed_at IS NOT NULL AND NEW.removed_at IS NULL) THEN
+    INSERT INTO dnc_audit (phone, action, source, reason, lead_id, actor)
+    VALUES (NEW.phone, 'added', NEW.source, NEW.reason, NEW.lead_id, NEW.added_by);
+    
+    UPDATE leads SET dnc_at = NEW.added_at
+    WHERE phone = NEW.phone AND dnc_at IS NULL;
+    
+    UPDATE scheduled_callbacks SET canceled_at = now()
+    WHERE completed_at IS NULL
+      AND canceled_at IS NULL
+      AND lead_id IN (SELECT id FROM leads WHERE phone = NEW.phone);
+  ELSIF OLD.removed_at IS NULL AND NEW.removed_at IS NOT NULL THEN
+    INSERT INTO dnc_audit (phone, action, lead_id, actor)
+    VALUES (NEW.phone, 'removed', NEW.lead_id, NEW.removed_by);
+    
+    UPDATE leads SET dnc_at = NULL WHERE phone = NEW.phone;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE TRIGGER apply_dnc_number
+AFTER INSERT OR UPDATE ON dnc_numbers
+FOR EACH ROW
+EXECUTE PROCEDURE apply_dnc_number();
+
+-- A call saved with the 'do_not_call' disposition puts the lead's number on
+-- the list. SECURITY DEFINER because reps cannot write dnc_numbers.
+CREATE OR REPLACE FUNCTION suppress_on_dnc_disposition()
+RETURNS TRIGGER AS $$
+BEGIN
+  INSERT INTO dnc_numbers (phone, source, reason, lead_id, added_by)
+  SELECT leads.phone, 'disposition', NULLIF(btrim(NEW.notes), ''), leads.id, NEW.rep_id
+  FROM leads
+  WHERE leads.id = NEW.lead_id
+    AND leads.phone IS NOT NULL
+    AND leads.phone_status IS DISTINCT FROM 'invalid'
+  ON CONFLICT (phone) DO UPDATE
+  SET source = EXCLUDED.source,
+      reason = EXCLUDED.reason,
+      lead_id = EXCLUDED.lead_id,
+      added_by = EXCLUDED.added_by,
+      added_at = now(),
+      removed_at = NULL,
+      removed_by = NULL
+  WHERE dnc_numbers.removed_at IS NOT NULL;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE TRIGGER suppress_on_dnc_disposition
+AFTER INSERT ON call_logs
+FOR EACH ROW
+WHEN (NEW.disposition = 'do_not_call')
+EXECUTE PROCEDURE suppress_on_dnc_disposition();
+
+-- dnc_at always follows the list: every write to a lead, by the sync, an
+-- import, an edit or apply_dnc_number, recomputes it from dnc_numbers and
+-- ignores any value the writer supplied. A number added while a sync runs is
+-- therefore not cleared by it, and the dialer can trust the column.
+CREATE OR REPLACE FUNCTION set_lead_dnc_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.dnc_at := (
+    SELECT added_at FROM dnc_numbers
+    WHERE phone = NEW.phone AND removed_at IS NULL
+  );
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE TRIGGER set_lead_dnc_at
+BEFORE INSERT OR UPDATE ON leads
+FOR EACH ROW
+EXECUTE PROCEDURE set_lead_dnc_at();
+
+-- =============================================================================
+-- Table: lead_duplicates (pairs of leads that may be the same person)
+-- =============================================================================
+-- Flagged by the sync (see services/leadDuplicates.js). lead_a is always the
+-- smaller ID, so a pair is only stored once; dismissed pairs stay here so the
+-- sync does not flag them again.
+CREATE TABLE IF NOT EXISTS "lead_duplicates" (
+  "id" UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  "lead_a" UUID REFERENCES leads(id) ON DELETE CASCADE NOT NULL,
+  "lead_b" UUID REFERENCES leads(id) ON DELETE CASCADE NOT NULL,
+  "reasons" TEXT[] NOT NULL,  -- What matched: 'email', 'phone' and/or 'name_company'
+  "score" NUMERIC NOT NULL,  -- How alike the leads are, from 0 to 1
+  "status" TEXT DEFAULT 'open' NOT NULL CHECK ("status" IN ('open', 'merged', 'dismissed')),
+  "resolved_at" TIMESTAMP WITH TIME ZONE,
+  "resolved_by" UUID REFERENCES profiles(id),
+  "created_at" TIMESTAMP WITH TIME ZONE DEFAULT now() NOT NULL,
+  UNIQUE ("lead_a", "lead_b"),
+  CHECK ("lead_a" < "lead_b")
+);
+
+CREATE INDEX IF NOT EXISTS "lead_duplicates_lead_b_idx" ON "lead_duplicates" ("lead_b");
+
+-- Set up Row Level Security (RLS) for the lead_duplicates table
+ALTER TABLE "lead_duplicates" ENABLE ROW LEVEL SECURITY;
+
+-- Users review the pairs whose leads they can both see (the leads policies apply)
+CREATE POLICY "Users can view duplicates of visible leads" 
+  ON "lead_duplicates" FOR SELECT 
+  USING (EXISTS (SELECT 1 FROM leads WHERE leads.id = lead_duplicates.lead_a)
+    AND EXISTS (SELECT 1 FROM leads WHERE leads.id = lead_duplicates.lead_b));
+
+-- The same users can mark a pair as different people; merges go through /api/leads/merge
+CREATE POLICY "Users can dismiss duplicates of visible leads" 
+  ON "lead_duplicates" FOR UPDATE 
+  USING (status = 'open'
+    AND EXISTS (SELECT 1 FROM leads WHERE leads.id = lead_duplicates.lead_a)
+    AND EXISTS (SELECT 1 FROM leads WHERE leads.id = lead_duplicates.lead_b))
+  WITH CHECK (status = 'dismissed' AND resolved_by = auth.uid());
+
+-- Merge a duplicate into the lead that survives (see /api/leads/merge). Empty
+-- fields of the survivor are filled from the duplicate, which also supplies a
+-- valid phone number if the survivor has none; the duplicate's notes are
+-- appended. Its call logs, callbacks and provider calls move to the survivor.
+-- The duplicate is archived with merged_into set, so the sync leaves its sheet
+-- row alone, and its other flagged pairs move to the survivor. Returns the
+-- survivor, or nothing if either lead does not exist or was already merged.
+CREATE OR REPLACE FUNCTION merge_leads(survivor_id UUID, duplicate_id UUID, editor UUID)
+RETURNS SETOF leads AS $$
+DECLARE
+  survivor leads%ROWTYPE;
+  duplicate leads%ROWTYPE;
+  changes JSONB := '{}'::jsonb;
+BEGIN
+  IF survivor_id = duplicate_id THEN
+    RETURN;
+  END IF;
+  
+  -- Lock both rows in ID order so concurrent merges cannot deadlock
+  PERFORM 1 FROM leads WHERE id IN (survivor_id, duplicate_id) ORDER BY id FOR UPDATE;
+  SELECT * INTO survivor FROM leads WHERE id = survivor_id AND merged_into IS NULL;
+  IF NOT FOUND THEN
+    RETURN;
+  END IF;
+  SELECT * INTO duplicate FROM leads WHERE id = duplicate_id AND merged_into IS NULL;
+  IF NOT FOUND THEN
+    RETURN;
+  END IF;
+  
+  IF NULLIF(btrim(survivor.email), '') IS NULL AND NULLIF(btrim(duplicate.email), '') IS NOT NULL THEN
+    changes := changes || jsonb_build_object('email', duplicate.email);
+  END IF;
+  IF survivor.phone_status IS DISTINCT FROM 'valid' AND duplicate.phone_status = 'valid' THEN
+    changes := changes || jsonb_build_object(
+      'phone', duplicate.phone,
+      'phone_raw', duplicate.phone_raw,
+      'phone_extension', duplicate.phone_extension,
+      'phone_status', duplicate.phone_status,
+      'phone_country', duplicate.phone_country,
+      'timezone', duplicate.timezone,
+      'timezone_source', duplicate.timezone_source
+    );
+  ELSIF survivor.timezone IS NULL AND duplicate.timezone IS NOT NULL THEN
+    changes := changes || jsonb_build_object('timezone', duplicate.timezone, 'timezone_source', duplicate.timezone_source);
+  END IF;
+  IF NULLIF(btrim(survivor.company), '') IS NULL AND NULLIF(btrim(duplicate.company), '') IS NOT NULL THEN
+    changes := changes || jsonb_build_object('company', duplicate.company);
+  END IF;
+  IF NULLIF(btrim(survivor.position), '') IS NULL AND NULLIF(btrim(duplicate.position), '') IS NOT NULL THEN
+    changes := changes || jsonb_build_object('position', duplicate.position);
+  END IF;
+  IF NULLIF(btrim(survivor.territory), '') IS NULL AND NULLIF(btrim(duplicate.territory), '') IS NOT NULL THEN
+    changes := changes || jsonb_build_object('territory', duplicate.territory);
+  END IF;
+  IF NULLIF(btrim(duplicate.notes), '') IS NOT NULL
+    AND strpos(COALESCE(survivor.notes, ''), btrim(duplicate.notes)) = 0 THEN
+    changes := changes || jsonb_build_object('notes',
+      concat_ws(E'\n\n', NULLIF(btrim(survivor.notes), ''), btrim(duplicate.notes)));
+  END IF;
+  
+  -- Recorded as an edit in the lead view, attributed to the editor
+  PERFORM apply_lead_edit(survivor_id, changes, editor);
+  
+  UPDATE leads
+  SET assigned_to = COALESCE(leads.assigned_to, duplicate.assigned_to),
+      last_contacted_at = GREATEST(leads.last_contacted_at, duplicate.last_contacted_at),
+      last_disposition = CASE
+        WHEN duplicate.last_contacted_at > COALESCE(leads.last_contacted_at, '-infinity') THEN duplicate.last_disposition
+        ELSE leads.last_disposition
+      END,
+      dnc_at = COALESCE(leads.dnc_at, duplicate.dnc_at,
+        (SELECT added_at FROM dnc_numbers WHERE dnc_numbers.phone = leads.phone AND removed_at IS NULL))
+  WHERE id = survivor_id;
+  
+  UPDATE call_logs SET lead_id = survivor_id WHERE lead_id = duplicate_id;
+  UPDATE scheduled_callbacks SET lead_id = survivor_id WHERE lead_id = duplicate_id;
+  UPDATE provider_calls SET lead_id = survivor_id WHERE lead_id = duplicate_id;
+  
+  -- Rows merged into the duplicate earlier now stand for the survivor too
+  UPDATE leads SET merged_into = survivor_id WHERE merged_into = duplicate_id;
+  UPDATE leads SET merged_into = survivor_id, archived_at = now() WHERE id = duplicate_id;
+  
+  -- The duplicate's other open pairs become pairs with the survivor
+  INSERT INTO lead_duplicates (lead_a, lead_b, reasons, score)
+  SELECT LEAST(other_id, survivor_id), GREATEST(other_id, survivor_id), reasons, score
+  FROM (
+    SELECT CASE WHEN lead_a = duplicate_id THEN lead_b ELSE lead_a END AS other_id, reasons, score
+    FROM lead_duplicates
+    WHERE status = 'open' AND (lead_a = duplicate_id OR lead_b = duplicate_id)
+  ) AS pairs
+  WHERE other_id <> survivor_id
+  ON CONFLICT (lead_a, lead_b) DO NOTHING;
+  
+  UPDATE lead_duplicates
+  SET status = 'merged', resolved_at = now(), resolved_by = editor
+  WHERE status = 'open' AND (lead_a = duplicate_id OR lead_b = duplicate_id);
+  
+  RETURN QUERY SELECT * FROM leads WHERE id = survivor_id;
+END;
+$$ LANGUAGE plpgsql;
+
+REVOKE EXECUTE ON FUNCTION merge_leads(UUID, UUID, UUID) FROM PUBLIC, anon, authenticated;
+
+-- =============================================================================
+-- Table: sync_quarantine (sheet rows rejected by validation during sync)
+-- =============================================================================
+-- Replaced on every sync run, so it always lists the rows that currently need fixing
+CREATE TABLE IF NOT EXISTS "sync_quarantine" (
+  "id" UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  "source_id" UUID REFERENCES sync_sources(id) ON DELETE CASCADE,
+  "sheet_name" TEXT NOT NULL,
+  "sheet_row_number" INTEGER NOT NULL,
+  "sheet_key" TEXT,
+  "reasons" TEXT[] NOT NULL,
+  "row_data" JSONB NOT NULL,
+  "created_at" TIMESTAMP WITH TIME ZONE DEFAULT now() NOT NULL
+);
+
+-- Set up Row Level Security (RLS) for the sync_quarantine table
+ALTER TABLE "sync_quarantine" ENABLE ROW LEVEL SECURITY;
+
+-- Rejected rows hold whole sheet rows of any rep's leads, so only managers
+-- and admins see them (the sync writes with the service role)
+CREATE POLICY "Managers can view quarantined rows" 
+  ON "sync_quarantine" FOR SELECT 
+  USING (current_user_role() IN ('manager', 'admin'));
+
+-- =============================================================================
+-- Table: sync_runs (history of Google Sheets sync runs)
+-- =============================================================================
+CREATE TABLE IF NOT EXISTS "sync_runs" (
+  "id" UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  "trigger" TEXT NOT NULL,  -- 'cron', 'manual', 'cli' or 'webhook'
+  "triggered_by" UUID REFERENCES auth.users(id),  -- User who started a manual run
+  "status" TEXT NOT NULL DEFAULT 'running',  -- 'running', 'succeeded' or 'failed'
+  "source_id" UUID REFERENCES sync_sources(id) ON DELETE SET NULL,  -- Null if the run failed before any source
+  "spreadsheet_id" TEXT,
+  "sheet_name" TEXT,
+  "started_at" TIMESTAMP WITH TIME ZONE DEFAULT now() NOT NULL,
+  "finished_at" TIMESTAMP WITH TIME ZONE,
+  "duration_ms" INTEGER,
+  "rows_processed" INTEGER,
+  "inserted" INTEGER,
+  "updated" INTEGER,
+  "unchanged" INTEGER,
+  "deleted" INTEGER,
+  "rejected" INTEGER,
+  "rows_failed" INTEGER,
+  "error" TEXT,
+  "details" JSONB  -- Write batch outcomes and rejected rows
+);
+
+CREATE INDEX IF NOT EXISTS "sync_runs_started_at_idx" ON "sync_runs" ("started_at" DESC);
+
+-- Set up Row Level Security (RLS) for the sync_runs table
+ALTER TABLE "sync_runs" ENABLE ROW LEVEL SECURITY;
+
+-- Sync history includes rejected rows, so only managers and admins see it
+-- (the sync writes with the service role); reps get the freshness of their
+-- lead list from sync_status()
+CREATE POLICY "Managers can view sync runs" 
+  ON "sync_runs" FOR SELECT 
+  USING (current_user_role() IN ('manager', 'admin'));
+
+-- The latest sync run and when a sync last succeeded, for the Dashboard
+-- banner every user sees. The error is only returned to managers and admins.
+CREATE OR REPLACE FUNCTION sync_status()
+RETURNS TABLE (
+  status TEXT,
+  sheet_name TEXT,
+  started_at TIMESTAMP WITH TIME ZONE,
+  finished_at TIMESTAMP WITH TIME ZONE,
+  error TEXT,
+  last_succeeded_at TIMESTAMP WITH TIME ZONE
+) AS $$
+  SELECT latest.status, latest.sheet_name, latest.started_at, latest.finished_at,
+    CASE WHEN current_user_role() IN ('manager', 'admin') THEN latest.error END,
+    (SELECT finished_at FROM sync_runs WHERE sync_runs.status = 'succeeded'
+     ORDER BY sync_runs.started_at DESC LIMIT 1)
+  FROM (SELECT * FROM sync_runs ORDER BY started_at DESC LIMIT 1) latest;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- =============================================================================
+-- Table: sync_locks (prevents overlapping sync runs)
+-- =============================================================================
+CREATE TABLE IF NOT EXISTS "sync_locks" (
+  "name" TEXT PRIMARY KEY,
+  "owner" TEXT NOT NULL,
+  "locked_at" TIMESTAMP WITH TIME ZONE DEFAULT now() NOT NULL,
+  "expires_at" TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+-- No policies: only the service role (which bypasses RLS) may touch locks
+ALTER TABLE "sync_locks" ENABLE ROW LEVEL SECURITY;
+
+-- Atomically take a lock if it is free or its holder's TTL has expired
+CREATE OR REPLACE FUNCTION try_acquire_sync_lock(lock_name TEXT, lock_owner TEXT, ttl_seconds INTEGER)
+RETURNS BOOLEAN AS $$
+DECLARE
+  acquired BOOLEAN;
+BEGIN
+  INSERT INTO sync_locks (name, owner, locked_at, expires_at)
+  VALUES (lock_name, lock_owner, now(), now() + make_interval(secs => ttl_seconds))
+  ON CONFLICT (name) DO UPDATE
+    SET owner = EXCLUDED.owner,
+        locked_at = EXCLUDED.locked_at,
+        expires_at = EXCLUDED.expires_at
+    WHERE sync_locks.expires_at < now()
+  RETURNING true INTO acquired;
+  
+  RETURN COALESCE(acquired, false);
+END;
+$$ LANGUAGE plpgsql;
+
+REVOKE EXECUTE ON FUNCTION try_acquire_sync_lock(TEXT, TEXT, INTEGER) FROM PUBLIC, anon, authenticated;
+
+-- Push back a held lock's expiry while its run is still working; returns
+-- false if the lock expired and was taken by another run
+CREATE OR REPLACE FUNCTION renew_sync_lock(lock_name TEXT, lock_owner TEXT, ttl_seconds INTEGER)
+RETURNS BOOLEAN AS $$
+BEGIN
+  UPDATE sync_locks
+  SET expires_at = now() + make_interval(secs => ttl_seconds)
+  WHERE name = lock_name AND owner = lock_owner;
+  
+  RETURN FOUND;
+END;
+$$ LANGUAGE plpgsql;
+
+REVOKE EXECUTE ON FUNCTION renew_sync_lock(TEXT, TEXT, INTEGER) FROM PUBLIC, anon, authenticated;
+
+-- Store the sheet snapshots of many leads in one request during two-way sync
+CREATE OR REPLACE FUNCTION apply_sheet_snapshots(snapshots JSONB)
+RETURNS VOID AS $$
+BEGIN
+  UPDATE leads
+  SET sheet_snapshot = s.sheet_snapshot
+  FROM jsonb_to_recordset(snapshots) AS s(id UUID, sheet_snapshot JSONB)
+  WHERE leads.id = s.id;
+END;
+$$ LANGUAGE plpgsql;
+
+REVOKE EXECUTE ON FUNCTION apply_sheet_snapshots(JSONB) FROM PUBLIC, anon, authenticated;
 
 -- =============================================================================
 -- Function: Set updated_at timestamp
@@ -93,6 +1056,36 @@ BEFORE UPDATE ON leads
 FOR EACH ROW
 EXECUTE PROCEDURE trigger_set_timestamp();
 
+-- Apply the trigger to the sync_sources table
+CREATE TRIGGER set_timestamp_sync_sources
+BEFORE UPDATE ON sync_sources
+FOR EACH ROW
+EXECUTE PROCEDURE trigger_set_timestamp();
+
+-- Apply the trigger to the assignment_rules table
+CREATE TRIGGER set_timestamp_assignment_rules
+BEFORE UPDATE ON assignment_rules
+FOR EACH ROW
+EXECUTE PROCEDURE trigger_set_timestamp();
+
+-- Apply the trigger to the scheduled_callbacks table
+CREATE TRIGGER set_timestamp_scheduled_callbacks
+BEFORE UPDATE ON scheduled_callbacks
+FOR EACH ROW
+EXECUTE PROCEDURE trigger_set_timestamp();
+
+-- Apply the trigger to the dnc_numbers table
+CREATE TRIGGER set_timestamp_dnc_numbers
+BEFORE UPDATE ON dnc_numbers
+FOR EACH ROW
+EXECUTE PROCEDURE trigger_set_timestamp();
+
+-- Apply the trigger to the provider_calls table
+CREATE TRIGGER set_timestamp_provider_calls
+BEFORE UPDATE ON provider_calls
+FOR EACH ROW
+EXECUTE PROCEDURE trigger_set_timestamp();
+
 -- =============================================================================
 -- Trigger: Create profile on signup
 -- =============================================================================
@@ -114,4 +1107,158 @@ $$ LANGUAGE plpgsql SECURITY DEFINER;
 -- Apply the trigger for new user registrations
 CREATE TRIGGER on_auth_user_created
   AFTER INSERT ON auth.users
-  FOR EACH ROW EXECUTE PROCEDURE public.handle_new_user(); 
\ No newline at end of file
+  FOR EACH ROW EXECUTE PROCEDURE public.handle_new_user();
+
+-- =============================================================================
+-- Upgrades for existing databases
+-- =============================================================================
+-- Run these statements on databases created from an earlier version of this file.
+
+-- Incremental sync: row fingerprints
+ALTER TABLE "leads" ADD COLUMN IF NOT EXISTS "row_hash" TEXT;
+
+-- Deleted-row reconciliation: soft-deleted leads are hidden from the Dashboard
+ALTER TABLE "leads" ADD COLUMN IF NOT EXISTS "archived_at" TIMESTAMP WITH TIME ZONE;
+
+-- Stable row identity: leads are upserted on sheet_key instead of the row number.
+-- After running this, key existing leads with:
+--   node services/sheetsToSupabaseSync.js --migrate-identity
+ALTER TABLE "leads" ADD COLUMN IF NOT EXISTS "sheet_key" TEXT;
+CREATE UNIQUE INDEX IF NOT EXISTS "leads_sheet_key_key" ON "leads" ("sheet_key");
+ALTER TABLE "leads" DROP CONSTRAINT IF EXISTS "leads_sheet_row_id_key";
+
+-- Column mapping: unmapped sheet columns are kept here instead of failing the upsert
+ALTER TABLE "leads" ADD COLUMN IF NOT EXISTS "extra" JSONB DEFAULT '{}'::jsonb NOT NULL;
+
+-- Phone normalization: E.164 numbers, extensions and validation status
+ALTER TABLE "leads" ADD COLUMN IF NOT EXISTS "phone_raw" TEXT;
+ALTER TABLE "leads" ADD COLUMN IF NOT EXISTS "phone_extension" TEXT;
+ALTER TABLE "leads" ADD COLUMN IF NOT EXISTS "phone_status" TEXT;
+ALTER TABLE "leads" ADD COLUMN IF NOT EXISTS "phone_country" TEXT;
+
+-- Sync endpoint lock and manual trigger attribution
+ALTER TABLE "sync_runs" ADD COLUMN IF NOT EXISTS "triggered_by" UUID REFERENCES auth.users(id);
+
+-- Sync sources: leads are keyed by (source_id, sheet_key) so tabs cannot collide.
+-- Create the sync_sources table, its policy and its set_timestamp_sync_sources
+-- trigger from above first. The next sync registers GOOGLE_SHEET_ID as the
+-- "Default" source and assigns existing sheet leads to it.
+ALTER TABLE "leads" ADD COLUMN IF NOT EXISTS "source_id" UUID REFERENCES sync_sources(id) ON DELETE RESTRICT;
+ALTER TABLE "leads" DROP CONSTRAINT IF EXISTS "leads_sheet_key_key";
+DROP INDEX IF EXISTS "leads_sheet_key_key";
+CREATE UNIQUE INDEX IF NOT EXISTS "leads_source_sheet_key_key" ON "leads" ("source_id", "sheet_key");
+ALTER TABLE "sync_quarantine" ADD COLUMN IF NOT EXISTS "source_id" UUID REFERENCES sync_sources(id) ON DELETE CASCADE;
+DELETE FROM "sync_quarantine" WHERE "source_id" IS NULL;  -- Repopulated per source by the next sync
+ALTER TABLE "sync_runs" ADD COLUMN IF NOT EXISTS "source_id" UUID REFERENCES sync_sources(id) ON DELETE SET NULL;
+
+-- Two-way sync: lead fields written back to the sheet and conflict detection.
+-- Also create the apply_sheet_snapshots function from above.
+ALTER TABLE "leads" ADD COLUMN IF NOT EXISTS "last_disposition" TEXT;
+ALTER TABLE "leads" ADD COLUMN IF NOT EXISTS "sheet_snapshot" JSONB;
+ALTER TABLE "sync_sources" ADD COLUMN IF NOT EXISTS "writeback_columns" JSONB;
+ALTER TABLE "sync_sources" ADD COLUMN IF NOT EXISTS "conflict_policy" TEXT;
+
+-- Call logging: create the call_logs table, its policies, the log_call_on_lead
+-- function and its trigger from above.
+
+-- Telephony providers: how each call was placed and what the provider reported
+ALTER TABLE "call_logs" ADD COLUMN IF NOT EXISTS "provider" TEXT;
+ALTER TABLE "call_logs" ADD COLUMN IF NOT EXISTS "provider_call_id" TEXT;
+ALTER TABLE "call_logs" ADD COLUMN IF NOT EXISTS "call_status" TEXT;
+ALTER TABLE "call_logs" ADD COLUMN IF NOT EXISTS "recording_url" TEXT;
+
+-- Telephony status webhooks: create the provider_calls and call_events tables,
+-- their policies, the apply_call_event and fill_call_log_from_provider functions
+-- and their triggers (including set_timestamp_provider_calls) from above.
+
+-- Dashboard search, filters and sorting
+ALTER TABLE "leads" ADD COLUMN IF NOT EXISTS "search_vector" TSVECTOR GENERATED ALWAYS AS (
+    to_tsvector('simple', regexp_replace(
+      coalesce("name", '') || ' ' || coalesce("email", '') || ' ' || coalesce("company", '') || ' ' ||
+      coalesce("phone", '') || ' ' || coalesce("phone_raw", '') || ' ' || regexp_replace(coalesce("phone", ''), '\D', '', 'g'),
+      '[^[:alnum:]]+', ' ', 'g'))
+  ) STORED;
+CREATE INDEX IF NOT EXISTS "leads_search_vector_idx" ON "leads" USING GIN ("search_vector");
+CREATE INDEX IF NOT EXISTS "leads_last_contacted_at_idx" ON "leads" ("last_contacted_at");
+CREATE INDEX IF NOT EXISTS "leads_assigned_to_idx" ON "leads" ("assigned_to");
+
+-- Roles and lead assignment: create the current_user_role and protect_profile_role
+-- functions, the protect_profile_role trigger, the assignment_rules table, its
+-- policy and its set_timestamp_assignment_rules trigger from above, then swap
+-- the lead and call log policies. Promote the first admin with e.g.
+--   UPDATE profiles SET role = 'admin' WHERE email = 'you@example.com';
+ALTER TABLE "profiles" ADD COLUMN IF NOT EXISTS "role" TEXT NOT NULL DEFAULT 'rep' CHECK ("role" IN ('rep', 'manager', 'admin'));
+ALTER TABLE "leads" ADD COLUMN IF NOT EXISTS "territory" TEXT;
+DROP POLICY IF EXISTS "Authenticated users can view leads" ON "leads";
+DROP POLICY IF EXISTS "Authenticated users can update leads" ON "leads";
+DROP POLICY IF EXISTS "Authenticated users can view call logs" ON "call_logs";
+DROP POLICY IF EXISTS "Reps can log their own calls" ON "call_logs";
+-- Then create the "Managers can view all profiles", leads and call_logs policies from above.
+
+-- Editable lead view and field-level audit trail: create the apply_lead_edit
+-- and audit_lead_changes functions, the lead_audit table, its index and policy,
+-- and the audit_lead_changes trigger from above, and replace the
+-- log_call_on_lead and apply_call_event functions.
+ALTER TABLE "leads" ADD COLUMN IF NOT EXISTS "manual_edits" JSONB DEFAULT '{}'::jsonb NOT NULL;
+ALTER TABLE "sync_sources" ADD COLUMN IF NOT EXISTS "field_policies" JSONB;
+
+-- Callback scheduling: create the scheduled_callbacks table, its index and
+-- policies, the complete_callbacks_on_call function and its trigger, and the
+-- set_timestamp_scheduled_callbacks trigger from above.
+ALTER TABLE "leads" ADD COLUMN IF NOT EXISTS "timezone" TEXT;
+
+-- Calling-hours compliance: replace the apply_lead_edit function from above.
+-- The next sync fills in timezone and timezone_source for every lead.
+ALTER TABLE "leads" ADD COLUMN IF NOT EXISTS "timezone_source" TEXT;
+
+-- Do-not-call list: create the dnc_numbers and dnc_audit tables, their index
+-- and policies, the apply_dnc_number and suppress_on_dnc_disposition
+-- functions and their triggers, and the set_timestamp_dnc_numbers trigger
+-- from above.
+ALTER TABLE "leads" ADD COLUMN IF NOT EXISTS "dnc_at" TIMESTAMP WITH TIME ZONE;
+CREATE INDEX IF NOT EXISTS "leads_phone_idx" ON "leads" ("phone");
+
+-- Duplicate detection and merging: create the lead_duplicates table, its index
+-- and policies, and the merge_leads function from above, and replace the
+-- audit_lead_changes function.
+ALTER TABLE "leads" ADD COLUMN IF NOT EXISTS "merged_into" UUID REFERENCES leads(id) ON DELETE SET NULL;
+
+-- File imports: leads imported from CSV and XLSX files have no source_id and
+-- are keyed by email or phone, so a second import of a list must find them.
+-- Requires PostgreSQL 15 or later.
+ALTER TABLE "leads" DROP CONSTRAINT IF EXISTS "leads_source_sheet_key_key";
+DROP INDEX IF EXISTS "leads_source_sheet_key_key";
+CREATE UNIQUE INDEX IF NOT EXISTS "leads_source_sheet_key_key" ON "leads" ("source_id", "sheet_key") NULLS NOT DISTINCT;
+
+-- Sheet change webhook: sources with a change the webhook could not sync are
+-- synced by the next cron run.
+ALTER TABLE "sync_sources" ADD COLUMN IF NOT EXISTS "sheet_changed_at" TIMESTAMP WITH TIME ZONE;
+
+-- Late answer events: replace the apply_call_event function from above.
+
+-- Do-not-call fixes: replace the suppress_on_dnc_disposition function, and
+-- create the set_lead_dnc_at function and its trigger from above.
+
+-- Sources with leads cannot be deleted; disable them instead.
+ALTER TABLE "leads" DROP CONSTRAINT IF EXISTS "leads_source_id_fkey";
+ALTER TABLE "leads" ADD CONSTRAINT "leads_source_id_fkey"
+  FOREIGN KEY ("source_id") REFERENCES sync_sources(id) ON DELETE RESTRICT;
+
+-- Lead updates by reps: reps lose their UPDATE policy on leads, and call logs
+-- update leads through the log_call_on_lead function. Replace that function
+-- from above.
+DROP POLICY IF EXISTS "Users can update leads they are allowed to work" ON "leads";
+CREATE POLICY "Managers can update leads" 
+  ON "leads" FOR UPDATE 
+  USING (current_user_role() IN ('manager', 'admin'));
+
+-- Provider calls, quarantined rows and sync runs: reps only see the calls
+-- they placed, and rejected rows and sync history are for managers. Create
+-- the sync_status function from above.
+DROP POLICY IF EXISTS "Authenticated users can view provider calls" ON "provider_calls";
+DROP POLICY IF EXISTS "Authenticated users can view quarantined rows" ON "sync_quarantine";
+DROP POLICY IF EXISTS "Authenticated users can view sync runs" ON "sync_runs";
+-- Then create the provider_calls, sync_quarantine and sync_runs policies from above.
+
+-- Sync lock renewal: long sync runs keep their lock alive. Create the
+-- renew_sync_lock function from above.
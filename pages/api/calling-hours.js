@@ -0,0 +1,7 @@
+/**
+ * @fileoverview API Route for Calling Hours
+ * 
+ * Served by the root app; the route is implemented in web/pages/api/calling-hours.js.
+ */
+
+export { default } from '../../web/pages/api/calling-hours';
@@ -0,0 +1,7 @@
+/**
+ * @fileoverview API Route for a Call in Progress
+ * 
+ * Served by the root app; the route is implemented in web/pages/api/calls/[callId].js.
+ */
+
+export { default } from '../../../web/pages/api/calls/[callId]';
@@ -0,0 +1,7 @@
+/**
+ * @fileoverview API Route for Placing Calls
+ * 
+ * Served by the root app; the route is implemented in web/pages/api/calls/index.js.
+ */
+
+export { default } from '../../../web/pages/api/calls/index';
@@ -0,0 +1,7 @@
+/**
+ * @fileoverview API Route for the Do-Not-Call List
+ * 
+ * Served by the root app; the route is implemented in web/pages/api/dnc.js.
+ */
+
+export { default } from '../../web/pages/api/dnc';
@@ -0,0 +1,16 @@
+/**
+ * @fileoverview API Route for Importing Leads from Files
+ * 
+ * Served by the root app; the route is implemented in web/pages/api/imports.js.
+ */
+
+import handler from '../../web/pages/api/imports';
+
+// Next.js only reads a route's config from the route's own file
+export const config = {
+  api: {
+    bodyParser: false
+  }
+};
+
+export default handler;
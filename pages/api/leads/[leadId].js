@@ -0,0 +1,7 @@
+/**
+ * @fileoverview API Route for Editing a Lead
+ * 
+ * Served by the root app; the route is implemented in web/pages/api/leads/[leadId].js.
+ */
+
+export { default } from '../../../web/pages/api/leads/[leadId]';
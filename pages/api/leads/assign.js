@@ -0,0 +1,7 @@
+/**
+ * @fileoverview API Route for Bulk Lead Assignment
+ * 
+ * Served by the root app; the route is implemented in web/pages/api/leads/assign.js.
+ */
+
+export { default } from '../../../web/pages/api/leads/assign';
@@ -0,0 +1,16 @@
+/**
+ * @fileoverview API Route for Exporting Leads to CSV
+ * 
+ * Served by the root app; the route is implemented in web/pages/api/leads/export.js.
+ */
+
+import handler from '../../../web/pages/api/leads/export';
+
+// Next.js only reads a route's config from the route's own file
+export const config = {
+  api: {
+    responseLimit: false
+  }
+};
+
+export default handler;
@@ -0,0 +1,7 @@
+/**
+ * @fileoverview API Route for Merging Duplicate Leads
+ * 
+ * Served by the root app; the route is implemented in web/pages/api/leads/merge.js.
+ */
+
+export { default } from '../../../web/pages/api/leads/merge';
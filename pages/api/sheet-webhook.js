@@ -0,0 +1,7 @@
+/**
+ * @fileoverview API Route for Sheet Change Notifications
+ * 
+ * Served by the root app; the route is implemented in web/pages/api/sheet-webhook.js.
+ */
+
+export { default } from '../../web/pages/api/sheet-webhook';
@@ -0,0 +1,7 @@
+/**
+ * @fileoverview API Route for Sync Run History
+ * 
+ * Served by the root app; the route is implemented in web/pages/api/sync-runs.js.
+ */
+
+export { default } from '../../web/pages/api/sync-runs';
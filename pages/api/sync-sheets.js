@@ -1,4 +1,26 @@
-import { syncSheetsToSupabase } from '../../src/services/sheetsToSupabaseSync';
+/**
+ * @fileoverview API Route for Google Sheets Sync
+ * 
+ * This API route triggers the synchronization of Google Sheets data to Supabase.
+ * It can be called manually or by a scheduled cron job via Vercel.
+ * 
+ * === SECURITY ===
+ * 
+ * Every request must be authenticated as one of:
+ * 1. Vercel Cron - `Authorization: Bearer <CRON_SECRET>` (Vercel adds this
+ *    header itself when CRON_SECRET is set on the project)
+ * 2. An admin user - `Authorization: Bearer <Supabase access token>` of a
+ *    user with the admin role (or listed in SYNC_ADMIN_EMAILS)
+ * 
+ * Only one sync runs at a time: a request made while a sync is in progress
+ * gets 409 Conflict.
+ * 
+ * Cron calls sync only the sources that are due (see services/syncSources.js);
+ * manual calls sync every enabled source, or just `?sourceId=<id>`.
+ */
+
+import { syncSheetsToSupabase } from '../../services/sheetsToSupabaseSync';
+import { isCronRequest, getRequestUser, isAdminUser } from '../../services/apiAuth';
 
 export default async function handler(req, res) {
   // Only allow POST requests (or GET for testing/scheduled jobs)
@@ -6,12 +28,38 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: 'Method not allowed' });
   }
   
+  // Cron calls carry the shared secret; anyone else must be a signed-in admin
+  const fromCron = isCronRequest(req);
+  let user = null;
+  if (!fromCron) {
+    user = await getRequestUser(req);
+    if (!user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    if (!(await isAdminUser(user))) {
+      return res.status(403).json({ error: 'Only admins can trigger a sync' });
+    }
+  }
+  
   try {
     // Run the sync process
-    const result = await syncSheetsToSupabase();
+    const result = await syncSheetsToSupabase({
+      sourceId: req.query.sourceId || undefined,
+      trigger: fromCron ? 'cron' : 'manual',
+      triggeredBy: user ? user.id : null
+    });
+    
+    if (result.locked) {
+      return res.status(409).json({ 
+        error: 'Sync already running', 
+        details: result.error 
+      });
+    }
     
     if (!result.success) {
+      // Partial failures still carry per-batch results worth returning
       return res.status(500).json({ 
+        ...result,
         error: 'Sync failed', 
         details: result.error 
       });
@@ -19,7 +67,7 @@ export default async function handler(req, res) {
     
     return res.status(200).json({
       success: true,
-      message: `Successfully synced ${result.rowsProcessed} leads`,
+      message: `Synced ${result.rowsProcessed} leads from ${result.sources.length} sources (${result.inserted} new, ${result.updated} updated, ${result.unchanged} unchanged, ${result.deleted} removed, ${result.rejected.length} rejected)`,
       ...result
     });
   } catch (error) {
@@ -29,4 +77,4 @@ export default async function handler(req, res) {
       message: error.message
     });
   }
-} 
\ No newline at end of file
+}
@@ -0,0 +1,16 @@
+/**
+ * @fileoverview API Route for Telephony Provider Webhooks
+ * 
+ * Served by the root app; the route is implemented in web/pages/api/telephony-webhook.js.
+ */
+
+import handler from '../../web/pages/api/telephony-webhook';
+
+// Next.js only reads a route's config from the route's own file
+export const config = {
+  api: {
+    bodyParser: false
+  }
+};
+
+export default handler;
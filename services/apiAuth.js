@@ -0,0 +1,141 @@
+/**
+ * @fileoverview Request authentication helpers for API routes
+ *
+ * API routes that do more than read public data must know who is calling.
+ * Three kinds of callers are recognised:
+ *
+ * 1. Vercel Cron - Vercel sends `Authorization: Bearer <CRON_SECRET>` with
+ *    every cron invocation when the CRON_SECRET environment variable is set
+ *    on the project. isCronRequest compares it in constant time.
+ * 2. Signed-in users - The browser sends its Supabase access token as
+ *    `Authorization: Bearer <token>`, which is checked with verifySession.
+ *    What a user may do depends on the role on their profile (see
+ *    userRoles.js). Users whose email is listed in SYNC_ADMIN_EMAILS are
+ *    admins whatever their profile says, so the first admin can be set up.
+ * 3. The sheet change webhook - The Apps Script in the synced spreadsheet
+ *    sends `Authorization: Bearer <SHEET_WEBHOOK_SECRET>` (see sheetWebhook.js).
+ *
+ * === ENVIRONMENT VARIABLES ===
+ *
+ * CRON_SECRET - Shared secret Vercel Cron sends to scheduled endpoints
+ * SHEET_WEBHOOK_SECRET - Shared secret the sheet change webhook is called with
+ * SYNC_ADMIN_EMAILS - Comma-separated emails of users who are always admins
+ */
+
+const crypto = require('crypto');
+const { verifySession, createSupabaseServerClient } = require('./supabaseAuthService');
+const { canManageLeads } = require('./userRoles');
+
+/**
+ * Extracts the bearer token from a request's Authorization header
+ * @param {Object} req - Next.js API request
+ * @returns {string|null} The token, or null if there is none
+ */
+function getBearerToken(req) {
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Compares two strings in constant time
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} Whether the strings are equal
+ */
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Checks whether a request comes from Vercel Cron, using the shared CRON_SECRET
+ * @param {Object} req - Next.js API request
+ * @returns {boolean} True only if CRON_SECRET is configured and matches
+ */
+function isCronRequest(req) {
+  const secret = process.env.CRON_SECRET;
+  const token = getBearerToken(req);
+  return Boolean(secret && token && safeEqual(token, secret));
+}
+
+/**
+ * Checks whether a request comes from the sheet change Apps Script, using the
+ * shared SHEET_WEBHOOK_SECRET
+ * @param {Object} req - Next.js API request
+ * @returns {boolean} True only if SHEET_WEBHOOK_SECRET is configured and matches
+ */
+function isSheetWebhookRequest(req) {
+  const secret = process.env.SHEET_WEBHOOK_SECRET;
+  const token = getBearerToken(req);
+  return Boolean(secret && token && safeEqual(token, secret));
+}
+
+/**
+ * Resolves the signed-in user making a request
+ * @param {Object} req - Next.js API request
+ * @returns {Promise<Object|null>} Supabase user, or null if the token is missing or invalid
+ */
+async function getRequestUser(req) {
+  const token = getBearerToken(req);
+  return token ? verifySession(token) : null;
+}
+
+/**
+ * Looks up a user's role
+ * @param {Object} user - Supabase user
+ * @returns {Promise<string|null>} 'rep', 'manager' or 'admin', or null without a user
+ */
+async function getUserRole(user) {
+  if (!user) return null;
+
+  const adminEmails = (process.env.SYNC_ADMIN_EMAILS || '')
+    .split(',')
+    .map(email => email.trim().toLowerCase())
+    .filter(Boolean);
+  if (user.email && adminEmails.includes(user.email.toLowerCase())) {
+    return 'admin';
+  }
+
+  const { data, error } = await createSupabaseServerClient()
+    .from('profiles')
+    .select('role')
+    .eq('id', user.id)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Error fetching user role:', error);
+    return null;
+  }
+  return data ? data.role : 'rep';
+}
+
+/**
+ * Checks whether a user may perform admin actions such as triggering a sync
+ * @param {Object} user - Supabase user
+ * @returns {Promise<boolean>} Whether the user is an admin
+ */
+async function isAdminUser(user) {
+  return (await getUserRole(user)) === 'admin';
+}
+
+/**
+ * Checks whether a user may see every lead and assign leads
+ * @param {Object} user - Supabase user
+ * @returns {Promise<boolean>} Whether the user is a manager or an admin
+ */
+async function isManagerUser(user) {
+  return canManageLeads(await getUserRole(user));
+}
+
+module.exports = {
+  getBearerToken,
+  safeEqual,
+  isCronRequest,
+  isSheetWebhookRequest,
+  getRequestUser,
+  getUserRole,
+  isAdminUser,
+  isManagerUser
+};
@@ -0,0 +1,43 @@
+/**
+ * @fileoverview Call dispositions shared by the dialer and the database
+ *
+ * After every call the rep records how it went. Each disposition suggests
+ * the lead status the call leaves the lead in; the rep can change it on the
+ * disposition form before saving. The values match the CHECK constraint on
+ * `call_logs.disposition` (see docs/supabase_tables.sql), and saving a call
+ * log updates the lead's status, last_contacted_at and last_disposition
+ * through the log_call_on_lead() trigger.
+ */
+
+const CALL_DISPOSITIONS = [
+  { value: 'no_answer', label: 'No answer', leadStatus: 'contacted' },
+  { value: 'voicemail', label: 'Voicemail', leadStatus: 'contacted' },
+  { value: 'connected', label: 'Connected', leadStatus: 'contacted' },
+  { value: 'wrong_number', label: 'Wrong number', leadStatus: 'rejected' },
+  { value: 'do_not_call', label: 'Do not call', leadStatus: 'rejected' }
+];
+
+/**
+ * Looks up a disposition by value
+ * @param {string} value - Disposition value, e.g. 'voicemail'
+ * @returns {Object|null} { value, label, leadStatus }, or null if unknown
+ */
+function getDisposition(value) {
+  return CALL_DISPOSITIONS.find(disposition => disposition.value === value) || null;
+}
+
+/**
+ * Returns the human-readable label of a disposition
+ * @param {string} value - Disposition value
+ * @returns {string} Label, or the value itself if it is unknown
+ */
+function getDispositionLabel(value) {
+  const disposition = getDisposition(value);
+  return disposition ? disposition.label : value;
+}
+
+module.exports = {
+  CALL_DISPOSITIONS,
+  getDisposition,
+  getDispositionLabel
+};
@@ -0,0 +1,62 @@
+/**
+ * @fileoverview Call state from telephony provider webhooks
+ *
+ * Providers report a call's progress (ringing, answered, ended, recording
+ * ready) by posting to /api/telephony-webhook. Webhooks can be redelivered
+ * and arrive out of order, so every event is applied in the database by
+ * apply_call_event() (see docs/supabase_tables.sql):
+ *
+ * - Each event is stored in `call_events` under a provider-derived event ID;
+ *   an event that was seen before is reported as 'duplicate' and ignored
+ * - A status only moves the call in `provider_calls` forward
+ *   (queued -> ringing -> in_progress -> ended); an event for a status the
+ *   call has already passed is stored but reported as 'stale'
+ * - Recording URLs and answering-machine results are kept whichever order
+ *   they arrive in
+ * - An answered call marks its lead as contacted, and the call's log gets the
+ *   final status, duration and recording once the call has ended
+ */
+
+const { withSupabaseRetry } = require('./retry');
+
+/**
+ * Records a call the dialer placed, so its events can be tied to the lead
+ * @param {Object} supabase - Supabase client with the service role
+ * @param {Object} call - Call state returned by the provider's placeCall
+ * @param {Object} context - Who placed the call
+ * @param {string} context.leadId - ID of the lead being called
+ * @param {string} context.repId - ID of the rep placing the call
+ * @returns {Promise<void>}
+ */
+async function recordPlacedCall(supabase, call, { leadId, repId }) {
+  // Status columns are left alone in case a webhook got there first
+  await withSupabaseRetry(() => supabase
+    .from('provider_calls')
+    .upsert([{
+      provider: call.provider,
+      provider_call_id: call.providerCallId,
+      lead_id: leadId,
+      rep_id: repId
+    }], { onConflict: 'provider,provider_call_id' }),
+  { label: 'Recording placed call' });
+}
+
+/**
+ * Applies a call event parsed from a provider webhook
+ * @param {Object} supabase - Supabase client with the service role
+ * @param {Object} event - Output of the provider's parseWebhookEvent
+ * @param {Object} payload - Raw webhook parameters, stored for reference
+ * @returns {Promise<string>} 'applied', 'stale' or 'duplicate'
+ */
+async function applyCallEvent(supabase, event, payload) {
+  const { data } = await withSupabaseRetry(
+    () => supabase.rpc('apply_call_event', { event: { ...event, payload } }),
+    { label: `Applying call event ${event.eventId}` }
+  );
+  return data;
+}
+
+module.exports = {
+  recordPlacedCall,
+  applyCallEvent
+};
@@ -0,0 +1,168 @@
+/**
+ * @fileoverview Scheduling callbacks in the lead's time zone
+ *
+ * When a lead asks to be called back ("Thursday at 3"), the rep picks the
+ * date and time as the lead said it, in the lead's time zone. The callback is
+ * stored in the `scheduled_callbacks` table as a UTC due_at together with
+ * that time zone, so it can be shown both in the lead's time and the rep's.
+ *
+ * A callback is due from DUE_WINDOW_MINUTES before its time, and overdue once
+ * it is OVERDUE_AFTER_MINUTES late. Logging the next call to the lead
+ * completes it (see the complete_callbacks_on_call trigger).
+ */
+
+// Callbacks show up in the "Due now" queue this long before they are due
+const DUE_WINDOW_MINUTES = 15;
+
+// ... and are highlighted as overdue once they are this late
+const OVERDUE_AFTER_MINUTES = 15;
+
+// Offered in the time zone picker, besides the lead's and the rep's own
+const COMMON_TIME_ZONES = [
+  'America/New_York',
+  'America/Chicago',
+  'America/Denver',
+  'America/Phoenix',
+  'America/Los_Angeles',
+  'America/Anchorage',
+  'Pacific/Honolulu',
+  'Europe/London',
+  'Europe/Berlin',
+  'Asia/Kolkata',
+  'Australia/Sydney',
+  'UTC'
+];
+
+/**
+ * Returns the time zone the browser (or server) runs in
+ * @returns {string} IANA time zone, e.g. 'Europe/Berlin'
+ */
+function getLocalTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+/**
+ * Checks whether a string is a time zone the runtime knows
+ * @param {string} timeZone - IANA time zone
+ * @returns {boolean} Whether the time zone is valid
+ */
+function isValidTimeZone(timeZone) {
+  if (!timeZone) return false;
+  try {
+    Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Reads the wall-clock date and time of an instant in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object} { year, month, day, hour, minute, second }
+ */
+function getZonedParts(date, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date).forEach(({ type, value }) => {
+    if (type !== 'literal') parts[type] = Number(value);
+  });
+  return parts;
+}
+
+/**
+ * Returns how far a time zone is ahead of UTC at an instant
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} Offset in milliseconds
+ */
+function getTimeZoneOffsetMs(date, timeZone) {
+  const { year, month, day, hour, minute, second } = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Converts a wall-clock date and time in a time zone to an instant
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} time - Time in HH:MM format
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date} The instant, or an invalid Date if the input is malformed
+ */
+function zonedTimeToUtc(date, time, timeZone) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(date || '');
+  const timeMatch = /^(\d{2}):(\d{2})$/.exec(time || '');
+  if (!match || !timeMatch || !isValidTimeZone(timeZone)) return new Date(NaN);
+
+  const wallClock = Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]),
+    Number(timeMatch[1]), Number(timeMatch[2]));
+
+  // The offset depends on the instant itself, so correct it once more around DST changes
+  let instant = wallClock - getTimeZoneOffsetMs(new Date(wallClock), timeZone);
+  instant = wallClock - getTimeZoneOffsetMs(new Date(instant), timeZone);
+  return new Date(instant);
+}
+
+/**
+ * Formats an instant as wall-clock time in a time zone
+ * @param {string|Date} timestamp - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} e.g. "Thu, Mar 7, 3:00 PM"
+ */
+function formatInTimeZone(timestamp, timeZone) {
+  return new Date(timestamp).toLocaleString('en-US', {
+    timeZone,
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+}
+
+/**
+ * Suggests a callback slot: tomorrow at 10:00 in the lead's time zone
+ * @param {string} timeZone - IANA time zone
+ * @param {Date} now - Current time (default: now)
+ * @returns {Object} { date, time } in YYYY-MM-DD and HH:MM format
+ */
+function suggestCallbackSlot(timeZone, now = new Date()) {
+  const { year, month, day } = getZonedParts(new Date(now.getTime() + 24 * 60 * 60 * 1000), timeZone);
+  const pad = value => String(value).padStart(2, '0');
+  return { date: `${year}-${pad(month)}-${pad(day)}`, time: '10:00' };
+}
+
+/**
+ * Classifies a callback by how close it is to being due
+ * @param {Object} callback - scheduled_callbacks row
+ * @param {number} now - Current time in milliseconds (default: now)
+ * @returns {string} 'upcoming', 'due' or 'overdue'
+ */
+function getCallbackState(callback, now = Date.now()) {
+  const dueAt = new Date(callback.due_at).getTime();
+  if (now >= dueAt + OVERDUE_AFTER_MINUTES * 60000) return 'overdue';
+  if (now >= dueAt - DUE_WINDOW_MINUTES * 60000) return 'due';
+  return 'upcoming';
+}
+
+module.exports = {
+  DUE_WINDOW_MINUTES,
+  OVERDUE_AFTER_MINUTES,
+  COMMON_TIME_ZONES,
+  getLocalTimeZone,
+  isValidTimeZone,
+  getZonedParts,
+  zonedTimeToUtc,
+  formatInTimeZone,
+  suggestCallbackSlot,
+  getCallbackState
+};
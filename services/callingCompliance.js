@@ -0,0 +1,138 @@
+/**
+ * @fileoverview Calling-hours compliance: when a lead may be called
+ *
+ * Calls are only placed within the calling window in the lead's local time
+ * (8:00 AM to 9:00 PM by default) and never on configured holidays. The
+ * lead's time zone comes from leadTimeZone.js; when its area code spans two
+ * zones, the call must be allowed in both. A lead whose time zone is unknown
+ * can be called after the rep has confirmed the local time.
+ *
+ * The same check runs in the dialer, to show reps why a lead cannot be
+ * called right now, and in POST /api/calls, which enforces it.
+ *
+ * === ENVIRONMENT VARIABLES ===
+ *
+ * CALLING_HOURS_START - Start of the window, local time (default: 08:00)
+ * CALLING_HOURS_END - End of the window, local time (default: 21:00)
+ * CALLING_HOLIDAYS - Comma-separated dates without calls, either YYYY-MM-DD
+ *   or MM-DD for every year, e.g. "01-01,07-04,12-25,2026-11-26"
+ * CALLING_HOURS_MODE - 'block' refuses calls outside the window (default),
+ *   'warn' lets the rep call after confirming, 'off' disables the check
+ */
+
+const { getZonedParts } = require('./callbackSchedule');
+const { getLeadTimeZones } = require('./leadTimeZone');
+
+const CALLING_HOURS_MODES = ['block', 'warn', 'off'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const HOLIDAY_PATTERN = /^(\d{4}-)?\d{2}-\d{2}$/;
+
+/**
+ * Reads the calling rules from the environment
+ * @param {Object} env - Environment variables (default: process.env)
+ * @returns {Object} { start, end, holidays, mode }
+ */
+function getCallingRules(env = process.env) {
+  const rules = {
+    start: env.CALLING_HOURS_START || '08:00',
+    end: env.CALLING_HOURS_END || '21:00',
+    holidays: (env.CALLING_HOLIDAYS || '').split(',').map(date => date.trim()).filter(Boolean),
+    mode: env.CALLING_HOURS_MODE || 'block'
+  };
+
+  [['CALLING_HOURS_START', rules.start], ['CALLING_HOURS_END', rules.end]].forEach(([varName, value]) => {
+    if (!TIME_PATTERN.test(value)) {
+      throw new Error(`${varName} must be a time in HH:MM format, got "${value}"`);
+    }
+  });
+  if (toMinutes(rules.start) >= toMinutes(rules.end)) {
+    throw new Error('CALLING_HOURS_START must be before CALLING_HOURS_END');
+  }
+  rules.holidays.forEach(date => {
+    if (!HOLIDAY_PATTERN.test(date)) {
+      throw new Error(`CALLING_HOLIDAYS entries must be YYYY-MM-DD or MM-DD, got "${date}"`);
+    }
+  });
+  if (!CALLING_HOURS_MODES.includes(rules.mode)) {
+    throw new Error(`Unknown CALLING_HOURS_MODE "${rules.mode}"`);
+  }
+
+  return rules;
+}
+
+/**
+ * Converts an HH:MM time into minutes after midnight
+ * @param {string} time - Time in HH:MM format
+ * @returns {number} Minutes after midnight
+ */
+function toMinutes(time) {
+  const [, hours, minutes] = TIME_PATTERN.exec(time);
+  return Number(hours) * 60 + Number(minutes);
+}
+
+/**
+ * Formats minutes after midnight as a clock time, e.g. "9:00 PM"
+ * @param {number} minutes - Minutes after midnight
+ * @returns {string} Clock time
+ */
+function formatClockTime(minutes) {
+  const hours = Math.floor(minutes / 60) % 24;
+  const suffix = hours < 12 ? 'AM' : 'PM';
+  return `${hours % 12 || 12}:${String(minutes % 60).padStart(2, '0')} ${suffix}`;
+}
+
+/**
+ * Checks whether a lead may be called now
+ * @param {Object} lead - Lead with timezone, timezone_source and phone fields
+ * @param {Object} rules - Output of getCallingRules
+ * @param {Date} now - Time of the call (default: now)
+ * @returns {Object} { status, reasons, timeZones } where status is 'allowed',
+ *   'warn' (the rep must confirm) or 'blocked', and reasons explain why
+ */
+function checkCallingHours(lead, rules, now = new Date()) {
+  const timeZones = getLeadTimeZones(lead);
+  if (rules.mode === 'off') {
+    return { status: 'allowed', reasons: [], timeZones };
+  }
+
+  if (timeZones.length === 0) {
+    return {
+      status: 'warn',
+      reasons: ["This lead's time zone is unknown. Make sure it is between " +
+        `${formatClockTime(toMinutes(rules.start))} and ${formatClockTime(toMinutes(rules.end))} for them.`],
+      timeZones
+    };
+  }
+
+  const reasons = [];
+  timeZones.forEach(timeZone => {
+    const { year, month, day, hour, minute } = getZonedParts(now, timeZone);
+    const pad = value => String(value).padStart(2, '0');
+    const date = `${year}-${pad(month)}-${pad(day)}`;
+    const where = timeZones.length > 1 ? `in part of this lead's area (${timeZone})` : `for this lead (${timeZone})`;
+
+    if (rules.holidays.includes(date) || rules.holidays.includes(date.slice(5))) {
+      const reason = `It is ${date} for this lead, a holiday without calls.`;
+      if (!reasons.includes(reason)) reasons.push(reason);
+      return;
+    }
+
+    const localMinutes = hour * 60 + minute;
+    if (localMinutes < toMinutes(rules.start) || localMinutes >= toMinutes(rules.end)) {
+      reasons.push(`It is ${formatClockTime(localMinutes)} ${where}; calls are allowed from ` +
+        `${formatClockTime(toMinutes(rules.start))} to ${formatClockTime(toMinutes(rules.end))} local time.`);
+    }
+  });
+
+  if (reasons.length === 0) {
+    return { status: 'allowed', reasons, timeZones };
+  }
+  return { status: rules.mode === 'warn' ? 'warn' : 'blocked', reasons, timeZones };
+}
+
+module.exports = {
+  CALLING_HOURS_MODES,
+  getCallingRules,
+  checkCallingHours
+};
@@ -0,0 +1,122 @@
+/**
+ * @fileoverview Minimal CSV parsing for uploaded files, and CSV writing for exports
+ *
+ * Parses comma-separated text as written by spreadsheet apps (RFC 4180):
+ * fields may be quoted, quoted fields may contain commas, line breaks and
+ * doubled quotes (""), and lines end with \n or \r\n. A leading byte order
+ * mark is dropped and blank lines are skipped.
+ *
+ * Large files can be parsed as they arrive with createCsvParser, which keeps
+ * only the row being read in memory. formatCsvRow writes rows the same way,
+ * quoting only the fields that need it. Text that a spreadsheet app would run
+ * as a formula (starting with =, +, -, @, a tab or a carriage return) is
+ * written with a leading ' so that opening an export never runs lead data.
+ */
+
+/**
+ * Creates a parser that is fed CSV text in chunks of any size
+ * @returns {Object} { write, end } where write(text) returns the rows completed
+ *   by that chunk and end() returns the last row, if the text did not end
+ *   with a line break
+ */
+function createCsvParser() {
+  let started = false;
+  let row = [];
+  let field = '';
+  let quoted = false;
+  // A quote inside a quoted field that may be the first half of ""
+  let pendingQuote = false;
+
+  const endRow = (rows) => {
+    row.push(field);
+    if (row.length > 1 || row[0].trim() !== '') rows.push(row);
+    row = [];
+    field = '';
+  };
+
+  const write = (text) => {
+    let input = String(text || '');
+    if (!started && input.length > 0) {
+      input = input.replace(/^\uFEFF/, '');
+      started = true;
+    }
+    const rows = [];
+
+    for (let i = 0; i < input.length; i += 1) {
+      const char = input[i];
+
+      if (pendingQuote) {
+        pendingQuote = false;
+        if (char === '"') {
+          field += '"';
+          continue;
+        }
+        quoted = false;
+      }
+
+      if (quoted) {
+        if (char === '"') {
+          pendingQuote = true;
+        } else {
+          field += char;
+        }
+      } else if (char === '"' && field === '') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(field);
+        field = '';
+      } else if (char === '\n') {
+        endRow(rows);
+      } else if (char !== '\r') {
+        field += char;
+      }
+    }
+
+    return rows;
+  };
+
+  const end = () => {
+    const rows = [];
+    if (field !== '' || row.length > 0) endRow(rows);
+    quoted = false;
+    pendingQuote = false;
+    return rows;
+  };
+
+  return { write, end };
+}
+
+/**
+ * Parses CSV text into rows of fields
+ * @param {string} text - CSV file contents
+ * @returns {Array<Array<string>>} Rows, each an array of field values
+ */
+function parseCsv(text) {
+  const parser = createCsvParser();
+  return [...parser.write(text), ...parser.end()];
+}
+
+// First characters that make spreadsheet apps read a field as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Formats one row of a CSV file
+ * @param {Array} values - Field values; null and undefined become empty fields,
+ *   and text that could run as a formula is prefixed with '
+ * @returns {string} The row, ending with \r\n
+ */
+function formatCsvRow(values) {
+  return values.map(value => {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (typeof value !== 'number' && FORMULA_PREFIX.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(',') + '\r\n';
+}
+
+module.exports = {
+  createCsvParser,
+  parseCsv,
+  formatCsvRow
+};
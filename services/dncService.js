@@ -0,0 +1,208 @@
+/**
+ * @fileoverview Do-not-call list
+ *
+ * Numbers that must never be called again are kept in the `dnc_numbers`
+ * table in E.164 form, so every way of writing a number matches the same
+ * entry. Numbers are added:
+ *
+ * - From the dialer, when a call is saved with the 'do_not_call'
+ *   disposition (the suppress_on_dnc_disposition trigger)
+ * - From a dedicated sheet tab (DNC_SHEET_NAME), read at the start of
+ *   every sync
+ * - By managers, one at a time or from a CSV upload (/api/dnc)
+ *
+ * Removing a number only marks it removed, so the list keeps its history.
+ * The apply_dnc_number trigger records every addition and removal in
+ * `dnc_audit`, sets `leads.dnc_at` on the leads with the number (clearing it
+ * on removal) and cancels their open callbacks. The set_lead_dnc_at trigger
+ * recomputes dnc_at from the list on every write to a lead, so a row that
+ * comes back from the sheet stays suppressed and the column cannot be cleared
+ * by hand, and /api/calls checks the list again at dial time.
+ *
+ * === ENVIRONMENT VARIABLES ===
+ *
+ * DNC_SHEET_NAME - Optional: tab listing do-not-call numbers, one per row
+ *   under a "Phone" header (or in the first column)
+ * DNC_SPREADSHEET_ID - Optional: spreadsheet holding that tab (default: GOOGLE_SHEET_ID)
+ */
+
+const { normalizePhoneNumber } = require('./phoneNormalization');
+const { parseCsv } = require('./csvParser');
+const { withSupabaseRetry } = require('./retry');
+
+// Values of dnc_numbers.source
+const DNC_SOURCES = ['disposition', 'sheet', 'csv', 'manual'];
+
+// Phone numbers per .in() filter, to keep request URLs short
+const PHONE_BATCH_SIZE = 200;
+
+/**
+ * Normalizes the numbers to suppress
+ * @param {Array<string>} values - Numbers as typed
+ * @param {string} defaultPhoneCountry - Country assumed for national-format numbers
+ * @returns {Object} { phones, invalid } where phones lists the distinct E.164
+ *   numbers and invalid the values that are not phone numbers
+ */
+function normalizeDncNumbers(values, defaultPhoneCountry) {
+  const phones = new Set();
+  const invalid = [];
+
+  values.forEach(value => {
+    const text = value === undefined || value === null ? '' : String(value).trim();
+    if (!text) return;
+
+    const { phone, phone_status: status } = normalizePhoneNumber(text, defaultPhoneCountry);
+    if (status === 'valid') {
+      phones.add(phone);
+    } else {
+      invalid.push(text);
+    }
+  });
+
+  return { phones: [...phones], invalid };
+}
+
+/**
+ * Picks the phone numbers out of a table of rows, such as a CSV file or sheet tab
+ * The column headed "Phone" (or "Phone number", "Number", ...) is used if
+ * there is one; otherwise the first column, including its first row.
+ * @param {Array<Array<string>>} rows - Rows of cell values
+ * @returns {Array<string>} Values of the phone column
+ */
+function extractPhoneColumn(rows) {
+  if (rows.length === 0) return [];
+
+  const headers = rows[0].map(header => String(header || '').trim().toLowerCase());
+  const phoneIndex = headers.findIndex(header => /\b(phone|number|mobile|tel)\b/.test(header));
+  if (phoneIndex < 0) {
+    return rows.map(row => row[0]);
+  }
+  return rows.slice(1).map(row => row[phoneIndex]);
+}
+
+/**
+ * Reads the numbers from an uploaded CSV file
+ * @param {string} csvText - CSV file contents
+ * @param {string} defaultPhoneCountry - Country assumed for national-format numbers
+ * @returns {Object} Output of normalizeDncNumbers
+ */
+function parseDncCsv(csvText, defaultPhoneCountry) {
+  return normalizeDncNumbers(extractPhoneColumn(parseCsv(csvText)), defaultPhoneCountry);
+}
+
+/**
+ * Loads every number currently on the list
+ * @param {Object} supabase - Supabase client with the service role
+ * @returns {Promise<Set<string>>} E.164 numbers
+ */
+async function loadDncNumbers(supabase) {
+  const pageSize = 1000;
+  const phones = new Set();
+
+  for (let from = 0; ; from += pageSize) {
+    const { data } = await withSupabaseRetry(() => supabase
+      .from('dnc_numbers')
+      .select('phone')
+      .is('removed_at', null)
+      .order('phone', { ascending: true })
+      .range(from, from + pageSize - 1),
+    { label: 'Loading do-not-call numbers' });
+
+    data.forEach(row => phones.add(row.phone));
+    if (data.length < pageSize) return phones;
+  }
+}
+
+/**
+ * Checks whether a number is on the list
+ * @param {Object} supabase - Supabase client with the service role
+ * @param {string} phone - E.164 number
+ * @returns {Promise<boolean>} Whether calls to the number are suppressed
+ */
+async function isPhoneSuppressed(supabase, phone) {
+  if (!phone) return false;
+
+  const { count } = await withSupabaseRetry(() => supabase
+    .from('dnc_numbers')
+    .select('id', { count: 'exact', head: true })
+    .eq('phone', phone)
+    .is('removed_at', null),
+  { label: 'Checking the do-not-call list' });
+
+  return count > 0;
+}
+
+/**
+ * Adds numbers to the list, or puts removed ones back
+ * Numbers already on the list are left as they are.
+ * @param {Object} supabase - Supabase client with the service role
+ * @param {Array<string>} phones - E.164 numbers (see normalizeDncNumbers)
+ * @param {Object} details - Recorded with each number and in dnc_audit
+ * @param {string} details.source - One of DNC_SOURCES
+ * @param {string} details.reason - Why the numbers are suppressed
+ * @param {string} details.addedBy - ID of the user adding them
+ * @param {string} details.leadId - Lead the number came from, if any
+ * @returns {Promise<number>} How many numbers were added or put back
+ */
+async function addDncNumbers(supabase, phones, { source, reason = null, addedBy = null, leadId = null }) {
+  if (!DNC_SOURCES.includes(source)) {
+    throw new Error(`Unknown do-not-call source "${source}"`);
+  }
+
+  const addedAt = new Date().toISOString();
+  const entry = { source, reason, added_by: addedBy, lead_id: leadId, added_at: addedAt };
+  let added = 0;
+
+  for (let i = 0; i < phones.length; i += PHONE_BATCH_SIZE) {
+    const chunk = phones.slice(i, i + PHONE_BATCH_SIZE);
+
+    const { data: inserted } = await withSupabaseRetry(() => supabase
+      .from('dnc_numbers')
+      .upsert(chunk.map(phone => ({ phone, ...entry })), { onConflict: 'phone', ignoreDuplicates: true })
+      .select('id'),
+    { label: `Adding ${chunk.length} do-not-call numbers` });
+
+    const { data: restored } = await withSupabaseRetry(() => supabase
+      .from('dnc_numbers')
+      .update({ ...entry, removed_at: null, removed_by: null })
+      .in('phone', chunk)
+      .not('removed_at', 'is', null)
+      .select('id'),
+    { label: `Restoring ${chunk.length} do-not-call numbers` });
+
+    added += (inserted || []).length + (restored || []).length;
+  }
+
+  return added;
+}
+
+/**
+ * Takes a number off the list
+ * @param {Object} supabase - Supabase client with the service role
+ * @param {string} phone - E.164 number
+ * @param {Object} details - Recorded in dnc_audit
+ * @param {string} details.removedBy - ID of the user removing it
+ * @returns {Promise<boolean>} Whether the number was on the list
+ */
+async function removeDncNumber(supabase, phone, { removedBy = null } = {}) {
+  const { data } = await withSupabaseRetry(() => supabase
+    .from('dnc_numbers')
+    .update({ removed_at: new Date().toISOString(), removed_by: removedBy })
+    .eq('phone', phone)
+    .is('removed_at', null)
+    .select('id'),
+  { label: 'Removing a do-not-call number' });
+
+  return (data || []).length > 0;
+}
+
+module.exports = {
+  DNC_SOURCES,
+  normalizeDncNumbers,
+  extractPhoneColumn,
+  parseDncCsv,
+  loadDncNumbers,
+  isPhoneSuppressed,
+  addDncNumbers,
+  removeDncNumber
+};
@@ -0,0 +1,462 @@
+/**
+ * @fileoverview Lead import from CSV and XLSX files
+ *
+ * Some lead lists arrive as files from vendors instead of living in a Google
+ * Sheet. Managers upload them through /api/imports, which previews the first
+ * rows and then imports the file. Rows go through the same steps as sheet
+ * rows: headers are mapped to lead fields and values coerced with the column
+ * mapping (see leadFieldMapping.js), phone numbers are normalized and rows are
+ * validated (see leadValidation.js), and leads are written with
+ * writeLeadsToSupabase.
+ *
+ * Imported leads have `source` 'file_import' and no source_id. They are keyed
+ * by their normalized email, or phone number if they have no email (see
+ * leadIdentity.js), so importing an updated list updates the leads it already
+ * created, keeping fields edited in the app as the field policies say (see
+ * leadEdits.js). Rows without an email or phone number, and rows repeating an
+ * earlier row's email or phone number, are rejected like invalid rows.
+ *
+ * Files are read as a stream and written in batches of FILE_IMPORT_BATCH_SIZE
+ * rows, so a large file is never held in memory. Only the first worksheet of
+ * an XLSX file is read. As after a sync, new leads are assigned by the
+ * assignment rules and possible duplicates are flagged.
+ *
+ * === ENVIRONMENT VARIABLES ===
+ *
+ * FILE_IMPORT_BATCH_SIZE - Optional: rows written per batch (default: 500)
+ * SYNC_COLUMN_MAPPING_FILE, SYNC_DEFAULT_PHONE_COUNTRY, SYNC_FIELD_POLICIES -
+ *   Optional, applied as in the sheet sync
+ */
+
+const { PassThrough } = require('stream');
+const ExcelJS = require('exceljs');
+const { createCsvParser } = require('./csvParser');
+const { loadColumnMapping, resolveColumns, keepStatusWhenEmpty } = require('./leadFieldMapping');
+const { naturalKeyForLead } = require('./leadIdentity');
+const { isBlankRow, validateLead, rowToObject } = require('./leadValidation');
+const { MANUAL_EDIT_COLUMNS, getManualEditConfig, planManualEdits } = require('./leadEdits');
+const { assignLeadsByRules } = require('./leadAssignment');
+const { detectDuplicateLeads } = require('./leadDuplicates');
+const { withSupabaseRetry } = require('./retry');
+const {
+  mapSheetRowToLeadObject,
+  computeLeadFingerprint,
+  diffLeadsAgainstExisting,
+  writeLeadsToSupabase,
+  getSupabaseClient
+} = require('./sheetsToSupabaseSync');
+
+// Value of leads.source for imported leads
+const FILE_IMPORT_SOURCE = 'file_import';
+
+const FILE_FORMATS = ['csv', 'xlsx'];
+
+// Rows returned by a preview
+const PREVIEW_ROW_COUNT = 10;
+
+// Rejected rows listed in an import result; the rest are only counted
+const MAX_REPORTED_REJECTIONS = 100;
+
+// Keys per .in() filter, to keep request URLs short
+const KEY_BATCH_SIZE = 200;
+
+/**
+ * Works out a file's format from its name or content type
+ * @param {string} fileName - Name of the uploaded file
+ * @param {string} contentType - Content-Type it was uploaded with
+ * @returns {string|null} 'csv', 'xlsx' or null if neither
+ */
+function detectFileFormat(fileName, contentType) {
+  const extension = String(fileName || '').toLowerCase().split('.').pop();
+  if (FILE_FORMATS.includes(extension)) return extension;
+
+  const type = String(contentType || '').toLowerCase();
+  if (type.startsWith('text/csv')) return 'csv';
+  if (type.startsWith('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet')) return 'xlsx';
+  return null;
+}
+
+/**
+ * Converts an XLSX cell value to the text a sheet would show
+ * @param {*} value - Cell value as read by exceljs
+ * @returns {string} Cell text
+ */
+function cellToText(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) {
+    // Dates without a time of day are written as dates only
+    const iso = value.toISOString();
+    return iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : iso.slice(0, 19).replace('T', ' ');
+  }
+  if (typeof value === 'object') {
+    if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+    if ('text' in value) return cellToText(value.text);
+    if ('result' in value) return cellToText(value.result);
+    return '';
+  }
+  return String(value);
+}
+
+/**
+ * Reads the rows of a CSV file as it arrives
+ * @param {Object} stream - Readable stream of the file
+ * @returns {AsyncGenerator<Object>} { rowNumber, values } for each non-blank row
+ */
+async function* readCsvRows(stream) {
+  const parser = createCsvParser();
+  const decoder = new TextDecoder('utf-8');
+  let rowNumber = 0;
+
+  for await (const chunk of stream) {
+    const text = typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+    for (const values of parser.write(text)) {
+      rowNumber += 1;
+      yield { rowNumber, values };
+    }
+  }
+
+  for (const values of [...parser.write(decoder.decode()), ...parser.end()]) {
+    rowNumber += 1;
+    yield { rowNumber, values };
+  }
+}
+
+/**
+ * Reads the rows of the first worksheet of an XLSX file as it arrives
+ * @param {Object} stream - Readable stream of the file
+ * @returns {AsyncGenerator<Object>} { rowNumber, values } for each row with a value
+ */
+async function* readXlsxRows(stream) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookReader(stream, {
+    sharedStrings: 'cache',
+    styles: 'cache',
+    hyperlinks: 'ignore',
+    worksheets: 'emit',
+    entries: 'ignore'
+  });
+
+  for await (const worksheet of workbook) {
+    for await (const row of worksheet) {
+      // row.values is 1-based and has holes for empty cells
+      yield { rowNumber: row.number, values: Array.from(row.values.slice(1), cellToText) };
+    }
+    return;
+  }
+}
+
+/**
+ * Reads a file's header row and then its data rows
+ * A file that cannot be read is reported as an error with status 400.
+ * @param {Object} stream - Readable stream of the file
+ * @param {string} format - 'csv' or 'xlsx'
+ * @returns {AsyncGenerator<Object>} { headerRow } first, then { rowNumber, values } per row
+ */
+async function* readFileRows(stream, format) {
+  const rows = format === 'xlsx' ? readXlsxRows(stream) : readCsvRows(stream);
+  let headerRow = null;
+
+  try {
+    for await (const row of rows) {
+      if (!headerRow) {
+        headerRow = row.values.map(header => String(header).trim());
+        yield { headerRow };
+      } else {
+        yield row;
+      }
+    }
+  } catch (error) {
+    const readError = new Error(`Could not read the ${format.toUpperCase()} file: ${error.message}`);
+    readError.status = 400;
+    throw readError;
+  }
+
+  if (!headerRow) {
+    const emptyError = new Error('The file is empty');
+    emptyError.status = 400;
+    throw emptyError;
+  }
+}
+
+/**
+ * Maps, identifies and validates one data row of a file
+ * @param {Array<string>} headerRow - The file's headers
+ * @param {Object} row - { rowNumber, values } from readFileRows
+ * @param {Object} options - Options
+ * @param {Object} options.columnMapping - Output of loadColumnMapping
+ * @param {string} options.defaultPhoneCountry - Country for national-format phone numbers
+ * @param {Map<string, number>} options.firstRowByKey - Keys seen so far, with their row
+ * @returns {Object|null} { lead, issues } for a valid row, where issues lists
+ *   values that could not be coerced, { rejected } for an invalid one, or null
+ *   for a blank row
+ */
+function prepareFileRow(headerRow, { rowNumber, values }, { columnMapping, defaultPhoneCountry, firstRowByKey }) {
+  if (isBlankRow(values)) return null;
+
+  const issues = [];
+  const lead = mapSheetRowToLeadObject(headerRow, values, rowNumber, {
+    columnMapping,
+    defaultPhoneCountry,
+    issues
+  });
+  const key = naturalKeyForLead(lead);
+  const reject = reasons => ({
+    rejected: { rowIndex: rowNumber, reasons, rowData: rowToObject(headerRow, values) }
+  });
+
+  if (!key) {
+    return reject(['Row has neither an email address nor a phone number']);
+  }
+  if (firstRowByKey.has(key)) {
+    return reject([`Has the same email or phone number as row ${firstRowByKey.get(key)}`]);
+  }
+  firstRowByKey.set(key, rowNumber);
+
+  const reasons = validateLead(lead, columnMapping);
+  if (reasons.length > 0) {
+    return reject(reasons);
+  }
+
+  lead.source = FILE_IMPORT_SOURCE;
+  lead.source_id = null;
+  lead.sheet_key = key;
+  lead.row_hash = computeLeadFingerprint(lead);
+  return { lead, issues };
+}
+
+/**
+ * Reads the first rows of a file and shows how they would be imported
+ * Only those rows are read; the rest of the stream is drained unread.
+ * @param {Object} stream - Readable stream of the file
+ * @param {Object} options - Options
+ * @param {string} options.format - 'csv' or 'xlsx'
+ * @param {number} options.rowCount - Rows to preview (default: PREVIEW_ROW_COUNT)
+ * @param {string} options.defaultPhoneCountry - Country for national-format phone numbers
+ * @returns {Promise<Object>} { headerRow, columns, rows } where columns lists
+ *   the lead field (or extra key) each column feeds, and each row is
+ *   { rowNumber, values, lead, reasons, issues }
+ */
+async function previewFileImport(stream, { format, rowCount = PREVIEW_ROW_COUNT, defaultPhoneCountry } = {}) {
+  const columnMapping = loadColumnMapping();
+  const firstRowByKey = new Map();
+  const rows = [];
+  let headerRow = [];
+
+  // Stopping early must not destroy the upload, or no response could be sent
+  const input = stream.pipe(new PassThrough());
+  try {
+    for await (const row of readFileRows(input, format)) {
+      if (row.headerRow) {
+        headerRow = row.headerRow;
+        continue;
+      }
+
+      const prepared = prepareFileRow(headerRow, row, { columnMapping, defaultPhoneCountry, firstRowByKey });
+      if (!prepared) continue;
+      rows.push({
+        rowNumber: row.rowNumber,
+        values: row.values,
+        lead: prepared.lead || null,
+        reasons: prepared.rejected ? prepared.rejected.reasons : [],
+        issues: prepared.issues || []
+      });
+      if (rows.length >= rowCount) break;
+    }
+  } finally {
+    stream.unpipe(input);
+    stream.resume();
+  }
+
+  const columns = resolveColumns(headerRow, columnMapping).map(column => ({
+    index: column.index,
+    header: column.header,
+    field: column.field || null,
+    extraKey: column.extraKey || null
+  }));
+
+  return { headerRow, columns, rows };
+}
+
+/**
+ * Loads the import state of the leads with the given keys
+ * @param {Object} supabase - Supabase client with the service role
+ * @param {Array<string>} keys - sheet_key of each lead
+ * @returns {Promise<Map<string, Object>>} Map of sheet_key to the stored lead, in
+ *   the shape returned by fetchExistingLeads
+ */
+async function fetchImportedLeads(supabase, keys) {
+  const columns = [...new Set([
+    'id', 'sheet_key', 'row_hash', 'archived_at', 'merged_into', ...MANUAL_EDIT_COLUMNS
+  ])].join(', ');
+  const existingLeads = new Map();
+
+  for (let i = 0; i < keys.length; i += KEY_BATCH_SIZE) {
+    const chunk = keys.slice(i, i + KEY_BATCH_SIZE);
+    const { data } = await withSupabaseRetry(() => supabase
+      .from('leads')
+      .select(columns)
+      .eq('source', FILE_IMPORT_SOURCE)
+      .is('source_id', null)
+      .in('sheet_key', chunk),
+    { label: 'Reading imported leads' });
+
+    data.forEach(lead => existingLeads.set(lead.sheet_key, lead));
+  }
+
+  return existingLeads;
+}
+
+/**
+ * Writes one batch of prepared leads, skipping the ones that have not changed
+ * @param {Object} supabase - Supabase client with the service role
+ * @param {Array} leads - Leads from prepareFileRow
+ * @param {Object} context - Settings shared by every batch
+ * @param {Object} context.manualEditConfig - Output of getManualEditConfig
+ * @returns {Promise<Object>} { inserted, updated, unchanged, merged, written, failed,
+ *   insertedLeadIds }
+ */
+async function writeImportBatch(supabase, leads, { manualEditConfig }) {
+  const existingLeads = await fetchImportedLeads(supabase, leads.map(lead => lead.sheet_key));
+  const { inserted, updated, unchanged, merged } = diffLeadsAgainstExisting(leads, existingLeads);
+  const leadsToWrite = [...inserted, ...updated];
+
+  const manualEdits = planManualEdits({ leads: leadsToWrite, existingLeads, config: manualEditConfig });
+  const lastSync = new Date().toISOString();
+  leadsToWrite.forEach(lead => {
+    const existing = existingLeads.get(lead.sheet_key);
+    lead.last_sync = lastSync;
+    lead.archived_at = null;
+    lead.manual_edits = manualEdits.manualEdits.get(lead.sheet_key) ||
+      (existing && existing.manual_edits) || {};
+    keepStatusWhenEmpty(lead, existing);
+  });
+
+  const result = leadsToWrite.length > 0
+    ? await writeLeadsToSupabase(leadsToWrite)
+    : { count: 0, failedCount: 0 };
+
+  // New leads are assigned by ID: their created_at comes from the database clock
+  const insertedLeads = inserted.length > 0
+    ? await fetchImportedLeads(supabase, inserted.map(lead => lead.sheet_key))
+    : new Map();
+
+  return {
+    inserted: inserted.length,
+    updated: updated.length,
+    unchanged: unchanged.length,
+    merged: merged.length,
+    written: result.count,
+    failed: result.failedCount,
+    insertedLeadIds: [...insertedLeads.values()].map(lead => lead.id)
+  };
+}
+
+/**
+ * Imports every row of a file as leads
+ * @param {Object} stream - Readable stream of the file
+ * @param {Object} options - Options
+ * @param {string} options.format - 'csv' or 'xlsx'
+ * @param {string} options.defaultPhoneCountry - Country for national-format phone numbers
+ * @param {number} options.batchSize - Rows per write (default: FILE_IMPORT_BATCH_SIZE or 500)
+ * @param {Function} options.onError - Called with errors that do not fail the import
+ * @returns {Promise<Object>} Counts of rows processed, written, failed, inserted,
+ *   updated, unchanged, merged (rows of merged duplicates, left alone) and
+ *   rejected; the first rejected rows under `rejected`; and the `assignment`
+ *   and `duplicates` results as in the sheet sync
+ */
+async function importLeadFile(stream, options = {}) {
+  const {
+    format,
+    defaultPhoneCountry,
+    batchSize = Number(process.env.FILE_IMPORT_BATCH_SIZE || 500),
+    onError = (err) => console.error('Import error:', err)
+  } = options;
+
+  const startedAt = new Date().toISOString();
+  const supabase = getSupabaseClient();
+  const columnMapping = loadColumnMapping();
+  const context = {
+    manualEditConfig: getManualEditConfig()
+  };
+  const firstRowByKey = new Map();
+  const totals = { rowsProcessed: 0, rowsWritten: 0, rowsFailed: 0, inserted: 0, updated: 0, unchanged: 0, merged: 0 };
+  const rejected = [];
+  let rejectedCount = 0;
+  let headerRow = [];
+  let batch = [];
+
+  const insertedLeadIds = [];
+  const flush = async () => {
+    if (batch.length === 0) return;
+    const result = await writeImportBatch(supabase, batch, context);
+    totals.rowsWritten += result.written;
+    totals.rowsFailed += result.failed;
+    ['inserted', 'updated', 'unchanged', 'merged'].forEach(field => {
+      totals[field] += result[field];
+    });
+    insertedLeadIds.push(...result.insertedLeadIds);
+    batch = [];
+  };
+
+  for await (const row of readFileRows(stream, format)) {
+    if (row.headerRow) {
+      headerRow = row.headerRow;
+      continue;
+    }
+
+    const prepared = prepareFileRow(headerRow, row, { columnMapping, defaultPhoneCountry, firstRowByKey });
+    if (!prepared) continue;
+    totals.rowsProcessed += 1;
+
+    if (prepared.rejected) {
+      rejectedCount += 1;
+      if (rejected.length < MAX_REPORTED_REJECTIONS) rejected.push(prepared.rejected);
+      continue;
+    }
+
+    batch.push(prepared.lead);
+    if (batch.length >= batchSize) await flush();
+  }
+  await flush();
+  console.log(`Imported ${totals.rowsWritten} of ${totals.rowsProcessed} rows (${rejectedCount} rejected, ${totals.rowsFailed} failed)`);
+
+  // As after a sync, a failure here does not fail the import
+  let assignment = null;
+  if (insertedLeadIds.length > 0) {
+    try {
+      assignment = await assignLeadsByRules(supabase, { leadIds: insertedLeadIds });
+    } catch (error) {
+      onError(error);
+      assignment = { error: error.message };
+    }
+  }
+
+  let duplicates = null;
+  if (totals.rowsWritten > 0) {
+    try {
+      duplicates = await detectDuplicateLeads(supabase, { changedSince: startedAt });
+    } catch (error) {
+      onError(error);
+      duplicates = { error: error.message };
+    }
+  }
+
+  return {
+    success: totals.rowsFailed === 0,
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    ...totals,
+    rejectedCount,
+    rejected,
+    assignment,
+    duplicates
+  };
+}
+
+module.exports = {
+  FILE_IMPORT_SOURCE,
+  FILE_FORMATS,
+  detectFileFormat,
+  readFileRows,
+  previewFileImport,
+  importLeadFile
+};
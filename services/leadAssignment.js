@@ -0,0 +1,211 @@
+/**
+ * @fileoverview Automatic lead assignment rules
+ *
+ * Managers define rules in the `assignment_rules` table. Each rule hands
+ * leads out to its reps (rep_ids) in turn, and rules are tried in priority
+ * order (lowest number first); a lead gets the first rule that matches:
+ *
+ * - territory - Matches leads whose `territory` equals the rule's territory
+ *   (case-insensitive), e.g. 'West' or 'DACH'
+ * - round_robin - Matches every lead, so it is usually the last rule
+ *
+ * A rule with a source_id only matches leads from that sync source. Each
+ * rule keeps its place in the rotation (next_rep_index) between runs, so
+ * reps get an even share across syncs.
+ *
+ * Rules run when managers auto-assign leads from the Dashboard, and after
+ * every sync for the leads it created.
+ */
+
+const { withSupabaseRetry } = require('./retry');
+
+const ASSIGNMENT_STRATEGIES = ['round_robin', 'territory'];
+
+// Lead IDs per .in() filter, to keep request URLs short
+const ID_BATCH_SIZE = 200;
+
+/**
+ * Normalizes a territory name for comparison
+ * @param {string} territory - Territory of a lead or rule
+ * @returns {string} Trimmed, lowercase territory ('' if none)
+ */
+function normalizeTerritory(territory) {
+  return String(territory || '').trim().toLowerCase();
+}
+
+/**
+ * Checks whether a rule applies to a lead
+ * @param {Object} rule - Row of assignment_rules
+ * @param {Object} lead - Lead with source_id and territory
+ * @returns {boolean} Whether the rule matches
+ */
+function ruleMatchesLead(rule, lead) {
+  if (rule.source_id && rule.source_id !== lead.source_id) {
+    return false;
+  }
+  if (rule.strategy === 'territory') {
+    const territory = normalizeTerritory(rule.territory);
+    return territory !== '' && territory === normalizeTerritory(lead.territory);
+  }
+  return true;
+}
+
+/**
+ * Decides which rep each lead goes to
+ * @param {Array} leads - Leads with id, source_id and territory
+ * @param {Array} rules - Enabled rules in priority order
+ * @returns {Object} { assignments, unmatched, cursors } where assignments is an
+ *   array of { leadId, repId, ruleId }, unmatched lists the IDs of leads no rule
+ *   matched and cursors maps rule ID to its next_rep_index after this run
+ */
+function planAssignments(leads, rules) {
+  const usableRules = rules.filter(rule => (rule.rep_ids || []).length > 0);
+  const cursors = new Map();
+  const assignments = [];
+  const unmatched = [];
+
+  leads.forEach(lead => {
+    const rule = usableRules.find(candidate => ruleMatchesLead(candidate, lead));
+    if (!rule) {
+      unmatched.push(lead.id);
+      return;
+    }
+
+    const position = cursors.has(rule.id) ? cursors.get(rule.id) : rule.next_rep_index || 0;
+    const index = position % rule.rep_ids.length;
+    assignments.push({ leadId: lead.id, repId: rule.rep_ids[index], ruleId: rule.id });
+    cursors.set(rule.id, index + 1);
+  });
+
+  return { assignments, unmatched, cursors };
+}
+
+/**
+ * Loads the enabled assignment rules in the order they are tried
+ * @param {Object} supabase - Supabase client with the service role
+ * @returns {Promise<Array>} Rows of assignment_rules
+ */
+async function loadAssignmentRules(supabase) {
+  const { data } = await withSupabaseRetry(() => supabase
+    .from('assignment_rules')
+    .select('*')
+    .eq('enabled', true)
+    .order('priority', { ascending: true })
+    .order('created_at', { ascending: true }),
+  { label: 'Loading assignment rules' });
+
+  return data || [];
+}
+
+/**
+ * Fetches the leads to run the rules on
+ * @param {Object} supabase - Supabase client with the service role
+ * @param {Object} filters - See assignLeadsByRules
+ * @returns {Promise<Array>} Leads with id, source_id and territory
+ */
+async function fetchLeadsToAssign(supabase, { leadIds, onlyUnassigned }) {
+  const buildQuery = (ids, from, to) => {
+    let query = supabase
+      .from('leads')
+      .select('id, source_id, territory')
+      .is('archived_at', null)
+      .order('created_at', { ascending: true })
+      .order('id', { ascending: true });
+    if (onlyUnassigned) query = query.is('assigned_to', null);
+    if (ids) query = query.in('id', ids);
+    return query.range(from, to);
+  };
+
+  if (leadIds) {
+    const leads = [];
+    for (let i = 0; i < leadIds.length; i += ID_BATCH_SIZE) {
+      const chunk = leadIds.slice(i, i + ID_BATCH_SIZE);
+      const { data } = await withSupabaseRetry(() => buildQuery(chunk, 0, chunk.length - 1),
+        { label: 'Fetching leads to assign' });
+      leads.push(...data);
+    }
+    return leads;
+  }
+
+  const pageSize = 1000;
+  const leads = [];
+  for (let from = 0; ; from += pageSize) {
+    const { data } = await withSupabaseRetry(() => buildQuery(null, from, from + pageSize - 1),
+      { label: 'Fetching leads to assign' });
+    leads.push(...data);
+    if (data.length < pageSize) return leads;
+  }
+}
+
+/**
+ * Assigns leads to a rep, or unassigns them
+ * @param {Object} supabase - Supabase client with the service role
+ * @param {Array<string>} leadIds - IDs of the leads
+ * @param {string|null} repId - Rep to assign them to, or null to unassign
+ * @param {Object} options - Options
+ * @param {boolean} options.onlyUnassigned - Leave leads that already have a rep alone
+ * @returns {Promise<void>}
+ */
+async function assignLeadsToRep(supabase, leadIds, repId, { onlyUnassigned = false } = {}) {
+  for (let i = 0; i < leadIds.length; i += ID_BATCH_SIZE) {
+    const chunk = leadIds.slice(i, i + ID_BATCH_SIZE);
+    await withSupabaseRetry(() => {
+      let query = supabase.from('leads').update({ assigned_to: repId }).in('id', chunk);
+      if (onlyUnassigned) query = query.is('assigned_to', null);
+      return query;
+    }, { label: `Assigning ${chunk.length} leads` });
+  }
+}
+
+/**
+ * Runs the assignment rules on a set of leads
+ * @param {Object} supabase - Supabase client with the service role
+ * @param {Object} filters - Which leads to assign (default: every unassigned lead)
+ * @param {Array<string>} filters.leadIds - Only these leads
+ * @param {boolean} filters.onlyUnassigned - Skip leads that already have a rep
+ *   (default: true; false reassigns the given leads)
+ * @returns {Promise<Object>} { assigned, unmatched, byRep } where byRep maps
+ *   rep ID to the number of leads it received
+ */
+async function assignLeadsByRules(supabase, { leadIds, onlyUnassigned = true } = {}) {
+  const rules = await loadAssignmentRules(supabase);
+  if (rules.length === 0) {
+    return { assigned: 0, unmatched: leadIds ? leadIds.length : 0, byRep: {} };
+  }
+
+  const leads = await fetchLeadsToAssign(supabase, { leadIds, onlyUnassigned });
+  const { assignments, unmatched, cursors } = planAssignments(leads, rules);
+
+  const leadIdsByRep = new Map();
+  assignments.forEach(({ leadId, repId }) => {
+    if (!leadIdsByRep.has(repId)) leadIdsByRep.set(repId, []);
+    leadIdsByRep.get(repId).push(leadId);
+  });
+
+  for (const [repId, repLeadIds] of leadIdsByRep) {
+    await assignLeadsToRep(supabase, repLeadIds, repId, { onlyUnassigned });
+  }
+
+  for (const [ruleId, nextRepIndex] of cursors) {
+    await withSupabaseRetry(() => supabase
+      .from('assignment_rules')
+      .update({ next_rep_index: nextRepIndex })
+      .eq('id', ruleId),
+    { label: 'Saving assignment rule rotation' });
+  }
+
+  return {
+    assigned: assignments.length,
+    unmatched: unmatched.length,
+    byRep: Object.fromEntries([...leadIdsByRep].map(([repId, ids]) => [repId, ids.length]))
+  };
+}
+
+module.exports = {
+  ASSIGNMENT_STRATEGIES,
+  ruleMatchesLead,
+  planAssignments,
+  loadAssignmentRules,
+  assignLeadsToRep,
+  assignLeadsByRules
+};
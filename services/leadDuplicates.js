@@ -0,0 +1,302 @@
+/**
+ * @fileoverview Duplicate lead detection
+ *
+ * The same person often appears in a sheet (or in two sheets) more than
+ * once, with a different row, a differently cased email or a differently
+ * written phone number. After every sync the leads it wrote are compared
+ * with all active leads (or, after a sync of a few rows, with the leads that
+ * could match them), and pairs that look like the same person are
+ * flagged in the `lead_duplicates` table for review. Two leads match when:
+ *
+ * - email - Their emails are equal, ignoring case
+ * - phone - Their valid phone numbers are equal in E.164 form
+ * - name_company - Their companies are equal once punctuation and legal
+ *   suffixes ("Inc", "GmbH", ...) are dropped, and their names are at least
+ *   NAME_SIMILARITY_THRESHOLD alike (Dice coefficient over letter pairs,
+ *   ignoring case, accents and word order)
+ *
+ * A flagged pair stays flagged until a user merges the two leads or marks
+ * them as different people; dismissed pairs are not flagged again.
+ *
+ * Merging (the merge_leads function, called by /api/leads/merge) keeps the
+ * surviving lead, fills its empty fields from the other one, appends the
+ * other lead's notes, and moves its call history and callbacks over. The
+ * other lead is archived with `merged_into` pointing at the survivor, so its
+ * sheet row keeps mapping to that lead: the sync leaves merged rows alone
+ * instead of bringing the duplicate back.
+ */
+
+const { withSupabaseRetry } = require('./retry');
+
+const DUPLICATE_REASONS = ['email', 'phone', 'name_company'];
+
+const NAME_SIMILARITY_THRESHOLD = 0.8;
+
+// Legal suffixes dropped before comparing company names
+const COMPANY_SUFFIXES = new Set([
+  'inc', 'incorporated', 'llc', 'llp', 'ltd', 'limited', 'corp', 'corporation', 'co', 'company',
+  'gmbh', 'ag', 'sa', 'sas', 'srl', 'bv', 'nv', 'plc', 'pty', 'oy', 'ab'
+]);
+
+// Lead IDs per .in() filter, to keep request URLs short
+const ID_BATCH_SIZE = 200;
+
+// Conditions per .or() filter when looking up matching leads
+const MATCH_BATCH_SIZE = 50;
+
+/**
+ * Splits text into lowercase words without accents or punctuation
+ * @param {string} text - Name or company
+ * @returns {Array<string>} Words
+ */
+function toWords(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+/**
+ * Normalizes a company name for comparison
+ * @param {string} company - Company name
+ * @returns {string} Words without legal suffixes, e.g. "acme widgets" for "ACME Widgets, Inc."
+ */
+function normalizeCompany(company) {
+  return toWords(company).filter(word => !COMPANY_SUFFIXES.has(word)).join(' ');
+}
+
+/**
+ * Normalizes a person's name for comparison, ignoring word order
+ * @param {string} name - Name
+ * @returns {string} Sorted words, e.g. "jane smith" for "Smith, Jane"
+ */
+function normalizeName(name) {
+  return toWords(name).sort().join(' ');
+}
+
+/**
+ * Measures how alike two normalized names are
+ * @param {string} a - Normalized name
+ * @param {string} b - Normalized name
+ * @returns {number} Dice coefficient of their letter pairs, from 0 to 1
+ */
+function nameSimilarity(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  const pairs = (text) => {
+    const counts = new Map();
+    const compact = text.replace(/ /g, '');
+    for (let i = 0; i < compact.length - 1; i += 1) {
+      const pair = compact.slice(i, i + 2);
+      counts.set(pair, (counts.get(pair) || 0) + 1);
+    }
+    return counts;
+  };
+
+  const pairsA = pairs(a);
+  const pairsB = pairs(b);
+  let total = 0;
+  let shared = 0;
+  pairsA.forEach((count, pair) => {
+    total += count;
+    shared += Math.min(count, pairsB.get(pair) || 0);
+  });
+  pairsB.forEach(count => {
+    total += count;
+  });
+
+  return total === 0 ? 0 : (2 * shared) / total;
+}
+
+/**
+ * Finds pairs of leads that look like the same person
+ * @param {Array} leads - Leads with id, name, email, phone, phone_status and company
+ * @param {Object} options - Options
+ * @param {Function} options.isCandidate - Only pairs with at least one lead for
+ *   which this returns true are reported (default: every pair)
+ * @returns {Array} { leadA, leadB, reasons, score } with leadA < leadB, where
+ *   reasons lists the DUPLICATE_REASONS that matched and score is from 0 to 1
+ */
+function findDuplicatePairs(leads, { isCandidate = () => true } = {}) {
+  const pairs = new Map();
+
+  const addPair = (first, second, reason, score) => {
+    if (first.id === second.id || (!isCandidate(first) && !isCandidate(second))) return;
+    const [leadA, leadB] = first.id < second.id ? [first.id, second.id] : [second.id, first.id];
+    const key = `${leadA}:${leadB}`;
+    const pair = pairs.get(key) || { leadA, leadB, reasons: [], score: 0 };
+    if (!pair.reasons.includes(reason)) pair.reasons.push(reason);
+    pair.score = Math.max(pair.score, score);
+    pairs.set(key, pair);
+  };
+
+  // Leads sharing a key are compared with each other only
+  const groupBy = (keyOf) => {
+    const groups = new Map();
+    leads.forEach(lead => {
+      const key = keyOf(lead);
+      if (!key) return;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(lead);
+    });
+    return [...groups.values()].filter(group => group.length > 1);
+  };
+
+  const eachPair = (group, callback) => {
+    for (let i = 0; i < group.length; i += 1) {
+      for (let j = i + 1; j < group.length; j += 1) {
+        callback(group[i], group[j]);
+      }
+    }
+  };
+
+  groupBy(lead => String(lead.email || '').trim().toLowerCase())
+    .forEach(group => eachPair(group, (first, second) => addPair(first, second, 'email', 1)));
+
+  groupBy(lead => (lead.phone_status === 'valid' ? lead.phone : null))
+    .forEach(group => eachPair(group, (first, second) => addPair(first, second, 'phone', 0.9)));
+
+  groupBy(lead => normalizeCompany(lead.company))
+    .forEach(group => eachPair(group, (first, second) => {
+      const similarity = nameSimilarity(normalizeName(first.name), normalizeName(second.name));
+      if (similarity >= NAME_SIMILARITY_THRESHOLD) {
+        addPair(first, second, 'name_company', Math.round(similarity * 100) / 100);
+      }
+    }));
+
+  return [...pairs.values()];
+}
+
+/**
+ * Loads every active lead with the fields duplicates are detected on
+ * @param {Object} supabase - Supabase client with the service role
+ * @returns {Promise<Array>} Leads
+ */
+async function fetchActiveLeads(supabase) {
+  const pageSize = 1000;
+  const leads = [];
+
+  for (let from = 0; ; from += pageSize) {
+    const { data } = await withSupabaseRetry(() => supabase
+      .from('leads')
+      .select('id, name, email, phone, phone_status, company, last_sync')
+      .is('archived_at', null)
+      .order('id', { ascending: true })
+      .range(from, from + pageSize - 1),
+    { label: 'Reading leads for duplicate detection' });
+
+    leads.push(...data);
+    if (data.length < pageSize) return leads;
+  }
+}
+
+/**
+ * Quotes a value for a PostgREST .or() filter
+ * @param {string} value - Value
+ * @returns {string} Value in double quotes, with quotes and backslashes escaped
+ */
+function quoteFilterValue(value) {
+  return `"${String(value).replace(/[\\"]/g, '\\$&')}"`;
+}
+
+/**
+ * Loads the leads synced since a time and the active leads that could be
+ * their duplicates: those sharing an email, a phone number or the longest
+ * word of the company name. The lookups may return more leads than match;
+ * findDuplicatePairs compares them exactly.
+ * @param {Object} supabase - Supabase client with the service role
+ * @param {string} changedSince - ISO time
+ * @returns {Promise<Array>} Leads
+ */
+async function fetchMatchingLeads(supabase, changedSince) {
+  const pageSize = 1000;
+  const columns = 'id, name, email, phone, phone_status, company, last_sync';
+  const leads = new Map();
+
+  const fetchPages = async (filter, label) => {
+    for (let from = 0; ; from += pageSize) {
+      const { data } = await withSupabaseRetry(() => filter(supabase
+        .from('leads')
+        .select(columns)
+        .is('archived_at', null))
+        .order('id', { ascending: true })
+        .range(from, from + pageSize - 1),
+      { label });
+
+      data.forEach(lead => leads.set(lead.id, lead));
+      if (data.length < pageSize) return;
+    }
+  };
+
+  await fetchPages(query => query.gte('last_sync', changedSince), 'Reading synced leads for duplicate detection');
+
+  const conditions = new Set();
+  [...leads.values()].forEach(lead => {
+    const email = String(lead.email || '').trim();
+    if (email) conditions.add(`email.ilike.${quoteFilterValue(email)}`);
+    if (lead.phone_status === 'valid' && lead.phone) conditions.add(`phone.eq.${quoteFilterValue(lead.phone)}`);
+    const companyWord = normalizeCompany(lead.company).split(' ')
+      .reduce((longest, word) => (word.length > longest.length ? word : longest), '');
+    if (companyWord) conditions.add(`company.ilike.${quoteFilterValue(`*${companyWord}*`)}`);
+  });
+
+  const allConditions = [...conditions];
+  for (let i = 0; i < allConditions.length; i += MATCH_BATCH_SIZE) {
+    const chunk = allConditions.slice(i, i + MATCH_BATCH_SIZE);
+    await fetchPages(query => query.or(chunk.join(',')), 'Reading leads that may be duplicates');
+  }
+
+  return [...leads.values()];
+}
+
+/**
+ * Flags possible duplicates of the leads a sync wrote
+ * Pairs that are already flagged, merged or dismissed are left as they are.
+ * @param {Object} supabase - Supabase client with the service role
+ * @param {Object} options - Options
+ * @param {string} options.changedSince - Check leads synced at or after this ISO time
+ * @param {boolean} options.onlyMatching - Compare them only with the leads that
+ *   share an email, phone number or company word instead of loading every
+ *   lead, for syncs of a few rows (default: false)
+ * @returns {Promise<Object>} { checked, flagged } where checked counts the leads
+ *   synced since changedSince and flagged the newly flagged pairs
+ */
+async function detectDuplicateLeads(supabase, { changedSince, onlyMatching = false }) {
+  const leads = onlyMatching
+    ? await fetchMatchingLeads(supabase, changedSince)
+    : await fetchActiveLeads(supabase);
+  const isCandidate = lead => Boolean(lead.last_sync) && lead.last_sync >= changedSince;
+  const pairs = findDuplicatePairs(leads, { isCandidate });
+
+  let flagged = 0;
+  for (let i = 0; i < pairs.length; i += ID_BATCH_SIZE) {
+    const chunk = pairs.slice(i, i + ID_BATCH_SIZE);
+    const { data } = await withSupabaseRetry(() => supabase
+      .from('lead_duplicates')
+      .upsert(chunk.map(pair => ({
+        lead_a: pair.leadA,
+        lead_b: pair.leadB,
+        reasons: pair.reasons,
+        score: pair.score
+      })), { onConflict: 'lead_a,lead_b', ignoreDuplicates: true })
+      .select('id'),
+    { label: `Flagging ${chunk.length} possible duplicates` });
+
+    flagged += (data || []).length;
+  }
+
+  return { checked: leads.filter(isCandidate).length, flagged };
+}
+
+module.exports = {
+  DUPLICATE_REASONS,
+  NAME_SIMILARITY_THRESHOLD,
+  normalizeCompany,
+  normalizeName,
+  nameSimilarity,
+  findDuplicatePairs,
+  detectDuplicateLeads
+};
@@ -0,0 +1,245 @@
+/**
+ * @fileoverview Lead edits made in the app, and how the sync treats them
+ *
+ * Reps fix typos, change status and add notes from the lead view through
+ * PATCH /api/leads/[id], which validates the changes with validateLeadChanges
+ * and applies them with the apply_lead_edit function. The function records
+ * each edited field in `leads.manual_edits`, together with the value the
+ * field had before the first edit (normally the sheet's value):
+ *
+ *   { "phone": { "sheet_value": "+15551234567", "edited_at": "...", "edited_by": "<user id>" } }
+ *
+ * Every change to a lead, whoever made it, is also recorded field by field
+ * in the `lead_audit` table by a trigger.
+ *
+ * When the sync next rewrites a lead's row, planManualEdits decides for each
+ * edited field whether the sheet may overwrite the edit:
+ * - The sheet still has the value from before the edit - the edit is kept
+ * - The sheet now has the edited value - the edit is settled and forgotten
+ * - The sheet has a new value of its own - the field's policy decides:
+ *   'app_wins' keeps the edit, 'sheet_wins' lets the sheet overwrite it
+ *
+ * Fields that are written back to the sheet (see sheetWriteback.js) already
+ * resolve app and sheet changes there, so their edits are left alone here.
+ *
+ * === CONFIGURATION ===
+ *
+ * Per source (see syncSources.js), or from the environment for all sources:
+ *
+ *   field_policies / SYNC_FIELD_POLICIES - JSON object of lead field to
+ *     'sheet_wins' or 'app_wins', e.g. {"phone": "app_wins", "notes": "app_wins"}
+ *   Fields not listed use conflict_policy / SYNC_CONFLICT_POLICY
+ *   (default: 'sheet_wins')
+ */
+
+const { normalizePhoneNumber } = require('./phoneNormalization');
+const { resolveLeadTimeZone } = require('./leadTimeZone');
+const { EMAIL_PATTERN } = require('./leadValidation');
+const { LEAD_STATUSES } = require('./leadQuery');
+const { CONFLICT_POLICIES, parseJsonSetting, formatSheetValue } = require('./sheetWriteback');
+
+// Lead fields reps may edit in the lead view
+const EDITABLE_LEAD_FIELDS = ['name', 'email', 'phone', 'company', 'position', 'notes', 'status', 'territory'];
+
+// Normalizing the phone number sets all of these; they are kept or replaced together
+const PHONE_FIELDS = ['phone', 'phone_raw', 'phone_extension', 'phone_status', 'phone_country'];
+
+// A time zone inferred from the phone number follows it (see leadTimeZone.js)
+const TIME_ZONE_FIELDS = ['timezone', 'timezone_source'];
+
+// Columns the sync needs to read to apply manual edit policies
+const MANUAL_EDIT_COLUMNS = [...new Set(['manual_edits', ...EDITABLE_LEAD_FIELDS, ...PHONE_FIELDS, ...TIME_ZONE_FIELDS])];
+
+const MAX_TEXT_LENGTH = 200;
+const MAX_NOTES_LENGTH = 5000;
+
+/**
+ * Validates and normalizes the changes a user submitted for a lead
+ * @param {Object} changes - Lead field to new value
+ * @param {Object} options - Validation options
+ * @param {string} options.defaultPhoneCountry - Country assumed for national-format numbers
+ * @param {string} options.timeZoneSource - Current leads.timezone_source; a
+ *   time zone set in the sheet is kept when the phone number changes
+ * @returns {Object} { changes, errors } where changes holds the normalized
+ *   values to store and errors maps each invalid field to a message
+ */
+function validateLeadChanges(changes, { defaultPhoneCountry, timeZoneSource } = {}) {
+  const normalized = {};
+  const errors = {};
+
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+    return { changes: normalized, errors: { changes: 'Changes must be an object of lead fields' } };
+  }
+
+  Object.entries(changes).forEach(([field, value]) => {
+    if (!EDITABLE_LEAD_FIELDS.includes(field)) {
+      errors[field] = `"${field}" cannot be edited`;
+      return;
+    }
+    if (value !== null && typeof value !== 'string') {
+      errors[field] = 'Must be text';
+      return;
+    }
+
+    const text = value === null ? '' : value.trim();
+    const maxLength = field === 'notes' ? MAX_NOTES_LENGTH : MAX_TEXT_LENGTH;
+    if (text.length > maxLength) {
+      errors[field] = `Must be at most ${maxLength} characters`;
+      return;
+    }
+
+    switch (field) {
+      case 'name':
+        if (!text) {
+          errors.name = 'Name is required';
+        } else {
+          normalized.name = text;
+        }
+        break;
+
+      case 'email':
+        if (text && !EMAIL_PATTERN.test(text)) {
+          errors.email = `"${text}" is not a valid email address`;
+        } else {
+          normalized.email = text || null;
+        }
+        break;
+
+      case 'phone': {
+        const phone = normalizePhoneNumber(text, defaultPhoneCountry);
+        if (phone.phone_status === 'invalid') {
+          errors.phone = `"${text}" is not a valid phone number`;
+        } else {
+          Object.assign(normalized, phone);
+          if (timeZoneSource !== 'sheet') {
+            Object.assign(normalized, resolveLeadTimeZone(phone));
+          }
+        }
+        break;
+      }
+
+      case 'status':
+        if (!LEAD_STATUSES.includes(text)) {
+          errors.status = `Status must be one of ${LEAD_STATUSES.join(', ')}`;
+        } else {
+          normalized.status = text;
+        }
+        break;
+
+      default:
+        normalized[field] = text || null;
+    }
+  });
+
+  return { changes: normalized, errors };
+}
+
+/**
+ * Reads the per-field policies for manual edits from sync options and the environment
+ * @param {Object} options - Sync options (see sourceToSyncOptions)
+ * @param {Object} options.fieldPolicies - Lead field to 'sheet_wins' or 'app_wins'
+ *   (default: SYNC_FIELD_POLICIES or none)
+ * @param {string} options.conflictPolicy - Policy of fields not listed
+ *   (default: SYNC_CONFLICT_POLICY or 'sheet_wins')
+ * @returns {Object} { fieldPolicies, defaultPolicy }
+ */
+function getManualEditConfig(options = {}) {
+  const {
+    fieldPolicies = parseJsonSetting('SYNC_FIELD_POLICIES'),
+    conflictPolicy = process.env.SYNC_CONFLICT_POLICY || 'sheet_wins'
+  } = options;
+
+  Object.entries(fieldPolicies).forEach(([field, policy]) => {
+    if (!EDITABLE_LEAD_FIELDS.includes(field)) {
+      throw new Error(`Lead field "${field}" cannot be edited in the app, so it needs no policy`);
+    }
+    if (!CONFLICT_POLICIES.includes(policy)) {
+      throw new Error(`Unknown policy "${policy}" for lead field "${field}"`);
+    }
+  });
+
+  return { fieldPolicies, defaultPolicy: conflictPolicy };
+}
+
+/**
+ * Decides, field by field, whether the sheet may overwrite edits made in the app
+ *
+ * Edits that are kept have the app's values copied onto the lead object, so
+ * writing the sheet's other changes does not overwrite them.
+ *
+ * @param {Object} params - Inputs
+ * @param {Array} params.leads - Lead objects from loadSheetLeads
+ * @param {Map<string, Object>} params.existingLeads - Output of fetchExistingLeads
+ *   (including MANUAL_EDIT_COLUMNS)
+ * @param {Object} params.config - Output of getManualEditConfig
+ * @param {Array<string>} params.skipFields - Fields handled by write-back
+ * @returns {Object} { manualEdits, conflicts } where manualEdits maps
+ *   sheet_key to the lead's remaining manual_edits
+ */
+function planManualEdits({ leads, existingLeads, config, skipFields = [] }) {
+  const manualEdits = new Map();
+  const conflicts = [];
+
+  leads.forEach(lead => {
+    const existing = existingLeads.get(lead.sheet_key);
+    const edits = existing && existing.manual_edits;
+    if (!edits || Object.keys(edits).length === 0) return;
+
+    const remaining = {};
+    Object.entries(edits).forEach(([field, edit]) => {
+      // The sheet does not supply this field, so nothing can overwrite the edit
+      if (!(field in lead) || skipFields.includes(field)) {
+        remaining[field] = edit;
+        return;
+      }
+
+      const sheetValue = formatSheetValue(field, lead[field]);
+      const appValue = formatSheetValue(field, existing[field]);
+      if (sheetValue === appValue) return;
+
+      const keepAppValue = () => {
+        // A time zone set in the sheet still applies to the kept number
+        const fields = field !== 'phone' ? [field]
+          : lead.timezone_source === 'sheet' ? PHONE_FIELDS : [...PHONE_FIELDS, ...TIME_ZONE_FIELDS];
+        fields.forEach(name => {
+          lead[name] = existing[name];
+        });
+      };
+
+      if (sheetValue === formatSheetValue(field, edit.sheet_value)) {
+        keepAppValue();
+        remaining[field] = edit;
+        return;
+      }
+
+      const policy = config.fieldPolicies[field] || config.defaultPolicy;
+      const winner = policy === 'app_wins' ? 'app' : 'sheet';
+      conflicts.push({
+        sheetKey: lead.sheet_key,
+        rowNumber: Number(lead.sheet_row_id),
+        field,
+        sheetValue,
+        appValue,
+        winner
+      });
+
+      if (winner === 'app') {
+        // Measure the next sheet change against the value the sheet has now
+        remaining[field] = { ...edit, sheet_value: lead[field] };
+        keepAppValue();
+      }
+    });
+
+    manualEdits.set(lead.sheet_key, remaining);
+  });
+
+  return { manualEdits, conflicts };
+}
+
+module.exports = {
+  EDITABLE_LEAD_FIELDS,
+  MANUAL_EDIT_COLUMNS,
+  validateLeadChanges,
+  getManualEditConfig,
+  planManualEdits
+};
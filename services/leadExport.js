@@ -0,0 +1,203 @@
+/**
+ * @fileoverview CSV export of leads and their call logs
+ *
+ * Exports the leads of a Dashboard view (see leadQuery.js), either one row
+ * per lead or, with `calls`, one row per logged call with its lead's columns
+ * alongside. Rows are produced a page at a time, so /api/leads/export can
+ * stream any number of them.
+ *
+ * Queries run with a client acting as the signed-in user (see
+ * createSupabaseUserClient), so Row Level Security decides what is exported:
+ * reps get the leads assigned to them and their calls, managers get all.
+ *
+ * Export parameters, on top of the lead view's URL parameters:
+ *
+ *   calls - '1' for one row per call instead of one row per lead
+ *   disposition - Comma-separated dispositions (see callDispositions.js); with
+ *       calls, only those calls, otherwise leads whose last call had one
+ *   calls_from, calls_to - Only calls started between these dates
+ *       (YYYY-MM-DD, both inclusive); only with calls
+ *   tz - IANA time zone of all the dates, normally the browser's (default: UTC)
+ */
+
+const { parseLeadView, applyLeadView, startOfLocalDay } = require('./leadQuery');
+const { CALL_DISPOSITIONS, getDispositionLabel } = require('./callDispositions');
+const { isValidTimeZone } = require('./callbackSchedule');
+const { formatCsvRow } = require('./csvParser');
+
+// Lead columns of the export: [header, value of a lead row]
+const LEAD_EXPORT_COLUMNS = [
+  ['Lead ID', lead => lead.id],
+  ['Name', lead => lead.name],
+  ['Email', lead => lead.email],
+  ['Phone', lead => lead.phone],
+  ['Extension', lead => lead.phone_extension],
+  ['Company', lead => lead.company],
+  ['Position', lead => lead.position],
+  ['Status', lead => lead.status],
+  ['Territory', lead => lead.territory],
+  ['Time Zone', lead => lead.timezone],
+  ['Assigned To', lead => lead.assignee && (lead.assignee.full_name || lead.assignee.email)],
+  ['Source', lead => (lead.sync_source ? lead.sync_source.name : lead.source)],
+  ['Last Contacted', lead => lead.last_contacted_at],
+  ['Last Disposition', lead => lead.last_disposition && getDispositionLabel(lead.last_disposition)],
+  ['Do Not Call Since', lead => lead.dnc_at],
+  ['Notes', lead => lead.notes],
+  ['Created', lead => lead.created_at]
+];
+
+// Call columns of an export with calls: [header, value of a call_logs row]
+const CALL_EXPORT_COLUMNS = [
+  ['Call Started', call => call.started_at],
+  ['Call Ended', call => call.ended_at],
+  ['Duration (s)', call => call.duration_seconds],
+  ['Disposition', call => getDispositionLabel(call.disposition)],
+  ['Call Status', call => call.call_status],
+  ['Rep', call => call.rep && (call.rep.full_name || call.rep.email)],
+  ['Call Notes', call => call.notes],
+  ['Recording', call => call.recording_url]
+];
+
+const LEAD_EXPORT_SELECT = '*, assignee:profiles!assigned_to(full_name, email), sync_source:sync_sources(name)';
+const CALL_EXPORT_SELECT = '*, rep:profiles!rep_id(full_name, email)';
+
+// Leads read per request
+const EXPORT_PAGE_SIZE = 1000;
+
+// Lead IDs per .in() filter, to keep request URLs short
+const ID_BATCH_SIZE = 200;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Reads export options from URL query parameters, ignoring invalid values
+ * @param {Object} query - Parsed query string
+ * @returns {Object} { view, calls, dispositions, callsFrom, callsTo, timeZone }
+ */
+function parseExportOptions(query = {}) {
+  const param = (name) => {
+    const value = query[name];
+    return String((Array.isArray(value) ? value[0] : value) || '').trim();
+  };
+  const knownDispositions = CALL_DISPOSITIONS.map(disposition => disposition.value);
+
+  return {
+    view: parseLeadView(query),
+    calls: param('calls') === '1' || param('calls') === 'true',
+    dispositions: param('disposition').split(',').filter(value => knownDispositions.includes(value)),
+    callsFrom: DATE_PATTERN.test(param('calls_from')) ? param('calls_from') : '',
+    callsTo: DATE_PATTERN.test(param('calls_to')) ? param('calls_to') : '',
+    timeZone: isValidTimeZone(param('tz')) ? param('tz') : 'UTC'
+  };
+}
+
+/**
+ * Names the export file after what it contains
+ * @param {Object} options - Output of parseExportOptions
+ * @param {Date} now - Current time
+ * @returns {string} File name, e.g. 'calls-2024-05-01.csv'
+ */
+function exportFileName(options, now = new Date()) {
+  return `${options.calls ? 'calls' : 'leads'}-${now.toISOString().slice(0, 10)}.csv`;
+}
+
+/**
+ * Reads the view's leads a page at a time
+ * @param {Object} supabase - Supabase client acting as the user
+ * @param {Object} options - Output of parseExportOptions
+ * @param {string} userId - ID of the signed-in user, for assigned=me
+ * @returns {AsyncGenerator<Array>} Pages of leads, in the view's order
+ */
+async function* readLeadPages(supabase, options, userId) {
+  for (let from = 0; ; from += EXPORT_PAGE_SIZE) {
+    let query = supabase
+      .from('leads')
+      .select(LEAD_EXPORT_SELECT)
+      .is('archived_at', null);
+    if (!options.calls && options.dispositions.length > 0) {
+      query = query.in('last_disposition', options.dispositions);
+    }
+
+    const { data, error } = await applyLeadView(query, options.view, { userId, timeZone: options.timeZone })
+      .range(from, from + EXPORT_PAGE_SIZE - 1);
+    if (error) throw error;
+
+    if (data.length > 0) yield data;
+    if (data.length < EXPORT_PAGE_SIZE) return;
+  }
+}
+
+/**
+ * Loads the calls of some leads that match the export's call filters
+ * @param {Object} supabase - Supabase client acting as the user
+ * @param {Array<string>} leadIds - IDs of the leads
+ * @param {Object} options - Output of parseExportOptions
+ * @returns {Promise<Map<string, Array>>} Calls per lead ID, oldest first
+ */
+async function fetchLeadCalls(supabase, leadIds, options) {
+  const callsByLead = new Map();
+
+  for (let i = 0; i < leadIds.length; i += ID_BATCH_SIZE) {
+    let query = supabase
+      .from('call_logs')
+      .select(CALL_EXPORT_SELECT)
+      .in('lead_id', leadIds.slice(i, i + ID_BATCH_SIZE));
+    if (options.dispositions.length > 0) {
+      query = query.in('disposition', options.dispositions);
+    }
+    if (options.callsFrom) {
+      query = query.gte('started_at', startOfLocalDay(options.callsFrom, 0, options.timeZone));
+    }
+    if (options.callsTo) {
+      query = query.lt('started_at', startOfLocalDay(options.callsTo, 1, options.timeZone));
+    }
+
+    const { data, error } = await query.order('started_at', { ascending: true }).order('id', { ascending: true });
+    if (error) throw error;
+
+    data.forEach(call => {
+      if (!callsByLead.has(call.lead_id)) callsByLead.set(call.lead_id, []);
+      callsByLead.get(call.lead_id).push(call);
+    });
+  }
+
+  return callsByLead;
+}
+
+/**
+ * Produces the export as CSV lines, starting with the header row
+ * With calls, leads without a matching call are left out.
+ * @param {Object} supabase - Supabase client acting as the user
+ * @param {Object} options - Output of parseExportOptions
+ * @param {string} userId - ID of the signed-in user
+ * @returns {AsyncGenerator<string>} CSV lines
+ */
+async function* exportLeadsCsv(supabase, options, userId) {
+  const columns = options.calls ? [...LEAD_EXPORT_COLUMNS, ...CALL_EXPORT_COLUMNS] : LEAD_EXPORT_COLUMNS;
+  yield formatCsvRow(columns.map(([header]) => header));
+
+  for await (const leads of readLeadPages(supabase, options, userId)) {
+    if (!options.calls) {
+      yield leads.map(lead => formatCsvRow(LEAD_EXPORT_COLUMNS.map(([, value]) => value(lead)))).join('');
+      continue;
+    }
+
+    const callsByLead = await fetchLeadCalls(supabase, leads.map(lead => lead.id), options);
+    const lines = [];
+    leads.forEach(lead => {
+      const leadValues = LEAD_EXPORT_COLUMNS.map(([, value]) => value(lead));
+      (callsByLead.get(lead.id) || []).forEach(call => {
+        lines.push(formatCsvRow([...leadValues, ...CALL_EXPORT_COLUMNS.map(([, value]) => value(call))]));
+      });
+    });
+    if (lines.length > 0) yield lines.join('');
+  }
+}
+
+module.exports = {
+  LEAD_EXPORT_COLUMNS,
+  CALL_EXPORT_COLUMNS,
+  parseExportOptions,
+  exportFileName,
+  exportLeadsCsv
+};
@@ -0,0 +1,275 @@
+/**
+ * @fileoverview Declarative mapping of sheet columns to lead fields
+ *
+ * Sheet headers are matched to `leads` columns through a mapping config
+ * instead of being turned into column names directly, so a header such as
+ * "Phone #" or "Company Name" lands in the right field. Each field can
+ * declare the headers it accepts, a type to coerce values to and a default
+ * for empty cells. Columns that match no field are kept in the lead's
+ * JSONB `extra` field rather than breaking the upsert.
+ *
+ * === MAPPING FORMAT ===
+ *
+ *   {
+ *     phone:  { headers: ['Phone', 'Phone #', 'Mobile'] },
+ *     status: { headers: ['Status'], type: 'enum', values: ['new', 'contacted'],
+ *               aliases: { 'in progress': 'contacted' } },
+ *     last_contacted_at: { headers: ['Last Contacted'], type: 'date' }
+ *   }
+ *
+ * Types are 'string' (default), 'number', 'boolean', 'date', 'enum' and
+ * 'timezone' (an IANA time zone such as America/Chicago).
+ * Fields marked `required: true` reject rows where they are empty (see
+ * leadValidation.js).
+ * An empty status cell keeps the lead's current status (see
+ * keepStatusWhenEmpty), since statuses are mostly set in the app.
+ * Headers are compared ignoring case, spaces and punctuation. A custom
+ * mapping is merged over DEFAULT_COLUMN_MAPPING; set a field to null to
+ * drop one of the defaults.
+ *
+ * === ENVIRONMENT VARIABLES ===
+ *
+ * SYNC_COLUMN_MAPPING_FILE - Optional path to a JSON file with a custom mapping
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { isValidTimeZone } = require('./callbackSchedule');
+const { LEAD_STATUSES } = require('./leadQuery');
+
+// Status of new leads whose row has none (the column default of leads.status)
+const NEW_LEAD_STATUS = 'new';
+
+// Columns of the leads table that may be filled from a sheet
+const MAPPABLE_LEAD_FIELDS = [
+  'name',
+  'email',
+  'phone',
+  'company',
+  'position',
+  'notes',
+  'territory',
+  'timezone',
+  'status',
+  'last_contacted_at'
+];
+
+const FIELD_TYPES = ['string', 'number', 'boolean', 'date', 'enum', 'timezone'];
+
+const DEFAULT_COLUMN_MAPPING = {
+  name: { headers: ['Name', 'Full Name', 'Contact Name', 'Contact'], required: true },
+  email: { headers: ['Email', 'Email Address', 'E-mail'] },
+  phone: { headers: ['Phone', 'Phone #', 'Phone Number', 'Mobile', 'Cell'] },
+  company: { headers: ['Company', 'Company Name', 'Organization', 'Business'] },
+  position: { headers: ['Position', 'Title', 'Job Title', 'Role'] },
+  notes: { headers: ['Notes', 'Note', 'Comments'] },
+  territory: { headers: ['Territory', 'Sales Territory', 'Region'] },
+  timezone: { headers: ['Time Zone', 'Timezone', 'TZ'], type: 'timezone' },
+  status: {
+    headers: ['Status', 'Lead Status'],
+    type: 'enum',
+    values: LEAD_STATUSES
+  },
+  last_contacted_at: { headers: ['Last Contacted', 'Last Contacted At', 'Last Contact'], type: 'date' }
+};
+
+/**
+ * Keeps a lead's status when its row leaves the status empty
+ * An empty cell means the sheet does not track the status, not that a status
+ * set by calls or edits in the app should be reset.
+ * @param {Object} lead - Lead about to be written, changed in place
+ * @param {Object} existing - Stored lead with its status, if the lead exists
+ */
+function keepStatusWhenEmpty(lead, existing) {
+  if ('status' in lead && lead.status === null) {
+    lead.status = existing && existing.status ? existing.status : NEW_LEAD_STATUS;
+  }
+}
+
+/**
+ * Normalizes a header for comparison: lowercase letters and digits only
+ * @param {string} header - Raw header text
+ * @returns {string} Normalized header
+ */
+function normalizeHeader(header) {
+  return String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Builds the effective mapping from defaults, a JSON file and explicit overrides
+ * @param {Object} overrides - Mapping merged over the defaults (null removes a field)
+ * @returns {Object} Validated column mapping
+ */
+function loadColumnMapping(overrides) {
+  let custom = overrides;
+
+  if (!custom && process.env.SYNC_COLUMN_MAPPING_FILE) {
+    const filePath = path.resolve(process.env.SYNC_COLUMN_MAPPING_FILE);
+    custom = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  }
+
+  const mapping = { ...DEFAULT_COLUMN_MAPPING };
+  Object.entries(custom || {}).forEach(([field, spec]) => {
+    if (spec === null) {
+      delete mapping[field];
+    } else {
+      mapping[field] = spec;
+    }
+  });
+
+  validateColumnMapping(mapping);
+  return mapping;
+}
+
+/**
+ * Throws if a mapping targets unknown fields or declares unusable types
+ * @param {Object} mapping - Column mapping to check
+ */
+function validateColumnMapping(mapping) {
+  Object.entries(mapping).forEach(([field, spec]) => {
+    if (!MAPPABLE_LEAD_FIELDS.includes(field)) {
+      throw new Error(`Column mapping targets unknown lead field "${field}"`);
+    }
+    if (!Array.isArray(spec.headers) || spec.headers.length === 0) {
+      throw new Error(`Column mapping for "${field}" must list at least one header`);
+    }
+    const type = spec.type || 'string';
+    if (!FIELD_TYPES.includes(type)) {
+      throw new Error(`Column mapping for "${field}" has unknown type "${type}"`);
+    }
+    if (type === 'enum' && (!Array.isArray(spec.values) || spec.values.length === 0)) {
+      throw new Error(`Column mapping for "${field}" is an enum but lists no values`);
+    }
+  });
+}
+
+/**
+ * Works out which lead field each column of the sheet feeds
+ * @param {Array} headerRow - Array of column headers from Google Sheet
+ * @param {Object} mapping - Column mapping
+ * @param {Array<number>} excludedColumns - Column indexes to skip entirely
+ * @returns {Array<Object>} One entry per column: { index, header, field, spec } or { index, header, extraKey }
+ */
+function resolveColumns(headerRow, mapping, excludedColumns = []) {
+  const fieldByHeader = new Map();
+  Object.entries(mapping).forEach(([field, spec]) => {
+    spec.headers.forEach(header => {
+      const key = normalizeHeader(header);
+      if (!fieldByHeader.has(key)) fieldByHeader.set(key, field);
+    });
+  });
+
+  const claimedFields = new Set();
+  const columns = [];
+
+  headerRow.forEach((header, index) => {
+    if (excludedColumns.includes(index)) return;
+
+    const field = fieldByHeader.get(normalizeHeader(header));
+    if (field && !claimedFields.has(field)) {
+      claimedFields.add(field);
+      columns.push({ index, header, field, spec: mapping[field] });
+    } else if (String(header || '').trim()) {
+      columns.push({ index, header, extraKey: String(header).trim() });
+    }
+  });
+
+  return columns;
+}
+
+/**
+ * Coerces a raw cell value to the type declared for its field
+ * @param {*} rawValue - Cell value as returned by the Sheets API
+ * @param {Object} spec - Field spec from the mapping
+ * @returns {Object} { value } on success, { value, error } if the value could not be coerced
+ */
+function coerceValue(rawValue, spec) {
+  const text = rawValue === undefined || rawValue === null ? '' : String(rawValue).trim();
+  const fallback = spec.default === undefined ? null : spec.default;
+
+  if (text === '') {
+    return { value: fallback };
+  }
+
+  switch (spec.type || 'string') {
+    case 'number': {
+      const number = Number(text.replace(/[,\s$€£%]/g, ''));
+      return Number.isFinite(number)
+        ? { value: number }
+        : { value: fallback, error: `"${text}" is not a number` };
+    }
+    case 'boolean': {
+      const lowered = text.toLowerCase();
+      if (['true', 'yes', 'y', '1', 'x', 'checked'].includes(lowered)) return { value: true };
+      if (['false', 'no', 'n', '0', 'unchecked'].includes(lowered)) return { value: false };
+      return { value: fallback, error: `"${text}" is not a yes/no value` };
+    }
+    case 'date': {
+      const date = new Date(text);
+      return Number.isNaN(date.getTime())
+        ? { value: fallback, error: `"${text}" is not a date` }
+        : { value: date.toISOString() };
+    }
+    case 'enum': {
+      const lowered = text.toLowerCase();
+      const aliases = Object.fromEntries(
+        Object.entries(spec.aliases || {}).map(([alias, value]) => [alias.toLowerCase(), value])
+      );
+      const match = spec.values.find(value => String(value).toLowerCase() === lowered) || aliases[lowered];
+      return match !== undefined
+        ? { value: match }
+        : { value: fallback, error: `"${text}" is not one of ${spec.values.join(', ')}` };
+    }
+    case 'timezone':
+      return isValidTimeZone(text)
+        ? { value: text }
+        : { value: fallback, error: `"${text}" is not a time zone such as America/New_York` };
+    case 'string':
+    default:
+      return { value: text };
+  }
+}
+
+/**
+ * Maps one sheet row to lead fields using a column mapping
+ * @param {Array} headerRow - Array of column headers from Google Sheet
+ * @param {Array} dataRow - Array of values from a row in Google Sheet
+ * @param {Object} mapping - Column mapping (see loadColumnMapping)
+ * @param {Array<number>} excludedColumns - Column indexes to skip entirely
+ * @returns {Object} { fields, issues } where issues lists { field, header, message }
+ */
+function mapRowFields(headerRow, dataRow, mapping, excludedColumns = []) {
+  const fields = { extra: {} };
+  const issues = [];
+
+  resolveColumns(headerRow, mapping, excludedColumns).forEach(column => {
+    const rawValue = column.index < dataRow.length ? dataRow[column.index] : null;
+
+    if (column.extraKey) {
+      if (rawValue !== null && String(rawValue).trim() !== '') {
+        fields.extra[column.extraKey] = rawValue;
+      }
+      return;
+    }
+
+    const { value, error } = coerceValue(rawValue, column.spec);
+    fields[column.field] = value;
+    if (error) {
+      issues.push({ field: column.field, header: column.header, message: error });
+    }
+  });
+
+  return { fields, issues };
+}
+
+module.exports = {
+  MAPPABLE_LEAD_FIELDS,
+  DEFAULT_COLUMN_MAPPING,
+  normalizeHeader,
+  keepStatusWhenEmpty,
+  loadColumnMapping,
+  validateColumnMapping,
+  resolveColumns,
+  coerceValue,
+  mapRowFields
+};
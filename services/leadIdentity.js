@@ -0,0 +1,142 @@
+/**
+ * @fileoverview Stable row identity for synced leads
+ *
+ * A lead's identity must survive the sheet being sorted, filtered or having
+ * rows inserted above it, so the sync no longer keys leads by row number.
+ * Every synced lead carries a `sheet_key` derived with one of these strategies:
+ *
+ * - 'column'  - The value of a designated ID column (e.g. "Lead ID"). With
+ *               write-back enabled, the sync fills missing IDs with UUIDs and
+ *               creates the column (hidden) if the sheet does not have one.
+ * - 'natural' - A natural key: the normalized email address, falling back to
+ *               the digits of the E.164 phone number when the row has no email.
+ * - 'row'     - The legacy positional identity. Only safe for append-only sheets.
+ *
+ * Keys are prefixed with their kind ('id:', 'email:', 'phone:', 'row:') so
+ * that keys produced by different strategies can never collide.
+ *
+ * === ENVIRONMENT VARIABLES ===
+ *
+ * SYNC_IDENTITY_STRATEGY - 'column', 'natural' (default) or 'row'
+ * SYNC_ID_COLUMN - Header of the ID column for the 'column' strategy (default: 'Lead ID')
+ * SYNC_WRITE_BACK_IDS - 'true' to let the sync write generated IDs back to the sheet
+ *                       (the service account then needs Editor access)
+ */
+
+const IDENTITY_STRATEGIES = ['column', 'natural', 'row'];
+
+/**
+ * Resolves the identity configuration from options, falling back to environment variables
+ * @param {Object} options - Sync options
+ * @param {string} options.identityStrategy - 'column', 'natural' or 'row'
+ * @param {string} options.idColumn - Header of the designated ID column
+ * @param {boolean} options.writeBackIds - Whether generated IDs are written back to the sheet
+ * @returns {Object} Identity configuration { strategy, idColumn, writeBackIds }
+ */
+function getIdentityConfig(options = {}) {
+  const {
+    identityStrategy = process.env.SYNC_IDENTITY_STRATEGY || 'natural',
+    idColumn = process.env.SYNC_ID_COLUMN || 'Lead ID',
+    writeBackIds = process.env.SYNC_WRITE_BACK_IDS === 'true'
+  } = options;
+
+  if (!IDENTITY_STRATEGIES.includes(identityStrategy)) {
+    throw new Error(`Unknown identity strategy "${identityStrategy}"`);
+  }
+
+  return { strategy: identityStrategy, idColumn, writeBackIds };
+}
+
+/**
+ * Normalizes an email address for use in a natural key
+ * @param {string} email - Raw email value
+ * @returns {string|null} Lowercased, trimmed email or null if empty
+ */
+function normalizeEmail(email) {
+  const normalized = String(email || '').trim().toLowerCase();
+  return normalized || null;
+}
+
+/**
+ * Reduces a phone number to its digits for use in a natural key
+ * @param {string} phone - Raw phone value
+ * @returns {string|null} Digits only, or null if there are none
+ */
+function normalizePhoneDigits(phone) {
+  const digits = String(phone || '').replace(/\D/g, '');
+  return digits || null;
+}
+
+/**
+ * Finds the index of a header in the header row, ignoring case and surrounding spaces
+ * @param {Array} headerRow - Array of column headers from Google Sheet
+ * @param {string} header - Header to look for
+ * @returns {number} Column index, or -1 if the header is not present
+ */
+function findHeaderIndex(headerRow, header) {
+  const wanted = String(header).trim().toLowerCase();
+  return headerRow.findIndex(h => String(h || '').trim().toLowerCase() === wanted);
+}
+
+/**
+ * Converts a zero-based column index to an A1 column letter (0 -> A, 26 -> AA)
+ * @param {number} index - Zero-based column index
+ * @returns {string} Column letter(s)
+ */
+function columnIndexToLetter(index) {
+  let letter = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letter = String.fromCharCode(65 + ((n - 1) % 26)) + letter;
+  }
+  return letter;
+}
+
+/**
+ * Derives the stable key of a sheet row
+ * @param {Object} identity - Output of getIdentityConfig
+ * @param {Object} row - Row details
+ * @param {Object} row.lead - Lead object mapped from the row
+ * @param {Array} row.dataRow - Raw values of the row
+ * @param {number} row.rowIndex - Row number in the sheet
+ * @param {number} row.idColumnIndex - Index of the ID column ('column' strategy only)
+ * @returns {string|null} The row's sheet_key, or null if it cannot be identified
+ */
+function resolveRowIdentity(identity, { lead, dataRow, rowIndex, idColumnIndex }) {
+  switch (identity.strategy) {
+    case 'column': {
+      const id = idColumnIndex >= 0 ? String(dataRow[idColumnIndex] || '').trim() : '';
+      return id ? `id:${id}` : null;
+    }
+    case 'natural':
+      return naturalKeyForLead(lead);
+    case 'row':
+    default:
+      return `row:${rowIndex}`;
+  }
+}
+
+/**
+ * Derives the natural key of a lead from its email, falling back to its phone
+ * @param {Object} lead - Lead object with email and phone fields
+ * @returns {string|null} Natural key, or null if the lead has neither
+ */
+function naturalKeyForLead(lead) {
+  const email = normalizeEmail(lead.email);
+  if (email) return `email:${email}`;
+
+  const phone = normalizePhoneDigits(lead.phone);
+  if (phone) return `phone:${phone}`;
+
+  return null;
+}
+
+module.exports = {
+  IDENTITY_STRATEGIES,
+  getIdentityConfig,
+  normalizeEmail,
+  normalizePhoneDigits,
+  findHeaderIndex,
+  columnIndexToLetter,
+  resolveRowIdentity,
+  naturalKeyForLead
+};
@@ -0,0 +1,189 @@
+/**
+ * @fileoverview Search, filters and sort order of the Dashboard lead list
+ *
+ * A "lead view" is the Dashboard's current search, filters, sort and page.
+ * It lives in the URL query string so a filtered list can be shared and
+ * bookmarked, and the same view is applied when a dialing session builds
+ * its queue, so reps dial exactly the leads they are looking at.
+ *
+ * URL parameters (all optional):
+ *
+ *   q - Full-text search across name, email, phone and company; every word
+ *       must match the start of a word in the lead (see leads.search_vector)
+ *   status - Lead status, e.g. 'contacted'
+ *   assigned - 'me', 'unassigned' or a rep's user ID
+ *   source - ID of the sync source the lead came from
+ *   contacted_from, contacted_to - Last contacted between these dates
+ *       (YYYY-MM-DD, both inclusive, in the browser's time zone)
+ *   sort - Column to sort by (see LEAD_SORT_COLUMNS), default last_sync
+ *   dir - 'asc' or 'desc', default desc
+ *   page - Page number, default 1
+ */
+
+const { zonedTimeToUtc } = require('./callbackSchedule');
+
+// Lead statuses understood by the app (see docs/supabase_tables.sql)
+const LEAD_STATUSES = ['new', 'contacted', 'converted', 'rejected'];
+
+const LEAD_SORT_COLUMNS = ['name', 'email', 'phone', 'company', 'status', 'last_contacted_at', 'last_sync'];
+
+const DEFAULT_LEAD_VIEW = {
+  q: '',
+  status: '',
+  assigned: '',
+  source: '',
+  contactedFrom: '',
+  contactedTo: '',
+  sort: 'last_sync',
+  dir: 'desc',
+  page: 1
+};
+
+// URL parameter names of view fields that differ from the field name
+const QUERY_PARAM_NAMES = {
+  contactedFrom: 'contacted_from',
+  contactedTo: 'contacted_to'
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Reads a lead view from URL query parameters, ignoring invalid values
+ * @param {Object} query - Parsed query string, e.g. Next.js router.query
+ * @returns {Object} Lead view (see DEFAULT_LEAD_VIEW)
+ */
+function parseLeadView(query = {}) {
+  const param = (field) => {
+    const value = query[QUERY_PARAM_NAMES[field] || field];
+    return Array.isArray(value) ? value[0] : value || '';
+  };
+
+  const page = parseInt(param('page'), 10);
+
+  return {
+    q: param('q').trim(),
+    status: LEAD_STATUSES.includes(param('status')) ? param('status') : '',
+    assigned: ['me', 'unassigned'].includes(param('assigned')) || UUID_PATTERN.test(param('assigned')) ? param('assigned') : '',
+    source: UUID_PATTERN.test(param('source')) ? param('source') : '',
+    contactedFrom: DATE_PATTERN.test(param('contactedFrom')) ? param('contactedFrom') : '',
+    contactedTo: DATE_PATTERN.test(param('contactedTo')) ? param('contactedTo') : '',
+    sort: LEAD_SORT_COLUMNS.includes(param('sort')) ? param('sort') : DEFAULT_LEAD_VIEW.sort,
+    dir: param('dir') === 'asc' ? 'asc' : 'desc',
+    page: page > 0 ? page : 1
+  };
+}
+
+/**
+ * Converts a lead view into URL query parameters, leaving out defaults
+ * @param {Object} view - Lead view
+ * @returns {Object} Query parameters for the URL
+ */
+function leadViewToQuery(view) {
+  const query = {};
+  Object.keys(DEFAULT_LEAD_VIEW).forEach(field => {
+    if (view[field] !== undefined && view[field] !== DEFAULT_LEAD_VIEW[field]) {
+      query[QUERY_PARAM_NAMES[field] || field] = String(view[field]);
+    }
+  });
+  return query;
+}
+
+/**
+ * Checks whether a view narrows the list down at all
+ * @param {Object} view - Lead view
+ * @returns {boolean} Whether any search or filter is set
+ */
+function isLeadViewFiltered(view) {
+  return Boolean(view.q || view.status || view.assigned || view.source ||
+    view.contactedFrom || view.contactedTo);
+}
+
+/**
+ * Builds a prefix-matching tsquery from what the user typed
+ * @param {string} text - Search text
+ * @returns {string} tsquery, e.g. "jane:* & acme:*", or '' if nothing searchable
+ */
+function buildSearchQuery(text) {
+  // Punctuation splits words the same way it does in leads.search_vector
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean)
+    .map(word => `${word}:*`)
+    .join(' & ');
+}
+
+/**
+ * Returns the start of a calendar day as an ISO timestamp
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {number} dayOffset - Days to add (default: 0)
+ * @param {string} timeZone - IANA time zone of the day (default: the local time zone)
+ * @returns {string} ISO timestamp
+ */
+function startOfLocalDay(date, dayOffset = 0, timeZone) {
+  const [year, month, day] = date.split('-').map(Number);
+  if (!timeZone) {
+    return new Date(year, month - 1, day + dayOffset).toISOString();
+  }
+  const shifted = new Date(Date.UTC(year, month - 1, day + dayOffset)).toISOString().slice(0, 10);
+  return zonedTimeToUtc(shifted, '00:00', timeZone).toISOString();
+}
+
+/**
+ * Applies a view's search, filters and sort order to a leads query
+ * @param {Object} query - Supabase query builder on the leads table
+ * @param {Object} view - Lead view
+ * @param {Object} context - Request context
+ * @param {string} context.userId - ID of the signed-in user, for assigned=me
+ * @param {string} context.timeZone - Time zone of the date filters, for views
+ *   applied on the server (default: the local time zone)
+ * @returns {Object} The query builder
+ */
+function applyLeadView(query, view, { userId, timeZone } = {}) {
+  const search = buildSearchQuery(view.q);
+  if (search) {
+    query = query.textSearch('search_vector', search, { config: 'simple' });
+  }
+
+  if (view.status) {
+    query = query.eq('status', view.status);
+  }
+
+  if (view.assigned === 'unassigned') {
+    query = query.is('assigned_to', null);
+  } else if (view.assigned === 'me') {
+    query = query.eq('assigned_to', userId);
+  } else if (view.assigned) {
+    query = query.eq('assigned_to', view.assigned);
+  }
+
+  if (view.source) {
+    query = query.eq('source_id', view.source);
+  }
+
+  if (view.contactedFrom) {
+    query = query.gte('last_contacted_at', startOfLocalDay(view.contactedFrom, 0, timeZone));
+  }
+  if (view.contactedTo) {
+    query = query.lt('last_contacted_at', startOfLocalDay(view.contactedTo, 1, timeZone));
+  }
+
+  // The ID breaks ties so pages never overlap
+  return query
+    .order(view.sort, { ascending: view.dir === 'asc', nullsFirst: false })
+    .order('id', { ascending: true });
+}
+
+module.exports = {
+  LEAD_STATUSES,
+  LEAD_SORT_COLUMNS,
+  DEFAULT_LEAD_VIEW,
+  parseLeadView,
+  leadViewToQuery,
+  isLeadViewFiltered,
+  buildSearchQuery,
+  startOfLocalDay,
+  applyLeadView
+};
@@ -0,0 +1,167 @@
+/**
+ * @fileoverview Working out which time zone a lead is in
+ *
+ * Calling hours are local to the person being called, so every lead gets a
+ * time zone during sync, in order of preference:
+ *
+ *   1. An explicit time zone in the sheet (a column mapped to `timezone`)
+ *   2. The area code of a North American number
+ *   3. The country of the number, for countries with a single time zone
+ *
+ * The result is stored in `leads.timezone`, and where it came from in
+ * `leads.timezone_source` ('sheet', 'area_code' or 'country'). Some area
+ * codes straddle a time zone boundary; those map to every zone they cover,
+ * and the calling-hours check (see callingCompliance.js) must pass in all
+ * of them.
+ */
+
+const { isValidTimeZone } = require('./callbackSchedule');
+
+// North American area codes by time zone. Codes listed under more than one
+// zone straddle a boundary.
+const AREA_CODE_ZONES = {
+  'America/New_York': [
+    201, 202, 203, 207, 212, 215, 216, 220, 223, 227, 229, 234, 239, 240, 248, 252, 260, 267, 270, 276, 283,
+    301, 302, 304, 305, 313, 315, 317, 321, 326, 330, 332, 336, 339, 347, 351, 352, 363, 364, 380, 386,
+    401, 404, 407, 410, 412, 413, 419, 423, 434, 440, 443, 445, 448, 463, 470, 475, 478, 484,
+    502, 508, 513, 516, 517, 518, 540, 551, 561, 567, 570, 571, 574, 582, 585, 586,
+    603, 606, 607, 609, 610, 614, 616, 617, 631, 640, 645, 646, 656, 667, 678, 680, 681, 689,
+    703, 704, 706, 716, 717, 718, 724, 727, 732, 734, 740, 743, 754, 757, 762, 765, 770, 771, 772, 774, 781, 786,
+    802, 803, 804, 810, 812, 813, 814, 826, 828, 835, 838, 839, 843, 845, 848, 850, 854, 856, 857, 859, 860, 862, 863, 864, 865, 878,
+    904, 906, 908, 910, 912, 914, 917, 919, 929, 930, 931, 934, 937, 941, 943, 947, 948, 954, 959, 973, 978, 980, 984, 989
+  ],
+  'America/Toronto': [
+    226, 249, 263, 289, 343, 354, 365, 367, 382, 416, 418, 437, 438, 450, 468, 514, 519, 548, 579, 581,
+    613, 647, 683, 705, 742, 753, 807, 819, 873, 905
+  ],
+  'America/Halifax': [428, 506, 782, 902],
+  'America/St_Johns': [709, 879],
+  'America/Chicago': [
+    205, 210, 214, 217, 218, 219, 224, 225, 228, 251, 254, 256, 262, 270, 274, 281, 308, 309, 312, 314,
+    316, 318, 319, 320, 325, 327, 331, 334, 337, 346, 361, 364, 402, 405, 409, 414, 417, 430, 432, 447,
+    448, 464, 469, 479, 501, 504, 507, 512, 515, 531, 534, 539, 557, 563, 572, 573, 580, 601, 605, 608,
+    612, 615, 618, 620, 629, 630, 636, 641, 651, 659, 660, 662, 682, 701, 708, 712, 713, 715, 726, 730,
+    731, 737, 763, 769, 773, 779, 785, 806, 812, 815, 816, 817, 830, 832, 847, 850, 861, 870, 872, 901,
+    903, 906, 913, 918, 920, 930, 931, 936, 938, 940, 945, 952, 956, 972, 975, 979, 985
+  ],
+  'America/Winnipeg': [204, 431, 584],
+  'America/Regina': [306, 474, 639],
+  'America/Denver': [208, 303, 307, 308, 385, 406, 435, 505, 541, 575, 605, 701, 719, 720, 801, 915, 970, 983, 986],
+  'America/Edmonton': [368, 403, 587, 780, 825],
+  'America/Phoenix': [480, 520, 602, 623, 928],
+  'America/Los_Angeles': [
+    206, 208, 209, 213, 253, 279, 310, 323, 341, 350, 360, 369, 408, 415, 424, 425, 442, 458, 503, 509,
+    510, 530, 541, 559, 562, 564, 619, 626, 628, 650, 657, 661, 669, 702, 707, 714, 725, 747, 760, 775,
+    805, 818, 820, 831, 840, 858, 909, 916, 925, 949, 951, 971, 986
+  ],
+  'America/Vancouver': [236, 250, 257, 604, 672, 778],
+  'America/Anchorage': [907],
+  'Pacific/Honolulu': [808],
+  'America/Puerto_Rico': [787, 939]
+};
+
+// Area code to the time zones it covers
+const AREA_CODE_TIME_ZONES = {};
+Object.entries(AREA_CODE_ZONES).forEach(([timeZone, areaCodes]) => {
+  areaCodes.forEach(areaCode => {
+    AREA_CODE_TIME_ZONES[areaCode] = [...(AREA_CODE_TIME_ZONES[areaCode] || []), timeZone];
+  });
+});
+
+// Countries with a single time zone (ISO country code of the number)
+const COUNTRY_TIME_ZONES = {
+  AE: 'Asia/Dubai',
+  AR: 'America/Argentina/Buenos_Aires',
+  AT: 'Europe/Vienna',
+  BE: 'Europe/Brussels',
+  CH: 'Europe/Zurich',
+  CL: 'America/Santiago',
+  CN: 'Asia/Shanghai',
+  CO: 'America/Bogota',
+  CZ: 'Europe/Prague',
+  DE: 'Europe/Berlin',
+  DK: 'Europe/Copenhagen',
+  FI: 'Europe/Helsinki',
+  FR: 'Europe/Paris',
+  GB: 'Europe/London',
+  GR: 'Europe/Athens',
+  HK: 'Asia/Hong_Kong',
+  IE: 'Europe/Dublin',
+  IL: 'Asia/Jerusalem',
+  IN: 'Asia/Kolkata',
+  IT: 'Europe/Rome',
+  JM: 'America/Jamaica',
+  JP: 'Asia/Tokyo',
+  KE: 'Africa/Nairobi',
+  KR: 'Asia/Seoul',
+  NG: 'Africa/Lagos',
+  NL: 'Europe/Amsterdam',
+  NO: 'Europe/Oslo',
+  NZ: 'Pacific/Auckland',
+  PE: 'America/Lima',
+  PH: 'Asia/Manila',
+  PL: 'Europe/Warsaw',
+  PR: 'America/Puerto_Rico',
+  PT: 'Europe/Lisbon',
+  SE: 'Europe/Stockholm',
+  SG: 'Asia/Singapore',
+  ZA: 'Africa/Johannesburg'
+};
+
+/**
+ * Works out the time zones a lead's phone number may be in
+ * @param {Object} lead - Lead with phone, phone_status and phone_country fields
+ * @returns {Object} { timeZones, source } where source is 'area_code' or
+ *   'country', or null if the number says nothing about the time zone
+ */
+function inferPhoneTimeZones(lead) {
+  if (lead.phone_status === 'invalid') {
+    return { timeZones: [], source: null };
+  }
+
+  const match = /^\+1(\d{3})\d{7}$/.exec(lead.phone || '');
+  if (match) {
+    const timeZones = AREA_CODE_TIME_ZONES[Number(match[1])] || [];
+    return { timeZones, source: timeZones.length > 0 ? 'area_code' : null };
+  }
+
+  const timeZone = COUNTRY_TIME_ZONES[lead.phone_country];
+  return timeZone ? { timeZones: [timeZone], source: 'country' } : { timeZones: [], source: null };
+}
+
+/**
+ * Chooses the time zone to store on a lead
+ * @param {Object} lead - Lead fields, including any timezone from the sheet
+ * @returns {Object} { timezone, timezone_source }, both null if unknown
+ */
+function resolveLeadTimeZone(lead) {
+  if (isValidTimeZone(lead.timezone)) {
+    return { timezone: lead.timezone, timezone_source: 'sheet' };
+  }
+
+  const { timeZones, source } = inferPhoneTimeZones(lead);
+  return { timezone: timeZones[0] || null, timezone_source: source };
+}
+
+/**
+ * Lists every time zone a lead may be in, for checks that must hold in all of them
+ * @param {Object} lead - Lead with timezone, timezone_source and phone fields
+ * @returns {Array<string>} IANA time zones (empty if unknown)
+ */
+function getLeadTimeZones(lead) {
+  if (lead.timezone_source === 'sheet' && isValidTimeZone(lead.timezone)) {
+    return [lead.timezone];
+  }
+
+  const { timeZones } = inferPhoneTimeZones(lead);
+  if (timeZones.length > 0) return timeZones;
+  return isValidTimeZone(lead.timezone) ? [lead.timezone] : [];
+}
+
+module.exports = {
+  AREA_CODE_TIME_ZONES,
+  COUNTRY_TIME_ZONES,
+  inferPhoneTimeZones,
+  resolveLeadTimeZone,
+  getLeadTimeZones
+};
@@ -0,0 +1,113 @@
+/**
+ * @fileoverview Row-level validation and quarantine for synced leads
+ *
+ * Every mapped row is validated before it is written, so one malformed row
+ * (say, one without a name, which the leads table requires) no longer aborts
+ * the whole sync. Rows that fail are written to the `sync_quarantine` table
+ * with their sheet row number and the reasons they were rejected, and are
+ * listed in the sync result so the sheet owner can fix them. The quarantine
+ * for a sync source is replaced on every run, so fixed rows drop out of it.
+ */
+
+const { withSupabaseRetry } = require('./retry');
+
+// Deliberately loose: catches typos like missing "@" without rejecting unusual but valid addresses
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Lead fields the database refuses to store without a value
+const ALWAYS_REQUIRED_FIELDS = ['name'];
+
+/**
+ * Returns true if every cell of a sheet row is empty
+ * @param {Array} dataRow - Array of values from a row in Google Sheet
+ * @returns {boolean} Whether the row is blank
+ */
+function isBlankRow(dataRow) {
+  return dataRow.every(value => value === null || value === undefined || String(value).trim() === '');
+}
+
+/**
+ * Validates a mapped lead against the column mapping and the leads schema
+ * @param {Object} lead - Lead object produced by mapSheetRowToLeadObject
+ * @param {Object} columnMapping - Column mapping used to map the row
+ * @returns {Array<string>} Reasons the lead is invalid (empty if it is valid)
+ */
+function validateLead(lead, columnMapping) {
+  const reasons = [];
+
+  const requiredFields = new Set(ALWAYS_REQUIRED_FIELDS);
+  Object.entries(columnMapping).forEach(([field, spec]) => {
+    if (spec.required) requiredFields.add(field);
+  });
+
+  requiredFields.forEach(field => {
+    const value = lead[field];
+    if (value === null || value === undefined || String(value).trim() === '') {
+      reasons.push(`Missing required field "${field}"`);
+    }
+  });
+
+  if (lead.email && !EMAIL_PATTERN.test(String(lead.email).trim())) {
+    reasons.push(`"${lead.email}" is not a valid email address`);
+  }
+
+  return reasons;
+}
+
+/**
+ * Builds a header-keyed copy of a raw sheet row for the quarantine table
+ * @param {Array} headerRow - Array of column headers from Google Sheet
+ * @param {Array} dataRow - Array of values from a row in Google Sheet
+ * @returns {Object} Map of header to cell value
+ */
+function rowToObject(headerRow, dataRow) {
+  const row = {};
+  headerRow.forEach((header, index) => {
+    row[header || `Column ${index + 1}`] = index < dataRow.length ? dataRow[index] : null;
+  });
+  return row;
+}
+
+/**
+ * Replaces the quarantined rows of a source with the rows rejected by this run
+ * @param {Object} supabase - Supabase client
+ * @param {Object} source - sync_sources row the rows came from
+ * @param {Array} rejected - Array of { rowIndex, sheetKey, reasons, rowData }
+ * @param {Object} rows - Only replace the rows in this range, for a run that read
+ *   just part of the sheet: { startRow, endRow } (default: every row)
+ * @returns {Promise<void>}
+ */
+async function replaceQuarantinedRows(supabase, source, rejected, rows = null) {
+  await withSupabaseRetry(() => {
+    const query = supabase
+      .from('sync_quarantine')
+      .delete()
+      .eq('source_id', source.id);
+    return rows
+      ? query.gte('sheet_row_number', rows.startRow).lte('sheet_row_number', rows.endRow)
+      : query;
+  }, { label: 'Clearing quarantined rows' });
+
+  if (rejected.length === 0) return;
+
+  await withSupabaseRetry(() => supabase
+    .from('sync_quarantine')
+    .insert(rejected.map(row => ({
+      source_id: source.id,
+      sheet_name: source.sheet_name,
+      sheet_row_number: row.rowIndex,
+      sheet_key: row.sheetKey,
+      reasons: row.reasons,
+      row_data: row.rowData
+    }))),
+    { label: 'Quarantining rejected rows' }
+  );
+}
+
+module.exports = {
+  EMAIL_PATTERN,
+  isBlankRow,
+  validateLead,
+  rowToObject,
+  replaceQuarantinedRows
+};
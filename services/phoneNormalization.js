@@ -0,0 +1,89 @@
+/**
+ * @fileoverview Phone number normalization for synced leads
+ *
+ * Sheet phone numbers arrive in any shape ("(555) 123-4567", "555.123.4567 x12",
+ * "+44 20 ..."). During sync each number is parsed with libphonenumber-js and
+ * stored in E.164 form so the dialer can build a reliable `tel:` link.
+ * Extensions are split off into their own field, the original text is kept
+ * for reference, and numbers that cannot be parsed are flagged rather than
+ * dropped so reps can see and fix them.
+ *
+ * === ENVIRONMENT VARIABLES ===
+ *
+ * SYNC_DEFAULT_PHONE_COUNTRY - ISO country code assumed for numbers without
+ *                              a +country prefix (default: 'US')
+ */
+
+const { parsePhoneNumberFromString } = require('libphonenumber-js');
+
+// Values of leads.phone_status
+const PHONE_STATUSES = ['valid', 'invalid', 'missing'];
+
+/**
+ * Returns the default country for numbers written without an international prefix
+ * @param {string} defaultCountry - Explicit override
+ * @returns {string} Two-letter ISO country code
+ */
+function getDefaultPhoneCountry(defaultCountry) {
+  return (defaultCountry || process.env.SYNC_DEFAULT_PHONE_COUNTRY || 'US').toUpperCase();
+}
+
+/**
+ * Parses and normalizes a phone number
+ * @param {string} rawPhone - Phone number as typed in the sheet
+ * @param {string} defaultCountry - Country assumed for national-format numbers
+ * @returns {Object} { phone, phone_raw, phone_extension, phone_status, phone_country }
+ *   where phone is E.164 for valid numbers and the trimmed original otherwise
+ */
+function normalizePhoneNumber(rawPhone, defaultCountry) {
+  const text = rawPhone === undefined || rawPhone === null ? '' : String(rawPhone).trim();
+
+  if (!text) {
+    return {
+      phone: null,
+      phone_raw: null,
+      phone_extension: null,
+      phone_status: 'missing',
+      phone_country: null
+    };
+  }
+
+  const parsed = parsePhoneNumberFromString(text, getDefaultPhoneCountry(defaultCountry));
+
+  if (!parsed || !parsed.isValid()) {
+    return {
+      phone: text,
+      phone_raw: text,
+      phone_extension: null,
+      phone_status: 'invalid',
+      phone_country: null
+    };
+  }
+
+  return {
+    phone: parsed.number,
+    phone_raw: text,
+    phone_extension: parsed.ext || null,
+    phone_status: 'valid',
+    phone_country: parsed.country || null
+  };
+}
+
+/**
+ * Builds a tel: URI for a normalized lead phone, including its extension
+ * @param {Object} lead - Lead with phone and phone_extension fields
+ * @returns {string|null} tel: URI, or null if the lead has no phone
+ */
+function buildTelUri(lead) {
+  if (!lead.phone) return null;
+  return lead.phone_extension
+    ? `tel:${lead.phone};ext=${lead.phone_extension}`
+    : `tel:${lead.phone}`;
+}
+
+module.exports = {
+  PHONE_STATUSES,
+  getDefaultPhoneCountry,
+  normalizePhoneNumber,
+  buildTelUri
+};
@@ -0,0 +1,122 @@
+/**
+ * @fileoverview Retry with exponential backoff for Google and Supabase calls
+ *
+ * Transient failures (rate limiting, 5xx responses, dropped connections) from
+ * the Sheets API or Supabase should not kill a whole sync run. Calls wrapped
+ * with withRetry are retried with exponential backoff and full jitter, i.e.
+ * attempt n waits a random delay between 0 and min(maxDelayMs, baseDelayMs * 2^n),
+ * which spreads retries out when many requests fail at once.
+ *
+ * === ENVIRONMENT VARIABLES ===
+ *
+ * SYNC_MAX_RETRIES - Retries after the first attempt (default: 5)
+ * SYNC_RETRY_BASE_DELAY_MS - Base backoff delay in milliseconds (default: 500)
+ */
+
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE'];
+
+/**
+ * Reads the HTTP status from the different error shapes googleapis and supabase-js produce
+ * @param {Error|Object} error - Error thrown or returned by an API call
+ * @returns {number|null} HTTP status code, if known
+ */
+function getErrorStatus(error) {
+  if (!error) return null;
+  if (typeof error.status === 'number') return error.status;
+  if (error.response && typeof error.response.status === 'number') return error.response.status;
+  if (typeof error.code === 'number') return error.code;
+  return null;
+}
+
+/**
+ * Decides whether an error is worth retrying
+ * @param {Error|Object} error - Error thrown or returned by an API call
+ * @returns {boolean} True for 408, 429, 5xx and network-level failures
+ */
+function isRetryableError(error) {
+  const status = getErrorStatus(error);
+  if (status === 408 || status === 429 || (status >= 500 && status < 600)) {
+    return true;
+  }
+  if (error && RETRYABLE_NETWORK_CODES.includes(error.code)) {
+    return true;
+  }
+  // supabase-js reports network failures as a fetch error without an HTTP status
+  return Boolean(error && !status && /fetch failed|network/i.test(error.message || ''));
+}
+
+/**
+ * Computes the backoff delay before a retry (exponential with full jitter)
+ * @param {number} attempt - Zero-based retry number
+ * @param {number} baseDelayMs - Base delay in milliseconds
+ * @param {number} maxDelayMs - Upper bound for the delay in milliseconds
+ * @returns {number} Delay in milliseconds
+ */
+function getBackoffDelay(attempt, baseDelayMs, maxDelayMs) {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, attempt));
+  return Math.floor(Math.random() * ceiling);
+}
+
+/**
+ * Runs an async operation, retrying transient failures with backoff
+ * @param {Function} operation - Async function to run; receives the attempt number
+ * @param {Object} options - Retry options
+ * @param {string} options.label - Description used in log messages
+ * @param {number} options.retries - Retries after the first attempt (default: SYNC_MAX_RETRIES or 5)
+ * @param {number} options.baseDelayMs - Base backoff delay (default: SYNC_RETRY_BASE_DELAY_MS or 500)
+ * @param {number} options.maxDelayMs - Maximum backoff delay (default: 30000)
+ * @param {Function} options.isRetryable - Predicate deciding if an error is retried (default: isRetryableError)
+ * @returns {Promise<*>} Result of the operation
+ */
+async function withRetry(operation, options = {}) {
+  const {
+    label = 'operation',
+    retries = Number(process.env.SYNC_MAX_RETRIES || 5),
+    baseDelayMs = Number(process.env.SYNC_RETRY_BASE_DELAY_MS || 500),
+    maxDelayMs = 30000,
+    isRetryable = isRetryableError
+  } = options;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await operation(attempt);
+    } catch (error) {
+      if (attempt >= retries || !isRetryable(error)) {
+        error.attempts = attempt + 1;
+        throw error;
+      }
+
+      const delay = getBackoffDelay(attempt, baseDelayMs, maxDelayMs);
+      console.warn(`${label} failed (${error.message}); retry ${attempt + 1}/${retries} in ${delay}ms`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/**
+ * Runs a Supabase query with retries, turning a returned error into a thrown one
+ * @param {Function} buildQuery - Function returning a fresh query builder for each attempt
+ * @param {Object} options - Options for withRetry
+ * @returns {Promise<Object>} The query response ({ data, count, ... })
+ */
+async function withSupabaseRetry(buildQuery, options = {}) {
+  return withRetry(async () => {
+    const response = await buildQuery();
+    if (response.error) {
+      const error = response.error instanceof Error
+        ? response.error
+        : Object.assign(new Error(response.error.message), response.error);
+      error.status = response.status;
+      throw error;
+    }
+    return response;
+  }, options);
+}
+
+module.exports = {
+  getErrorStatus,
+  isRetryableError,
+  getBackoffDelay,
+  withRetry,
+  withSupabaseRetry
+};
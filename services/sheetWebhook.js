@@ -0,0 +1,187 @@
+/**
+ * @fileoverview Near-real-time sync of sheet edits
+ *
+ * Scheduled syncs read a source only once its interval has elapsed (see
+ * syncSources.js), so a lead added to the sheet could take hours to reach
+ * the dialer. An Apps Script trigger installed in the spreadsheet
+ * (docs/apps-script/sheetChangeWebhook.gs) posts every change to
+ * /api/sheet-webhook, and the changed rows are synced right away:
+ *
+ * - Edits to data rows sync just those rows.
+ * - Edits to the header row, edits spanning more than SHEET_WEBHOOK_MAX_ROWS
+ *   rows, and rows inserted or removed (reported without a range) sync the
+ *   whole source, since they can move or remove any lead.
+ * - Edits to the do-not-call tab import it (see dncService.js). An import
+ *   that fails is retried by the next cron run, which imports the tab on
+ *   every run.
+ * - Edits to other tabs are ignored.
+ * - Changes reported without a tab sync every source in the spreadsheet, and
+ *   import the do-not-call tab if it is there. Apps Script change events
+ *   (rows inserted or removed) do not reliably say which tab changed.
+ *
+ * A change that cannot be synced right away, because another sync holds
+ * the lock for too long or the sync fails, is recorded on its source, and
+ * the next cron run syncs the whole source. The scheduled sync stays the
+ * reconciler for anything notifications miss: Apps Script does not report
+ * changes made through the Sheets API or by other scripts, and targeted
+ * syncs do not remove leads.
+ *
+ * === ENVIRONMENT VARIABLES ===
+ *
+ * SHEET_WEBHOOK_SECRET - Shared secret the Apps Script sends (see apiAuth.js)
+ * SHEET_WEBHOOK_MAX_ROWS - Optional: most rows synced on their own (default: 500)
+ */
+
+const { syncSheetsToSupabase, importDncSheet, getSupabaseClient } = require('./sheetsToSupabaseSync');
+const { findSyncSource, findSpreadsheetSources, markSourceChanged } = require('./syncSources');
+
+// How long a notification waits for a sync that is already running; edits
+// usually arrive in bursts, each syncing in a few seconds
+const LOCK_WAIT_SECONDS = 20;
+
+/**
+ * Reads a change notification posted by the Apps Script
+ * @param {Object} body - Parsed JSON body
+ * @returns {Object|null} { spreadsheetId, sheetName, startRow, endRow }, where the
+ *   rows are null for changes without a range and sheetName is null for
+ *   changes to an unknown tab, or null if the body is not a valid notification
+ */
+function parseSheetChange(body) {
+  if (!body || typeof body !== 'object') return null;
+
+  const spreadsheetId = typeof body.spreadsheetId === 'string' ? body.spreadsheetId.trim() : '';
+  const sheetName = typeof body.sheetName === 'string' ? body.sheetName : '';
+  const hasRange = body.startRow !== undefined && body.startRow !== null;
+  // Changes without a range may leave out the tab they were made in
+  if (!spreadsheetId || (!sheetName && (hasRange || body.sheetName !== undefined))) return null;
+
+  const startRow = Number(body.startRow);
+  const endRow = Number(body.endRow === undefined || body.endRow === null ? body.startRow : body.endRow);
+  if (hasRange && !(Number.isInteger(startRow) && Number.isInteger(endRow) && startRow >= 1 && endRow >= startRow)) {
+    return null;
+  }
+
+  return {
+    spreadsheetId,
+    sheetName: sheetName || null,
+    startRow: hasRange ? startRow : null,
+    endRow: hasRange ? endRow : null
+  };
+}
+
+/**
+ * Imports the do-not-call tab, reporting a failure instead of throwing it
+ * @param {Object} supabase - Supabase client with the service role
+ * @param {Object} options - Options for importDncSheet
+ * @returns {Promise<Object>} The import result, or { sheetName, error } if it failed
+ */
+async function importDncSheetSafely(supabase, options) {
+  try {
+    return await importDncSheet(supabase, options);
+  } catch (error) {
+    console.error('Error importing the do-not-call tab:', error);
+    return { sheetName: options.sheetName, error: error.message };
+  }
+}
+
+/**
+ * Syncs every source of a spreadsheet after a change to an unknown tab
+ * @param {Object} supabase - Supabase client with the service role
+ * @param {string} spreadsheetId - ID of the spreadsheet
+ * @param {string} defaultPhoneCountry - Country assumed for national-format phone numbers
+ * @returns {Promise<Object>} { action: 'spreadsheet', success, locked, sources, dnc }
+ *   where sources holds each source's sync result
+ */
+async function syncSpreadsheetChange(supabase, spreadsheetId, defaultPhoneCountry) {
+  // Numbers already on the list still apply, so the sources are synced even
+  // if the tab cannot be imported
+  const dncSpreadsheetId = process.env.DNC_SPREADSHEET_ID || process.env.GOOGLE_SHEET_ID;
+  const dnc = process.env.DNC_SHEET_NAME && spreadsheetId === dncSpreadsheetId
+    ? await importDncSheetSafely(supabase, { spreadsheetId, sheetName: process.env.DNC_SHEET_NAME, defaultPhoneCountry })
+    : null;
+
+  const sources = await findSpreadsheetSources(supabase, spreadsheetId);
+  const results = [];
+  for (const source of sources) {
+    const result = await syncSheetsToSupabase({
+      sourceId: source.id,
+      trigger: 'webhook',
+      lockWaitSeconds: LOCK_WAIT_SECONDS,
+      defaultPhoneCountry
+    });
+    if (!result.success) {
+      await markSourceChanged(supabase, source.id);
+    }
+    results.push(result);
+  }
+
+  const failed = results.filter(result => !result.success);
+  return {
+    action: 'spreadsheet',
+    success: failed.length === 0,
+    // Only lock waits failed, so the next cron run catches up
+    locked: failed.length > 0 && failed.every(result => result.locked),
+    ...(failed.length === 0 ? {} : { error: failed.map(result => result.error).join('; ') }),
+    sources: results,
+    dnc
+  };
+}
+
+/**
+ * Syncs what a sheet change affected
+ * @param {Object} change - Output of parseSheetChange
+ * @param {Object} options - Options
+ * @param {number} options.maxRows - Most rows synced on their own (default: SHEET_WEBHOOK_MAX_ROWS or 500)
+ * @param {string} options.defaultPhoneCountry - Country assumed for phone numbers without
+ *   a +country prefix (default: SYNC_DEFAULT_PHONE_COUNTRY or 'US')
+ * @returns {Promise<Object>} { action, success, ... } where action is 'rows' or
+ *   'source' with the sync result (see syncSheetsToSupabase), 'spreadsheet'
+ *   with the result of every source of the spreadsheet under `sources`, 'dnc'
+ *   with the do-not-call tab import under `dnc`, or 'ignored' with a `reason`
+ */
+async function syncSheetChange(change, options = {}) {
+  const {
+    maxRows = Number(process.env.SHEET_WEBHOOK_MAX_ROWS || 500),
+    defaultPhoneCountry
+  } = options;
+  const { spreadsheetId, sheetName, startRow, endRow } = change;
+  const supabase = getSupabaseClient();
+
+  if (!sheetName) {
+    return syncSpreadsheetChange(supabase, spreadsheetId, defaultPhoneCountry);
+  }
+
+  const dncSpreadsheetId = process.env.DNC_SPREADSHEET_ID || process.env.GOOGLE_SHEET_ID;
+  if (process.env.DNC_SHEET_NAME && sheetName === process.env.DNC_SHEET_NAME && spreadsheetId === dncSpreadsheetId) {
+    const dnc = await importDncSheetSafely(supabase, { spreadsheetId, sheetName, defaultPhoneCountry });
+    return dnc.error
+      ? { action: 'dnc', success: false, error: dnc.error, dnc }
+      : { action: 'dnc', success: true, dnc };
+  }
+
+  const source = await findSyncSource(supabase, spreadsheetId, sheetName);
+  if (!source) {
+    return { action: 'ignored', success: true, reason: `"${sheetName}" is not a sync source` };
+  }
+
+  // Data rows only: a new header can change how every row maps
+  const targeted = startRow !== null && startRow >= 2 && endRow - startRow < maxRows;
+  const result = await syncSheetsToSupabase({
+    sourceId: source.id,
+    rows: targeted ? { startRow, endRow } : null,
+    trigger: 'webhook',
+    lockWaitSeconds: LOCK_WAIT_SECONDS,
+    defaultPhoneCountry
+  });
+
+  if (!result.success) {
+    await markSourceChanged(supabase, source.id);
+  }
+
+  return { action: targeted ? 'rows' : 'source', ...result };
+}
+
+module.exports = {
+  parseSheetChange,
+  syncSheetChange
+};
@@ -0,0 +1,248 @@
+/**
+ * @fileoverview Two-way sync: writing lead fields back to the Google Sheet
+ *
+ * Managers work from the sheet, so fields reps change in the dialer (status,
+ * last contact time, latest disposition) are pushed back to designated sheet
+ * columns during each sync. Cells are located by the lead's row in this run
+ * and sent in batched updates.
+ *
+ * Conflicts are detected against `leads.sheet_snapshot`, which stores the
+ * value each written-back field had in the sheet at the last sync:
+ * - Only the app changed the field - the app value is written to the sheet
+ * - Only the sheet changed it - the sheet value is written to the lead
+ * - Both changed it - the conflict policy decides ('sheet_wins' or 'app_wins')
+ *
+ * Fields the column mapping does not read from the sheet (such as
+ * last_disposition) are owned by the app and always written to the sheet.
+ *
+ * === CONFIGURATION ===
+ *
+ * Per source (see syncSources.js), or from the environment for all sources:
+ *
+ *   writeback_columns / SYNC_WRITEBACK_COLUMNS - JSON object of lead field to
+ *     sheet header, e.g. {"status": "Status", "last_disposition": "Disposition"}
+ *   conflict_policy / SYNC_CONFLICT_POLICY - 'sheet_wins' (default) or 'app_wins'
+ *
+ * The service account needs Editor access to sheets with write-back enabled.
+ */
+
+const { findHeaderIndex, columnIndexToLetter } = require('./leadIdentity');
+const { withRetry, withSupabaseRetry } = require('./retry');
+
+// Lead fields that may be written back to the sheet
+const WRITEBACK_FIELDS = ['status', 'last_contacted_at', 'last_disposition', 'notes'];
+
+const CONFLICT_POLICIES = ['sheet_wins', 'app_wins'];
+
+// Ranges per values.batchUpdate request
+const SHEET_UPDATE_BATCH_SIZE = 500;
+
+/**
+ * Reads a JSON object from an environment variable
+ * @param {string} name - Name of the variable
+ * @returns {Object} The parsed object, or an empty object if the variable is not set
+ */
+function parseJsonSetting(name) {
+  const value = process.env[name];
+  if (!value) return {};
+
+  let parsed;
+  try {
+    parsed = JSON.parse(value);
+  } catch (error) {
+    throw new Error(`${name} is not valid JSON: ${error.message}`);
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error(`${name} must be a JSON object`);
+  }
+  return parsed;
+}
+
+/**
+ * Reads the write-back configuration from sync options and the environment
+ * @param {Object} options - Sync options (see sourceToSyncOptions)
+ * @param {Object} options.writebackColumns - Lead field to sheet header
+ *   (default: SYNC_WRITEBACK_COLUMNS or none)
+ * @param {string} options.conflictPolicy - 'sheet_wins' or 'app_wins'
+ *   (default: SYNC_CONFLICT_POLICY or 'sheet_wins')
+ * @returns {Object} { columns, conflictPolicy }
+ */
+function getWritebackConfig(options = {}) {
+  const {
+    writebackColumns = parseJsonSetting('SYNC_WRITEBACK_COLUMNS'),
+    conflictPolicy = process.env.SYNC_CONFLICT_POLICY || 'sheet_wins'
+  } = options;
+
+  if (!CONFLICT_POLICIES.includes(conflictPolicy)) {
+    throw new Error(`Unknown conflict policy "${conflictPolicy}"`);
+  }
+
+  Object.keys(writebackColumns).forEach(field => {
+    if (!WRITEBACK_FIELDS.includes(field)) {
+      throw new Error(`Lead field "${field}" cannot be written back to the sheet`);
+    }
+  });
+
+  return { columns: writebackColumns, conflictPolicy };
+}
+
+/**
+ * Formats a field value the way it is compared with, and written to, the sheet
+ * @param {string} field - Lead field
+ * @param {*} value - Value from the lead or the sheet
+ * @returns {string} Normalized value ('' for empty)
+ */
+function formatSheetValue(field, value) {
+  if (value === null || value === undefined || String(value).trim() === '') {
+    return '';
+  }
+
+  // Timestamps come back from Postgres and the column mapping in different ISO forms
+  if (field.endsWith('_at')) {
+    const date = new Date(value);
+    if (!Number.isNaN(date.getTime())) return date.toISOString();
+  }
+
+  return String(value).trim();
+}
+
+/**
+ * Decides, field by field, which side wins for every lead already in the database
+ *
+ * Leads whose app values win have those values copied onto the lead object,
+ * so writing the sheet's other changes does not overwrite them. Leads whose
+ * sheet values win but would otherwise be skipped as unchanged are listed in
+ * forceWriteKeys.
+ *
+ * @param {Object} params - Inputs
+ * @param {Array} params.leads - Lead objects from loadSheetLeads
+ * @param {Map<string, Object>} params.existingLeads - Output of fetchExistingLeads
+ *   (including the written-back fields and sheet_snapshot)
+ * @param {Map<string, Array>} params.sheetRows - sheet_key to raw sheet row
+ * @param {Array} params.headerRow - Array of column headers from Google Sheet
+ * @param {Object} params.config - Output of getWritebackConfig
+ * @returns {Object} { cellUpdates, snapshots, forceWriteKeys, conflicts, missingColumns }
+ *   where snapshots maps sheet_key to the lead's new sheet_snapshot
+ */
+function planWriteback({ leads, existingLeads, sheetRows, headerRow, config }) {
+  const cellUpdates = [];
+  const snapshots = new Map();
+  const forceWriteKeys = new Set();
+  const conflicts = [];
+
+  const columns = [];
+  const missingColumns = [];
+  Object.entries(config.columns).forEach(([field, header]) => {
+    const index = findHeaderIndex(headerRow, header);
+    if (index < 0) {
+      missingColumns.push(header);
+    } else {
+      columns.push({ field, index });
+    }
+  });
+
+  if (columns.length === 0) {
+    return { cellUpdates, snapshots, forceWriteKeys, conflicts, missingColumns };
+  }
+
+  leads.forEach(lead => {
+    const existing = existingLeads.get(lead.sheet_key);
+    const dataRow = sheetRows.get(lead.sheet_key) || [];
+    const rowIndex = Number(lead.sheet_row_id);
+    const snapshot = { ...((existing && existing.sheet_snapshot) || {}) };
+
+    columns.forEach(({ field, index }) => {
+      // Mapped fields are read from the sheet too; the rest belong to the app
+      const twoWay = field in lead;
+      const sheetValue = formatSheetValue(field, twoWay ? lead[field] : dataRow[index]);
+
+      // New leads are written with the sheet's values
+      if (!existing) {
+        snapshot[field] = sheetValue;
+        return;
+      }
+
+      const appValue = formatSheetValue(field, existing[field]);
+      if (sheetValue === appValue) {
+        snapshot[field] = sheetValue;
+        return;
+      }
+
+      const base = snapshot[field];
+      const sheetChanged = twoWay && (base === undefined || sheetValue !== base);
+      const appChanged = !twoWay || base === undefined || appValue !== base;
+
+      let winner = appChanged ? 'app' : 'sheet';
+      if (sheetChanged && appChanged) {
+        winner = config.conflictPolicy === 'app_wins' ? 'app' : 'sheet';
+        conflicts.push({ sheetKey: lead.sheet_key, rowNumber: rowIndex, field, sheetValue, appValue, winner });
+      }
+
+      if (winner === 'app') {
+        cellUpdates.push({ rowIndex, columnIndex: index, value: appValue });
+        if (twoWay) lead[field] = existing[field];
+        snapshot[field] = appValue;
+      } else {
+        forceWriteKeys.add(lead.sheet_key);
+        snapshot[field] = sheetValue;
+      }
+    });
+
+    snapshots.set(lead.sheet_key, snapshot);
+  });
+
+  return { cellUpdates, snapshots, forceWriteKeys, conflicts, missingColumns };
+}
+
+/**
+ * Writes app values to their sheet cells in batched updates
+ * @param {Object} sheets - Google Sheets API client with write access
+ * @param {string} spreadsheetId - ID of the spreadsheet
+ * @param {string} sheetName - Name of the sheet
+ * @param {Array} cellUpdates - Array of { rowIndex, columnIndex, value }
+ * @returns {Promise<number>} Number of cells written
+ */
+async function writeCellsToSheet(sheets, spreadsheetId, sheetName, cellUpdates) {
+  for (let i = 0; i < cellUpdates.length; i += SHEET_UPDATE_BATCH_SIZE) {
+    const chunk = cellUpdates.slice(i, i + SHEET_UPDATE_BATCH_SIZE);
+
+    await withRetry(() => sheets.spreadsheets.values.batchUpdate({
+      spreadsheetId,
+      requestBody: {
+        valueInputOption: 'RAW',
+        data: chunk.map(({ rowIndex, columnIndex, value }) => ({
+          range: `${sheetName}!${columnIndexToLetter(columnIndex)}${rowIndex}`,
+          values: [[value]]
+        }))
+      }
+    }), { label: `Writing ${chunk.length} lead values to the sheet` });
+  }
+
+  return cellUpdates.length;
+}
+
+/**
+ * Stores new sheet snapshots for leads that are not otherwise being written
+ * @param {Object} supabase - Supabase client with the service role
+ * @param {Array} snapshots - Array of { id, sheet_snapshot }
+ * @param {number} batchSize - Leads per request (default: 500)
+ * @returns {Promise<void>}
+ */
+async function saveSheetSnapshots(supabase, snapshots, batchSize = 500) {
+  for (let i = 0; i < snapshots.length; i += batchSize) {
+    const chunk = snapshots.slice(i, i + batchSize);
+    await withSupabaseRetry(() => supabase.rpc('apply_sheet_snapshots', { snapshots: chunk }),
+      { label: 'Saving sheet snapshots' });
+  }
+}
+
+module.exports = {
+  WRITEBACK_FIELDS,
+  CONFLICT_POLICIES,
+  parseJsonSetting,
+  getWritebackConfig,
+  formatSheetValue,
+  planWriteback,
+  writeCellsToSheet,
+  saveSheetSnapshots
+};
@@ -5,13 +5,75 @@
  * It handles authentication with Google's API, fetches data with pagination,
  * and writes the data to a specified Supabase table.
  * 
+ * Syncs are incremental by default: every mapped row is fingerprinted and
+ * compared with the fingerprint stored on the matching lead, and only new or
+ * changed rows are written. Unchanged leads keep their previous last_sync.
+ * 
+ * Leads whose rows have been removed from the sheet are reconciled according
+ * to the delete policy: archived (soft, the default), deleted (hard) or left
+ * untouched (ignore). Archived leads are restored if their row reappears.
+ * 
+ * Leads are matched to sheet rows by a stable sheet_key rather than by row
+ * number, so sorting the sheet or inserting rows does not move data between
+ * leads. Databases synced before sheet_key existed must be migrated once with
+ * the --migrate-identity flag; the sync refuses to run until they are.
+ * 
+ * Rows are validated before writing (see leadValidation.js). Invalid rows are
+ * quarantined in the sync_quarantine table instead of failing the whole run.
+ * 
+ * Writes are sent in batches, and Google and Supabase calls are retried with
+ * exponential backoff (see retry.js). A failed batch does not stop the others;
+ * the result lists every batch and its outcome, and rerunning the sync
+ * rewrites only the rows that did not make it.
+ * 
+ * Every enabled source in the sync_sources registry is synced in turn, each
+ * with its own spreadsheet, tab, column mapping and schedule (see
+ * syncSources.js). Leads record their source in source_id and are keyed by
+ * (source_id, sheet_key), so rows in different tabs never collide.
+ * 
+ * Sync is two-way for configured fields: values reps change in the app, such
+ * as status or the latest disposition, are written back to sheet columns,
+ * with a conflict policy for fields changed on both sides (see
+ * sheetWriteback.js). Fields reps edited in the lead view are only
+ * overwritten by the sheet when their per-field policy allows it (see
+ * leadEdits.js).
+ * 
+ * The sync never writes dnc_at: the set_lead_dnc_at trigger checks each
+ * lead's number against the do-not-call list as it is written, so a row that
+ * is still in the sheet never comes back as callable. The list's own sheet
+ * tab, if configured, is imported first (see dncService.js).
+ * 
+ * After the sources run, leads written that look like other leads are
+ * flagged for review. Rows whose lead was merged into another one are left
+ * alone, so the surviving lead keeps standing for them (see leadDuplicates.js).
+ * 
+ * Edits in the sheet can be synced as they happen: the sheet change webhook
+ * (see sheetWebhook.js) syncs just the rows that changed, with the `rows`
+ * option. Such runs leave removed rows and the do-not-call tab to the
+ * scheduled syncs, which read the whole sheet.
+ * 
+ * Every run is recorded in the sync_runs table (see syncRunHistory.js).
+ * Runs hold a lock (see syncLock.js), so a second sync started while one is
+ * in progress returns immediately instead of racing it.
+ * 
  * === ENVIRONMENT VARIABLES REQUIRED ===
  * 
  * GOOGLE_SERVICE_ACCOUNT_EMAIL - Email of the Google Service Account
  * GOOGLE_PRIVATE_KEY - Private key for the Google Service Account (with newlines as \n)
- * GOOGLE_SHEET_ID - ID of the Google Sheet to read from (from the URL)
+ * GOOGLE_SHEET_ID - ID of the Google Sheet registered as the default source
+ *   when no sync source exists yet (from the URL)
  * SUPABASE_URL - URL of your Supabase project
  * SUPABASE_SERVICE_ROLE_KEY - Service role key for Supabase (admin access)
+ * SYNC_DELETE_POLICY - Optional: 'soft' (default), 'hard' or 'ignore'
+ * SYNC_IDENTITY_STRATEGY, SYNC_ID_COLUMN, SYNC_WRITE_BACK_IDS - Optional, see leadIdentity.js
+ * SYNC_COLUMN_MAPPING_FILE - Optional, see leadFieldMapping.js
+ * SYNC_DEFAULT_PHONE_COUNTRY - Optional, see phoneNormalization.js
+ * SYNC_WRITE_BATCH_SIZE - Optional: leads per upsert request (default: 500)
+ * SYNC_MAX_RETRIES, SYNC_RETRY_BASE_DELAY_MS - Optional, see retry.js
+ * SYNC_LOCK_TTL_SECONDS - Optional, see syncLock.js
+ * SYNC_WRITEBACK_COLUMNS, SYNC_CONFLICT_POLICY - Optional, see sheetWriteback.js
+ * SYNC_FIELD_POLICIES - Optional, see leadEdits.js
+ * DNC_SHEET_NAME, DNC_SPREADSHEET_ID - Optional, see dncService.js
  * 
  * === GOOGLE SETUP INSTRUCTIONS ===
  * 
@@ -35,6 +97,7 @@
  *    - Open your Google Sheet
  *    - Click "Share" button
  *    - Add your service account email with "Viewer" access
+ *      ("Editor" if SYNC_WRITE_BACK_IDS or write-back columns are enabled)
  * 
  * === SUPABASE SETUP INSTRUCTIONS ===
  * 
@@ -42,19 +105,37 @@
  *    - id (uuid, primary key)
  *    - name (text)
  *    - email (text)
- *    - phone (text)
+ *    - phone (text) - E.164 when the number is valid, otherwise as typed
+ *    - phone_raw, phone_extension, phone_status, phone_country (text)
+ *    - timezone, timezone_source (text) - Lead's IANA time zone, from the sheet
+ *      or inferred from the phone number (see leadTimeZone.js)
+ *    - dnc_at (timestamp) - When the lead's number was put on the do-not-call list
+ *    - merged_into (uuid) - Lead this one was merged into, if it was a duplicate
  *    - company (text)
  *    - notes (text)
- *    - sheet_row_id (text, unique) - To track which row in the sheet this came from
+ *    - source (text) - 'google_sheets' for synced leads, 'file_import' for uploaded files (see fileImport.js)
+ *    - source_id (uuid) - sync_sources row the lead was synced from
+ *    - sheet_key (text, unique per source) - Stable identity of the sheet row (see leadIdentity.js)
+ *    - sheet_row_id (text) - Row number of the lead in the sheet when its data last changed
  *    - created_at (timestamp with time zone)
  *    - updated_at (timestamp with time zone)
  *    - last_sync (timestamp with time zone)
- *    (Note: Adjust fields based on your Google Sheet's actual columns)
+ *    - row_hash (text) - Fingerprint of the sheet row, used by incremental sync
+ *    - sheet_snapshot (jsonb) - Written-back fields as last seen in the sheet
+ *    - manual_edits (jsonb) - Fields edited in the app since the last sync (see leadEdits.js)
+ *    - last_disposition (text) - Outcome of the most recent call
+ *    - archived_at (timestamp with time zone) - Set when the row is removed from the sheet
+ *    - extra (jsonb) - Sheet columns that are not mapped to a lead field
+ *    (Note: Map your sheet's headers to these fields in leadFieldMapping.js
+ *    or with SYNC_COLUMN_MAPPING_FILE)
  * 
  * === USAGE ===
  * 
  * Run this script directly to perform a sync:
  *   node services/sheetsToSupabaseSync.js
+ *   node services/sheetsToSupabaseSync.js --full   # rewrite every row
+ *   node services/sheetsToSupabaseSync.js --source <id>   # sync one source
+ *   node services/sheetsToSupabaseSync.js --migrate-identity   # key legacy leads
  * 
  * Or import the functions to use programmatically:
  *   const { syncSheetsToSupabase } = require('./services/sheetsToSupabaseSync');
@@ -64,10 +145,14 @@
  *   
  *   // Sync with custom options
  *   syncSheetsToSupabase({
- *     sheetName: 'Sheet2', // Default is 'Sheet1'
+ *     sourceId: '...',     // Default is every enabled source
  *     batchSize: 100,      // Default is 50
- *     forceFullSync: true  // Default is false (incremental sync)
+ *     forceFullSync: true, // Default is false (incremental sync)
+ *     deletePolicy: 'hard' // Default is 'soft' (archive removed rows)
  *   });
+ *   
+ *   // Sync only rows 12 to 14 of one source
+ *   syncSheetsToSupabase({ sourceId: '...', rows: { startRow: 12, endRow: 14 } });
  * 
  * === SCHEDULING ===
  * 
@@ -76,6 +161,10 @@
  * 2. External services like GitHub Actions with cron triggers
  * 3. Traditional cron jobs if hosted on a server
  * 
+ * Cron runs only sync the sources whose sync_interval_minutes has elapsed
+ * since their last successful sync, so schedule the job at least as often as
+ * the shortest interval. Manual and CLI runs sync every source.
+ * 
  * === ERROR HANDLING ===
  * 
  * The script includes error handling for:
@@ -88,14 +177,55 @@
  */
 
 require('dotenv').config();
+const crypto = require('crypto');
 const { google } = require('googleapis');
 const { createClient } = require('@supabase/supabase-js');
+const {
+  getIdentityConfig,
+  findHeaderIndex,
+  columnIndexToLetter,
+  resolveRowIdentity,
+  naturalKeyForLead
+} = require('./leadIdentity');
+const {
+  DEFAULT_COLUMN_MAPPING,
+  loadColumnMapping,
+  mapRowFields,
+  keepStatusWhenEmpty
+} = require('./leadFieldMapping');
+const { normalizePhoneNumber } = require('./phoneNormalization');
+const { resolveLeadTimeZone } = require('./leadTimeZone');
+const {
+  isBlankRow,
+  validateLead,
+  rowToObject,
+  replaceQuarantinedRows
+} = require('./leadValidation');
+const { withRetry, withSupabaseRetry } = require('./retry');
+const { startSyncRun, finishSyncRun } = require('./syncRunHistory');
+const { acquireSyncLock, renewSyncLock, releaseSyncLock } = require('./syncLock');
+const {
+  getWritebackConfig,
+  planWriteback,
+  writeCellsToSheet,
+  saveSheetSnapshots
+} = require('./sheetWriteback');
+const { MANUAL_EDIT_COLUMNS, getManualEditConfig, planManualEdits } = require('./leadEdits');
+const { assignLeadsByRules } = require('./leadAssignment');
+const { detectDuplicateLeads } = require('./leadDuplicates');
+const { extractPhoneColumn, normalizeDncNumbers, loadDncNumbers, addDncNumbers } = require('./dncService');
+const {
+  listSyncSources,
+  ensureDefaultSource,
+  isSourceDue,
+  sourceToSyncOptions,
+  markSourceSynced
+} = require('./syncSources');
 
 // Validate required environment variables
 const requiredEnvVars = [
   'GOOGLE_SERVICE_ACCOUNT_EMAIL',
   'GOOGLE_PRIVATE_KEY',
-  'GOOGLE_SHEET_ID',
   'SUPABASE_URL',
   'SUPABASE_SERVICE_ROLE_KEY'
 ];
@@ -106,11 +236,16 @@ requiredEnvVars.forEach(varName => {
   }
 });
 
+// How leads are handled when their row disappears from the sheet
+const DELETE_POLICIES = ['soft', 'hard', 'ignore'];
+
 /**
  * Authenticate with Google Sheets API using service account
+ * @param {Object} options - Client options
+ * @param {boolean} options.readOnly - Request read-only access (default: true)
  * @returns {Object} Google Sheets API client
  */
-function getGoogleSheetsClient() {
+function getGoogleSheetsClient({ readOnly = true } = {}) {
   // Parse the private key correctly (handling newlines)
   const privateKey = process.env.GOOGLE_PRIVATE_KEY.replace(/\\n/g, '\n');
   
@@ -118,7 +253,9 @@ function getGoogleSheetsClient() {
     process.env.GOOGLE_SERVICE_ACCOUNT_EMAIL,
     null,
     privateKey,
-    ['https://www.googleapis.com/auth/spreadsheets.readonly']
+    [readOnly
+      ? 'https://www.googleapis.com/auth/spreadsheets.readonly'
+      : 'https://www.googleapis.com/auth/spreadsheets']
   );
   
   return google.sheets({ version: 'v4', auth });
@@ -136,112 +273,277 @@ function getSupabaseClient() {
 }
 
 /**
- * Get the latest sync timestamp from the leads table
+ * Maps Google Sheets columns to Supabase table fields
+ * Headers are matched to lead fields through the column mapping (see
+ * leadFieldMapping.js); values are coerced to each field's type, and columns
+ * that match no field are collected in the `extra` JSONB field. Phone numbers
+ * are normalized to E.164 (see phoneNormalization.js).
+ * @param {Array} headerRow - Array of column headers from Google Sheet
+ * @param {Array} dataRow - Array of values from a row in Google Sheet
+ * @param {number} rowIndex - Index of the row in the sheet (for tracking)
+ * @param {Object} options - Mapping options
+ * @param {Object} options.columnMapping - Column mapping (default: DEFAULT_COLUMN_MAPPING)
+ * @param {Array<number>} options.excludedColumns - Column indexes that are not lead fields (e.g. the ID column)
+ * @param {string} options.defaultPhoneCountry - Country assumed for national-format phone numbers
+ * @param {Array} options.issues - If given, values that could not be coerced are reported here
+ * @returns {Object} Mapped object ready for Supabase
+ */
+function mapSheetRowToLeadObject(headerRow, dataRow, rowIndex, options = {}) {
+  const {
+    columnMapping = DEFAULT_COLUMN_MAPPING,
+    excludedColumns = [],
+    defaultPhoneCountry,
+    issues
+  } = options;
+  
+  const { fields, issues: rowIssues } = mapRowFields(headerRow, dataRow, columnMapping, excludedColumns);
+  
+  if ('phone' in fields) {
+    Object.assign(fields, normalizePhoneNumber(fields.phone, defaultPhoneCountry));
+  }
+  
+  if ('phone' in fields || 'timezone' in fields) {
+    Object.assign(fields, resolveLeadTimeZone(fields));
+  }
+  
+  if (issues) {
+    rowIssues.forEach(issue => issues.push({ rowIndex, ...issue }));
+  }
+  
+  // last_sync is stamped at write time, only on rows that actually changed
+  return {
+    sheet_row_id: String(rowIndex),
+    ...fields
+  };
+}
+
+/**
+ * Computes a stable fingerprint of a mapped lead's sheet data
+ * Bookkeeping fields are excluded so that only real data changes alter the hash.
+ * The row number is one of them, so sorting the sheet does not rewrite every lead.
+ * @param {Object} lead - Lead object produced by mapSheetRowToLeadObject
+ * @returns {string} Hex-encoded SHA-256 fingerprint
+ */
+function computeLeadFingerprint(lead) {
+  const ignoredFields = ['last_sync', 'row_hash', 'sheet_key', 'sheet_row_id', 'source', 'source_id', 'sheet_snapshot', 'manual_edits', 'dnc_at'];
+  const normalized = Object.keys(lead)
+    .filter(key => !ignoredFields.includes(key))
+    .sort()
+    .map(key => [key, lead[key] === undefined ? null : lead[key]]);
+  
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify(normalized))
+    .digest('hex');
+}
+
+/**
+ * Fetch the sync state of every lead from one source, keyed by sheet_key
  * @param {Object} supabase - Supabase client
- * @returns {Promise<string>} ISO timestamp of the last sync
+ * @param {string} sourceId - ID of the sync source
+ * @param {Array<string>} extraFields - Further columns to read, e.g. for write-back
+ * @param {number} pageSize - Number of leads to read per request (default: 1000)
+ * @returns {Promise<Map<string, Object>>} Map of sheet_key to { id, row_hash, archived_at, ...extraFields }
  */
-async function getLastSyncTimestamp(supabase) {
-  const { data, error } = await supabase
-    .from('leads')
-    .select('last_sync')
-    .order('last_sync', { ascending: false })
-    .limit(1);
+async function fetchExistingLeads(supabase, sourceId, extraFields = [], pageSize = 1000) {
+  const existingLeads = new Map();
+  const columns = [...new Set(['id', 'sheet_key', 'row_hash', 'archived_at', ...extraFields])].join(', ');
+  
+  for (let from = 0; ; from += pageSize) {
+    const { data } = await withSupabaseRetry(() => supabase
+      .from('leads')
+      .select(columns)
+      .eq('source_id', sourceId)
+      .not('sheet_key', 'is', null)
+      .order('sheet_key', { ascending: true })
+      .range(from, from + pageSize - 1),
+      { label: 'Reading existing leads' }
+    );
+    
+    data.forEach(row => existingLeads.set(row.sheet_key, row));
     
-  if (error || !data || data.length === 0) {
-    // If there's an error or no data, return a very old date
-    return new Date(0).toISOString();
+    if (data.length < pageSize) break;
   }
   
-  return data[0].last_sync;
+  return existingLeads;
 }
 
 /**
- * Maps Google Sheets columns to Supabase table fields
- * @param {Array} headerRow - Array of column headers from Google Sheet
- * @param {Array} dataRow - Array of values from a row in Google Sheet
- * @param {number} rowIndex - Index of the row in the sheet (for tracking)
- * @returns {Object} Mapped object ready for Supabase
+ * Fetch the sync state of the leads of one source with the given sheet keys
+ * Used instead of fetchExistingLeads when only some rows were read.
+ * @param {Object} supabase - Supabase client
+ * @param {string} sourceId - ID of the sync source
+ * @param {Array<string>} sheetKeys - Sheet keys of the leads
+ * @param {Array<string>} extraFields - Further columns to read, e.g. for write-back
+ * @returns {Promise<Map<string, Object>>} Map of sheet_key to { id, row_hash, archived_at, ...extraFields }
  */
-function mapSheetRowToLeadObject(headerRow, dataRow, rowIndex) {
-  // Create a base object with default fields
-  const lead = {
-    sheet_row_id: String(rowIndex),
-    last_sync: new Date().toISOString()
-  };
+async function fetchExistingLeadsByKey(supabase, sourceId, sheetKeys, extraFields = []) {
+  const existingLeads = new Map();
+  const columns = [...new Set(['id', 'sheet_key', 'row_hash', 'archived_at', ...extraFields])].join(', ');
+  const chunkSize = 200;
+  
+  for (let i = 0; i < sheetKeys.length; i += chunkSize) {
+    const { data } = await withSupabaseRetry(() => supabase
+      .from('leads')
+      .select(columns)
+      .eq('source_id', sourceId)
+      .in('sheet_key', sheetKeys.slice(i, i + chunkSize)),
+      { label: 'Reading existing leads' }
+    );
+    
+    data.forEach(row => existingLeads.set(row.sheet_key, row));
+  }
+  
+  return existingLeads;
+}
 
-  // Map each column in the sheet to its corresponding field
-  headerRow.forEach((header, index) => {
-    // Convert header to a safe field name (lowercase, underscores)
-    const fieldName = header.toLowerCase().replace(/\s+/g, '_');
-    
-    // Add the value to our lead object
-    if (index < dataRow.length) {
-      lead[fieldName] = dataRow[index];
+/**
+ * Split mapped leads into inserts, updates and unchanged rows, and find
+ * stored leads whose sheet rows no longer exist
+ * @param {Array} leads - Lead objects with row_hash already set
+ * @param {Map<string, Object>} existingLeads - Output of fetchExistingLeads
+ * @param {Array<string>} retainedKeys - Keys of rows still in the sheet but not
+ *   written this run (e.g. quarantined), whose leads must not be removed
+ * @returns {Object} { inserted, updated, unchanged, merged, removed } arrays of
+ *   leads, where merged holds rows whose lead was merged into another lead
+ */
+function diffLeadsAgainstExisting(leads, existingLeads, retainedKeys = []) {
+  const inserted = [];
+  const updated = [];
+  const unchanged = [];
+  const merged = [];
+  const seen = new Set(retainedKeys);
+  
+  leads.forEach(lead => {
+    const existing = existingLeads.get(lead.sheet_key);
+    seen.add(lead.sheet_key);
+    
+    if (!existing) {
+      inserted.push(lead);
+    } else if (existing.merged_into) {
+      // The row's lead was merged into another one, which now stands for it
+      merged.push(lead);
+    } else if (existing.row_hash !== lead.row_hash || existing.archived_at) {
+      // A previously archived row that reappears in the sheet is restored
+      updated.push(lead);
     } else {
-      lead[fieldName] = null; // Handle missing data
+      unchanged.push(lead);
+    }
+  });
+  
+  // Stored leads that are still active but missing from the sheet
+  const removed = [];
+  existingLeads.forEach((existing, sheetKey) => {
+    if (!seen.has(sheetKey) && !existing.archived_at) {
+      removed.push(existing);
     }
   });
+  
+  return { inserted, updated, unchanged, merged, removed };
+}
 
-  return lead;
+/**
+ * Apply the deletion policy to leads whose rows were removed from the sheet
+ * @param {Object} supabase - Supabase client
+ * @param {Array} removedLeads - Leads returned as `removed` by diffLeadsAgainstExisting
+ * @param {string} deletePolicy - 'soft' (set archived_at), 'hard' (delete) or 'ignore'
+ * @returns {Promise<number>} Number of leads archived or deleted
+ */
+async function reconcileDeletedLeads(supabase, removedLeads, deletePolicy) {
+  if (deletePolicy === 'ignore' || removedLeads.length === 0) {
+    return 0;
+  }
+  
+  if (!DELETE_POLICIES.includes(deletePolicy)) {
+    throw new Error(`Unknown delete policy "${deletePolicy}"`);
+  }
+  
+  const ids = removedLeads.map(lead => lead.id);
+  const chunkSize = 500;
+  
+  for (let i = 0; i < ids.length; i += chunkSize) {
+    const chunk = ids.slice(i, i + chunkSize);
+    const archivedAt = new Date().toISOString();
+    
+    await withSupabaseRetry(() => (deletePolicy === 'hard'
+      ? supabase.from('leads').delete().in('id', chunk)
+      : supabase.from('leads').update({ archived_at: archivedAt }).in('id', chunk)),
+      { label: `Applying '${deletePolicy}' delete policy` }
+    );
+  }
+  
+  return ids.length;
 }
 
 /**
  * Fetch data from Google Sheets with pagination
  * @param {Object} options - Options for the sync
+ * @param {string} options.spreadsheetId - ID of the spreadsheet (default: GOOGLE_SHEET_ID)
  * @param {string} options.sheetName - Name of the sheet to read
  * @param {number} options.batchSize - Number of rows to read at once
+ * @param {number} options.startRow - First row to read (default: 2, the row below the header)
+ * @param {number} options.endRow - Last row to read (default: the last row of the sheet)
  * @returns {Promise<Array>} Array of objects with header row and data rows
  */
-async function fetchSheetData({ sheetName = 'Sheet1', batchSize = 50 }) {
+async function fetchSheetData({
+  spreadsheetId = process.env.GOOGLE_SHEET_ID,
+  sheetName = 'Sheet1',
+  batchSize = 50,
+  startRow = 2,
+  endRow
+}) {
   const sheets = getGoogleSheetsClient();
-  const sheetId = process.env.GOOGLE_SHEET_ID;
+  const sheetId = spreadsheetId;
   
   try {
-    // First, fetch the header row
-    const headerResponse = await sheets.spreadsheets.values.get({
+    // First, fetch the header row. Rows are read whole, without a last
+    // column, so columns past Z (such as a created ID column) are not lost.
+    const headerResponse = await withRetry(() => sheets.spreadsheets.values.get({
       spreadsheetId: sheetId,
-      range: `${sheetName}!A1:Z1`,
-    });
+      range: `${sheetName}!1:1`,
+    }), { label: 'Fetching header row' });
     
-    const headerRow = headerResponse.data.values[0];
+    const headerRow = (headerResponse.data.values || [])[0];
     if (!headerRow) {
       throw new Error('Could not find header row in sheet');
     }
     
-    // Get the total number of rows in the sheet
-    const metadataResponse = await sheets.spreadsheets.get({
-      spreadsheetId: sheetId,
-      ranges: [sheetName],
-      includeGridData: false,
-    });
-    
-    const sheetProperties = metadataResponse.data.sheets.find(
-      s => s.properties.title === sheetName
-    ).properties;
-    
-    const totalRows = sheetProperties.gridProperties.rowCount;
-    console.log(`Total rows in sheet: ${totalRows}`);
+    // Get the total number of rows in the sheet, unless only some are wanted
+    let totalRows = endRow;
+    if (!totalRows) {
+      const metadataResponse = await withRetry(() => sheets.spreadsheets.get({
+        spreadsheetId: sheetId,
+        ranges: [sheetName],
+        includeGridData: false,
+      }), { label: 'Fetching sheet metadata' });
+      
+      const sheetProperties = metadataResponse.data.sheets.find(
+        s => s.properties.title === sheetName
+      ).properties;
+      
+      totalRows = sheetProperties.gridProperties.rowCount;
+      console.log(`Total rows in sheet: ${totalRows}`);
+    }
     
     const allData = [];
     
-    // Fetch data in batches
-    for (let startRow = 2; startRow < totalRows; startRow += batchSize) {
-      const endRow = Math.min(startRow + batchSize - 1, totalRows);
-      const range = `${sheetName}!A${startRow}:Z${endRow}`;
+    // Fetch data in batches, up to the last row even past blank batches:
+    // leads below a gap of empty rows would otherwise look removed
+    for (let batchStart = startRow; batchStart <= totalRows; batchStart += batchSize) {
+      const batchEnd = Math.min(batchStart + batchSize - 1, totalRows);
+      const range = `${sheetName}!${batchStart}:${batchEnd}`;
       
-      const response = await sheets.spreadsheets.values.get({
+      const response = await withRetry(() => sheets.spreadsheets.values.get({
         spreadsheetId: sheetId,
         range,
-      });
+      }), { label: `Fetching rows ${batchStart} to ${batchEnd}` });
       
       const rows = response.data.values || [];
-      console.log(`Fetched rows ${startRow} to ${endRow}: ${rows.length} rows`);
-      
-      if (rows.length === 0) break;
+      console.log(`Fetched rows ${batchStart} to ${batchEnd}: ${rows.length} rows`);
       
       // Process each row
       rows.forEach((row, index) => {
-        const actualRowIndex = startRow + index;
+        const actualRowIndex = batchStart + index;
         allData.push({
           headerRow,
           dataRow: row,
@@ -259,89 +561,841 @@ async function fetchSheetData({ sheetName = 'Sheet1', batchSize = 50 }) {
 }
 
 /**
- * Write leads to Supabase, handling upserts based on sheet_row_id
- * @param {Array} leads - Array of lead objects to write to Supabase
- * @returns {Promise<Object>} Result of the operation
+ * Make sure the sheet has an ID column, creating a hidden one if needed
+ * Only used by the 'column' identity strategy with write-back enabled.
+ * @param {Object} sheets - Google Sheets API client with write access
+ * @param {string} spreadsheetId - ID of the spreadsheet
+ * @param {string} sheetName - Name of the sheet
+ * @param {Array} headerRow - Array of column headers from Google Sheet
+ * @param {string} idColumn - Header of the ID column
+ * @returns {Promise<number>} Index of the ID column
  */
-async function writeLeadsToSupabase(leads) {
+async function ensureIdColumn(sheets, spreadsheetId, sheetName, headerRow, idColumn) {
+  const existingIndex = findHeaderIndex(headerRow, idColumn);
+  if (existingIndex >= 0) {
+    return existingIndex;
+  }
+  
+  const columnIndex = headerRow.length;
+  const columnLetter = columnIndexToLetter(columnIndex);
+  
+  await sheets.spreadsheets.values.update({
+    spreadsheetId,
+    range: `${sheetName}!${columnLetter}1`,
+    valueInputOption: 'RAW',
+    requestBody: { values: [[idColumn]] }
+  });
+  
+  // Hide the new column so it does not get in the way of people editing the sheet
+  const metadataResponse = await sheets.spreadsheets.get({
+    spreadsheetId,
+    ranges: [sheetName],
+    includeGridData: false,
+  });
+  const sheetProperties = metadataResponse.data.sheets.find(
+    s => s.properties.title === sheetName
+  ).properties;
+  
+  await sheets.spreadsheets.batchUpdate({
+    spreadsheetId,
+    requestBody: {
+      requests: [{
+        updateDimensionProperties: {
+          range: {
+            sheetId: sheetProperties.sheetId,
+            dimension: 'COLUMNS',
+            startIndex: columnIndex,
+            endIndex: columnIndex + 1
+          },
+          properties: { hiddenByUser: true },
+          fields: 'hiddenByUser'
+        }
+      }]
+    }
+  });
+  
+  console.log(`Created hidden ID column "${idColumn}" at column ${columnLetter}`);
+  headerRow.push(idColumn);
+  return columnIndex;
+}
+
+/**
+ * Write generated row IDs back to the sheet's ID column
+ * @param {Object} sheets - Google Sheets API client with write access
+ * @param {string} spreadsheetId - ID of the spreadsheet
+ * @param {string} sheetName - Name of the sheet
+ * @param {number} idColumnIndex - Index of the ID column
+ * @param {Array} pendingIds - Array of { rowIndex, id } pairs
+ * @returns {Promise<void>}
+ */
+async function writeBackRowIds(sheets, spreadsheetId, sheetName, idColumnIndex, pendingIds) {
+  if (pendingIds.length === 0) return;
+  
+  const columnLetter = columnIndexToLetter(idColumnIndex);
+  
+  await withRetry(() => sheets.spreadsheets.values.batchUpdate({
+    spreadsheetId,
+    requestBody: {
+      valueInputOption: 'RAW',
+      data: pendingIds.map(({ rowIndex, id }) => ({
+        range: `${sheetName}!${columnLetter}${rowIndex}`,
+        values: [[id]]
+      }))
+    }
+  }), { label: 'Writing generated IDs to the sheet' });
+  
+  console.log(`Wrote ${pendingIds.length} generated IDs back to the sheet`);
+}
+
+/**
+ * Fetch the sheet and turn its rows into identified, validated, fingerprinted leads
+ * Blank rows are ignored. Rows that cannot be identified, repeat an earlier
+ * row's key or fail validation are returned as rejected instead.
+ * @param {Object} options - Options for the fetch
+ * @param {Object} options.source - sync_sources row the sheet is registered as
+ * @param {number} options.batchSize - Number of rows to read at once
+ * @param {Object} options.rows - Only read these rows: { startRow, endRow } (default: every row)
+ * @param {Object} identity - Output of getIdentityConfig
+ * @param {Object} mappingOptions - Options for mapSheetRowToLeadObject
+ * @param {Object} mappingOptions.columnMapping - Output of loadColumnMapping
+ * @param {string} mappingOptions.defaultPhoneCountry - Country for national-format phone numbers
+ * @returns {Promise<Object>} { leads, rejected, fieldIssues, headerRow, sheetRows } where
+ *   each rejected entry is { rowIndex, sheetKey, reasons, rowData } and sheetRows
+ *   maps the sheet_key of every lead to its raw row
+ */
+async function loadSheetLeads({ source, batchSize, rows }, identity, mappingOptions) {
+  const { spreadsheet_id: spreadsheetId, sheet_name: sheetName } = source;
+  const sheetData = await fetchSheetData({ spreadsheetId, sheetName, batchSize, ...rows });
+  console.log(`Fetched ${sheetData.length} rows from ${sheetName}`);
+  
+  const leads = [];
+  const rejected = [];
+  const pendingIds = [];
+  const fieldIssues = [];
+  const firstRowByKey = new Map();
+  const sheetRows = new Map();
+  
+  if (sheetData.length === 0) {
+    return { leads, rejected, fieldIssues, headerRow: [], sheetRows };
+  }
+  
+  // Locate (or create) the ID column for the 'column' strategy
+  const headerRow = sheetData[0].headerRow;
+  let idColumnIndex = -1;
+  let writableSheets = null;
+  if (identity.strategy === 'column') {
+    if (identity.writeBackIds) {
+      writableSheets = getGoogleSheetsClient({ readOnly: false });
+      idColumnIndex = await ensureIdColumn(writableSheets, spreadsheetId, sheetName, headerRow, identity.idColumn);
+    } else {
+      idColumnIndex = findHeaderIndex(headerRow, identity.idColumn);
+      if (idColumnIndex < 0) {
+        throw new Error(`ID column "${identity.idColumn}" not found in sheet and SYNC_WRITE_BACK_IDS is not enabled`);
+      }
+    }
+  }
+  const excludedColumns = idColumnIndex >= 0 ? [idColumnIndex] : [];
+  const missingIdentityReason = identity.strategy === 'column'
+    ? `The "${identity.idColumn}" column is empty`
+    : 'Row has neither an email address nor a phone number';
+  
+  sheetData.forEach(({ dataRow, rowIndex }) => {
+    if (isBlankRow(dataRow)) return;
+    
+    const lead = mapSheetRowToLeadObject(headerRow, dataRow, rowIndex, {
+      ...mappingOptions,
+      excludedColumns,
+      issues: fieldIssues
+    });
+    let key = resolveRowIdentity(identity, { lead, dataRow, rowIndex, idColumnIndex });
+    
+    if (!key && writableSheets) {
+      const id = crypto.randomUUID();
+      pendingIds.push({ rowIndex, id });
+      key = `id:${id}`;
+    }
+    
+    const reject = reasons => rejected.push({
+      rowIndex,
+      sheetKey: key,
+      reasons,
+      rowData: rowToObject(headerRow, dataRow)
+    });
+    
+    if (!key) {
+      reject([missingIdentityReason]);
+      return;
+    }
+    if (firstRowByKey.has(key)) {
+      reject([`Has the same identity as row ${firstRowByKey.get(key)}`]);
+      return;
+    }
+    firstRowByKey.set(key, rowIndex);
+    
+    const reasons = validateLead(lead, mappingOptions.columnMapping);
+    if (reasons.length > 0) {
+      reject(reasons);
+      return;
+    }
+    
+    lead.source = 'google_sheets';
+    lead.source_id = source.id;
+    lead.sheet_key = key;
+    lead.row_hash = computeLeadFingerprint(lead);
+    leads.push(lead);
+    sheetRows.set(key, dataRow);
+  });
+  
+  // IDs must be in the sheet before leads are keyed by them, otherwise a
+  // failed write-back would mint different IDs (and duplicate leads) next run
+  if (writableSheets) {
+    await writeBackRowIds(writableSheets, spreadsheetId, sheetName, idColumnIndex, pendingIds);
+  }
+  
+  if (rejected.length > 0) {
+    console.warn(`Rejected ${rejected.length} invalid rows: ${rejected.map(row => row.rowIndex).join(', ')}`);
+  }
+  if (fieldIssues.length > 0) {
+    console.warn(`${fieldIssues.length} values could not be coerced and were replaced by their field default`);
+  }
+  
+  return { leads, rejected, fieldIssues, headerRow, sheetRows };
+}
+
+/**
+ * Count leads synced before stable identities existed (no sheet_key yet)
+ * @param {Object} supabase - Supabase client
+ * @returns {Promise<number>} Number of leads still needing migration
+ */
+async function countUnkeyedLeads(supabase) {
+  const { count, error } = await supabase
+    .from('leads')
+    .select('id', { count: 'exact', head: true })
+    .is('sheet_key', null)
+    .not('sheet_row_id', 'is', null);
+  
+  if (error) {
+    throw error;
+  }
+  
+  return count || 0;
+}
+
+/**
+ * Assign a sheet_key to leads synced under the old positional identity
+ * 
+ * A legacy lead is matched to the sheet row still at its recorded row number
+ * only if that row holds the same name, email and phone, i.e. the sheet has not
+ * been reordered underneath it. Under the 'natural' strategy, leads that fail
+ * that check are keyed from their own stored email or phone instead. Anything
+ * left over is reported as unmatched for manual review rather than guessed.
+ * 
+ * Legacy leads are assigned to the default source (see syncSources.js).
+ * 
+ * @param {Object} options - Same identity and sheet options as syncSheetsToSupabase
+ * @returns {Promise<Object>} { migrated, unmatched } where unmatched lists lead IDs
+ */
+async function migrateLeadIdentities(options = {}) {
+  const { sheetName = 'Sheet1', batchSize = 50 } = options;
   const supabase = getSupabaseClient();
   
-  try {
-    // Use upsert to handle both inserts and updates
+  // Legacy leads all predate sync sources, so they came from GOOGLE_SHEET_ID
+  const source = await ensureDefaultSource(supabase, { sheetName });
+  if (!source) {
+    throw new Error('GOOGLE_SHEET_ID must be set to migrate legacy leads');
+  }
+  const sourceOptions = sourceToSyncOptions(source, options);
+  const identity = getIdentityConfig(sourceOptions);
+  const columnMapping = loadColumnMapping(sourceOptions.columnMapping);
+  
+  const { leads: sheetLeads } = await loadSheetLeads({ source, batchSize }, identity, {
+    columnMapping,
+    defaultPhoneCountry: sourceOptions.defaultPhoneCountry
+  });
+  const sheetLeadsByRow = new Map(sheetLeads.map(lead => [lead.sheet_row_id, lead]));
+  
+  // Collect every legacy lead before updating any, so paging is not disturbed
+  const legacyLeads = [];
+  const pageSize = 1000;
+  for (let from = 0; ; from += pageSize) {
     const { data, error } = await supabase
       .from('leads')
-      .upsert(leads, { 
-        onConflict: 'sheet_row_id',
-        returning: 'minimal' // Improve performance by not returning the whole dataset
-      });
+      .select('id, sheet_row_id, name, email, phone')
+      .is('sheet_key', null)
+      .not('sheet_row_id', 'is', null)
+      .order('id', { ascending: true })
+      .range(from, from + pageSize - 1);
     
     if (error) {
       throw error;
     }
     
-    return { success: true, count: leads.length };
+    legacyLeads.push(...data);
+    if (data.length < pageSize) break;
+  }
+  
+  const takenKeys = new Set((await fetchExistingLeads(supabase, source.id)).keys());
+  const sameValue = (a, b) => String(a || '').trim() === String(b || '').trim();
+  let migrated = 0;
+  const unmatched = [];
+  
+  for (const legacyLead of legacyLeads) {
+    const candidate = sheetLeadsByRow.get(legacyLead.sheet_row_id);
+    let key = null;
+    
+    if (candidate &&
+        sameValue(candidate.name, legacyLead.name) &&
+        sameValue(candidate.email, legacyLead.email) &&
+        sameValue(candidate.phone_raw, legacyLead.phone)) {
+      key = candidate.sheet_key;
+    } else if (identity.strategy === 'natural') {
+      key = naturalKeyForLead(legacyLead);
+    }
+    
+    if (!key || takenKeys.has(key)) {
+      unmatched.push(legacyLead.id);
+      continue;
+    }
+    
+    const { error: updateError } = await supabase
+      .from('leads')
+      .update({ sheet_key: key })
+      .eq('id', legacyLead.id);
+    
+    if (updateError) {
+      throw updateError;
+    }
+    
+    takenKeys.add(key);
+    migrated++;
+  }
+  
+  console.log(`Migrated ${migrated} leads to stable identities, ${unmatched.length} unmatched`);
+  return { migrated, unmatched };
+}
+
+/**
+ * Write leads to Supabase in batches, handling upserts based on source_id and sheet_key
+ * 
+ * Each batch is retried on transient errors. A batch that still fails is
+ * recorded and the remaining batches are written anyway. Upserts are
+ * idempotent and failed rows keep their old fingerprint in the database, so
+ * the next incremental run picks up exactly the rows that did not land.
+ * 
+ * @param {Array} leads - Array of lead objects to write to Supabase
+ * @param {Object} options - Write options
+ * @param {number} options.writeBatchSize - Leads per upsert request (default: SYNC_WRITE_BATCH_SIZE or 500)
+ * @param {Function} options.renewLock - Called before each batch to keep the sync lock; its errors stop the write
+ * @returns {Promise<Object>} { success, count, failedCount, batches } where each batch is
+ *   { index, size, firstRow, lastRow, status, attempts, error }
+ */
+async function writeLeadsToSupabase(leads, options = {}) {
+  const {
+    writeBatchSize = Number(process.env.SYNC_WRITE_BATCH_SIZE || 500),
+    renewLock = async () => {}
+  } = options;
+  const supabase = getSupabaseClient();
+  const batches = [];
+  let count = 0;
+  
+  for (let i = 0; i < leads.length; i += writeBatchSize) {
+    const chunk = leads.slice(i, i + writeBatchSize);
+    const batch = {
+      index: batches.length,
+      size: chunk.length,
+      firstRow: chunk[0].sheet_row_id,
+      lastRow: chunk[chunk.length - 1].sheet_row_id
+    };
+    
+    await renewLock();
+    try {
+      let attempts = 0;
+      await withSupabaseRetry(() => {
+        attempts++;
+        return supabase
+          .from('leads')
+          .upsert(chunk, { 
+            onConflict: 'source_id,sheet_key',
+            returning: 'minimal' // Improve performance by not returning the whole dataset
+          });
+      }, { label: `Writing batch ${batch.index}` });
+      
+      batches.push({ ...batch, status: 'succeeded', attempts });
+      count += chunk.length;
+    } catch (error) {
+      console.error(`Error writing batch ${batch.index} (rows ${batch.firstRow}-${batch.lastRow}) to Supabase:`, error);
+      batches.push({ ...batch, status: 'failed', attempts: error.attempts, error: error.message });
+    }
+  }
+  
+  const failedCount = leads.length - count;
+  return { success: failedCount === 0, count, failedCount, batches };
+}
+
+/**
+ * Sync one registered source into Supabase
+ * Records its own sync_runs row, so a failing source does not hide the
+ * outcome of the others. With the `rows` option only those rows are read
+ * and written, and no lead is removed: rows outside the range are unknown.
+ * @param {Object} supabase - Supabase client
+ * @param {Object} source - sync_sources row
+ * @param {Object} options - Output of sourceToSyncOptions (see syncSheetsToSupabase)
+ * @returns {Promise<Object>} Result of syncing the source, with the IDs of the
+ *   leads it inserted under `insertedLeadIds`
+ */
+async function syncSource(supabase, source, options) {
+  const {
+    batchSize = 50,
+    forceFullSync = false,
+    deletePolicy = process.env.SYNC_DELETE_POLICY || 'soft',
+    trigger = 'manual',
+    triggeredBy = null,
+    dncNumbers = new Set(),
+    rows = null,
+    renewLock = async () => {},
+    onError = (err) => console.error('Sync error:', err)
+  } = options;
+  
+  const syncStartTime = new Date().toISOString();
+  const sourceInfo = { sourceId: source.id, sourceName: source.name, sheetName: source.sheet_name, rows };
+  console.log(`Syncing ${rows ? `rows ${rows.startRow} to ${rows.endRow} of ` : ''}source "${source.name}" (${source.spreadsheet_id}/${source.sheet_name})`);
+  
+  const runId = await startSyncRun(supabase, {
+    trigger,
+    triggeredBy,
+    sourceId: source.id,
+    spreadsheetId: source.spreadsheet_id,
+    sheetName: source.sheet_name,
+    startedAt: syncStartTime
+  });
+  
+  try {
+    if (!DELETE_POLICIES.includes(deletePolicy)) {
+      throw new Error(`Unknown delete policy "${deletePolicy}"`);
+    }
+    const identity = getIdentityConfig(options);
+    const columnMapping = loadColumnMapping(options.columnMapping);
+    const writebackConfig = getWritebackConfig(options);
+    const writebackFields = Object.keys(writebackConfig.columns);
+    const manualEditConfig = getManualEditConfig(options);
+    const previousSyncTime = source.last_synced_at || new Date(0).toISOString();
+    console.log(`Previous sync at ${previousSyncTime}`);
+    
+    // Leads from before stable identities would otherwise be duplicated
+    const unkeyedLeads = await countUnkeyedLeads(supabase);
+    if (unkeyedLeads > 0) {
+      throw new Error(`${unkeyedLeads} leads have no sheet_key yet; run "node services/sheetsToSupabaseSync.js --migrate-identity" first`);
+    }
+    
+    // Fetch all data from Google Sheet, then map, identify, validate and fingerprint each row
+    const { leads, rejected, fieldIssues, headerRow, sheetRows } = await loadSheetLeads(
+      { source, batchSize, rows },
+      identity,
+      { columnMapping, defaultPhoneCountry: options.defaultPhoneCountry }
+    );
+    
+    // Compare against what is already stored to find new and changed rows
+    // Leads of rejected rows stay as they are until the row is fixed
+    const retainedKeys = rejected.filter(row => row.sheetKey).map(row => row.sheetKey);
+    const existingFields = [...MANUAL_EDIT_COLUMNS, 'merged_into', ...(writebackFields.length > 0 ? [...writebackFields, 'sheet_snapshot'] : [])];
+    const existingLeads = rows
+      ? await fetchExistingLeadsByKey(supabase, source.id, [...leads.map(lead => lead.sheet_key), ...retainedKeys], existingFields)
+      : await fetchExistingLeads(supabase, source.id, existingFields);
+    const { inserted, updated, unchanged, merged, removed } = diffLeadsAgainstExisting(leads, existingLeads, retainedKeys);
+    console.log(`Diff: ${inserted.length} new, ${updated.length} changed, ${unchanged.length} unchanged, ${merged.length} merged, ${removed.length} removed`);
+    
+    // Reading a large sheet takes a while; make sure no other sync has
+    // taken over before anything is written
+    await renewLock();
+    
+    // Settle fields changed on both sides before anything is written
+    const writeback = writebackFields.length > 0
+      ? planWriteback({ leads, existingLeads, sheetRows, headerRow, config: writebackConfig })
+      : null;
+    if (writeback && writeback.missingColumns.length > 0) {
+      console.warn(`Write-back columns not found in ${source.sheet_name}: ${writeback.missingColumns.join(', ')}`);
+    }
+    if (writeback && writeback.cellUpdates.length > 0) {
+      const writableSheets = getGoogleSheetsClient({ readOnly: false });
+      await writeCellsToSheet(writableSheets, source.spreadsheet_id, source.sheet_name, writeback.cellUpdates);
+      console.log(`Wrote ${writeback.cellUpdates.length} lead values back to the sheet (${writeback.conflicts.length} conflicts)`);
+    }
+    
+    // Keep edits made in the lead view unless their field policy lets the sheet win
+    const manualEdits = planManualEdits({ leads, existingLeads, config: manualEditConfig, skipFields: writebackFields });
+    if (manualEdits.conflicts.length > 0) {
+      console.log(`${manualEdits.conflicts.length} sheet changes met fields edited in the app`);
+    }
+    
+    // Only stamp and write rows that need it, unless a full sync was requested.
+    // Merged rows are never written, so their leads stay archived.
+    const mergedKeys = new Set(merged.map(lead => lead.sheet_key));
+    const leadsToWrite = forceFullSync
+      ? leads.filter(lead => !mergedKeys.has(lead.sheet_key))
+      : [...inserted, ...updated, ...unchanged.filter(lead => writeback && writeback.forceWriteKeys.has(lead.sheet_key))];
+    const lastSync = new Date().toISOString();
+    leadsToWrite.forEach(lead => {
+      lead.last_sync = lastSync;
+      lead.archived_at = null;
+      if (writeback) lead.sheet_snapshot = writeback.snapshots.get(lead.sheet_key);
+      const existing = existingLeads.get(lead.sheet_key);
+      lead.manual_edits = manualEdits.manualEdits.get(lead.sheet_key) ||
+        (existing && existing.manual_edits) || {};
+      keepStatusWhenEmpty(lead, existing);
+    });
+    const suppressed = leads.filter(lead => dncNumbers.has(lead.phone)).length;
+    if (suppressed > 0) {
+      console.log(`${suppressed} leads are on the do-not-call list`);
+    }
+    
+    // Leads that are not rewritten still need their snapshot to move on
+    if (writeback) {
+      const written = new Set(leadsToWrite.map(lead => lead.sheet_key));
+      const changedSnapshots = [];
+      writeback.snapshots.forEach((snapshot, sheetKey) => {
+        const existing = existingLeads.get(sheetKey);
+        if (written.has(sheetKey) || !existing) return;
+        const previous = existing.sheet_snapshot || {};
+        if (Object.keys(snapshot).some(field => snapshot[field] !== previous[field])) {
+          changedSnapshots.push({ id: existing.id, sheet_snapshot: snapshot });
+        }
+      });
+      await saveSheetSnapshots(supabase, changedSnapshots);
+    }
+    
+    const result = await writeLeadsToSupabase(leadsToWrite, { writeBatchSize: options.writeBatchSize, renewLock });
+    const failedBatches = result.batches.filter(batch => batch.status === 'failed');
+    console.log(`Wrote ${result.count} leads to Supabase in ${result.batches.length} batches (${failedBatches.length} failed)`);
+    
+    await replaceQuarantinedRows(supabase, source, rejected, rows);
+    
+    // The new leads are assigned by ID once every source has run: their
+    // created_at comes from the database clock, not this one
+    const insertedLeads = inserted.length > 0
+      ? await fetchExistingLeadsByKey(supabase, source.id, inserted.map(lead => lead.sheet_key))
+      : new Map();
+    
+    // An empty read is far more likely to be a misconfigured range than a
+    // deliberately emptied sheet, so never wipe every lead because of it.
+    // Rows skipped for lack of a usable identity have unknown keys, so any
+    // lead might belong to one of them; leave removals for a clean run.
+    const unidentifiedRows = rejected.filter(row => !row.sheetKey);
+    // After a partial write the database is out of step with the sheet, so
+    // removals also wait for a run where every batch succeeds.
+    let deleted = 0;
+    if (rows) {
+      // Only part of the sheet was read; removals wait for a run that reads all of it
+    } else if (failedBatches.length > 0 && removed.length > 0) {
+      console.warn(`Skipping removal of ${removed.length} leads because ${failedBatches.length} write batches failed`);
+    } else if (unidentifiedRows.length > 0 && removed.length > 0) {
+      console.warn(`Skipping removal of ${removed.length} leads while ${unidentifiedRows.length} rows are unidentified`);
+    } else if (leads.length === 0 && removed.length > 0) {
+      console.warn(`Sheet returned no rows; skipping removal of ${removed.length} leads`);
+    } else {
+      await renewLock();
+      deleted = await reconcileDeletedLeads(supabase, removed, deletePolicy);
+      console.log(`Applied '${deletePolicy}' delete policy to ${deleted} leads`);
+    }
+    
+    const syncResult = {
+      ...sourceInfo,
+      success: result.success,
+      ...(result.success ? {} : {
+        error: `${failedBatches.length} of ${result.batches.length} write batches failed (${result.failedCount} leads); rerun the sync to retry them`
+      }),
+      syncStartTime,
+      syncEndTime: new Date().toISOString(),
+      previousSyncTime,
+      fullSync: forceFullSync,
+      rowsProcessed: leads.length,
+      rowsWritten: result.count,
+      rowsFailed: result.failedCount,
+      batches: result.batches,
+      inserted: inserted.length,
+      updated: updated.length,
+      unchanged: unchanged.length,
+      merged: merged.length,
+      deleted,
+      suppressed,
+      deletePolicy,
+      identityStrategy: identity.strategy,
+      writeback: writeback ? {
+        cellsWritten: writeback.cellUpdates.length,
+        conflictPolicy: writebackConfig.conflictPolicy,
+        conflicts: writeback.conflicts,
+        missingColumns: writeback.missingColumns
+      } : null,
+      manualEdits: {
+        fieldPolicies: manualEditConfig.fieldPolicies,
+        defaultPolicy: manualEditConfig.defaultPolicy,
+        conflicts: manualEdits.conflicts
+      },
+      rejected: rejected.map(({ rowIndex, sheetKey, reasons }) => ({
+        rowNumber: rowIndex,
+        sheetKey,
+        reasons
+      })),
+      fieldIssues
+    };
+    
+    await finishSyncRun(supabase, runId, syncResult);
+    return { ...syncResult, runId, insertedLeadIds: [...insertedLeads.values()].map(lead => lead.id) };
     
   } catch (error) {
-    console.error('Error writing leads to Supabase:', error);
-    throw error;
+    onError(error);
+    const syncResult = {
+      ...sourceInfo,
+      success: false,
+      syncStartTime,
+      syncEndTime: new Date().toISOString(),
+      error: error.message
+    };
+    
+    await finishSyncRun(supabase, runId, syncResult);
+    return { ...syncResult, runId };
   }
 }
 
+/**
+ * Add the numbers listed in the do-not-call tab to the do-not-call list
+ * Numbers deleted from the tab stay on the list until a manager removes them.
+ * @param {Object} supabase - Supabase client
+ * @param {Object} options - Options
+ * @param {string} options.spreadsheetId - Spreadsheet holding the tab
+ * @param {string} options.sheetName - Name of the tab
+ * @param {string} options.defaultPhoneCountry - Country assumed for national-format numbers
+ * @returns {Promise<Object>} { sheetName, listed, added, invalid }
+ */
+async function importDncSheet(supabase, { spreadsheetId, sheetName, defaultPhoneCountry }) {
+  const rows = await fetchSheetData({ spreadsheetId, sheetName });
+  const table = rows.length > 0 ? [rows[0].headerRow, ...rows.map(row => row.dataRow)] : [];
+  const { phones, invalid } = normalizeDncNumbers(extractPhoneColumn(table), defaultPhoneCountry);
+  
+  const added = await addDncNumbers(supabase, phones, {
+    source: 'sheet',
+    reason: `Listed in the "${sheetName}" tab`
+  });
+  console.log(`Do-not-call tab lists ${phones.length} numbers (${added} new, ${invalid.length} invalid)`);
+  
+  return { sheetName, listed: phones.length, added, invalid };
+}
+
 /**
  * Main function to sync Google Sheets data to Supabase
+ * Every enabled source in the sync_sources registry is synced in turn (see
+ * syncSources.js). Per-source settings take precedence over these options.
  * @param {Object} options - Options for the sync process 
- * @param {string} options.sheetName - Name of the sheet to sync (default: 'Sheet1')
+ * @param {string} options.sourceId - Only sync this source
+ * @param {Object} options.rows - Only sync these rows of the source given by sourceId:
+ *   { startRow, endRow }. Removed rows and the do-not-call tab are left for a
+ *   run that reads the whole sheet, and the source's last_synced_at is kept.
+ * @param {boolean} options.dueOnly - Skip sources whose sync interval has not
+ *   elapsed yet (default: true for cron runs, false otherwise)
+ * @param {string} options.sheetName - Tab registered as the default source when
+ *   no source exists yet (default: 'Sheet1')
  * @param {number} options.batchSize - Number of rows to process at once (default: 50)
- * @param {boolean} options.forceFullSync - Force a full sync instead of incremental (default: false)
+ * @param {boolean} options.forceFullSync - Rewrite every row, even unchanged ones (default: false)
+ * @param {string} options.deletePolicy - What to do with leads whose rows were removed
+ *   from the sheet: 'soft', 'hard' or 'ignore' (default: SYNC_DELETE_POLICY or 'soft')
+ * @param {string} options.identityStrategy - How rows are identified: 'column',
+ *   'natural' or 'row' (default: SYNC_IDENTITY_STRATEGY or 'natural')
+ * @param {string} options.idColumn - ID column header for the 'column' strategy
+ * @param {boolean} options.writeBackIds - Write generated IDs back to the sheet
+ * @param {number} options.writeBatchSize - Leads per upsert request (default: SYNC_WRITE_BATCH_SIZE or 500)
+ * @param {Object} options.columnMapping - Header-to-field mapping merged over the defaults
+ *   (default: SYNC_COLUMN_MAPPING_FILE, see leadFieldMapping.js)
+ * @param {string} options.defaultPhoneCountry - Country assumed for phone numbers without
+ *   a +country prefix (default: SYNC_DEFAULT_PHONE_COUNTRY or 'US')
+ * @param {string} options.trigger - What started the run: 'cron', 'manual', 'cli' or 'webhook' (default: 'manual')
+ * @param {string} options.triggeredBy - ID of the user who started a manual run
+ * @param {number} options.lockWaitSeconds - How long to wait for a sync that is already running (default: 0)
  * @param {Function} options.onError - Callback for error handling
- * @returns {Promise<Object>} Result of the sync operation
+ * @returns {Promise<Object>} Result of the sync operation: inserted/updated/
+ *   unchanged/deleted row counts and rejected rows totalled over all sources,
+ *   the per-source results under `sources`, the sources not yet due under
+ *   `skipped`, how new leads were assigned under `assignment`, the
+ *   possible duplicates flagged under `duplicates` and the
+ *   do-not-call tab import under `dnc`. If another
+ *   sync holds the lock, nothing is synced and the result has `locked: true`.
  */
 async function syncSheetsToSupabase(options = {}) {
   const {
+    sourceId,
+    rows = null,
     sheetName = 'Sheet1',
-    batchSize = 50,
     forceFullSync = false,
+    trigger = 'manual',
+    triggeredBy = null,
+    dueOnly = trigger === 'cron',
+    lockWaitSeconds = 0,
     onError = (err) => console.error('Sync error:', err)
   } = options;
   
   const syncStartTime = new Date().toISOString();
-  console.log(`Starting sync at ${syncStartTime}`);
+  console.log(`Starting ${forceFullSync ? 'full' : 'incremental'} ${trigger} sync at ${syncStartTime}`);
+  
+  let supabase = null;
+  let lockOwner = null;
   
   try {
-    // Fetch all data from Google Sheet
-    const sheetData = await fetchSheetData({ sheetName, batchSize });
-    console.log(`Fetched ${sheetData.length} rows from sheet`);
+    if (rows && !sourceId) {
+      throw new Error('A row range can only be synced for a single source');
+    }
     
-    // Map sheet data to leads objects
-    const leads = sheetData.map(({ headerRow, dataRow, rowIndex }) => 
-      mapSheetRowToLeadObject(headerRow, dataRow, rowIndex)
-    );
+    supabase = getSupabaseClient();
+    
+    lockOwner = await acquireSyncLock(supabase, { waitSeconds: lockWaitSeconds });
+    if (!lockOwner) {
+      console.warn('Another sync is already running; not starting a new one');
+      return {
+        success: false,
+        locked: true,
+        syncStartTime,
+        syncEndTime: new Date().toISOString(),
+        error: 'A sync is already running'
+      };
+    }
     
-    // Write all leads to Supabase
-    const result = await writeLeadsToSupabase(leads);
-    console.log(`Successfully synced ${result.count} leads to Supabase`);
+    const sources = await listSyncSources(supabase, { sourceId, sheetName });
+    if (sources.length === 0) {
+      throw new Error(sourceId
+        ? `Sync source ${sourceId} does not exist or is disabled`
+        : 'No sync sources are registered and GOOGLE_SHEET_ID is not set');
+    }
+    
+    // Suppressions must be in place before any lead is written
+    let dnc = null;
+    if (process.env.DNC_SHEET_NAME && !rows) {
+      try {
+        dnc = await importDncSheet(supabase, {
+          spreadsheetId: process.env.DNC_SPREADSHEET_ID || process.env.GOOGLE_SHEET_ID,
+          sheetName: process.env.DNC_SHEET_NAME,
+          defaultPhoneCountry: options.defaultPhoneCountry
+        });
+      } catch (error) {
+        // Numbers already on the list still apply, so the lead sync goes ahead
+        onError(error);
+        dnc = { sheetName: process.env.DNC_SHEET_NAME, error: error.message };
+      }
+    }
+    const dncNumbers = await loadDncNumbers(supabase);
+    
+    const now = new Date();
+    const dueSources = dueOnly ? sources.filter(source => isSourceDue(source, now)) : sources;
+    const skipped = sources
+      .filter(source => !dueSources.includes(source))
+      .map(source => ({ sourceId: source.id, sourceName: source.name }));
+    
+    // Sources run one after another: they share the lock and the leads table.
+    // The lock is renewed as the run goes, so its TTL covers a step, not the run.
+    const renewLock = () => renewSyncLock(supabase, lockOwner);
+    const results = [];
+    const insertedLeadIds = [];
+    for (const source of dueSources) {
+      await renewLock();
+      const { insertedLeadIds: sourceLeadIds = [], ...result } = await syncSource(
+        supabase, source, { ...sourceToSyncOptions(source, options), dncNumbers, renewLock, onError }
+      );
+      insertedLeadIds.push(...sourceLeadIds);
+      // Only a run over the whole sheet brings the source up to date
+      if (result.success && !rows) {
+        await markSourceSynced(supabase, source.id, result.syncStartTime);
+      }
+      results.push(result);
+    }
+    
+    const total = field => results.reduce((sum, result) => sum + (result[field] || 0), 0);
+    const failed = results.filter(result => !result.success);
+    
+    // Hand the leads this run created to reps; a failure here does not fail the sync
+    let assignment = null;
+    if (insertedLeadIds.length > 0) {
+      try {
+        assignment = await assignLeadsByRules(supabase, { leadIds: insertedLeadIds });
+        console.log(`Assigned ${assignment.assigned} new leads (${assignment.unmatched} matched no rule)`);
+      } catch (error) {
+        onError(error);
+        assignment = { error: error.message };
+      }
+    }
+    
+    // Flag leads this run wrote that look like other leads; a failure here does not fail the sync
+    let duplicates = null;
+    if (total('rowsWritten') > 0) {
+      try {
+        // A few rows are only compared with the leads that could match them
+        duplicates = await detectDuplicateLeads(supabase, { changedSince: syncStartTime, onlyMatching: Boolean(rows) });
+        console.log(`Flagged ${duplicates.flagged} possible duplicates among ${duplicates.checked} synced leads`);
+      } catch (error) {
+        onError(error);
+        duplicates = { error: error.message };
+      }
+    }
     
     return {
-      success: true,
+      success: failed.length === 0,
+      ...(failed.length === 0 ? {} : {
+        error: failed.map(result => `${result.sourceName}: ${result.error}`).join('; ')
+      }),
       syncStartTime,
       syncEndTime: new Date().toISOString(),
-      rowsProcessed: leads.length
+      fullSync: forceFullSync,
+      rows,
+      rowsProcessed: total('rowsProcessed'),
+      rowsWritten: total('rowsWritten'),
+      rowsFailed: total('rowsFailed'),
+      inserted: total('inserted'),
+      updated: total('updated'),
+      unchanged: total('unchanged'),
+      merged: total('merged'),
+      deleted: total('deleted'),
+      suppressed: total('suppressed'),
+      rejected: results.flatMap(result => (result.rejected || []).map(row => ({
+        ...row,
+        sourceId: result.sourceId,
+        sourceName: result.sourceName
+      }))),
+      sources: results,
+      skipped,
+      assignment,
+      duplicates,
+      dnc
     };
     
   } catch (error) {
     onError(error);
-    return {
+    const syncResult = {
       success: false,
       syncStartTime,
       syncEndTime: new Date().toISOString(),
       error: error.message
     };
+    
+    // Record the failure so the Dashboard reports it, even though no source ran
+    if (supabase) {
+      const runId = await startSyncRun(supabase, { trigger, triggeredBy, startedAt: syncStartTime });
+      await finishSyncRun(supabase, runId, syncResult);
+    }
+    return syncResult;
+  } finally {
+    if (lockOwner) {
+      await releaseSyncLock(supabase, lockOwner);
+    }
   }
 }
 
 // If this file is run directly, perform a sync
 if (require.main === module) {
-  syncSheetsToSupabase()
+  const sourceArgIndex = process.argv.indexOf('--source');
+  const run = process.argv.includes('--migrate-identity')
+    ? migrateLeadIdentities()
+    : syncSheetsToSupabase({
+      forceFullSync: process.argv.includes('--full'),
+      sourceId: sourceArgIndex >= 0 ? process.argv[sourceArgIndex + 1] : undefined,
+      trigger: 'cli'
+    });
+  
+  run
     .then(result => {
       console.log('Sync completed:', result);
       process.exit(0);
@@ -356,7 +1410,13 @@ if (require.main === module) {
 module.exports = {
   syncSheetsToSupabase,
   fetchSheetData,
+  importDncSheet,
   writeLeadsToSupabase,
+  mapSheetRowToLeadObject,
+  computeLeadFingerprint,
+  diffLeadsAgainstExisting,
+  reconcileDeletedLeads,
+  migrateLeadIdentities,
   getGoogleSheetsClient,
   getSupabaseClient
 }; 
\ No newline at end of file
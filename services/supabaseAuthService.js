@@ -36,6 +36,7 @@
  * This service provides client and server-side functions for authentication:
  * - createSupabaseClient() - Creates a Supabase client for client-side use
  * - createSupabaseServerClient() - Creates a Supabase client with admin privileges
+ * - createSupabaseUserClient(accessToken) - Creates a server-side client acting as a signed-in user
  * - getUserById(userId) - Retrieves user details by ID (server-side)
  * - verifySession(token) - Verifies a user session token (server-side)
  * 
@@ -79,6 +80,24 @@ function createSupabaseServerClient() {
   );
 }
 
+/**
+ * Creates a Supabase client that acts as a signed-in user on the server
+ * Queries run with the user's access token, so Row Level Security limits
+ * them to what the user may see, as in the browser.
+ * @param {string} accessToken - The user's Supabase access token
+ * @returns {Object} Supabase client instance
+ */
+function createSupabaseUserClient(accessToken) {
+  return createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_ANON_KEY,
+    {
+      global: { headers: { Authorization: `Bearer ${accessToken}` } },
+      auth: { persistSession: false, autoRefreshToken: false }
+    }
+  );
+}
+
 /**
  * Gets user data by user ID
  * @param {string} userId - The user's UUID
@@ -156,6 +175,7 @@ async function createUserRecord(userData) {
 module.exports = {
   createSupabaseClient,
   createSupabaseServerClient,
+  createSupabaseUserClient,
   getUserById,
   verifySession,
   createUserRecord
@@ -0,0 +1,117 @@
+/**
+ * @fileoverview Concurrency lock for sync runs
+ *
+ * Only one sync may run at a time: two overlapping runs would diff against
+ * the same stale state and race each other's writes and deletions. The lock
+ * is a row in the `sync_locks` table, taken atomically by the
+ * try_acquire_sync_lock() database function (see docs/supabase_tables.sql).
+ * Locks expire after a TTL so a crashed run cannot block syncing forever.
+ * A run renews its lock with renewSyncLock as it goes (before each source
+ * and each write), so the TTL only has to outlast one step of a run, not a
+ * whole run, and a run that finds its lock taken stops before writing.
+ * Callers that would rather wait a little than give up, such as the sheet
+ * change webhook, can keep retrying for a few seconds.
+ *
+ * === ENVIRONMENT VARIABLES ===
+ *
+ * SYNC_LOCK_TTL_SECONDS - How long a lock is held after it was taken or last
+ *   renewed before it is considered stale (default: 900)
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_LOCK_NAME = 'sheets-sync';
+
+// Time between attempts while waiting for a held lock
+const LOCK_RETRY_INTERVAL_MS = 1000;
+
+/**
+ * Tries to take the sync lock
+ * @param {Object} supabase - Supabase client with the service role
+ * @param {Object} options - Lock options
+ * @param {string} options.name - Lock name (default: 'sheets-sync')
+ * @param {number} options.ttlSeconds - Lock lifetime (default: SYNC_LOCK_TTL_SECONDS or 900)
+ * @param {number} options.waitSeconds - How long to keep retrying while the lock is held (default: 0)
+ * @returns {Promise<string|null>} Owner token to release the lock with, or null if it is held
+ */
+async function acquireSyncLock(supabase, options = {}) {
+  const {
+    name = DEFAULT_LOCK_NAME,
+    ttlSeconds = Number(process.env.SYNC_LOCK_TTL_SECONDS || 900),
+    waitSeconds = 0
+  } = options;
+  const owner = crypto.randomUUID();
+  const deadline = Date.now() + waitSeconds * 1000;
+
+  for (;;) {
+    const { data, error } = await supabase.rpc('try_acquire_sync_lock', {
+      lock_name: name,
+      lock_owner: owner,
+      ttl_seconds: ttlSeconds
+    });
+
+    if (error) {
+      throw error;
+    }
+
+    if (data) return owner;
+    if (Date.now() + LOCK_RETRY_INTERVAL_MS > deadline) return null;
+    await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_INTERVAL_MS));
+  }
+}
+
+/**
+ * Extends the sync lock held by the given owner by another TTL
+ * @param {Object} supabase - Supabase client with the service role
+ * @param {string} owner - Token returned by acquireSyncLock
+ * @param {Object} options - Lock options
+ * @param {string} options.name - Lock name (default: 'sheets-sync')
+ * @param {number} options.ttlSeconds - Lock lifetime from now (default: SYNC_LOCK_TTL_SECONDS or 900)
+ * @returns {Promise<void>}
+ * @throws {Error} If the lock expired and another run has taken it
+ */
+async function renewSyncLock(supabase, owner, options = {}) {
+  const {
+    name = DEFAULT_LOCK_NAME,
+    ttlSeconds = Number(process.env.SYNC_LOCK_TTL_SECONDS || 900)
+  } = options;
+
+  const { data, error } = await supabase.rpc('renew_sync_lock', {
+    lock_name: name,
+    lock_owner: owner,
+    ttl_seconds: ttlSeconds
+  });
+
+  if (error) {
+    throw error;
+  }
+  if (!data) {
+    throw new Error('The sync lock expired and another sync has taken it; stopping this one');
+  }
+}
+
+/**
+ * Releases the sync lock if it is still held by the given owner
+ * @param {Object} supabase - Supabase client with the service role
+ * @param {string} owner - Token returned by acquireSyncLock
+ * @param {string} name - Lock name (default: 'sheets-sync')
+ * @returns {Promise<void>}
+ */
+async function releaseSyncLock(supabase, owner, name = DEFAULT_LOCK_NAME) {
+  const { error } = await supabase
+    .from('sync_locks')
+    .delete()
+    .eq('name', name)
+    .eq('owner', owner);
+
+  if (error) {
+    console.error('Error releasing sync lock:', error);
+  }
+}
+
+module.exports = {
+  DEFAULT_LOCK_NAME,
+  acquireSyncLock,
+  renewSyncLock,
+  releaseSyncLock
+};
@@ -0,0 +1,123 @@
+/**
+ * @fileoverview Persistent history of sync runs
+ *
+ * Every source synced by syncSheetsToSupabase is recorded in the `sync_runs`
+ * table: what triggered it (cron, manual, CLI or a sheet change webhook), which source (spreadsheet
+ * and tab) it read, how long it took, its row counts and any error. The
+ * Dashboard reads the latest runs to tell reps how fresh their lead list
+ * is, and GET /api/sync-runs lists recent runs.
+ *
+ * Recording is best-effort: a failure to write history is logged but never
+ * fails the sync itself.
+ */
+
+const { createSupabaseServerClient } = require('./supabaseAuthService');
+
+const SYNC_TRIGGERS = ['cron', 'manual', 'cli', 'webhook'];
+
+/**
+ * Records the start of a sync run
+ * @param {Object} supabase - Supabase client
+ * @param {Object} run - Run details
+ * @param {string} run.trigger - 'cron', 'manual', 'cli' or 'webhook'
+ * @param {string} run.triggeredBy - ID of the user who started a manual run
+ * @param {string} run.sourceId - ID of the sync_sources row being synced
+ * @param {string} run.spreadsheetId - ID of the spreadsheet being synced
+ * @param {string} run.sheetName - Name of the tab being synced
+ * @param {string} run.startedAt - ISO timestamp of the start of the run
+ * @returns {Promise<string|null>} ID of the new sync_runs row, or null if it could not be recorded
+ */
+async function startSyncRun(supabase, { trigger, triggeredBy, sourceId, spreadsheetId, sheetName, startedAt }) {
+  try {
+    const { data, error } = await supabase
+      .from('sync_runs')
+      .insert([{
+        trigger: SYNC_TRIGGERS.includes(trigger) ? trigger : 'manual',
+        status: 'running',
+        triggered_by: triggeredBy || null,
+        source_id: sourceId || null,
+        spreadsheet_id: spreadsheetId,
+        sheet_name: sheetName,
+        started_at: startedAt
+      }])
+      .select('id')
+      .single();
+
+    if (error) throw error;
+    return data.id;
+  } catch (error) {
+    console.error('Error recording sync run start:', error);
+    return null;
+  }
+}
+
+/**
+ * Records the outcome of a sync run
+ * @param {Object} supabase - Supabase client
+ * @param {string|null} runId - ID returned by startSyncRun
+ * @param {Object} result - Result of syncing one source (see syncSheetsToSupabase)
+ * @returns {Promise<void>}
+ */
+async function finishSyncRun(supabase, runId, result) {
+  if (!runId) return;
+
+  const startedAt = new Date(result.syncStartTime);
+  const finishedAt = new Date(result.syncEndTime);
+
+  try {
+    const { error } = await supabase
+      .from('sync_runs')
+      .update({
+        status: result.success ? 'succeeded' : 'failed',
+        finished_at: result.syncEndTime,
+        duration_ms: finishedAt - startedAt,
+        rows_processed: result.rowsProcessed ?? null,
+        inserted: result.inserted ?? null,
+        updated: result.updated ?? null,
+        unchanged: result.unchanged ?? null,
+        deleted: result.deleted ?? null,
+        rejected: result.rejected ? result.rejected.length : null,
+        rows_failed: result.rowsFailed ?? null,
+        error: result.error || null,
+        details: {
+          rows: result.rows || null,
+          batches: result.batches || [],
+          rejected: result.rejected || []
+        }
+      })
+      .eq('id', runId);
+
+    if (error) throw error;
+  } catch (error) {
+    console.error('Error recording sync run result:', error);
+  }
+}
+
+/**
+ * Lists the most recent sync runs, newest first
+ * @param {Object} options - Query options
+ * @param {number} options.limit - Maximum number of runs to return (default: 20)
+ * @returns {Promise<Array>} Array of sync_runs rows
+ */
+async function listRecentSyncRuns({ limit = 20 } = {}) {
+  const supabase = createSupabaseServerClient();
+
+  const { data, error } = await supabase
+    .from('sync_runs')
+    .select('*')
+    .order('started_at', { ascending: false })
+    .limit(limit);
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+}
+
+module.exports = {
+  SYNC_TRIGGERS,
+  startSyncRun,
+  finishSyncRun,
+  listRecentSyncRuns
+};
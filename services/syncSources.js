@@ -0,0 +1,281 @@
+/**
+ * @fileoverview Registry of Google Sheets sync sources
+ *
+ * Each lead list the team keeps (a tab of a spreadsheet, or a spreadsheet of
+ * its own) is registered as a row in the `sync_sources` table with its
+ * spreadsheet ID, tab name, column mapping and sync interval.
+ * syncSheetsToSupabase syncs every enabled source in turn, and every lead
+ * records the source it came from in `leads.source_id`, so identical sheet
+ * keys (or row numbers) in two tabs never collide.
+ *
+ * Per-source settings override the environment defaults; a null setting
+ * falls back to them:
+ * - column_mapping - Header-to-field overrides (see leadFieldMapping.js)
+ * - identity_strategy, id_column, write_back_ids (see leadIdentity.js)
+ * - delete_policy - 'soft', 'hard' or 'ignore'
+ * - default_phone_country (see phoneNormalization.js)
+ * - writeback_columns, conflict_policy (see sheetWriteback.js)
+ * - field_policies (see leadEdits.js)
+ *
+ * Sheet changes reported by the sheet change webhook (see sheetWebhook.js)
+ * are synced right away. A change that could not be synced then is recorded
+ * in sheet_changed_at, which makes the source due at the next cron run
+ * whatever its interval.
+ *
+ * A database with no registered sources keeps working: the first sync
+ * registers GOOGLE_SHEET_ID as a "Default" source and assigns the sheet
+ * leads synced before sources existed to it.
+ */
+
+const DEFAULT_SOURCE_NAME = 'Default';
+const DEFAULT_SYNC_INTERVAL_MINUTES = 360;
+
+/**
+ * Lists the sources to sync
+ * The default source is registered first if no source exists yet, or if
+ * leads synced before sources existed still need one.
+ * @param {Object} supabase - Supabase client with the service role
+ * @param {Object} options - Query options
+ * @param {string} options.sourceId - Only return this source
+ * @param {string} options.sheetName - Tab for the default source, if it has to be registered (default: 'Sheet1')
+ * @returns {Promise<Array>} Enabled sync_sources rows, oldest first
+ */
+async function listSyncSources(supabase, { sourceId, sheetName } = {}) {
+  const [{ count: sourceCount, error: sourceError }, { count: unassignedCount, error: leadError }] = await Promise.all([
+    supabase.from('sync_sources').select('id', { count: 'exact', head: true }),
+    unassignedLeadsQuery(supabase.from('leads').select('id', { count: 'exact', head: true }))
+  ]);
+
+  if (sourceError) throw sourceError;
+  if (leadError) throw leadError;
+
+  if (sourceCount === 0 || unassignedCount > 0) {
+    await ensureDefaultSource(supabase, { sheetName });
+  }
+
+  let query = supabase
+    .from('sync_sources')
+    .select('*')
+    .eq('enabled', true)
+    .order('created_at', { ascending: true });
+
+  if (sourceId) {
+    query = query.eq('id', sourceId);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Narrows a leads query to sheet leads synced before sources existed
+ * @param {Object} query - Supabase query on the leads table
+ * @returns {Object} The filtered query
+ */
+function unassignedLeadsQuery(query) {
+  return query
+    .is('source_id', null)
+    .eq('source', 'google_sheets')
+    .not('sheet_row_id', 'is', null);
+}
+
+/**
+ * Registers GOOGLE_SHEET_ID as the default source if it is not registered
+ * yet, and assigns leads synced before sources existed to it
+ * @param {Object} supabase - Supabase client with the service role
+ * @param {Object} options - Options
+ * @param {string} options.sheetName - Tab of the default source (default: 'Sheet1')
+ * @returns {Promise<Object|null>} The default source, or null if GOOGLE_SHEET_ID is not set
+ */
+async function ensureDefaultSource(supabase, { sheetName = 'Sheet1' } = {}) {
+  const spreadsheetId = process.env.GOOGLE_SHEET_ID;
+  if (!spreadsheetId) {
+    return null;
+  }
+
+  const { data: existing, error: findError } = await supabase
+    .from('sync_sources')
+    .select('*')
+    .eq('spreadsheet_id', spreadsheetId)
+    .eq('sheet_name', sheetName)
+    .maybeSingle();
+
+  if (findError) {
+    throw findError;
+  }
+
+  let source = existing;
+  if (!source) {
+    const { data, error } = await supabase
+      .from('sync_sources')
+      .insert([{
+        name: DEFAULT_SOURCE_NAME,
+        spreadsheet_id: spreadsheetId,
+        sheet_name: sheetName
+      }])
+      .select('*')
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    source = data;
+    console.log(`Registered ${spreadsheetId}/${sheetName} as the default sync source`);
+  }
+
+  // Sheet leads from before sources existed all came from GOOGLE_SHEET_ID
+  const { error: adoptError } = await unassignedLeadsQuery(supabase
+    .from('leads')
+    .update({ source_id: source.id }));
+
+  if (adoptError) {
+    throw adoptError;
+  }
+
+  return source;
+}
+
+/**
+ * Finds the enabled source reading a spreadsheet tab
+ * @param {Object} supabase - Supabase client with the service role
+ * @param {string} spreadsheetId - ID of the spreadsheet
+ * @param {string} sheetName - Name of the tab
+ * @returns {Promise<Object|null>} The sync_sources row, or null if the tab is not synced
+ */
+async function findSyncSource(supabase, spreadsheetId, sheetName) {
+  const { data, error } = await supabase
+    .from('sync_sources')
+    .select('*')
+    .eq('spreadsheet_id', spreadsheetId)
+    .eq('sheet_name', sheetName)
+    .eq('enabled', true)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Lists the enabled sources reading tabs of a spreadsheet
+ * @param {Object} supabase - Supabase client with the service role
+ * @param {string} spreadsheetId - ID of the spreadsheet
+ * @returns {Promise<Array>} sync_sources rows, oldest first
+ */
+async function findSpreadsheetSources(supabase, spreadsheetId) {
+  const { data, error } = await supabase
+    .from('sync_sources')
+    .select('*')
+    .eq('spreadsheet_id', spreadsheetId)
+    .eq('enabled', true)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Checks whether a source's sync interval has elapsed since its last sync,
+ * or the sheet changed since then without being synced
+ * @param {Object} source - sync_sources row
+ * @param {Date} now - Current time (default: new Date())
+ * @returns {boolean} Whether the source should be synced now
+ */
+function isSourceDue(source, now = new Date()) {
+  if (!source.last_synced_at) return true;
+  if (source.sheet_changed_at && new Date(source.sheet_changed_at) > new Date(source.last_synced_at)) return true;
+
+  const intervalMinutes = source.sync_interval_minutes || DEFAULT_SYNC_INTERVAL_MINUTES;
+  const elapsedMs = now - new Date(source.last_synced_at);
+  return elapsedMs >= intervalMinutes * 60 * 1000;
+}
+
+/**
+ * Builds sync options for a source, letting its own settings override the
+ * options the sync was called with
+ * @param {Object} source - sync_sources row
+ * @param {Object} options - Options passed to syncSheetsToSupabase
+ * @returns {Object} Options for syncing this source
+ */
+function sourceToSyncOptions(source, options = {}) {
+  const sourceSettings = {
+    columnMapping: source.column_mapping,
+    identityStrategy: source.identity_strategy,
+    idColumn: source.id_column,
+    writeBackIds: source.write_back_ids,
+    deletePolicy: source.delete_policy,
+    defaultPhoneCountry: source.default_phone_country,
+    writebackColumns: source.writeback_columns,
+    conflictPolicy: source.conflict_policy,
+    fieldPolicies: source.field_policies
+  };
+
+  const syncOptions = { ...options, spreadsheetId: source.spreadsheet_id, sheetName: source.sheet_name };
+  Object.entries(sourceSettings).forEach(([option, value]) => {
+    if (value !== null && value !== undefined) {
+      syncOptions[option] = value;
+    }
+  });
+
+  return syncOptions;
+}
+
+/**
+ * Records that a source was synced successfully
+ * @param {Object} supabase - Supabase client with the service role
+ * @param {string} sourceId - ID of the source
+ * @param {string} syncedAt - ISO timestamp of the start of the sync
+ * @returns {Promise<void>}
+ */
+async function markSourceSynced(supabase, sourceId, syncedAt) {
+  const { error } = await supabase
+    .from('sync_sources')
+    .update({ last_synced_at: syncedAt })
+    .eq('id', sourceId);
+
+  if (error) {
+    console.error('Error recording source sync time:', error);
+  }
+}
+
+/**
+ * Records a sheet change that still has to be synced, so the next cron run
+ * syncs the source even if its interval has not elapsed
+ * @param {Object} supabase - Supabase client with the service role
+ * @param {string} sourceId - ID of the source
+ * @param {string} changedAt - ISO timestamp of the change (default: now)
+ * @returns {Promise<void>}
+ */
+async function markSourceChanged(supabase, sourceId, changedAt = new Date().toISOString()) {
+  const { error } = await supabase
+    .from('sync_sources')
+    .update({ sheet_changed_at: changedAt })
+    .eq('id', sourceId);
+
+  if (error) {
+    console.error('Error recording sheet change:', error);
+  }
+}
+
+module.exports = {
+  DEFAULT_SYNC_INTERVAL_MINUTES,
+  listSyncSources,
+  findSyncSource,
+  findSpreadsheetSources,
+  ensureDefaultSource,
+  isSourceDue,
+  sourceToSyncOptions,
+  markSourceSynced,
+  markSourceChanged
+};
@@ -0,0 +1,70 @@
+/**
+ * @fileoverview Call statuses shared by telephony providers and the dialer
+ *
+ * Every provider adapter reports the progress of a call with these statuses,
+ * whatever its carrier calls them, so the dialer UI only deals with one set.
+ * A call is queued, rings, may be answered (in_progress) and ends in one of
+ * the terminal statuses. When a call ends, the dialer pre-selects the
+ * disposition its final status suggests (see callDispositions.js).
+ */
+
+const CALL_STATUSES = [
+  'queued',
+  'ringing',
+  'in_progress',
+  'completed',
+  'busy',
+  'no_answer',
+  'voicemail',
+  'failed',
+  'canceled'
+];
+
+const TERMINAL_CALL_STATUSES = ['completed', 'busy', 'no_answer', 'voicemail', 'failed', 'canceled'];
+
+const CALL_STATUS_LABELS = {
+  queued: 'Dialing…',
+  ringing: 'Ringing…',
+  in_progress: 'Connected',
+  completed: 'Call ended',
+  busy: 'Line busy',
+  no_answer: 'No answer',
+  voicemail: 'Reached voicemail',
+  failed: 'Call failed',
+  canceled: 'Call canceled'
+};
+
+// Disposition pre-selected on the form for each final status
+const SUGGESTED_DISPOSITIONS = {
+  completed: 'connected',
+  busy: 'no_answer',
+  no_answer: 'no_answer',
+  voicemail: 'voicemail',
+  canceled: 'no_answer'
+};
+
+/**
+ * Checks whether a call has ended
+ * @param {string} status - Call status
+ * @returns {boolean} Whether the status is terminal
+ */
+function isTerminalCallStatus(status) {
+  return TERMINAL_CALL_STATUSES.includes(status);
+}
+
+/**
+ * Returns the disposition a call's final status suggests
+ * @param {string} status - Final call status
+ * @returns {string} Disposition value, or '' if the rep has to choose
+ */
+function suggestDispositionForStatus(status) {
+  return SUGGESTED_DISPOSITIONS[status] || '';
+}
+
+module.exports = {
+  CALL_STATUSES,
+  TERMINAL_CALL_STATUSES,
+  CALL_STATUS_LABELS,
+  isTerminalCallStatus,
+  suggestDispositionForStatus
+};
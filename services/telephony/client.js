@@ -0,0 +1,111 @@
+/**
+ * @fileoverview Browser client for the /api/calls routes
+ *
+ * The dialer places and ends calls through these helpers rather than
+ * talking to a provider, so it works the same whichever provider the server
+ * is configured with. Every request carries the rep's Supabase access token.
+ */
+
+const { isTerminalCallStatus } = require('./callStatuses');
+
+const POLL_INTERVAL_MS = 2000;
+
+/**
+ * Sends a request to the calls API
+ * @param {string} path - Path below /api/calls
+ * @param {string} accessToken - Supabase access token of the rep
+ * @param {Object} options - fetch options
+ * @returns {Promise<Object>} Call state returned by the API
+ */
+async function callsRequest(path, accessToken, options = {}) {
+  const response = await fetch(`/api/calls${path}`, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${accessToken}`
+    }
+  });
+
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const error = new Error(body.error || `Call request failed with status ${response.status}`);
+    // Set when a call is refused outside calling hours (see callingCompliance.js)
+    error.compliance = body.compliance || null;
+    throw error;
+  }
+  return body.call;
+}
+
+/**
+ * Places a call to a lead
+ * @param {string} accessToken - Supabase access token of the rep
+ * @param {string} leadId - ID of the lead to call
+ * @param {Object} options - Call options
+ * @param {boolean} options.acknowledgeWarning - The rep confirmed a calling-hours warning
+ * @returns {Promise<Object>} Call state, with tracksStatus and any clientAction
+ */
+function placeCall(accessToken, leadId, { acknowledgeWarning = false } = {}) {
+  return callsRequest('', accessToken, {
+    method: 'POST',
+    body: JSON.stringify({ leadId, acknowledgeWarning })
+  });
+}
+
+/**
+ * Fetches the current state of a call
+ * @param {string} accessToken - Supabase access token of the rep
+ * @param {string} providerCallId - ID of the call
+ * @returns {Promise<Object>} Call state
+ */
+function fetchCall(accessToken, providerCallId) {
+  return callsRequest(`/${encodeURIComponent(providerCallId)}`, accessToken);
+}
+
+/**
+ * Hangs up a call
+ * @param {string} accessToken - Supabase access token of the rep
+ * @param {string} providerCallId - ID of the call
+ * @returns {Promise<Object>} Final call state
+ */
+function hangUpCall(accessToken, providerCallId) {
+  return callsRequest(`/${encodeURIComponent(providerCallId)}`, accessToken, { method: 'DELETE' });
+}
+
+/**
+ * Polls a call's status until it ends
+ * @param {string} accessToken - Supabase access token of the rep
+ * @param {string} providerCallId - ID of the call
+ * @param {Function} onUpdate - Called with each call state fetched
+ * @param {number} intervalMs - Delay between polls (default: 2000)
+ * @returns {Function} Stops polling
+ */
+function watchCall(accessToken, providerCallId, onUpdate, intervalMs = POLL_INTERVAL_MS) {
+  let stopped = false;
+  let timer = null;
+
+  const poll = async () => {
+    try {
+      const call = await fetchCall(accessToken, providerCallId);
+      if (stopped) return;
+      onUpdate(call);
+      if (isTerminalCallStatus(call.status)) return;
+    } catch (error) {
+      // A missed poll is retried on the next tick
+      console.error('Error fetching call status:', error);
+    }
+    if (!stopped) timer = setTimeout(poll, intervalMs);
+  };
+
+  timer = setTimeout(poll, intervalMs);
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+  };
+}
+
+module.exports = {
+  placeCall,
+  fetchCall,
+  hangUpCall,
+  watchCall
+};
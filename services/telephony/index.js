@@ -0,0 +1,76 @@
+/**
+ * @fileoverview Telephony provider registry
+ *
+ * The dialer never talks to a carrier directly. It calls the /api/calls
+ * routes, which use the provider selected with TELEPHONY_PROVIDER:
+ *
+ *   tel    - The rep's device places the call from a tel: link (default)
+ *   mock   - Simulated calls for local development (see mockProvider.js)
+ *   twilio - Calls placed through Twilio's REST API (see twilioProvider.js)
+ *
+ * === PROVIDER INTERFACE ===
+ *
+ * A provider is an object with:
+ *
+ *   name - Provider name, stored on call logs
+ *   tracksStatus - Whether getCallStatus reports the call's progress; if not,
+ *     the call is in progress until the rep hangs up
+ *   placeCall({ to, extension, statusCallbackUrl }) - Starts a call
+ *   hangUp(providerCallId) - Ends or cancels a call
+ *   getCallStatus(providerCallId) - Reports the current state of a call
+ *
+ * Each method resolves to a call state:
+ *
+ *   {
+ *     provider, providerCallId,
+ *     status,            // see callStatuses.js
+ *     durationSeconds,   // talk time once known, or null
+ *     recordingUrl,      // URL of the recording once available, or null
+ *     answeredBy,        // 'human', 'machine' or null if unknown
+ *     clientAction       // placeCall only, optional: { type: 'open_uri', uri }
+ *   }
+ *
+ * Providers that report progress asynchronously also implement:
+ *
+ *   verifyWebhook({ headers, params, rawBody }) - Checks a webhook's signature
+ *   parseWebhookEvent(params) - Converts a webhook into a call event:
+ *     { provider, providerCallId, eventId, occurredAt, status, sequence,
+ *       durationSeconds, recordingUrl, answeredBy }
+ *     where eventId is stable across redeliveries and status is null for
+ *     events that only carry a recording
+ *
+ * Webhooks are received by /api/telephony-webhook (see services/callEvents.js).
+ *
+ * To add an adapter (another REST carrier, a SIP/WebRTC softphone bridge),
+ * implement the interface in this directory and register it in PROVIDERS.
+ *
+ * === ENVIRONMENT VARIABLES ===
+ *
+ * TELEPHONY_PROVIDER - 'tel', 'mock' or 'twilio' (default: 'tel')
+ * TELEPHONY_STATUS_CALLBACK_URL - Public URL of /api/telephony-webhook, which
+ *   providers post call status events to
+ */
+
+const PROVIDERS = {
+  tel: () => require('./telProvider'),
+  mock: () => require('./mockProvider'),
+  twilio: () => require('./twilioProvider')
+};
+
+/**
+ * Returns the configured telephony provider
+ * @param {string} name - Provider name (default: TELEPHONY_PROVIDER or 'tel')
+ * @returns {Object} Provider implementing the interface above
+ */
+function getTelephonyProvider(name = process.env.TELEPHONY_PROVIDER || 'tel') {
+  const loadProvider = PROVIDERS[name];
+  if (!loadProvider) {
+    throw new Error(`Unknown telephony provider "${name}"`);
+  }
+  return loadProvider();
+}
+
+module.exports = {
+  TELEPHONY_PROVIDERS: Object.keys(PROVIDERS),
+  getTelephonyProvider
+};
@@ -0,0 +1,138 @@
+/**
+ * @fileoverview Local mock telephony provider
+ *
+ * Simulates calls without a carrier so the whole dialing flow (ringing,
+ * answer, busy, voicemail, hang-up, dispositions) can be built and tried
+ * locally. No call is placed and nothing is stored: the outcome and start
+ * time are encoded in the call ID, and each status check works out where
+ * the simulated call has got to.
+ *
+ * The outcome is taken from TELEPHONY_MOCK_OUTCOME if set, otherwise from
+ * the last digit of the number dialled, so every outcome can be reached by
+ * calling the right lead:
+ *
+ *   ...0 - busy         ...1 - no answer     ...2 - voicemail
+ *   any other digit - answered
+ *
+ * Timeline: the call rings for RING_SECONDS. A busy line ends then; an
+ * unanswered call rings on until NO_ANSWER_SECONDS; voicemail picks up and
+ * ends after VOICEMAIL_SECONDS; an answered call stays connected until it is
+ * hung up (or MAX_CALL_SECONDS).
+ *
+ * === ENVIRONMENT VARIABLES ===
+ *
+ * TELEPHONY_MOCK_OUTCOME - Optional: 'answer', 'busy', 'no_answer' or 'voicemail'
+ */
+
+const crypto = require('crypto');
+
+const MOCK_OUTCOMES = ['answer', 'busy', 'no_answer', 'voicemail'];
+
+const RING_SECONDS = 4;
+const NO_ANSWER_SECONDS = 20;
+const VOICEMAIL_SECONDS = 12;
+const MAX_CALL_SECONDS = 600;
+
+/**
+ * Picks the simulated outcome of a call to a number
+ * @param {string} to - Number being called
+ * @returns {string} One of MOCK_OUTCOMES
+ */
+function pickOutcome(to) {
+  const configured = process.env.TELEPHONY_MOCK_OUTCOME;
+  if (MOCK_OUTCOMES.includes(configured)) return configured;
+
+  const lastDigit = String(to || '').replace(/\D/g, '').slice(-1);
+  return { 0: 'busy', 1: 'no_answer', 2: 'voicemail' }[lastDigit] || 'answer';
+}
+
+/**
+ * Decodes a mock call ID
+ * @param {string} providerCallId - ID returned by placeCall
+ * @returns {Object} { outcome, startedAt } where startedAt is in milliseconds
+ */
+function parseCallId(providerCallId) {
+  const [prefix, outcome, startedAt] = String(providerCallId).split('-');
+  if (prefix !== 'mock' || !MOCK_OUTCOMES.includes(outcome) || !Number(startedAt)) {
+    const error = new Error(`Unknown mock call "${providerCallId}"`);
+    error.status = 404;
+    throw error;
+  }
+  return { outcome, startedAt: Number(startedAt) };
+}
+
+/**
+ * Works out the state of a simulated call at a point in time
+ * @param {string} providerCallId - ID returned by placeCall
+ * @param {number} now - Time in milliseconds (default: Date.now())
+ * @returns {Object} Call state (see telephony/index.js)
+ */
+function simulate(providerCallId, now = Date.now()) {
+  const { outcome, startedAt } = parseCallId(providerCallId);
+  const elapsed = Math.max(0, (now - startedAt) / 1000);
+  const call = { provider: 'mock', providerCallId, durationSeconds: null, recordingUrl: null, answeredBy: null };
+
+  if (elapsed < RING_SECONDS) {
+    return { ...call, status: elapsed < 1 ? 'queued' : 'ringing' };
+  }
+
+  switch (outcome) {
+    case 'busy':
+      return { ...call, status: 'busy', durationSeconds: 0 };
+    case 'no_answer':
+      return elapsed < NO_ANSWER_SECONDS
+        ? { ...call, status: 'ringing' }
+        : { ...call, status: 'no_answer', durationSeconds: 0 };
+    case 'voicemail':
+      return elapsed < VOICEMAIL_SECONDS
+        ? { ...call, status: 'in_progress', answeredBy: 'machine' }
+        : { ...call, status: 'voicemail', answeredBy: 'machine', durationSeconds: VOICEMAIL_SECONDS - RING_SECONDS };
+    default: {
+      const talked = Math.round(Math.min(elapsed, MAX_CALL_SECONDS) - RING_SECONDS);
+      return elapsed < MAX_CALL_SECONDS
+        ? { ...call, status: 'in_progress', answeredBy: 'human', durationSeconds: talked }
+        : { ...call, status: 'completed', answeredBy: 'human', durationSeconds: talked };
+    }
+  }
+}
+
+module.exports = {
+  name: 'mock',
+  tracksStatus: true,
+
+  /**
+   * Starts a simulated call
+   * @param {Object} params - Call parameters
+   * @param {string} params.to - E.164 number to call
+   * @returns {Promise<Object>} Call state
+   */
+  async placeCall({ to }) {
+    const providerCallId = `mock-${pickOutcome(to)}-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    return simulate(providerCallId);
+  },
+
+  /**
+   * Hangs up a simulated call; a call that is still ringing counts as canceled
+   * @param {string} providerCallId - ID returned by placeCall
+   * @returns {Promise<Object>} Final call state
+   */
+  async hangUp(providerCallId) {
+    const call = simulate(providerCallId);
+    if (call.status === 'in_progress') {
+      return { ...call, status: call.answeredBy === 'machine' ? 'voicemail' : 'completed' };
+    }
+    if (call.status === 'queued' || call.status === 'ringing') {
+      return { ...call, status: 'canceled', durationSeconds: 0 };
+    }
+    return call;
+  },
+
+  /**
+   * Returns the current state of a simulated call
+   * @param {string} providerCallId - ID returned by placeCall
+   * @returns {Promise<Object>} Call state
+   */
+  async getCallStatus(providerCallId) {
+    return simulate(providerCallId);
+  }
+};
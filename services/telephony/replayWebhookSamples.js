@@ -0,0 +1,99 @@
+/**
+ * @fileoverview Replays recorded provider webhooks against /api/telephony-webhook
+ *
+ * Posts the sample payloads in docs/telephony-samples/ to a running app in
+ * their recorded order, which includes out-of-order and redelivered events,
+ * and checks that each one is reported as expected ('applied', 'stale' or
+ * 'duplicate'). Every run uses fresh call and recording IDs, so it can be
+ * repeated against the same database.
+ *
+ * Requests are signed the way Twilio signs them, so the app must run with
+ * TELEPHONY_PROVIDER=twilio and the same TWILIO_AUTH_TOKEN and
+ * TELEPHONY_STATUS_CALLBACK_URL (e.g. http://localhost:3000/api/telephony-webhook).
+ * No Twilio account is needed: nothing is sent to Twilio. `npm test` replays
+ * the same samples offline against a model of apply_call_event, so only this
+ * script checks the database function itself.
+ *
+ * === USAGE ===
+ *
+ * npm run replay-webhooks [-- <samples file>]
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+const { computeSignature } = require('./twilioProvider');
+
+const DEFAULT_SAMPLES_FILE = path.join(__dirname, '../../docs/telephony-samples/twilio-call-events.json');
+
+/**
+ * Fills a sample's {{placeholders}} with this run's IDs
+ * @param {Object} params - Sample webhook parameters
+ * @param {Object} ids - Placeholder name to value
+ * @returns {Object} Parameters ready to post
+ */
+function fillPlaceholders(params, ids) {
+  return Object.fromEntries(Object.entries(params).map(([key, value]) => [
+    key,
+    String(value).replace(/\{\{(\w+)\}\}/g, (match, name) => ids[name] || match)
+  ]));
+}
+
+/**
+ * Posts every sample in order and compares the outcomes with the expected ones
+ * @param {string} samplesFile - Path of the JSON samples file
+ * @returns {Promise<number>} Number of samples whose outcome did not match
+ */
+async function replayWebhookSamples(samplesFile = DEFAULT_SAMPLES_FILE) {
+  const url = process.env.TELEPHONY_STATUS_CALLBACK_URL;
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+  if (!url || !authToken) {
+    throw new Error('TELEPHONY_STATUS_CALLBACK_URL and TWILIO_AUTH_TOKEN must be set');
+  }
+
+  const samples = JSON.parse(fs.readFileSync(samplesFile, 'utf8'));
+  const ids = {
+    CallSid: `CA${crypto.randomBytes(16).toString('hex')}`,
+    RecordingSid: `RE${crypto.randomBytes(16).toString('hex')}`
+  };
+
+  let mismatches = 0;
+  for (const sample of samples) {
+    const params = fillPlaceholders(sample.params, ids);
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'X-Twilio-Signature': computeSignature(url, params, authToken)
+      },
+      body: new URLSearchParams(params).toString()
+    });
+    const body = await response.json().catch(() => ({}));
+    const outcome = response.ok ? body.outcome : `HTTP ${response.status}: ${body.error}`;
+    const matched = outcome === sample.expect;
+    if (!matched) mismatches++;
+
+    console.log(`${matched ? 'ok  ' : 'FAIL'} ${sample.description}: ${outcome}` +
+      (matched ? '' : ` (expected ${sample.expect})`));
+  }
+
+  console.log(`Replayed ${samples.length} events for call ${ids.CallSid}, ${mismatches} mismatched`);
+  return mismatches;
+}
+
+if (require.main === module) {
+  replayWebhookSamples(process.argv[2])
+    .then(mismatches => process.exit(mismatches > 0 ? 1 : 0))
+    .catch(error => {
+      console.error('Replay failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  DEFAULT_SAMPLES_FILE,
+  fillPlaceholders,
+  replayWebhookSamples
+};
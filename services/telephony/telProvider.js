@@ -0,0 +1,56 @@
+/**
+ * @fileoverview Device softphone telephony provider
+ *
+ * The call is placed by whatever handles `tel:` links on the rep's device
+ * (a desk phone app, a SIP softphone, a paired mobile). The server only
+ * hands the dialer the link to open; it cannot see the call, so the status
+ * stays in_progress until the rep ends the call in the dialer.
+ */
+
+const crypto = require('crypto');
+const { buildTelUri } = require('../phoneNormalization');
+
+module.exports = {
+  name: 'tel',
+  tracksStatus: false,
+
+  /**
+   * Asks the browser to open the number's tel: link
+   * @param {Object} params - Call parameters
+   * @param {string} params.to - E.164 number to call
+   * @param {string} params.extension - Extension to dial after connecting
+   * @returns {Promise<Object>} Call state with the client action to perform
+   */
+  async placeCall({ to, extension }) {
+    return {
+      provider: 'tel',
+      providerCallId: `tel_${crypto.randomUUID()}`,
+      status: 'in_progress',
+      durationSeconds: null,
+      recordingUrl: null,
+      answeredBy: null,
+      clientAction: {
+        type: 'open_uri',
+        uri: buildTelUri({ phone: to, phone_extension: extension })
+      }
+    };
+  },
+
+  /**
+   * Ends the call on the dialer's side; the device hangs up on its own
+   * @param {string} providerCallId - ID returned by placeCall
+   * @returns {Promise<Object>} Final call state
+   */
+  async hangUp(providerCallId) {
+    return { provider: 'tel', providerCallId, status: 'completed', durationSeconds: null, recordingUrl: null, answeredBy: null };
+  },
+
+  /**
+   * The device does not report back, so a tel: call is in progress until hung up
+   * @param {string} providerCallId - ID returned by placeCall
+   * @returns {Promise<Object>} Call state
+   */
+  async getCallStatus(providerCallId) {
+    return { provider: 'tel', providerCallId, status: 'in_progress', durationSeconds: null, recordingUrl: null, answeredBy: null };
+  }
+};
@@ -0,0 +1,297 @@
+/**
+ * @fileoverview Twilio telephony provider
+ *
+ * Places calls through Twilio's REST API. Twilio calls the lead from
+ * TWILIO_FROM_NUMBER and, once answered, fetches TWIML_URL for instructions
+ * (typically a <Dial> that bridges the call to the rep's phone or browser
+ * client). Answering machine detection is enabled so voicemail can be told
+ * apart from a person picking up.
+ *
+ * Twilio's call statuses are mapped onto the shared ones in callStatuses.js.
+ * Status and recording callbacks are posted to TELEPHONY_STATUS_CALLBACK_URL
+ * and signed with the auth token (X-Twilio-Signature), which the webhook
+ * verifies against that same URL.
+ *
+ * Other Twilio-style REST carriers can be added by copying this adapter and
+ * changing the endpoints and the status map.
+ *
+ * === ENVIRONMENT VARIABLES ===
+ *
+ * TWILIO_ACCOUNT_SID - Account SID
+ * TWILIO_AUTH_TOKEN - Auth token
+ * TWILIO_FROM_NUMBER - Caller ID in E.164 format (a number on the account)
+ * TWILIO_TWIML_URL - URL returning the TwiML to run when the call is answered
+ * TELEPHONY_RECORD_CALLS - Record calls ('true' or 'false', default: false)
+ */
+
+const crypto = require('crypto');
+
+const TWILIO_API_URL = 'https://api.twilio.com/2010-04-01';
+
+// Call SIDs go into request paths, so nothing else may get through
+const CALL_SID_PATTERN = /^CA[0-9a-f]{32}$/;
+
+const STATUS_MAP = {
+  queued: 'queued',
+  initiated: 'queued',
+  ringing: 'ringing',
+  'in-progress': 'in_progress',
+  completed: 'completed',
+  busy: 'busy',
+  'no-answer': 'no_answer',
+  failed: 'failed',
+  canceled: 'canceled'
+};
+
+/**
+ * Reads and checks the Twilio settings
+ * @returns {Object} { accountSid, authToken, fromNumber, twimlUrl }
+ */
+function getTwilioConfig() {
+  const config = {
+    accountSid: process.env.TWILIO_ACCOUNT_SID,
+    authToken: process.env.TWILIO_AUTH_TOKEN,
+    fromNumber: process.env.TWILIO_FROM_NUMBER,
+    twimlUrl: process.env.TWILIO_TWIML_URL
+  };
+
+  ['TWILIO_ACCOUNT_SID', 'TWILIO_AUTH_TOKEN', 'TWILIO_FROM_NUMBER', 'TWILIO_TWIML_URL'].forEach(varName => {
+    if (!process.env[varName]) {
+      throw new Error(`Missing required environment variable ${varName} for the Twilio provider`);
+    }
+  });
+
+  return config;
+}
+
+/**
+ * Builds the API path of a call, refusing anything that is not a call SID
+ * @param {string} callSid - Twilio call SID
+ * @returns {string} Path below the account, e.g. '/Calls/CA....json'
+ */
+function callPath(callSid) {
+  if (!CALL_SID_PATTERN.test(String(callSid))) {
+    const error = new Error(`"${callSid}" is not a Twilio call SID`);
+    error.status = 400;
+    throw error;
+  }
+  return `/Calls/${callSid}`;
+}
+
+/**
+ * Sends a request to the Twilio REST API
+ * @param {string} path - Path below the account, e.g. '/Calls.json'
+ * @param {Object} form - Form fields to POST (omit for GET)
+ * @returns {Promise<Object>} Parsed JSON response
+ */
+async function twilioRequest(path, form) {
+  const { accountSid, authToken } = getTwilioConfig();
+  const response = await fetch(`${TWILIO_API_URL}/Accounts/${accountSid}${path}`, {
+    method: form ? 'POST' : 'GET',
+    headers: {
+      Authorization: `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString('base64')}`,
+      ...(form ? { 'Content-Type': 'application/x-www-form-urlencoded' } : {})
+    },
+    body: form ? new URLSearchParams(form).toString() : undefined
+  });
+
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const error = new Error(`Twilio request failed: ${body.message || response.statusText}`);
+    error.status = response.status;
+    throw error;
+  }
+  return body;
+}
+
+/**
+ * Maps Twilio's answering machine detection result
+ * @param {string} answeredBy - AnsweredBy / answered_by value, e.g. 'machine_start'
+ * @returns {string|null} 'human', 'machine' or null if unknown
+ */
+function mapAnsweredBy(answeredBy) {
+  if (!answeredBy || answeredBy === 'unknown') return null;
+  return answeredBy.startsWith('machine') || answeredBy === 'fax' ? 'machine' : 'human';
+}
+
+/**
+ * Maps a Twilio call status onto the shared statuses
+ * @param {string} twilioStatus - Twilio status, e.g. 'in-progress'
+ * @param {string|null} answeredBy - Output of mapAnsweredBy
+ * @returns {string} Shared call status
+ */
+function mapStatus(twilioStatus, answeredBy) {
+  const status = STATUS_MAP[twilioStatus] || 'failed';
+  return status === 'completed' && answeredBy === 'machine' ? 'voicemail' : status;
+}
+
+/**
+ * Computes the X-Twilio-Signature of a callback
+ * @param {string} url - Full URL the callback was posted to
+ * @param {Object} params - POSTed form fields
+ * @param {string} authToken - Twilio auth token
+ * @returns {string} Base64 HMAC-SHA1 signature
+ */
+function computeSignature(url, params, authToken) {
+  const data = Object.keys(params)
+    .sort()
+    .reduce((signed, key) => signed + key + params[key], url);
+  return crypto.createHmac('sha1', authToken).update(data, 'utf8').digest('base64');
+}
+
+/**
+ * Converts a Twilio call resource into the shared call state
+ * @param {Object} twilioCall - Call resource from the Twilio API
+ * @param {string} recordingUrl - URL of the call's recording, if any
+ * @returns {Object} Call state (see telephony/index.js)
+ */
+function toCallState(twilioCall, recordingUrl = null) {
+  const answeredBy = mapAnsweredBy(twilioCall.answered_by);
+
+  return {
+    provider: 'twilio',
+    providerCallId: twilioCall.sid,
+    status: mapStatus(twilioCall.status, answeredBy),
+    durationSeconds: twilioCall.duration !== null && twilioCall.duration !== undefined
+      ? Number(twilioCall.duration)
+      : null,
+    recordingUrl,
+    answeredBy
+  };
+}
+
+/**
+ * Looks up the URL of a call's first recording
+ * @param {string} callSid - Twilio call SID
+ * @returns {Promise<string|null>} URL of the recording audio, or null
+ */
+async function getRecordingUrl(callSid) {
+  const { recordings = [] } = await twilioRequest(`${callPath(callSid)}/Recordings.json`);
+  if (recordings.length === 0) return null;
+  return `${TWILIO_API_URL}/Accounts/${recordings[0].account_sid}/Recordings/${recordings[0].sid}.mp3`;
+}
+
+module.exports = {
+  name: 'twilio',
+  tracksStatus: true,
+
+  /**
+   * Places an outbound call to the lead
+   * @param {Object} params - Call parameters
+   * @param {string} params.to - E.164 number to call
+   * @param {string} params.extension - Extension to dial after connecting
+   * @param {string} params.statusCallbackUrl - URL Twilio posts status events to
+   * @returns {Promise<Object>} Call state
+   */
+  async placeCall({ to, extension, statusCallbackUrl }) {
+    const { fromNumber, twimlUrl } = getTwilioConfig();
+    const form = {
+      To: to,
+      From: fromNumber,
+      Url: twimlUrl,
+      MachineDetection: 'Enable'
+    };
+    if (extension) {
+      form.SendDigits = `ww${extension}`;
+    }
+    if (statusCallbackUrl) {
+      form.StatusCallback = statusCallbackUrl;
+      form.StatusCallbackEvent = 'initiated ringing answered completed';
+    }
+    if (process.env.TELEPHONY_RECORD_CALLS === 'true') {
+      form.Record = 'true';
+      if (statusCallbackUrl) form.RecordingStatusCallback = statusCallbackUrl;
+    }
+
+    return toCallState(await twilioRequest('/Calls.json', form));
+  },
+
+  /**
+   * Hangs up a call, or cancels it if it has not been answered yet
+   * @param {string} providerCallId - Twilio call SID
+   * @returns {Promise<Object>} Call state after hanging up
+   */
+  async hangUp(providerCallId) {
+    const current = await twilioRequest(`${callPath(providerCallId)}.json`);
+    const ringing = ['queued', 'initiated', 'ringing'].includes(current.status);
+    if (!ringing && current.status !== 'in-progress') {
+      return toCallState(current);
+    }
+
+    return toCallState(await twilioRequest(`${callPath(providerCallId)}.json`, {
+      Status: ringing ? 'canceled' : 'completed'
+    }));
+  },
+
+  /**
+   * Returns the current state of a call, with its recording once it has ended
+   * @param {string} providerCallId - Twilio call SID
+   * @returns {Promise<Object>} Call state
+   */
+  async getCallStatus(providerCallId) {
+    const twilioCall = await twilioRequest(`${callPath(providerCallId)}.json`);
+    const state = toCallState(twilioCall);
+    if (state.status === 'completed' || state.status === 'voicemail') {
+      state.recordingUrl = await getRecordingUrl(providerCallId);
+    }
+    return state;
+  },
+
+  /**
+   * Checks a callback's X-Twilio-Signature
+   * @param {Object} request - { headers, params }
+   * @returns {boolean} Whether Twilio signed the callback
+   */
+  verifyWebhook({ headers, params }) {
+    // Only the auth token matters here; other missing settings must not turn callbacks into errors
+    const authToken = process.env.TWILIO_AUTH_TOKEN;
+    const url = process.env.TELEPHONY_STATUS_CALLBACK_URL;
+    if (!authToken || !url) return false;
+    const signature = Buffer.from(String(headers['x-twilio-signature'] || ''));
+    const expected = Buffer.from(computeSignature(url, params, authToken));
+    return signature.length === expected.length && crypto.timingSafeEqual(signature, expected);
+  },
+
+  /**
+   * Converts a status or recording callback into a call event
+   * @param {Object} params - POSTed form fields
+   * @returns {Object|null} Call event (see telephony/index.js), or null if unrecognised
+   */
+  parseWebhookEvent(params) {
+    if (!params.CallSid) return null;
+    const occurredAt = params.Timestamp ? new Date(params.Timestamp) : new Date();
+    const event = {
+      provider: 'twilio',
+      providerCallId: params.CallSid,
+      occurredAt: Number.isNaN(occurredAt.getTime()) ? new Date().toISOString() : occurredAt.toISOString(),
+      status: null,
+      sequence: null,
+      durationSeconds: null,
+      recordingUrl: null,
+      answeredBy: null
+    };
+
+    if (params.RecordingSid) {
+      return {
+        ...event,
+        eventId: `recording:${params.RecordingSid}:${params.RecordingStatus}`,
+        recordingUrl: params.RecordingStatus === 'completed' && params.RecordingUrl
+          ? `${params.RecordingUrl}.mp3`
+          : null
+      };
+    }
+
+    if (!params.CallStatus) return null;
+    const answeredBy = mapAnsweredBy(params.AnsweredBy);
+    return {
+      ...event,
+      eventId: `status:${params.CallSid}:${params.SequenceNumber !== undefined ? params.SequenceNumber : params.CallStatus}`,
+      status: mapStatus(params.CallStatus, answeredBy),
+      sequence: params.SequenceNumber !== undefined ? Number(params.SequenceNumber) : null,
+      durationSeconds: params.CallDuration !== undefined ? Number(params.CallDuration) : null,
+      answeredBy
+    };
+  },
+
+  computeSignature
+};
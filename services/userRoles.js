@@ -0,0 +1,27 @@
+/**
+ * @fileoverview User roles and what each one may do
+ *
+ * Every profile has a role (see `profiles.role` in docs/supabase_tables.sql):
+ * - rep - Sees and calls only the leads assigned to them
+ * - manager - Sees every lead, assigns leads and manages assignment rules
+ * - admin - Everything a manager can do, plus triggering syncs
+ *
+ * The database enforces the same rules through RLS policies that call
+ * current_user_role(); these helpers let the UI and API routes follow them.
+ */
+
+const USER_ROLES = ['rep', 'manager', 'admin'];
+
+/**
+ * Checks whether a role may see every lead and assign leads
+ * @param {string} role - User role
+ * @returns {boolean} Whether the role is manager or admin
+ */
+function canManageLeads(role) {
+  return role === 'manager' || role === 'admin';
+}
+
+module.exports = {
+  USER_ROLES,
+  canManageLeads
+};
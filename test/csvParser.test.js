@@ -0,0 +1,26 @@
+/**
+ * CSV writing for exports: quoting, and keeping lead data from running as a
+ * formula when an export is opened in a spreadsheet app.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { formatCsvRow, parseCsv } = require('../services/csvParser');
+
+test('fields are quoted only when they need it', () => {
+  assert.equal(formatCsvRow(['Ada', 'Lovelace, Countess', 'said "hi"', null, undefined]),
+    'Ada,"Lovelace, Countess","said ""hi""",,\r\n');
+  assert.equal(formatCsvRow(['two\nlines']), '"two\nlines"\r\n');
+});
+
+test('text that would run as a formula is prefixed with a quote', () => {
+  const values = ['=HYPERLINK("http://evil.example","x")', '+SUM(A1)', '-2+3', '@cmd', '\tlead', '\rlead'];
+  const [row] = parseCsv(formatCsvRow(values));
+  assert.deepEqual(row, values.map(value => `'${value}`));
+});
+
+test('numbers and text with the formula characters further in are left alone', () => {
+  assert.equal(formatCsvRow([-5, 12.5, 'a=b', 'Smith-Jones', 'ada@example.com']),
+    '-5,12.5,a=b,Smith-Jones,ada@example.com\r\n');
+});
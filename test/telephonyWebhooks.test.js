@@ -0,0 +1,209 @@
+/**
+ * Replays the recorded Twilio webhooks in docs/telephony-samples/ offline:
+ * parsing, signature checks, what is sent to apply_call_event and the order
+ * in which events are applied.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+
+const twilioProvider = require('../services/telephony/twilioProvider');
+const { applyCallEvent } = require('../services/callEvents');
+const { DEFAULT_SAMPLES_FILE, fillPlaceholders } = require('../services/telephony/replayWebhookSamples');
+
+const CALLBACK_URL = 'https://dialer.example.com/api/telephony-webhook';
+const AUTH_TOKEN = 'test-auth-token';
+const IDS = {
+  CallSid: 'CA0123456789abcdef0123456789abcdef',
+  RecordingSid: 'RE0123456789abcdef0123456789abcdef'
+};
+
+const samples = JSON.parse(fs.readFileSync(DEFAULT_SAMPLES_FILE, 'utf8'))
+  .map(sample => ({ ...sample, params: fillPlaceholders(sample.params, IDS) }));
+
+// Runs a test with the webhook settings in place, restoring the environment afterwards
+function withWebhookEnv(env, fn) {
+  const names = ['TWILIO_AUTH_TOKEN', 'TELEPHONY_STATUS_CALLBACK_URL', 'TWILIO_FROM_NUMBER'];
+  const saved = Object.fromEntries(names.map(name => [name, process.env[name]]));
+  names.forEach(name => {
+    if (env[name] === undefined) delete process.env[name];
+    else process.env[name] = env[name];
+  });
+  try {
+    return fn();
+  } finally {
+    names.forEach(name => {
+      if (saved[name] === undefined) delete process.env[name];
+      else process.env[name] = saved[name];
+    });
+  }
+}
+
+const signedHeaders = params => ({
+  'x-twilio-signature': twilioProvider.computeSignature(CALLBACK_URL, params, AUTH_TOKEN)
+});
+
+// Ranks of apply_call_event: every terminal status shares the top rank
+const STATUS_RANKS = { queued: 1, ringing: 2, in_progress: 3 };
+const statusRank = status => (status ? STATUS_RANKS[status] || 4 : 0);
+
+/**
+ * A model of apply_call_event (docs/supabase_tables.sql) for a call held in
+ * memory. It is not what the app runs: the SQL function is, and this copy of
+ * its duplicate, stale and keep-whatever-arrives rules only exists so the
+ * recorded order of the samples can be checked without a database. Change it
+ * together with apply_call_event.
+ */
+function modelCallEvent(call, event) {
+  const current = call || {
+    eventIds: [],
+    status: null,
+    statusRank: 0,
+    answeredAt: null,
+    endedAt: null,
+    durationSeconds: null,
+    recordingUrl: null,
+    answeredBy: null
+  };
+  if (current.eventIds.includes(event.eventId)) {
+    return { outcome: 'duplicate', call: current };
+  }
+
+  const next = {
+    ...current,
+    eventIds: [...current.eventIds, event.eventId],
+    recordingUrl: event.recordingUrl || current.recordingUrl,
+    answeredBy: event.answeredBy || current.answeredBy,
+    answeredAt: event.status === 'in_progress' ? current.answeredAt || event.occurredAt : current.answeredAt
+  };
+
+  const rank = statusRank(event.status);
+  if (rank === 0) {
+    return { outcome: 'applied', call: next };
+  }
+  if (rank <= current.statusRank) {
+    return { outcome: 'stale', call: next };
+  }
+
+  return {
+    outcome: 'applied',
+    call: {
+      ...next,
+      status: event.status,
+      statusRank: rank,
+      endedAt: rank === 4 ? event.occurredAt : current.endedAt,
+      durationSeconds: event.durationSeconds ?? current.durationSeconds
+    }
+  };
+}
+
+test('every sample parses into an event for the recorded call', () => {
+  samples.forEach(sample => {
+    const event = twilioProvider.parseWebhookEvent(sample.params);
+    assert.ok(event, sample.description);
+    assert.equal(event.provider, 'twilio');
+    assert.equal(event.providerCallId, IDS.CallSid);
+    assert.ok(event.eventId, sample.description);
+  });
+});
+
+test('status samples map onto the shared statuses', () => {
+  const statuses = samples
+    .map(sample => twilioProvider.parseWebhookEvent(sample.params))
+    .filter(event => event.status)
+    .map(event => event.status);
+  assert.deepEqual(statuses, ['queued', 'ringing', 'completed', 'in_progress', 'completed']);
+});
+
+test('redelivered samples get the event ID of their first delivery', () => {
+  const eventIds = samples.map(sample => twilioProvider.parseWebhookEvent(sample.params).eventId);
+  samples.forEach((sample, index) => {
+    const firstIndex = eventIds.indexOf(eventIds[index]);
+    assert.equal(firstIndex !== index, sample.expect === 'duplicate', sample.description);
+  });
+});
+
+test('signed samples are accepted and tampered or unsigned ones refused', () => {
+  withWebhookEnv({ TWILIO_AUTH_TOKEN: AUTH_TOKEN, TELEPHONY_STATUS_CALLBACK_URL: CALLBACK_URL }, () => {
+    samples.forEach(sample => {
+      const { params } = sample;
+      assert.equal(twilioProvider.verifyWebhook({ headers: signedHeaders(params), params }), true, sample.description);
+      assert.equal(twilioProvider.verifyWebhook({
+        headers: signedHeaders(params),
+        params: { ...params, CallStatus: 'canceled' }
+      }), false, sample.description);
+      assert.equal(twilioProvider.verifyWebhook({ headers: {}, params }), false, sample.description);
+    });
+  });
+});
+
+test('signatures are checked without the settings only needed to place calls', () => {
+  const { params } = samples[0];
+  withWebhookEnv({ TWILIO_AUTH_TOKEN: AUTH_TOKEN, TELEPHONY_STATUS_CALLBACK_URL: CALLBACK_URL }, () => {
+    assert.equal(twilioProvider.verifyWebhook({ headers: signedHeaders(params), params }), true);
+  });
+  withWebhookEnv({ TELEPHONY_STATUS_CALLBACK_URL: CALLBACK_URL }, () => {
+    assert.equal(twilioProvider.verifyWebhook({ headers: signedHeaders(params), params }), false);
+  });
+});
+
+test('each event is sent to apply_call_event with its raw parameters', async () => {
+  const calls = [];
+  const supabase = {
+    rpc: async (name, args) => {
+      calls.push({ name, args });
+      return { data: 'applied', error: null };
+    }
+  };
+
+  const events = samples.map(sample => twilioProvider.parseWebhookEvent(sample.params));
+  for (const [index, event] of events.entries()) {
+    assert.equal(await applyCallEvent(supabase, event, samples[index].params), 'applied');
+  }
+
+  assert.equal(calls.length, samples.length);
+  calls.forEach(({ name, args }, index) => {
+    const { params, description } = samples[index];
+    assert.equal(name, 'apply_call_event');
+    assert.deepEqual(args, { event: { ...events[index], payload: params } }, description);
+    assert.equal(args.event.provider, 'twilio');
+    assert.equal(args.event.providerCallId, IDS.CallSid);
+    assert.ok(!Number.isNaN(Date.parse(args.event.occurredAt)), description);
+  });
+});
+
+test('replaying the samples in their recorded order gives the expected outcomes', () => {
+  let call = null;
+  samples.forEach(sample => {
+    const result = modelCallEvent(call, twilioProvider.parseWebhookEvent(sample.params));
+    assert.equal(result.outcome, sample.expect, sample.description);
+    call = result.call;
+  });
+
+  assert.equal(call.status, 'completed');
+  assert.equal(call.durationSeconds, 94);
+  assert.equal(call.answeredBy, 'human');
+  assert.match(call.recordingUrl, /\.mp3$/);
+  // The answer arrived after the call ended, but its time is still kept
+  assert.equal(call.answeredAt, new Date('Mon, 19 Oct 2026 18:20:07 +0000').toISOString());
+  assert.equal(call.endedAt, new Date('Mon, 19 Oct 2026 18:21:41 +0000').toISOString());
+});
+
+test('a call never moves back to an earlier status', () => {
+  const event = (status, sequence) => ({
+    eventId: `status:${IDS.CallSid}:${sequence}`,
+    status,
+    occurredAt: new Date(Date.UTC(2026, 9, 19, 18, 20, sequence)).toISOString()
+  });
+
+  let { call } = modelCallEvent(null, event('ringing', 1));
+  let result = modelCallEvent(call, event('queued', 0));
+  assert.equal(result.outcome, 'stale');
+  assert.equal(result.call.status, 'ringing');
+
+  ({ call } = modelCallEvent(call, event('busy', 2)));
+  result = modelCallEvent(call, event('completed', 3));
+  assert.equal(result.outcome, 'stale');
+  assert.equal(result.call.status, 'busy');
+});
@@ -4,7 +4,10 @@
  * This is the main Next.js application that provides:
  * 1. User authentication via Supabase (Google login)
  * 2. A paginated list of leads synced from Google Sheets
- * 3. A "dialer-like" detail view when clicking on a lead
+ * 3. A "dialer-like" detail view when clicking on a lead, where reps place
+ *    calls, record each call's disposition, edit the lead and see the lead's
+ *    call and change history
+ * 4. A power-dialer session that walks a queue of leads one at a time
  * 
  * === ENVIRONMENT VARIABLES REQUIRED ===
  * 
@@ -31,7 +34,16 @@
  * /components
  *   Layout.js - Common layout elements
  *   LeadsList.js - Table of leads with pagination
- *   LeadDetail.js - "Dialer" view for a lead
+ *   LeadDetail.js - "Dialer" view for a lead, with inline editing
+ *   LeadHistory.js - Field-level change history of a lead
+ *   CallPanel.js - Call controls, disposition form and call history
+ *   DialerSession.js - Power-dialer queue with session stats
+ *   DueCallbacks.js - "Due now" queue of scheduled callbacks
+ *   DuplicateReview.js - Possible duplicate leads, with merging
+ *   AssignmentRulesPanel.js - Manager view of the lead assignment rules
+ *   DncListPanel.js - Manager view of the do-not-call list, with CSV upload
+ *   ImportPanel.js - Manager upload of CSV and XLSX lead files, with a preview
+ *   LeadExport.js - CSV download of the filtered leads, optionally with their calls
  *   LoginButton.js - Google login button
  * 
  * This file contains the equivalent functionality but concentrated into one file
@@ -53,7 +65,8 @@
 
 // Required packages - as a monolithic file, we're importing everything here
 // Note: In a real app, each page/component would have its own imports
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
+import { useRouter } from 'next/router';
 import { createClient } from '@supabase/supabase-js';
 import { createPagesBrowserClient } from '@supabase/auth-helpers-nextjs';
 import {
@@ -62,6 +75,36 @@ import {
   useSupabaseClient
 } from '@supabase/auth-helpers-react';
 import { Analytics } from '@vercel/analytics/react';
+// Services imported here are bundled for the browser, so they must not
+// depend on server-only packages or secrets
+import { buildTelUri } from '../services/phoneNormalization';
+import { CALL_DISPOSITIONS, getDisposition, getDispositionLabel } from '../services/callDispositions';
+import {
+  CALL_STATUS_LABELS,
+  isTerminalCallStatus,
+  suggestDispositionForStatus
+} from '../services/telephony/callStatuses';
+import { placeCall, hangUpCall, watchCall } from '../services/telephony/client';
+import {
+  LEAD_STATUSES,
+  parseLeadView,
+  leadViewToQuery,
+  isLeadViewFiltered,
+  applyLeadView
+} from '../services/leadQuery';
+import { canManageLeads } from '../services/userRoles';
+import {
+  DUE_WINDOW_MINUTES,
+  COMMON_TIME_ZONES,
+  getLocalTimeZone,
+  isValidTimeZone,
+  zonedTimeToUtc,
+  formatInTimeZone,
+  suggestCallbackSlot,
+  getCallbackState
+} from '../services/callbackSchedule';
+import { getLeadTimeZones } from '../services/leadTimeZone';
+import { checkCallingHours } from '../services/callingCompliance';
 
 // Initialize the Supabase client (client-side)
 const supabaseUrl = process.env.NEXT_PUBLIC_SUPABASE_URL;
@@ -287,14 +330,56 @@ function Layout({ children }) {
 // ============================================================================
 // Dashboard Component - Shows list of leads
 // ============================================================================
+// Leads listed on the Dashboard, which a dialing session also queues from,
+// narrowed and sorted by the view in the URL (see services/leadQuery.js)
+function activeLeadsQuery(supabase, columns, options, view, userId) {
+  const query = supabase
+    .from('leads')
+    .select(columns, options)
+    .is('archived_at', null);
+  
+  return applyLeadView(query, view, { userId });
+}
+
+// Sortable columns of the leads table
+const LEAD_TABLE_COLUMNS = [
+  { field: 'name', label: 'Name' },
+  { field: 'email', label: 'Email' },
+  { field: 'phone', label: 'Phone' },
+  { field: 'company', label: 'Company' },
+  { field: 'status', label: 'Status' },
+  { field: 'last_contacted_at', label: 'Last contacted' }
+];
+
 function Dashboard() {
   const supabase = useSupabaseClient();
+  const session = useSession();
+  const router = useRouter();
+  const view = parseLeadView(router.query);
+  const viewKey = JSON.stringify(view);
+  const [searchText, setSearchText] = useState(view.q);
+  const [sources, setSources] = useState([]);
+  const [dialerSession, setDialerSession] = useDialerSession(session.user.id);
+  const [startingSession, setStartingSession] = useState(false);
   const [leads, setLeads] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [selectedLead, setSelectedLead] = useState(null);
+  // Managers and admins see every lead and can assign them
+  const [role, setRole] = useState(null);
+  const [reps, setReps] = useState([]);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [assigning, setAssigning] = useState(false);
+  const [assignRepId, setAssignRepId] = useState('');
+  const [assignMessage, setAssignMessage] = useState(null);
+  const [showRules, setShowRules] = useState(false);
+  const [showDnc, setShowDnc] = useState(false);
+  const [showImport, setShowImport] = useState(false);
+  const [showExport, setShowExport] = useState(false);
+  // Bumped when a call may have completed or scheduled a callback
+  const [callbacksVersion, setCallbacksVersion] = useState(0);
+  const canManage = canManageLeads(role);
   const [pagination, setPagination] = useState({
-    page: 1,
     pageSize: 10,
     totalCount: 0
   });
@@ -302,22 +387,22 @@ function Dashboard() {
   // Fetch leads from Supabase
   const fetchLeads = async () => {
     setLoading(true);
+    setError(null);
     
     try {
       // Calculate range for pagination
-      const from = (pagination.page - 1) * pagination.pageSize;
+      const from = (view.page - 1) * pagination.pageSize;
       const to = from + pagination.pageSize - 1;
       
-      // Get leads with pagination
-      const { data, error, count } = await supabase
-        .from('leads')
-        .select('*', { count: 'exact' })
-        .range(from, to)
-        .order('last_sync', { ascending: false });
+      // Get the page of leads matching the current view
+      const { data, error, count } = await activeLeadsQuery(
+        supabase, '*', { count: 'exact' }, view, session.user.id
+      ).range(from, to);
       
       if (error) throw error;
       
       setLeads(data || []);
+      setSelectedIds([]);
       setPagination({
         ...pagination,
         totalCount: count || 0
@@ -330,10 +415,86 @@ function Dashboard() {
     }
   };
   
-  // Load leads on initial render and when pagination changes
+  // Load leads once the URL is known, and whenever the view or page size changes
   useEffect(() => {
-    fetchLeads();
-  }, [pagination.page, pagination.pageSize]);
+    if (router.isReady) fetchLeads();
+  }, [router.isReady, viewKey, pagination.pageSize]);
+  
+  // Sources to filter by
+  useEffect(() => {
+    supabase
+      .from('sync_sources')
+      .select('id, name, sheet_name')
+      .order('name')
+      .then(({ data, error }) => {
+        if (error) {
+          console.error('Error fetching sync sources:', error);
+          return;
+        }
+        setSources(data || []);
+      });
+  }, []);
+  
+  // The signed-in user's role decides which leads and controls they get
+  useEffect(() => {
+    supabase
+      .from('profiles')
+      .select('role')
+      .eq('id', session.user.id)
+      .maybeSingle()
+      .then(({ data, error }) => {
+        if (error) console.error('Error fetching role:', error);
+        setRole((data && data.role) || 'rep');
+      });
+  }, [session.user.id]);
+  
+  // Reps leads can be assigned to
+  useEffect(() => {
+    if (!canManage) return;
+    supabase
+      .from('profiles')
+      .select('id, full_name, email, role')
+      .order('full_name')
+      .then(({ data, error }) => {
+        if (error) {
+          console.error('Error fetching reps:', error);
+          return;
+        }
+        setReps(data || []);
+      });
+  }, [canManage]);
+  
+  const repLabel = (repId) => {
+    const rep = reps.find(candidate => candidate.id === repId);
+    return rep ? rep.full_name || rep.email : 'Unknown rep';
+  };
+  
+  // Keep the search box in step with the URL (back button, shared links)
+  useEffect(() => {
+    setSearchText(view.q);
+  }, [view.q]);
+  
+  // Changes the view in the URL; filters and sort go back to the first page
+  const updateView = (changes, { replace = false } = {}) => {
+    const nextView = { ...view, page: 1, ...changes };
+    const navigate = replace ? router.replace : router.push;
+    navigate({ pathname: router.pathname, query: leadViewToQuery(nextView) }, undefined, { shallow: true });
+  };
+  
+  // Search once the rep stops typing
+  useEffect(() => {
+    if (searchText.trim() === view.q) return undefined;
+    const timer = setTimeout(() => updateView({ q: searchText.trim() }, { replace: true }), 300);
+    return () => clearTimeout(timer);
+  }, [searchText]);
+  
+  // Clicking a column sorts by it, and clicking it again reverses the order
+  const handleSort = (field) => {
+    updateView({
+      sort: field,
+      dir: view.sort === field && view.dir === 'asc' ? 'desc' : 'asc'
+    });
+  };
   
   // Handle lead selection for detail view
   const handleSelectLead = (lead) => {
@@ -344,13 +505,102 @@ function Dashboard() {
   const handleCloseDetail = () => {
     setSelectedLead(null);
   };
+
+  // A merged duplicate is archived, so it leaves the list and the detail view
+  const handleMerged = (duplicateId) => {
+    if (selectedLead && selectedLead.id === duplicateId) setSelectedLead(null);
+    fetchLeads();
+  };
+  
+  // Queue every callable lead of the current view, in list order, and start dialing
+  const handleStartDialing = async () => {
+    setStartingSession(true);
+    setError(null);
+    
+    try {
+      const { data, error } = await activeLeadsQuery(supabase, 'id', undefined, view, session.user.id)
+        .not('phone', 'is', null)
+        .or('phone_status.is.null,phone_status.neq.invalid')
+        .is('dnc_at', null)
+        .limit(DIALER_QUEUE_LIMIT);
+      
+      if (error) throw error;
+      
+      if (data.length === 0) {
+        setError('There are no leads with a callable phone number to dial.');
+        return;
+      }
+      
+      setSelectedLead(null);
+      setDialerSession(createDialerSession(data.map(lead => lead.id)));
+    } catch (err) {
+      console.error('Error starting dialing session:', err);
+      setError('Failed to start a dialing session. Please try again.');
+    } finally {
+      setStartingSession(false);
+    }
+  };
+  
+  const handleEndDialing = () => {
+    setDialerSession(null);
+    fetchLeads();
+  };
+  
+  const toggleSelected = (leadId) => {
+    setSelectedIds(selectedIds.includes(leadId)
+      ? selectedIds.filter(id => id !== leadId)
+      : [...selectedIds, leadId]);
+  };
+  
+  const toggleSelectPage = () => {
+    setSelectedIds(selectedIds.length === leads.length ? [] : leads.map(lead => lead.id));
+  };
+  
+  // Assign, unassign or auto-assign the selected leads (see /api/leads/assign)
+  const handleAssign = async (body) => {
+    setAssigning(true);
+    setAssignMessage(null);
+    setError(null);
+    
+    try {
+      const response = await fetch('/api/leads/assign', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${session.access_token}`
+        },
+        body: JSON.stringify({ leadIds: selectedIds, ...body })
+      });
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error);
+      
+      if (body.auto) {
+        setAssignMessage(`Assigned ${result.assigned} leads by the assignment rules` +
+          (result.unmatched ? `; ${result.unmatched} matched no rule.` : '.'));
+      } else {
+        setAssignMessage(body.repId
+          ? `Assigned ${result.assigned} leads to ${repLabel(body.repId)}.`
+          : `Unassigned ${result.unassigned} leads.`);
+      }
+      fetchLeads();
+    } catch (err) {
+      console.error('Error assigning leads:', err);
+      setError(`Failed to assign leads: ${err.message}`);
+    } finally {
+      setAssigning(false);
+    }
+  };
+  
+  // Keep the list and the open modal in step after a call is logged
+  const handleLeadUpdated = (updatedLead) => {
+    setLeads(leads.map(lead => (lead.id === updatedLead.id ? updatedLead : lead)));
+    setSelectedLead(updatedLead);
+    setCallbacksVersion(version => version + 1);
+  };
   
   // Handle pagination
   const handlePageChange = (newPage) => {
-    setPagination({
-      ...pagination,
-      page: newPage
-    });
+    updateView({ page: newPage });
   };
   
   // Calculate total pages
@@ -358,11 +608,187 @@ function Dashboard() {
   
   return (
     <div className="dashboard">
-      <h1>Your Leads</h1>
+      <div className="dashboard-header">
+        <h1>
+          {dialerSession
+            ? 'Dialing Session'
+            : !canManage || view.assigned === 'me' ? 'Your Leads' : 'All Leads'}
+        </h1>
+        {!dialerSession && (
+          <button
+            className="start-dialing-button"
+            onClick={handleStartDialing}
+            disabled={startingSession}
+          >
+            {startingSession ? 'Building queue…' : 'Start dialing'}
+          </button>
+        )}
+      </div>
+      
+      <SyncStatusBanner />
+      
+      {!dialerSession && (
+        <DueCallbacks version={callbacksVersion} onSelectLead={handleSelectLead} />
+      )}
+      
+      {!dialerSession && (
+        <DuplicateReview onMerged={handleMerged} />
+      )}
+      
+      {!dialerSession && canManage && (
+        <div className="view-tabs">
+          <button
+            className={view.assigned === 'me' ? '' : 'active'}
+            onClick={() => updateView({ assigned: '' })}
+          >
+            All leads
+          </button>
+          <button
+            className={view.assigned === 'me' ? 'active' : ''}
+            onClick={() => updateView({ assigned: 'me' })}
+          >
+            My leads
+          </button>
+          <button className="rules-toggle" onClick={() => setShowRules(!showRules)}>
+            {showRules ? 'Hide assignment rules' : 'Assignment rules'}
+          </button>
+          <button onClick={() => setShowDnc(!showDnc)}>
+            {showDnc ? 'Hide do-not-call list' : 'Do-not-call list'}
+          </button>
+          <button onClick={() => setShowImport(!showImport)}>
+            {showImport ? 'Hide import' : 'Import file'}
+          </button>
+        </div>
+      )}
+      
+      {!dialerSession && canManage && showRules && (
+        <AssignmentRulesPanel reps={reps} sources={sources} />
+      )}
+      
+      {!dialerSession && canManage && showDnc && (
+        <DncListPanel reps={reps} onChanged={fetchLeads} />
+      )}
+      
+      {!dialerSession && canManage && showImport && (
+        <ImportPanel onImported={fetchLeads} />
+      )}
+      
+      {!dialerSession && (
+        <div className="lead-filters">
+          <input
+            type="search"
+            className="lead-search"
+            placeholder="Search name, email, phone or company"
+            value={searchText}
+            onChange={(e) => setSearchText(e.target.value)}
+          />
+          
+          <select value={view.status} onChange={(e) => updateView({ status: e.target.value })}>
+            <option value="">Any status</option>
+            {LEAD_STATUSES.map(status => (
+              <option key={status} value={status}>
+                {status.charAt(0).toUpperCase() + status.slice(1)}
+              </option>
+            ))}
+          </select>
+          
+          {canManage && (
+            <select value={view.assigned} onChange={(e) => updateView({ assigned: e.target.value })}>
+              <option value="">Assigned to anyone</option>
+              <option value="me">Assigned to me</option>
+              <option value="unassigned">Unassigned</option>
+              {reps.map(rep => (
+                <option key={rep.id} value={rep.id}>Assigned to {rep.full_name || rep.email}</option>
+              ))}
+              {view.assigned && !['me', 'unassigned'].includes(view.assigned) &&
+                !reps.some(rep => rep.id === view.assigned) && (
+                <option value={view.assigned}>Assigned to a specific rep</option>
+              )}
+            </select>
+          )}
+          
+          <select value={view.source} onChange={(e) => updateView({ source: e.target.value })}>
+            <option value="">All sources</option>
+            {sources.map(source => (
+              <option key={source.id} value={source.id}>
+                {source.name} ({source.sheet_name})
+              </option>
+            ))}
+          </select>
+          
+          <label>
+            Last contacted from
+            <input
+              type="date"
+              value={view.contactedFrom}
+              onChange={(e) => updateView({ contactedFrom: e.target.value })}
+            />
+          </label>
+          
+          <label>
+            to
+            <input
+              type="date"
+              value={view.contactedTo}
+              onChange={(e) => updateView({ contactedTo: e.target.value })}
+            />
+          </label>
+          
+          {isLeadViewFiltered(view) && (
+            <button className="clear-filters-button" onClick={() => updateView({
+              q: '', status: '', assigned: '', source: '', contactedFrom: '', contactedTo: ''
+            })}>
+              Clear filters
+            </button>
+          )}
+          
+          <button className="export-toggle" onClick={() => setShowExport(!showExport)}>
+            {showExport ? 'Hide export' : 'Export CSV'}
+          </button>
+        </div>
+      )}
+      
+      {!dialerSession && showExport && (
+        <LeadExport view={view} />
+      )}
       
       {error && <div className="error-message">{error}</div>}
+      {assignMessage && !dialerSession && <div className="assign-message">{assignMessage}</div>}
       
-      {loading ? (
+      {!dialerSession && canManage && selectedIds.length > 0 && (
+        <div className="bulk-actions">
+          <span>{selectedIds.length} selected</span>
+          <select value={assignRepId} onChange={(e) => setAssignRepId(e.target.value)}>
+            <option value="">Choose a rep…</option>
+            {reps.map(rep => (
+              <option key={rep.id} value={rep.id}>{rep.full_name || rep.email}</option>
+            ))}
+          </select>
+          <button
+            onClick={() => handleAssign({ repId: assignRepId })}
+            disabled={assigning || !assignRepId}
+          >
+            Assign
+          </button>
+          <button onClick={() => handleAssign({ auto: true })} disabled={assigning}>
+            Auto-assign by rules
+          </button>
+          <button onClick={() => handleAssign({ repId: null })} disabled={assigning}>
+            Unassign
+          </button>
+          <button className="clear-filters-button" onClick={() => setSelectedIds([])}>
+            Clear selection
+          </button>
+        </div>
+      )}
+      
+      {dialerSession ? (
+        <DialerSession
+          dialerSession={dialerSession}
+          onChange={setDialerSession}
+          onEnd={handleEndDialing}
+        />
+      ) : loading ? (
         <div className="loading">Loading leads...</div>
       ) : (
         <>
@@ -371,27 +797,74 @@ function Dashboard() {
             <table className="leads-table">
               <thead>
                 <tr>
-                  <th>Name</th>
-                  <th>Email</th>
-                  <th>Phone</th>
-                  <th>Company</th>
+                  {canManage && (
+                    <th>
+                      <input
+                        type="checkbox"
+                        aria-label="Select all leads on this page"
+                        checked={leads.length > 0 && selectedIds.length === leads.length}
+                        onChange={toggleSelectPage}
+                      />
+                    </th>
+                  )}
+                  {LEAD_TABLE_COLUMNS.map(column => (
+                    <th
+                      key={column.field}
+                      className="sortable"
+                      onClick={() => handleSort(column.field)}
+                      aria-sort={view.sort === column.field
+                        ? (view.dir === 'asc' ? 'ascending' : 'descending')
+                        : 'none'}
+                    >
+                      {column.label}
+                      {view.sort === column.field && (view.dir === 'asc' ? ' ▲' : ' ▼')}
+                    </th>
+                  ))}
+                  {canManage && <th>Assigned to</th>}
                   <th>Actions</th>
                 </tr>
               </thead>
               <tbody>
                 {leads.length === 0 ? (
                   <tr>
-                    <td colSpan="5" className="no-leads">
-                      No leads found. Please sync your Google Sheet.
+                    <td colSpan={LEAD_TABLE_COLUMNS.length + (canManage ? 3 : 1)} className="no-leads">
+                      {isLeadViewFiltered(view)
+                        ? 'No leads match your search and filters.'
+                        : 'No leads found. Please sync your Google Sheet.'}
                     </td>
                   </tr>
                 ) : (
                   leads.map((lead) => (
-                    <tr key={lead.id} onClick={() => handleSelectLead(lead)}>
+                    <tr
+                      key={lead.id}
+                      className={lead.dnc_at ? 'suppressed' : ''}
+                      onClick={() => handleSelectLead(lead)}
+                    >
+                      {canManage && (
+                        <td onClick={(e) => e.stopPropagation()}>
+                          <input
+                            type="checkbox"
+                            aria-label={`Select ${lead.name}`}
+                            checked={selectedIds.includes(lead.id)}
+                            onChange={() => toggleSelected(lead.id)}
+                          />
+                        </td>
+                      )}
                       <td>{lead.name}</td>
                       <td>{lead.email}</td>
-                      <td>{lead.phone}</td>
+                      <td>
+                        <PhoneNumber lead={lead} />
+                      </td>
                       <td>{lead.company}</td>
+                      <td>{lead.status}</td>
+                      <td>
+                        {lead.last_contacted_at
+                          ? new Date(lead.last_contacted_at).toLocaleDateString()
+                          : '—'}
+                      </td>
+                      {canManage && (
+                        <td>{lead.assigned_to ? repLabel(lead.assigned_to) : 'Unassigned'}</td>
+                      )}
                       <td>
                         <button 
                           className="view-button"
@@ -414,19 +887,19 @@ function Dashboard() {
           {leads.length > 0 && (
             <div className="pagination">
               <button 
-                onClick={() => handlePageChange(pagination.page - 1)} 
-                disabled={pagination.page === 1}
+                onClick={() => handlePageChange(view.page - 1)} 
+                disabled={view.page === 1}
               >
                 Previous
               </button>
               
               <span>
-                Page {pagination.page} of {totalPages}
+                Page {view.page} of {totalPages}
               </span>
               
               <button 
-                onClick={() => handlePageChange(pagination.page + 1)} 
-                disabled={pagination.page >= totalPages}
+                onClick={() => handlePageChange(view.page + 1)} 
+                disabled={view.page >= totalPages}
               >
                 Next
               </button>
@@ -437,7 +910,11 @@ function Dashboard() {
       
       {/* Lead Detail Modal */}
       {selectedLead && (
-        <LeadDetail lead={selectedLead} onClose={handleCloseDetail} />
+        <LeadDetail
+          lead={selectedLead}
+          onClose={handleCloseDetail}
+          onLeadUpdated={handleLeadUpdated}
+        />
       )}
       
       <style jsx>{`
@@ -446,6 +923,131 @@ function Dashboard() {
           margin: 0 auto;
         }
         
+        .dashboard-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+        }
+        
+        .start-dialing-button {
+          background-color: #4CAF50;
+          color: white;
+          border: none;
+          border-radius: 4px;
+          padding: 10px 20px;
+          font-size: 1rem;
+          cursor: pointer;
+        }
+        
+        .start-dialing-button:disabled {
+          background-color: #cccccc;
+          cursor: not-allowed;
+        }
+        
+        .view-tabs {
+          display: flex;
+          gap: 0.5rem;
+          margin-bottom: 1rem;
+        }
+        
+        .view-tabs button {
+          background-color: #f5f5f5;
+          border: 1px solid #ddd;
+          border-radius: 4px;
+          padding: 5px 15px;
+          cursor: pointer;
+        }
+        
+        .view-tabs button.active {
+          background-color: #0070f3;
+          border-color: #0070f3;
+          color: white;
+        }
+        
+        .view-tabs .rules-toggle {
+          margin-left: auto;
+        }
+        
+        .bulk-actions {
+          display: flex;
+          flex-wrap: wrap;
+          align-items: center;
+          gap: 0.75rem;
+          padding: 0.75rem;
+          margin-bottom: 1rem;
+          background-color: #f0f7ff;
+          border: 1px solid #cfe3ff;
+          border-radius: 4px;
+        }
+        
+        .bulk-actions select {
+          padding: 6px;
+          border: 1px solid #ddd;
+          border-radius: 4px;
+        }
+        
+        .bulk-actions button:not(.clear-filters-button) {
+          background-color: #f5f5f5;
+          border: 1px solid #ddd;
+          border-radius: 4px;
+          padding: 5px 15px;
+          cursor: pointer;
+        }
+        
+        .assign-message {
+          background-color: #e7f5e9;
+          color: #1e4620;
+          padding: 10px;
+          margin-bottom: 20px;
+          border-radius: 4px;
+          border: 1px solid #b7dfbb;
+        }
+        
+        .lead-filters {
+          display: flex;
+          flex-wrap: wrap;
+          align-items: center;
+          gap: 0.75rem;
+          margin-bottom: 1rem;
+        }
+        
+        .lead-filters input,
+        .lead-filters select {
+          padding: 6px;
+          border: 1px solid #ddd;
+          border-radius: 4px;
+          font-family: inherit;
+        }
+        
+        .lead-filters label {
+          display: flex;
+          align-items: center;
+          gap: 0.25rem;
+          color: #555;
+          font-size: 0.9rem;
+        }
+        
+        .lead-search {
+          flex: 1 1 250px;
+        }
+        
+        .clear-filters-button {
+          background: none;
+          border: none;
+          color: #0070f3;
+          cursor: pointer;
+          padding: 0;
+        }
+        
+        .export-toggle {
+          margin-left: auto;
+          background-color: #f5f5f5;
+          border: 1px solid #ddd;
+          border-radius: 4px;
+          padding: 5px 15px;
+          cursor: pointer;
+        }
+        
         .leads-table-container {
           overflow-x: auto;
           margin-bottom: 2rem;
@@ -469,11 +1071,21 @@ function Dashboard() {
           font-weight: bold;
         }
         
+        .leads-table th.sortable {
+          cursor: pointer;
+          user-select: none;
+          white-space: nowrap;
+        }
+        
         .leads-table tr:hover {
           background-color: #f9f9f9;
           cursor: pointer;
         }
         
+        .leads-table tr.suppressed {
+          color: #888;
+        }
+        
         .view-button {
           background-color: #4CAF50;
           color: white;
@@ -531,78 +1143,1960 @@ function Dashboard() {
 }
 
 // ============================================================================
-// LeadDetail Component - "Dialer" interface for a selected lead
+// SyncStatusBanner Component - Shows how fresh the synced lead list is
 // ============================================================================
-function LeadDetail({ lead, onClose }) {
-  // In a real application, this could trigger actual calls or other actions
-  const handleCall = () => {
-    alert(`Simulating call to ${lead.name} at ${lead.phone}`);
+// Formats the time elapsed since an ISO timestamp, e.g. "5 minutes ago"
+function formatTimeAgo(isoTimestamp, now = Date.now()) {
+  const minutes = Math.max(0, Math.round((now - new Date(isoTimestamp).getTime()) / 60000));
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} minute${minutes === 1 ? '' : 's'} ago`;
+  
+  const hours = Math.round(minutes / 60);
+  if (hours < 48) return `${hours} hour${hours === 1 ? '' : 's'} ago`;
+  
+  const days = Math.round(hours / 24);
+  return `${days} days ago`;
+}
+
+function SyncStatusBanner() {
+  const supabase = useSupabaseClient();
+  const [latestRun, setLatestRun] = useState(null);
+  const [now, setNow] = useState(Date.now());
+  
+  // Fetch the latest run and when a sync last succeeded. Only managers can
+  // read sync_runs itself, so everyone else goes through sync_status().
+  const fetchSyncRuns = async () => {
+    try {
+      const { data, error } = await supabase.rpc('sync_status');
+      if (error) throw error;
+      
+      setLatestRun(data[0] || null);
+      setNow(Date.now());
+    } catch (err) {
+      console.error('Error fetching sync status:', err);
+    }
   };
   
+  // Refresh every minute so "X minutes ago" stays accurate
+  useEffect(() => {
+    fetchSyncRuns();
+    const interval = setInterval(fetchSyncRuns, 60000);
+    return () => clearInterval(interval);
+  }, []);
+  
+  if (!latestRun) {
+    return null;
+  }
+  
   return (
-    <div className="modal-overlay">
-      <div className="modal-content">
-        <div className="modal-header">
-          <h2>{lead.name}</h2>
-          <button className="close-button" onClick={onClose}>×</button>
-        </div>
-        
-        <div className="lead-details">
-          <div className="detail-row">
-            <div className="detail-label">Email:</div>
-            <div className="detail-value">
-              <a href={`mailto:${lead.email}`}>{lead.email}</a>
-            </div>
-          </div>
-          
-          <div className="detail-row">
-            <div className="detail-label">Phone:</div>
-            <div className="detail-value">
-              <a href={`tel:${lead.phone}`}>{lead.phone}</a>
-            </div>
-          </div>
-          
-          <div className="detail-row">
-            <div className="detail-label">Company:</div>
-            <div className="detail-value">{lead.company}</div>
-          </div>
-          
-          {lead.notes && (
-            <div className="detail-row notes">
-              <div className="detail-label">Notes:</div>
-              <div className="detail-value">{lead.notes}</div>
-            </div>
-          )}
+    <div className="sync-status">
+      {latestRun.status === 'failed' && (
+        <div className="sync-banner sync-failed">
+          Last sync{latestRun.sheet_name && ` of ${latestRun.sheet_name}`} failed {formatTimeAgo(latestRun.finished_at || latestRun.started_at, now)}
+          {latestRun.error && `: ${latestRun.error}`}. Your lead list may be out of date.
         </div>
-        
-        <div className="dialer-actions">
-          <button className="call-button" onClick={handleCall}>
-            Call {lead.name}
-          </button>
+      )}
+      
+      {latestRun.status === 'running' && (
+        <div className="sync-banner sync-running">
+          Sync in progress (started {formatTimeAgo(latestRun.started_at, now)})
         </div>
+      )}
+      
+      <div className="sync-banner sync-info">
+        {latestRun.last_succeeded_at
+          ? `Last synced ${formatTimeAgo(latestRun.last_succeeded_at, now)}`
+          : 'No successful sync yet'}
       </div>
       
       <style jsx>{`
-        .modal-overlay {
-          position: fixed;
-          top: 0;
-          left: 0;
-          right: 0;
-          bottom: 0;
-          background-color: rgba(0, 0, 0, 0.5);
-          display: flex;
-          justify-content: center;
-          align-items: center;
-          z-index: 1000;
+        .sync-status {
+          margin-bottom: 1rem;
         }
         
-        .modal-content {
+        .sync-banner {
+          padding: 10px;
+          margin-bottom: 0.5rem;
+          border-radius: 4px;
+          font-size: 0.9rem;
+        }
+        
+        .sync-failed {
+          background-color: #ffecec;
+          color: #721c24;
+          border: 1px solid #f5c6cb;
+        }
+        
+        .sync-running {
+          background-color: #fff8e1;
+          color: #8a6d3b;
+          border: 1px solid #ffe0a3;
+        }
+        
+        .sync-info {
+          background-color: #f5f5f5;
+          color: #555;
+          border: 1px solid #eee;
+        }
+      `}</style>
+    </div>
+  );
+}
+
+// ============================================================================
+// DueCallbacks Component - "Due now" queue of the rep's callbacks
+// ============================================================================
+function DueCallbacks({ version, onSelectLead }) {
+  const supabase = useSupabaseClient();
+  const session = useSession();
+  const [callbacks, setCallbacks] = useState([]);
+  const [now, setNow] = useState(Date.now());
+  
+  // Open callbacks that are due soon or already late, oldest first
+  const fetchCallbacks = async () => {
+    const dueBy = new Date(Date.now() + DUE_WINDOW_MINUTES * 60000).toISOString();
+    const { data, error } = await supabase
+      .from('scheduled_callbacks')
+      .select('*, lead:leads(*)')
+      .eq('rep_id', session.user.id)
+      .is('completed_at', null)
+      .is('canceled_at', null)
+      .lte('due_at', dueBy)
+      .order('due_at', { ascending: true });
+    
+    if (error) {
+      console.error('Error fetching due callbacks:', error);
+      return;
+    }
+    // Leads the rep can no longer see (reassigned, deleted) or may not call drop out
+    setCallbacks((data || []).filter(callback => callback.lead && !callback.lead.archived_at && !callback.lead.dnc_at));
+    setNow(Date.now());
+  };
+  
+  // Refresh every minute so callbacks appear as they fall due
+  useEffect(() => {
+    fetchCallbacks();
+    const interval = setInterval(fetchCallbacks, 60000);
+    return () => clearInterval(interval);
+  }, [version]);
+  
+  const handleCancel = async (callback) => {
+    const { error } = await supabase
+      .from('scheduled_callbacks')
+      .update({ canceled_at: new Date().toISOString() })
+      .eq('id', callback.id);
+    
+    if (error) {
+      console.error('Error canceling callback:', error);
+      return;
+    }
+    fetchCallbacks();
+  };
+  
+  if (callbacks.length === 0) {
+    return null;
+  }
+  
+  return (
+    <div className="due-callbacks">
+      <h2>Due now ({callbacks.length})</h2>
+      <ul>
+        {callbacks.map(callback => {
+          const overdue = getCallbackState(callback, now) === 'overdue';
+          return (
+            <li key={callback.id} className={overdue ? 'overdue' : ''}>
+              <button className="callback-lead" onClick={() => onSelectLead(callback.lead)}>
+                {callback.lead.name}
+              </button>
+              <span className="callback-time">
+                {overdue ? 'Overdue since ' : 'Due '}
+                {formatInTimeZone(callback.due_at, callback.timezone)} lead time
+                {callback.timezone !== getLocalTimeZone() &&
+                  ` (${formatInTimeZone(callback.due_at, getLocalTimeZone())} your time)`}
+              </span>
+              {callback.notes && <span className="callback-notes">{callback.notes}</span>}
+              <button className="callback-cancel" onClick={() => handleCancel(callback)}>
+                Cancel
+              </button>
+            </li>
+          );
+        })}
+      </ul>
+      
+      <style jsx>{`
+        .due-callbacks {
+          margin-bottom: 1rem;
+          padding: 0.75rem 1rem;
+          border: 1px solid #cfe3ff;
+          border-radius: 4px;
+          background-color: #f0f7ff;
+        }
+        
+        .due-callbacks h2 {
+          margin: 0 0 0.5rem;
+          font-size: 1.1rem;
+        }
+        
+        .due-callbacks ul {
+          list-style: none;
+          margin: 0;
+          padding: 0;
+        }
+        
+        .due-callbacks li {
+          display: flex;
+          flex-wrap: wrap;
+          align-items: center;
+          gap: 0.75rem;
+          padding: 0.5rem;
+          border-radius: 4px;
+        }
+        
+        .due-callbacks li.overdue {
+          background-color: #ffecec;
+          color: #721c24;
+        }
+        
+        .callback-lead {
+          background: none;
+          border: none;
+          padding: 0;
+          color: #0070f3;
+          font-weight: bold;
+          cursor: pointer;
+        }
+        
+        .callback-time {
+          font-size: 0.9rem;
+        }
+        
+        .callback-notes {
+          flex: 1;
+          color: #555;
+          font-size: 0.85rem;
+        }
+        
+        .callback-cancel {
+          margin-left: auto;
+          background-color: transparent;
+          border: 1px solid #ddd;
+          border-radius: 4px;
+          padding: 3px 10px;
+          cursor: pointer;
+        }
+      `}</style>
+    </div>
+  );
+}
+
+// ============================================================================
+// DuplicateReview Component - Possible duplicate leads flagged by the sync
+// ============================================================================
+// Why a pair was flagged (see services/leadDuplicates.js)
+const DUPLICATE_REASON_LABELS = {
+  email: 'Same email',
+  phone: 'Same phone number',
+  name_company: 'Similar name at the same company'
+};
+
+// Most pairs the review lists at once, most alike first
+const DUPLICATE_REVIEW_LIMIT = 50;
+
+function DuplicateReview({ onMerged }) {
+  const supabase = useSupabaseClient();
+  const session = useSession();
+  const [pairs, setPairs] = useState([]);
+  const [expanded, setExpanded] = useState(false);
+  const [savingId, setSavingId] = useState(null);
+  const [error, setError] = useState(null);
+  
+  // Open pairs whose leads the user can both see
+  const fetchPairs = async () => {
+    const { data, error } = await supabase
+      .from('lead_duplicates')
+      .select('*, first:leads!lead_a(*), second:leads!lead_b(*)')
+      .eq('status', 'open')
+      .order('score', { ascending: false })
+      .limit(DUPLICATE_REVIEW_LIMIT);
+    
+    if (error) {
+      console.error('Error fetching possible duplicates:', error);
+      return;
+    }
+    setPairs((data || []).filter(pair => pair.first && pair.second));
+  };
+  
+  useEffect(() => {
+    fetchPairs();
+  }, []);
+  
+  const handleMerge = async (pair, survivor, duplicate) => {
+    setSavingId(pair.id);
+    setError(null);
+    
+    try {
+      const response = await fetch('/api/leads/merge', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${session.access_token}`
+        },
+        body: JSON.stringify({ survivorId: survivor.id, duplicateId: duplicate.id })
+      });
+      const result = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(result.error || `Request failed with status ${response.status}`);
+      }
+      
+      await fetchPairs();
+      onMerged(duplicate.id);
+    } catch (err) {
+      console.error('Error merging leads:', err);
+      setError(`Failed to merge ${duplicate.name} into ${survivor.name}: ${err.message}`);
+    } finally {
+      setSavingId(null);
+    }
+  };
+  
+  const handleDismiss = async (pair) => {
+    setSavingId(pair.id);
+    setError(null);
+    
+    const { error } = await supabase
+      .from('lead_duplicates')
+      .update({ status: 'dismissed', resolved_at: new Date().toISOString(), resolved_by: session.user.id })
+      .eq('id', pair.id);
+    
+    setSavingId(null);
+    if (error) {
+      console.error('Error dismissing duplicate:', error);
+      setError(`Failed to dismiss the pair: ${error.message}`);
+      return;
+    }
+    setPairs(pairs.filter(candidate => candidate.id !== pair.id));
+  };
+  
+  if (pairs.length === 0) {
+    return null;
+  }
+  
+  const renderLead = (pair, lead, other) => (
+    <div className="duplicate-lead">
+      <strong>{lead.name}</strong>
+      <span>{lead.email || 'No email'}</span>
+      <span>{lead.phone || 'No phone'}</span>
+      <span>{[lead.position, lead.company].filter(Boolean).join(' at ') || 'No company'}</span>
+      <span className="duplicate-meta">
+        Status: {lead.status || 'new'}
+        {lead.last_contacted_at && ` · Last called ${new Date(lead.last_contacted_at).toLocaleDateString()}`}
+      </span>
+      {lead.notes && <span className="duplicate-notes">{lead.notes}</span>}
+      <button disabled={savingId === pair.id} onClick={() => handleMerge(pair, lead, other)}>
+        Keep this one
+      </button>
+    </div>
+  );
+  
+  return (
+    <div className="duplicate-review">
+      <div className="duplicate-header">
+        <h2>Possible duplicates ({pairs.length}{pairs.length === DUPLICATE_REVIEW_LIMIT ? '+' : ''})</h2>
+        <button onClick={() => setExpanded(!expanded)}>{expanded ? 'Hide' : 'Review'}</button>
+      </div>
+      
+      {expanded && (
+        <>
+          <p className="duplicate-help">
+            Keeping a lead merges the other one into it: empty fields are filled in,
+            notes are combined and its calls and callbacks move over. The other
+            lead's sheet row keeps pointing to the lead you keep.
+          </p>
+          {error && <div className="error-message">{error}</div>}
+          <ul>
+            {pairs.map(pair => (
+              <li key={pair.id}>
+                <div className="duplicate-reasons">
+                  {pair.reasons.map(reason => DUPLICATE_REASON_LABELS[reason] || reason).join(' · ')}
+                </div>
+                <div className="duplicate-pair">
+                  {renderLead(pair, pair.first, pair.second)}
+                  {renderLead(pair, pair.second, pair.first)}
+                </div>
+                <button
+                  className="duplicate-dismiss"
+                  disabled={savingId === pair.id}
+                  onClick={() => handleDismiss(pair)}
+                >
+                  Not duplicates
+                </button>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+      
+      <style jsx>{`
+        .duplicate-review {
+          margin-bottom: 1rem;
+          padding: 0.75rem 1rem;
+          border: 1px solid #ffe08a;
+          border-radius: 4px;
+          background-color: #fffbea;
+        }
+        
+        .duplicate-header {
+          display: flex;
+          align-items: center;
+          justify-content: space-between;
+        }
+        
+        .duplicate-review h2 {
+          margin: 0;
+          font-size: 1.1rem;
+        }
+        
+        .duplicate-help {
+          color: #555;
+          font-size: 0.9rem;
+        }
+        
+        .duplicate-review ul {
+          list-style: none;
+          margin: 0;
+          padding: 0;
+        }
+        
+        .duplicate-review li {
+          padding: 0.75rem 0;
+          border-top: 1px solid #f3e3a3;
+        }
+        
+        .duplicate-reasons {
+          margin-bottom: 0.5rem;
+          font-size: 0.85rem;
+          color: #7a5b00;
+        }
+        
+        .duplicate-pair {
+          display: flex;
+          gap: 1rem;
+        }
+        
+        .duplicate-lead {
+          flex: 1;
+          display: flex;
+          flex-direction: column;
+          gap: 0.25rem;
+          padding: 0.5rem;
+          border: 1px solid #eee;
+          border-radius: 4px;
+          background-color: white;
+        }
+        
+        .duplicate-meta, .duplicate-notes {
+          color: #555;
+          font-size: 0.85rem;
+        }
+        
+        .duplicate-notes {
+          white-space: pre-wrap;
+        }
+        
+        .duplicate-review button {
+          align-self: flex-start;
+          background-color: transparent;
+          border: 1px solid #ddd;
+          border-radius: 4px;
+          padding: 3px 10px;
+          cursor: pointer;
+        }
+        
+        .duplicate-dismiss {
+          margin-top: 0.5rem;
+        }
+      `}</style>
+    </div>
+  );
+}
+
+// ============================================================================
+// AssignmentRulesPanel Component - Lets managers edit the lead assignment rules
+// ============================================================================
+// Strategies of services/leadAssignment.js
+const ASSIGNMENT_STRATEGY_LABELS = {
+  round_robin: 'Round-robin',
+  territory: 'By territory'
+};
+
+const EMPTY_RULE = {
+  name: '',
+  strategy: 'round_robin',
+  territory: '',
+  source_id: '',
+  rep_ids: [],
+  priority: 100
+};
+
+function AssignmentRulesPanel({ reps, sources }) {
+  const supabase = useSupabaseClient();
+  const [rules, setRules] = useState([]);
+  const [newRule, setNewRule] = useState(EMPTY_RULE);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  
+  const fetchRules = async () => {
+    const { data, error } = await supabase
+      .from('assignment_rules')
+      .select('*')
+      .order('priority')
+      .order('created_at');
+    
+    if (error) {
+      console.error('Error fetching assignment rules:', error);
+      setError(`Failed to load assignment rules: ${error.message}`);
+      return;
+    }
+    setRules(data || []);
+  };
+  
+  useEffect(() => {
+    fetchRules();
+  }, []);
+  
+  // Runs a change to the rules, then reloads them
+  const saveRules = async (change) => {
+    setSaving(true);
+    setError(null);
+    
+    try {
+      const { error } = await change;
+      if (error) throw error;
+      await fetchRules();
+      return true;
+    } catch (err) {
+      console.error('Error saving assignment rule:', err);
+      setError(`Failed to save assignment rule: ${err.message}`);
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+  
+  const handleAddRule = async (e) => {
+    e.preventDefault();
+    const added = await saveRules(supabase.from('assignment_rules').insert({
+      name: newRule.name.trim(),
+      strategy: newRule.strategy,
+      territory: newRule.strategy === 'territory' ? newRule.territory.trim() : null,
+      source_id: newRule.source_id || null,
+      rep_ids: newRule.rep_ids,
+      priority: Number(newRule.priority) || 0
+    }));
+    if (added) setNewRule(EMPTY_RULE);
+  };
+  
+  const toggleNewRuleRep = (repId) => {
+    setNewRule({
+      ...newRule,
+      rep_ids: newRule.rep_ids.includes(repId)
+        ? newRule.rep_ids.filter(id => id !== repId)
+        : [...newRule.rep_ids, repId]
+    });
+  };
+  
+  const repName = (repId) => {
+    const rep = reps.find(candidate => candidate.id === repId);
+    return rep ? rep.full_name || rep.email : 'Unknown rep';
+  };
+  
+  const describeMatch = (rule) => {
+    const source = sources.find(candidate => candidate.id === rule.source_id);
+    const parts = [rule.strategy === 'territory' ? `Territory "${rule.territory}"` : 'Any lead'];
+    if (source) parts.push(`from ${source.name}`);
+    return parts.join(' ');
+  };
+  
+  const canAdd = newRule.name.trim() && newRule.rep_ids.length > 0 &&
+    (newRule.strategy !== 'territory' || newRule.territory.trim());
+  
+  return (
+    <div className="assignment-rules">
+      <h2>Assignment rules</h2>
+      <p className="rules-help">
+        Newly synced leads, and leads you auto-assign, go to the first enabled rule
+        they match (lowest priority number first). Each rule hands its leads to its
+        reps in turn.
+      </p>
+      
+      {error && <div className="error-message">{error}</div>}
+      
+      {rules.length === 0 ? (
+        <p className="no-rules">No rules yet, so new leads stay unassigned.</p>
+      ) : (
+        <table className="rules-table">
+          <thead>
+            <tr>
+              <th>Priority</th>
+              <th>Name</th>
+              <th>Matches</th>
+              <th>Reps</th>
+              <th>Enabled</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {rules.map(rule => (
+              <tr key={rule.id}>
+                <td>{rule.priority}</td>
+                <td>{rule.name} ({ASSIGNMENT_STRATEGY_LABELS[rule.strategy]})</td>
+                <td>{describeMatch(rule)}</td>
+                <td>{rule.rep_ids.map(repName).join(', ') || '—'}</td>
+                <td>
+                  <input
+                    type="checkbox"
+                    checked={rule.enabled}
+                    disabled={saving}
+                    onChange={() => saveRules(
+                      supabase.from('assignment_rules').update({ enabled: !rule.enabled }).eq('id', rule.id)
+                    )}
+                  />
+                </td>
+                <td>
+                  <button
+                    className="delete-rule-button"
+                    disabled={saving}
+                    onClick={() => saveRules(supabase.from('assignment_rules').delete().eq('id', rule.id))}
+                  >
+                    Delete
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      
+      <form className="rule-form" onSubmit={handleAddRule}>
+        <input
+          type="text"
+          placeholder="Rule name"
+          value={newRule.name}
+          onChange={(e) => setNewRule({ ...newRule, name: e.target.value })}
+        />
+        <select
+          value={newRule.strategy}
+          onChange={(e) => setNewRule({ ...newRule, strategy: e.target.value })}
+        >
+          {Object.keys(ASSIGNMENT_STRATEGY_LABELS).map(strategy => (
+            <option key={strategy} value={strategy}>{ASSIGNMENT_STRATEGY_LABELS[strategy]}</option>
+          ))}
+        </select>
+        {newRule.strategy === 'territory' && (
+          <input
+            type="text"
+            placeholder="Territory"
+            value={newRule.territory}
+            onChange={(e) => setNewRule({ ...newRule, territory: e.target.value })}
+          />
+        )}
+        <select
+          value={newRule.source_id}
+          onChange={(e) => setNewRule({ ...newRule, source_id: e.target.value })}
+        >
+          <option value="">Any source</option>
+          {sources.map(source => (
+            <option key={source.id} value={source.id}>{source.name}</option>
+          ))}
+        </select>
+        <label>
+          Priority
+          <input
+            type="number"
+            value={newRule.priority}
+            onChange={(e) => setNewRule({ ...newRule, priority: e.target.value })}
+          />
+        </label>
+        <div className="rule-reps">
+          {reps.map(rep => (
+            <label key={rep.id}>
+              <input
+                type="checkbox"
+                checked={newRule.rep_ids.includes(rep.id)}
+                onChange={() => toggleNewRuleRep(rep.id)}
+              />
+              {rep.full_name || rep.email}
+            </label>
+          ))}
+        </div>
+        <button type="submit" disabled={saving || !canAdd}>
+          Add rule
+        </button>
+      </form>
+      
+      <style jsx>{`
+        .assignment-rules {
+          padding: 1rem;
+          margin-bottom: 1rem;
+          border: 1px solid #eee;
+          border-radius: 4px;
+          background-color: #fafafa;
+        }
+        
+        .assignment-rules h2 {
+          margin-top: 0;
+          font-size: 1.2rem;
+        }
+        
+        .rules-help, .no-rules {
+          color: #555;
+          font-size: 0.9rem;
+        }
+        
+        .rules-table {
+          width: 100%;
+          border-collapse: collapse;
+          margin-bottom: 1rem;
+        }
+        
+        .rules-table th, .rules-table td {
+          padding: 8px;
+          text-align: left;
+          border-bottom: 1px solid #eee;
+        }
+        
+        .delete-rule-button {
+          background-color: transparent;
+          border: 1px solid #f5c6cb;
+          color: #721c24;
+          border-radius: 4px;
+          padding: 3px 10px;
+          cursor: pointer;
+        }
+        
+        .rule-form {
+          display: flex;
+          flex-wrap: wrap;
+          align-items: center;
+          gap: 0.75rem;
+        }
+        
+        .rule-form input[type="text"], .rule-form select {
+          padding: 6px;
+          border: 1px solid #ddd;
+          border-radius: 4px;
+        }
+        
+        .rule-form input[type="number"] {
+          width: 5rem;
+          margin-left: 0.5rem;
+          padding: 6px;
+        }
+        
+        .rule-reps {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 0.75rem;
+          width: 100%;
+        }
+        
+        .rule-form button {
+          background-color: #0070f3;
+          color: white;
+          border: none;
+          border-radius: 4px;
+          padding: 6px 15px;
+          cursor: pointer;
+        }
+        
+        .rule-form button:disabled {
+          background-color: #9cc4f5;
+          cursor: default;
+        }
+      `}</style>
+    </div>
+  );
+}
+
+// ============================================================================
+// DncListPanel Component - Lets managers maintain the do-not-call list
+// ============================================================================
+// Where a number on the list came from (see services/dncService.js)
+const DNC_SOURCE_LABELS = {
+  disposition: 'Call outcome',
+  sheet: 'Sheet tab',
+  csv: 'CSV upload',
+  manual: 'Added by hand'
+};
+
+// Most numbers and audit entries the panel lists
+const DNC_LIST_LIMIT = 200;
+const DNC_AUDIT_LIMIT = 20;
+
+function DncListPanel({ reps, onChanged }) {
+  const supabase = useSupabaseClient();
+  const session = useSession();
+  const [numbers, setNumbers] = useState([]);
+  const [totalCount, setTotalCount] = useState(0);
+  const [audit, setAudit] = useState([]);
+  const [newNumber, setNewNumber] = useState({ phone: '', reason: '' });
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  const fileInput = useRef(null);
+  
+  const fetchList = async () => {
+    const [listResult, auditResult] = await Promise.all([
+      supabase
+        .from('dnc_numbers')
+        .select('*', { count: 'exact' })
+        .is('removed_at', null)
+        .order('added_at', { ascending: false })
+        .limit(DNC_LIST_LIMIT),
+      supabase
+        .from('dnc_audit')
+        .select('*')
+        .order('created_at', { ascending: false })
+        .limit(DNC_AUDIT_LIMIT)
+    ]);
+    
+    const fetchError = listResult.error || auditResult.error;
+    if (fetchError) {
+      console.error('Error fetching the do-not-call list:', fetchError);
+      setError(`Failed to load the do-not-call list: ${fetchError.message}`);
+      return;
+    }
+    setNumbers(listResult.data || []);
+    setTotalCount(listResult.count || 0);
+    setAudit(auditResult.data || []);
+  };
+  
+  useEffect(() => {
+    fetchList();
+  }, []);
+  
+  // Sends a change to /api/dnc, then reloads the list and the leads
+  const changeList = async (method, body) => {
+    setSaving(true);
+    setError(null);
+    setMessage(null);
+    
+    try {
+      const response = await fetch('/api/dnc', {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${session.access_token}`
+        },
+        body: JSON.stringify(body)
+      });
+      const result = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(result.error || `Request failed with status ${response.status}`);
+      }
+      
+      await fetchList();
+      onChanged();
+      return result;
+    } catch (err) {
+      console.error('Error updating the do-not-call list:', err);
+      setError(`Failed to update the do-not-call list: ${err.message}`);
+      return null;
+    } finally {
+      setSaving(false);
+    }
+  };
+  
+  const describeAdded = (result) => {
+    const parts = [`Added ${result.added} of ${result.listed} numbers (the others were already listed).`];
+    if (result.invalid.length > 0) {
+      parts.push(`Skipped ${result.invalid.length} values that are not phone numbers: ${result.invalid.slice(0, 5).join(', ')}` +
+        `${result.invalid.length > 5 ? '…' : ''}`);
+    }
+    return parts.join(' ');
+  };
+  
+  const handleAddNumber = async (e) => {
+    e.preventDefault();
+    const result = await changeList('POST', { phone: newNumber.phone, reason: newNumber.reason });
+    if (result) {
+      setNewNumber({ phone: '', reason: '' });
+      setMessage(describeAdded(result));
+    }
+  };
+  
+  const handleUpload = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    
+    const result = await changeList('POST', { csv: await file.text(), reason: newNumber.reason });
+    if (result) setMessage(describeAdded(result));
+    fileInput.current.value = '';
+  };
+  
+  const userName = (userId) => {
+    if (!userId) return 'Sync';
+    const rep = reps.find(candidate => candidate.id === userId);
+    return rep ? rep.full_name || rep.email : 'Unknown user';
+  };
+  
+  return (
+    <div className="dnc-list">
+      <h2>Do-not-call list ({totalCount})</h2>
+      <p className="dnc-help">
+        Listed numbers are never dialed: their leads are marked "Do not call" and
+        left out of dialing sessions, whatever the sheet says. Reps add numbers by
+        saving a call as "Do not call".
+      </p>
+      
+      {error && <div className="error-message">{error}</div>}
+      {message && <div className="dnc-message">{message}</div>}
+      
+      <form className="dnc-form" onSubmit={handleAddNumber}>
+        <input
+          type="tel"
+          placeholder="Phone number"
+          value={newNumber.phone}
+          onChange={(e) => setNewNumber({ ...newNumber, phone: e.target.value })}
+        />
+        <input
+          type="text"
+          placeholder="Reason (optional)"
+          value={newNumber.reason}
+          onChange={(e) => setNewNumber({ ...newNumber, reason: e.target.value })}
+        />
+        <button type="submit" disabled={saving || !newNumber.phone.trim()}>
+          Add number
+        </button>
+        <label className="dnc-upload">
+          Upload CSV
+          <input
+            ref={fileInput}
+            type="file"
+            accept=".csv,text/csv"
+            disabled={saving}
+            onChange={handleUpload}
+          />
+        </label>
+      </form>
+      
+      {numbers.length === 0 ? (
+        <p className="dnc-help">No numbers are on the list.</p>
+      ) : (
+        <table className="dnc-table">
+          <thead>
+            <tr>
+              <th>Number</th>
+              <th>Source</th>
+              <th>Reason</th>
+              <th>Added</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {numbers.map(entry => (
+              <tr key={entry.id}>
+                <td>{entry.phone}</td>
+                <td>{DNC_SOURCE_LABELS[entry.source] || entry.source}</td>
+                <td>{entry.reason || '—'}</td>
+                <td>{new Date(entry.added_at).toLocaleDateString()} by {userName(entry.added_by)}</td>
+                <td>
+                  <button
+                    className="remove-number-button"
+                    disabled={saving}
+                    onClick={() => changeList('DELETE', { phone: entry.phone })}
+                  >
+                    Remove
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      {totalCount > numbers.length && (
+        <p className="dnc-help">Showing the {numbers.length} most recently added numbers.</p>
+      )}
+      
+      {audit.length > 0 && (
+        <>
+          <h3>Recent changes</h3>
+          <ul className="dnc-audit">
+            {audit.map(entry => (
+              <li key={entry.id}>
+                {new Date(entry.created_at).toLocaleString()}: {userName(entry.actor)}
+                {entry.action === 'added' ? ' added ' : ' removed '}{entry.phone}
+                {entry.action === 'added' && ` (${DNC_SOURCE_LABELS[entry.source] || entry.source})`}
+                {entry.reason && ` · ${entry.reason}`}
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+      
+      <style jsx>{`
+        .dnc-list {
+          padding: 1rem;
+          margin-bottom: 1rem;
+          border: 1px solid #eee;
+          border-radius: 4px;
+          background-color: #fafafa;
+        }
+        
+        .dnc-list h2 {
+          margin-top: 0;
+          font-size: 1.2rem;
+        }
+        
+        .dnc-list h3 {
+          font-size: 1rem;
+        }
+        
+        .dnc-help {
+          color: #555;
+          font-size: 0.9rem;
+        }
+        
+        .dnc-message {
+          background-color: #e7f5e9;
+          color: #1e4620;
+          padding: 10px;
+          margin-bottom: 1rem;
+          border-radius: 4px;
+          border: 1px solid #b7dfbb;
+        }
+        
+        .dnc-form {
+          display: flex;
+          flex-wrap: wrap;
+          align-items: center;
+          gap: 0.75rem;
+          margin-bottom: 1rem;
+        }
+        
+        .dnc-form input[type="tel"], .dnc-form input[type="text"] {
+          padding: 6px;
+          border: 1px solid #ddd;
+          border-radius: 4px;
+        }
+        
+        .dnc-form button {
+          background-color: #0070f3;
+          color: white;
+          border: none;
+          border-radius: 4px;
+          padding: 6px 15px;
+          cursor: pointer;
+        }
+        
+        .dnc-form button:disabled {
+          background-color: #9cc4f5;
+          cursor: default;
+        }
+        
+        .dnc-upload {
+          display: flex;
+          align-items: center;
+          gap: 0.5rem;
+          color: #555;
+          font-size: 0.9rem;
+        }
+        
+        .dnc-table {
+          width: 100%;
+          border-collapse: collapse;
+        }
+        
+        .dnc-table th, .dnc-table td {
+          padding: 8px;
+          text-align: left;
+          border-bottom: 1px solid #eee;
+        }
+        
+        .remove-number-button {
+          background-color: transparent;
+          border: 1px solid #f5c6cb;
+          color: #721c24;
+          border-radius: 4px;
+          padding: 3px 10px;
+          cursor: pointer;
+        }
+        
+        .dnc-audit {
+          margin: 0;
+          padding-left: 1.25rem;
+          color: #555;
+          font-size: 0.9rem;
+        }
+      `}</style>
+    </div>
+  );
+}
+
+// ============================================================================
+// ImportPanel Component - Lets managers import leads from CSV and XLSX files
+// ============================================================================
+// Bytes of a CSV file sent for its preview; XLSX files must be sent whole
+const IMPORT_PREVIEW_BYTES = 256 * 1024;
+
+function ImportPanel({ onImported }) {
+  const session = useSession();
+  const [file, setFile] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [result, setResult] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const fileInput = useRef(null);
+  
+  // Sends the file (or its start) to /api/imports
+  const upload = async (body, { previewOnly }) => {
+    const params = new URLSearchParams({ fileName: file.name });
+    if (previewOnly) params.set('preview', '1');
+    
+    const response = await fetch(`/api/imports?${params}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': file.type || 'application/octet-stream',
+        Authorization: `Bearer ${session.access_token}`
+      },
+      body
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok && !data.rowsProcessed) {
+      throw new Error(data.error || `Request failed with status ${response.status}`);
+    }
+    return data;
+  };
+  
+  const handleChooseFile = (e) => {
+    const chosen = e.target.files[0];
+    setFile(chosen || null);
+    setPreview(null);
+    setResult(null);
+    setError(null);
+  };
+  
+  // Preview as soon as a file is chosen
+  useEffect(() => {
+    if (!file) return;
+    
+    setBusy(true);
+    const isCsv = /\.csv$/i.test(file.name);
+    upload(isCsv ? file.slice(0, IMPORT_PREVIEW_BYTES) : file, { previewOnly: true })
+      .then(setPreview)
+      .catch(err => {
+        console.error('Error previewing import:', err);
+        setError(`Failed to read ${file.name}: ${err.message}`);
+      })
+      .finally(() => setBusy(false));
+  }, [file]);
+  
+  const handleImport = async () => {
+    setBusy(true);
+    setError(null);
+    
+    try {
+      const data = await upload(file, { previewOnly: false });
+      setResult(data);
+      setPreview(null);
+      fileInput.current.value = '';
+      onImported();
+    } catch (err) {
+      console.error('Error importing leads:', err);
+      setError(`Failed to import ${file.name}: ${err.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+  
+  return (
+    <div className="import-panel">
+      <h2>Import leads from a file</h2>
+      <p className="import-help">
+        Upload a CSV or Excel (.xlsx) file with a header row. Columns are matched to
+        lead fields like sheet columns, and leads are matched to earlier imports by
+        email, or by phone number when there is no email.
+      </p>
+      
+      <input
+        ref={fileInput}
+        type="file"
+        accept=".csv,.xlsx,text/csv,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+        disabled={busy}
+        onChange={handleChooseFile}
+      />
+      
+      {error && <div className="error-message">{error}</div>}
+      {busy && <p className="import-help">{preview ? 'Importing…' : 'Reading file…'}</p>}
+      
+      {preview && (
+        <>
+          <h3>First rows of {file.name}</h3>
+          <div className="import-preview">
+            <table>
+              <thead>
+                <tr>
+                  <th>Row</th>
+                  {preview.columns.map((column, index) => (
+                    <th key={index}>
+                      {column.header}
+                      <span className="import-field">
+                        {column.field ? `→ ${column.field}` : 'kept as extra'}
+                      </span>
+                    </th>
+                  ))}
+                  <th>Problems</th>
+                </tr>
+              </thead>
+              <tbody>
+                {preview.rows.map(row => (
+                  <tr key={row.rowNumber} className={row.reasons.length > 0 ? 'rejected' : ''}>
+                    <td>{row.rowNumber}</td>
+                    {preview.columns.map((column, index) => (
+                      <td key={index}>{row.values[column.index] || ''}</td>
+                    ))}
+                    <td>
+                      {[...row.reasons, ...row.issues.map(issue => issue.message)].join('; ') || '—'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <button className="import-button" disabled={busy} onClick={handleImport}>
+            Import {file.name}
+          </button>
+        </>
+      )}
+      
+      {result && (
+        <div className="import-result">
+          Imported {result.rowsWritten} of {result.rowsProcessed} rows: {result.inserted} new,
+          {' '}{result.updated} updated, {result.unchanged} unchanged
+          {result.rejectedCount > 0 && `, ${result.rejectedCount} rejected`}
+          {result.rowsFailed > 0 && `, ${result.rowsFailed} could not be written (import the file again to retry them)`}.
+          {result.rejected.length > 0 && (
+            <ul>
+              {result.rejected.map(row => (
+                <li key={row.rowIndex}>Row {row.rowIndex}: {row.reasons.join('; ')}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+      
+      <style jsx>{`
+        .import-panel {
+          padding: 1rem;
+          margin-bottom: 1rem;
+          border: 1px solid #eee;
+          border-radius: 4px;
+          background-color: #fafafa;
+        }
+        
+        .import-panel h2 {
+          margin-top: 0;
+          font-size: 1.2rem;
+        }
+        
+        .import-panel h3 {
+          font-size: 1rem;
+        }
+        
+        .import-help {
+          color: #555;
+          font-size: 0.9rem;
+        }
+        
+        .import-preview {
+          overflow-x: auto;
+          margin-bottom: 1rem;
+        }
+        
+        .import-preview table {
+          border-collapse: collapse;
+          font-size: 0.85rem;
+        }
+        
+        .import-preview th, .import-preview td {
+          padding: 6px 8px;
+          text-align: left;
+          border-bottom: 1px solid #eee;
+          white-space: nowrap;
+        }
+        
+        .import-field {
+          display: block;
+          font-weight: normal;
+          color: #777;
+        }
+        
+        .import-preview tr.rejected {
+          background-color: #ffecec;
+          color: #721c24;
+        }
+        
+        .import-button {
+          background-color: #0070f3;
+          color: white;
+          border: none;
+          border-radius: 4px;
+          padding: 6px 15px;
+          cursor: pointer;
+        }
+        
+        .import-button:disabled {
+          background-color: #9cc4f5;
+          cursor: default;
+        }
+        
+        .import-result {
+          margin-top: 1rem;
+          background-color: #e7f5e9;
+          color: #1e4620;
+          padding: 10px;
+          border-radius: 4px;
+          border: 1px solid #b7dfbb;
+        }
+      `}</style>
+    </div>
+  );
+}
+
+// ============================================================================
+// LeadExport Component - Downloads the Dashboard's filtered leads as CSV
+// ============================================================================
+function LeadExport({ view }) {
+  const session = useSession();
+  const [includeCalls, setIncludeCalls] = useState(false);
+  const [disposition, setDisposition] = useState('');
+  const [callsFrom, setCallsFrom] = useState('');
+  const [callsTo, setCallsTo] = useState('');
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState(null);
+  
+  const handleExport = async () => {
+    setExporting(true);
+    setError(null);
+    
+    // The server applies the same filters, in the browser's time zone
+    const params = new URLSearchParams({ ...leadViewToQuery(view), tz: getLocalTimeZone() });
+    if (includeCalls) {
+      params.set('calls', '1');
+      if (callsFrom) params.set('calls_from', callsFrom);
+      if (callsTo) params.set('calls_to', callsTo);
+    }
+    if (disposition) params.set('disposition', disposition);
+    
+    try {
+      const response = await fetch(`/api/leads/export?${params}`, {
+        headers: { Authorization: `Bearer ${session.access_token}` }
+      });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.message || data.error || `Request failed with status ${response.status}`);
+      }
+      
+      const fileName = (response.headers.get('Content-Disposition') || '').match(/filename="([^"]+)"/);
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileName ? fileName[1] : 'leads.csv';
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Error exporting leads:', err);
+      setError(`Failed to export: ${err.message}`);
+    } finally {
+      setExporting(false);
+    }
+  };
+  
+  return (
+    <div className="export-panel">
+      <p className="export-help">
+        Exports every lead matching the filters above, not just this page.
+        {includeCalls && ' Each logged call gets its own row, and leads without a matching call are left out.'}
+      </p>
+      
+      <div className="export-options">
+        <label>
+          <input
+            type="checkbox"
+            checked={includeCalls}
+            onChange={(e) => setIncludeCalls(e.target.checked)}
+          />
+          Include calls
+        </label>
+        
+        <select value={disposition} onChange={(e) => setDisposition(e.target.value)}>
+          <option value="">{includeCalls ? 'Any disposition' : 'Any last disposition'}</option>
+          {CALL_DISPOSITIONS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+        
+        {includeCalls && (
+          <>
+            <label>
+              Calls from
+              <input type="date" value={callsFrom} onChange={(e) => setCallsFrom(e.target.value)} />
+            </label>
+            <label>
+              to
+              <input type="date" value={callsTo} onChange={(e) => setCallsTo(e.target.value)} />
+            </label>
+          </>
+        )}
+        
+        <button className="export-button" onClick={handleExport} disabled={exporting}>
+          {exporting ? 'Exporting…' : 'Download CSV'}
+        </button>
+      </div>
+      
+      {error && <div className="error-message">{error}</div>}
+      
+      <style jsx>{`
+        .export-panel {
+          padding: 1rem;
+          margin-bottom: 1rem;
+          border: 1px solid #eee;
+          border-radius: 4px;
+          background-color: #fafafa;
+        }
+        
+        .export-help {
+          margin-top: 0;
+          color: #555;
+          font-size: 0.9rem;
+        }
+        
+        .export-options {
+          display: flex;
+          flex-wrap: wrap;
+          align-items: center;
+          gap: 0.75rem;
+        }
+        
+        .export-options label {
+          display: flex;
+          align-items: center;
+          gap: 0.25rem;
+          color: #555;
+          font-size: 0.9rem;
+        }
+        
+        .export-options input[type="date"],
+        .export-options select {
+          padding: 6px;
+          border: 1px solid #ddd;
+          border-radius: 4px;
+          font-family: inherit;
+        }
+        
+        .export-button {
+          background-color: #0070f3;
+          color: white;
+          border: none;
+          border-radius: 4px;
+          padding: 6px 15px;
+          cursor: pointer;
+        }
+        
+        .export-button:disabled {
+          background-color: #9cc4f5;
+          cursor: default;
+        }
+      `}</style>
+    </div>
+  );
+}
+
+// ============================================================================
+// DialerSession Component - Power dialer that walks a queue of leads
+// ============================================================================
+// Most leads a single dialing session will queue
+const DIALER_QUEUE_LIMIT = 500;
+
+// A new session over the given lead IDs, in calling order
+function createDialerSession(leadIds) {
+  return {
+    leadIds,
+    position: 0,
+    paused: false,
+    startedAt: new Date().toISOString(),
+    stats: { calls: 0, connects: 0, talkSeconds: 0, skipped: 0, callBacks: 0 }
+  };
+}
+
+// Keeps the rep's dialing session in localStorage so it survives a page reload
+function useDialerSession(userId) {
+  const storageKey = `dialerSession:${userId}`;
+  const [dialerSession, setDialerSession] = useState(null);
+  
+  useEffect(() => {
+    try {
+      const saved = window.localStorage.getItem(storageKey);
+      setDialerSession(saved ? JSON.parse(saved) : null);
+    } catch (err) {
+      console.error('Error restoring dialing session:', err);
+    }
+  }, [storageKey]);
+  
+  const updateDialerSession = (nextSession) => {
+    setDialerSession(nextSession);
+    
+    try {
+      if (nextSession) {
+        window.localStorage.setItem(storageKey, JSON.stringify(nextSession));
+      } else {
+        window.localStorage.removeItem(storageKey);
+      }
+    } catch (err) {
+      console.error('Error saving dialing session:', err);
+    }
+  };
+  
+  return [dialerSession, updateDialerSession];
+}
+
+function DialerSession({ dialerSession, onChange, onEnd }) {
+  const supabase = useSupabaseClient();
+  const callingRules = useCallingRules();
+  const [lead, setLead] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [callPhase, setCallPhase] = useState('idle');
+  
+  const { leadIds, position, paused, stats } = dialerSession;
+  const currentLeadId = leadIds[position];
+  const finished = position >= leadIds.length;
+  // The queue must not move while a call or its disposition form is open
+  const controlsLocked = callPhase !== 'idle';
+  
+  // Load the lead at the current queue position
+  useEffect(() => {
+    if (!currentLeadId) {
+      setLead(null);
+      return;
+    }
+    
+    let cancelled = false;
+    
+    const fetchLead = async () => {
+      setLoading(true);
+      setError(null);
+      
+      try {
+        const { data, error } = await supabase
+          .from('leads')
+          .select('*')
+          .eq('id', currentLeadId)
+          .maybeSingle();
+        
+        if (error) throw error;
+        if (cancelled) return;
+        
+        // Leads removed from the sheet or suppressed since the queue was built are passed over
+        if (!data || data.archived_at || data.dnc_at) {
+          onChange({ ...dialerSession, position: position + 1 });
+          return;
+        }
+        
+        setLead(data);
+      } catch (err) {
+        console.error('Error fetching lead for dialing session:', err);
+        if (!cancelled) setError('Failed to load the next lead. Skip it or try again later.');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+    
+    fetchLead();
+    return () => {
+      cancelled = true;
+    };
+  }, [currentLeadId, position]);
+  
+  const advance = (statChanges = {}) => {
+    setLead(null);
+    onChange({
+      ...dialerSession,
+      position: position + 1,
+      stats: { ...stats, ...statChanges }
+    });
+  };
+  
+  // A saved disposition counts the call and moves straight on to the next lead
+  const handleCallLogged = (callLog) => {
+    advance({
+      calls: stats.calls + 1,
+      connects: stats.connects + (callLog.disposition === 'connected' ? 1 : 0),
+      talkSeconds: stats.talkSeconds + (callLog.duration_seconds || 0)
+    });
+  };
+  
+  const handleSkip = () => {
+    advance({ skipped: stats.skipped + 1 });
+  };
+  
+  // Move the lead to the back of the queue and carry on with the next one
+  const handleCallBackLater = () => {
+    const remaining = leadIds.filter((id, index) => index !== position);
+    onChange({
+      ...dialerSession,
+      leadIds: [...remaining, currentLeadId],
+      stats: { ...stats, callBacks: stats.callBacks + 1 }
+    });
+  };
+  
+  const handleTogglePause = () => {
+    onChange({ ...dialerSession, paused: !paused });
+  };
+  
+  const renderCurrentLead = () => {
+    if (finished) {
+      return (
+        <div className="session-message">
+          Queue complete. You made {stats.calls} calls with {stats.connects} connects
+          and {formatDuration(stats.talkSeconds)} of talk time.
+        </div>
+      );
+    }
+    
+    if (paused) {
+      return (
+        <div className="session-message">
+          Session paused. Resume to continue with {lead ? lead.name : 'the next lead'}.
+        </div>
+      );
+    }
+    
+    if (error) {
+      return <div className="session-message session-error">{error}</div>;
+    }
+    
+    if (loading || !lead) {
+      return <div className="session-message">Loading next lead...</div>;
+    }
+    
+    // Say up front why the lead cannot be called now, so the rep can move on
+    const compliance = callingRules ? checkCallingHours(lead, callingRules) : null;
+    
+    return (
+      <div className="session-lead">
+        <h2>{lead.name}</h2>
+        {compliance && compliance.status === 'blocked' && (
+          <div className="session-notice">
+            Not callable right now: {compliance.reasons.join(' ')} Skip it, or use
+            "Call back later" to move it to the end of the queue.
+          </div>
+        )}
+        <LeadInfo lead={lead} canCall={canCallLead(lead)} />
+        <CallPanel
+          key={lead.id}
+          lead={lead}
+          canCall={canCallLead(lead)}
+          onLeadUpdated={setLead}
+          onCallLogged={handleCallLogged}
+          onPhaseChange={setCallPhase}
+        />
+      </div>
+    );
+  };
+  
+  return (
+    <div className="dialer-session">
+      <div className="session-bar">
+        <div className="session-progress">
+          {finished ? `${leadIds.length} leads` : `Lead ${position + 1} of ${leadIds.length}`}
+        </div>
+        
+        <div className="session-stats">
+          <span>{stats.calls} calls</span>
+          <span>{stats.connects} connects</span>
+          <span>{formatDuration(stats.talkSeconds)} talk time</span>
+        </div>
+        
+        <div className="session-controls">
+          {!finished && (
+            <button onClick={handleTogglePause} disabled={controlsLocked}>
+              {paused ? 'Resume' : 'Pause'}
+            </button>
+          )}
+          {!finished && !paused && (
+            <>
+              <button onClick={handleSkip} disabled={controlsLocked}>
+                Skip
+              </button>
+              <button onClick={handleCallBackLater} disabled={controlsLocked || !lead}>
+                Call back later
+              </button>
+            </>
+          )}
+          <button className="end-session-button" onClick={onEnd} disabled={controlsLocked}>
+            End session
+          </button>
+        </div>
+      </div>
+      
+      {renderCurrentLead()}
+      
+      <style jsx>{`
+        .dialer-session {
+          max-width: 600px;
+          margin: 0 auto 2rem;
+          box-shadow: 0 1px 3px rgba(0, 0, 0, 0.1);
+          border-radius: 8px;
+          overflow: hidden;
+        }
+        
+        .session-bar {
+          display: flex;
+          flex-wrap: wrap;
+          justify-content: space-between;
+          align-items: center;
+          gap: 0.5rem;
+          padding: 1rem;
+          background-color: #f5f5f5;
+          border-bottom: 1px solid #eee;
+        }
+        
+        .session-progress {
+          font-weight: bold;
+        }
+        
+        .session-stats {
+          display: flex;
+          gap: 1rem;
+          color: #555;
+          font-size: 0.9rem;
+        }
+        
+        .session-controls {
+          display: flex;
+          gap: 0.5rem;
+        }
+        
+        .session-controls button {
+          background-color: white;
+          border: 1px solid #ddd;
+          border-radius: 4px;
+          padding: 5px 12px;
+          cursor: pointer;
+        }
+        
+        .session-controls button:disabled {
+          color: #999;
+          cursor: not-allowed;
+        }
+        
+        .session-controls .end-session-button {
+          border-color: #f5c6cb;
+          color: #721c24;
+        }
+        
+        .session-lead h2 {
+          margin: 0;
+          padding: 1rem 1rem 0;
+          font-size: 1.5rem;
+        }
+        
+        .session-message {
+          text-align: center;
+          padding: 2rem;
+          color: #777;
+        }
+        
+        .session-notice {
+          margin: 1rem 1rem 0;
+          padding: 10px;
+          border-radius: 4px;
+          border: 1px solid #ffeeba;
+          background-color: #fff3cd;
+          color: #856404;
+          font-size: 0.9rem;
+        }
+        
+        .session-error {
+          color: #721c24;
+        }
+      `}</style>
+    </div>
+  );
+}
+
+// ============================================================================
+// LeadDetail Component - "Dialer" interface for a selected lead
+// ============================================================================
+// Fields reps can edit in the lead view (validated by /api/leads/[leadId])
+const LEAD_EDIT_FIELDS = [
+  { field: 'name', label: 'Name' },
+  { field: 'email', label: 'Email' },
+  { field: 'phone', label: 'Phone', value: lead => lead.phone_raw || lead.phone },
+  { field: 'company', label: 'Company' },
+  { field: 'status', label: 'Status' },
+  { field: 'notes', label: 'Notes' }
+];
+
+function leadEditDraft(lead) {
+  const draft = {};
+  LEAD_EDIT_FIELDS.forEach(({ field, value }) => {
+    draft[field] = (value ? value(lead) : lead[field]) || '';
+  });
+  return draft;
+}
+
+function LeadDetail({ lead, onClose, onLeadUpdated }) {
+  const session = useSession();
+  const canCall = canCallLead(lead);
+  const [draft, setDraft] = useState(null);
+  const [saveError, setSaveError] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [historyVersion, setHistoryVersion] = useState(0);
+  
+  useEffect(() => {
+    setDraft(null);
+    setSaveError(null);
+    setFieldErrors({});
+  }, [lead.id]);
+  
+  // Shows the edit at once, then saves it; the lead is put back if the server refuses it
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const original = leadEditDraft(lead);
+    const changes = {};
+    Object.keys(draft).forEach(field => {
+      if (draft[field].trim() !== original[field].trim()) changes[field] = draft[field];
+    });
+    if (Object.keys(changes).length === 0) {
+      setDraft(null);
+      return;
+    }
+    
+    const previousLead = lead;
+    const submittedDraft = draft;
+    setDraft(null);
+    setSaveError(null);
+    setFieldErrors({});
+    onLeadUpdated({ ...lead, ...changes });
+    
+    try {
+      const response = await fetch(`/api/leads/${lead.id}`, {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${session.access_token}`
+        },
+        body: JSON.stringify({ changes })
+      });
+      const result = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        setFieldErrors(result.fieldErrors || {});
+        throw new Error(result.error || `Request failed with status ${response.status}`);
+      }
+      
+      onLeadUpdated(result.lead);
+      setHistoryVersion(version => version + 1);
+    } catch (err) {
+      console.error('Error saving lead:', err);
+      onLeadUpdated(previousLead);
+      setSaveError(`Failed to save changes: ${err.message}`);
+      setDraft(submittedDraft);
+    }
+  };
+  
+  return (
+    <div className="modal-overlay">
+      <div className="modal-content">
+        <div className="modal-header">
+          <h2>{lead.name}</h2>
+          <div className="modal-actions">
+            {!draft && (
+              <button className="edit-button" onClick={() => setDraft(leadEditDraft(lead))}>
+                Edit
+              </button>
+            )}
+            <button className="close-button" onClick={onClose}>×</button>
+          </div>
+        </div>
+        
+        {saveError && <div className="save-error">{saveError}</div>}
+        
+        {draft ? (
+          <form className="lead-edit-form" onSubmit={handleSave}>
+            {LEAD_EDIT_FIELDS.map(({ field, label }) => (
+              <label key={field} className={field === 'notes' ? 'notes-field' : ''}>
+                <span>{label}</span>
+                {field === 'status' ? (
+                  <select
+                    value={draft.status}
+                    onChange={(e) => setDraft({ ...draft, status: e.target.value })}
+                  >
+                    {LEAD_STATUSES.map(status => (
+                      <option key={status} value={status}>{status}</option>
+                    ))}
+                  </select>
+                ) : field === 'notes' ? (
+                  <textarea
+                    rows={4}
+                    value={draft.notes}
+                    onChange={(e) => setDraft({ ...draft, notes: e.target.value })}
+                  />
+                ) : (
+                  <input
+                    type={field === 'email' ? 'email' : field === 'phone' ? 'tel' : 'text'}
+                    value={draft[field]}
+                    onChange={(e) => setDraft({ ...draft, [field]: e.target.value })}
+                  />
+                )}
+                {fieldErrors[field] && <span className="field-error">{fieldErrors[field]}</span>}
+              </label>
+            ))}
+            <div className="edit-actions">
+              <button type="button" onClick={() => setDraft(null)}>Cancel</button>
+              <button type="submit" className="save-button">Save</button>
+            </div>
+          </form>
+        ) : (
+          <LeadInfo lead={lead} canCall={canCall} />
+        )}
+        
+        <CallPanel
+          lead={lead}
+          canCall={canCall}
+          onLeadUpdated={(updatedLead) => {
+            onLeadUpdated(updatedLead);
+            setHistoryVersion(version => version + 1);
+          }}
+        />
+        
+        <LeadHistory leadId={lead.id} version={historyVersion} />
+      </div>
+      
+      <style jsx>{`
+        .modal-overlay {
+          position: fixed;
+          top: 0;
+          left: 0;
+          right: 0;
+          bottom: 0;
+          background-color: rgba(0, 0, 0, 0.5);
+          display: flex;
+          justify-content: center;
+          align-items: center;
+          z-index: 1000;
+        }
+        
+        .modal-content {
           background-color: white;
           border-radius: 8px;
           width: 90%;
           max-width: 500px;
+          max-height: 90vh;
           box-shadow: 0 5px 15px rgba(0, 0, 0, 0.3);
-          overflow: hidden;
+          overflow-y: auto;
           display: flex;
           flex-direction: column;
         }
@@ -634,6 +3128,306 @@ function LeadDetail({ lead, onClose }) {
           align-items: center;
         }
         
+        .modal-actions {
+          display: flex;
+          align-items: center;
+          gap: 0.5rem;
+        }
+        
+        .edit-button {
+          background-color: white;
+          border: 1px solid #ddd;
+          border-radius: 4px;
+          padding: 4px 12px;
+          cursor: pointer;
+        }
+        
+        .save-error {
+          margin: 1rem 1rem 0;
+          padding: 10px;
+          background-color: #ffecec;
+          color: #721c24;
+          border: 1px solid #f5c6cb;
+          border-radius: 4px;
+        }
+        
+        .lead-edit-form {
+          padding: 1rem;
+          display: flex;
+          flex-direction: column;
+          gap: 0.75rem;
+        }
+        
+        .lead-edit-form label {
+          display: flex;
+          align-items: center;
+          flex-wrap: wrap;
+        }
+        
+        .lead-edit-form label > span:first-child {
+          width: 100px;
+          font-weight: bold;
+          color: #555;
+        }
+        
+        .lead-edit-form input, .lead-edit-form select {
+          flex: 1;
+          padding: 6px;
+          border: 1px solid #ddd;
+          border-radius: 4px;
+        }
+        
+        .lead-edit-form .notes-field {
+          flex-direction: column;
+          align-items: stretch;
+        }
+        
+        .lead-edit-form .notes-field > span:first-child {
+          margin-bottom: 0.5rem;
+        }
+        
+        .lead-edit-form textarea {
+          padding: 6px;
+          border: 1px solid #ddd;
+          border-radius: 4px;
+          font-family: inherit;
+        }
+        
+        .field-error {
+          width: 100%;
+          margin-top: 0.25rem;
+          padding-left: 100px;
+          color: #c62828;
+          font-size: 0.85rem;
+        }
+        
+        .notes-field .field-error {
+          padding-left: 0;
+        }
+        
+        .edit-actions {
+          display: flex;
+          justify-content: flex-end;
+          gap: 0.5rem;
+        }
+        
+        .edit-actions button {
+          padding: 6px 15px;
+          border: 1px solid #ddd;
+          border-radius: 4px;
+          background-color: white;
+          cursor: pointer;
+        }
+        
+        .edit-actions .save-button {
+          background-color: #0070f3;
+          border-color: #0070f3;
+          color: white;
+        }
+      `}</style>
+    </div>
+  );
+}
+
+// ============================================================================
+// LeadHistory Component - Who changed which field of a lead, and when
+// ============================================================================
+const LEAD_AUDIT_FIELD_LABELS = {
+  name: 'Name',
+  email: 'Email',
+  phone: 'Phone',
+  phone_extension: 'Extension',
+  company: 'Company',
+  position: 'Position',
+  notes: 'Notes',
+  status: 'Status',
+  territory: 'Territory',
+  assigned_to: 'Assigned rep',
+  archived_at: 'Archived',
+  merged_into: 'Merged into'
+};
+
+const LEAD_CHANGE_SOURCE_LABELS = {
+  app: 'lead view',
+  call: 'call',
+  sync: 'sheet sync',
+  system: 'system'
+};
+
+function LeadHistory({ leadId, version }) {
+  const supabase = useSupabaseClient();
+  const session = useSession();
+  const [changes, setChanges] = useState([]);
+  const [loading, setLoading] = useState(true);
+  
+  // Fetch the lead's changes, newest first
+  useEffect(() => {
+    setLoading(true);
+    supabase
+      .from('lead_audit')
+      .select('*, editor:profiles(full_name, email)')
+      .eq('lead_id', leadId)
+      .order('changed_at', { ascending: false })
+      .limit(100)
+      .then(({ data, error }) => {
+        if (error) console.error('Error fetching lead history:', error);
+        setChanges(data || []);
+        setLoading(false);
+      });
+  }, [leadId, version]);
+  
+  const editorName = (change) => {
+    if (!change.changed_by) return null;
+    if (session && change.changed_by === session.user.id) return 'You';
+    return (change.editor && (change.editor.full_name || change.editor.email)) || 'Another user';
+  };
+  
+  // Assigned reps are stored by ID, so only say whether there is one
+  const displayValue = (change, value) => {
+    if (value === null || value === '') return 'empty';
+    if (change.field === 'assigned_to') return 'a rep';
+    return `"${value}"`;
+  };
+  
+  return (
+    <div className="lead-history">
+      <h3>Change history</h3>
+      {loading ? (
+        <div className="history-empty">Loading changes...</div>
+      ) : changes.length === 0 ? (
+        <div className="history-empty">No changes recorded yet.</div>
+      ) : (
+        <ul>
+          {changes.map(change => (
+            <li key={change.id}>
+              <strong>{LEAD_AUDIT_FIELD_LABELS[change.field] || change.field}</strong>
+              {' changed from '}{displayValue(change, change.old_value)}
+              {' to '}{displayValue(change, change.new_value)}
+              <div className="change-meta">
+                {new Date(change.changed_at).toLocaleString()}
+                {' · '}
+                {[editorName(change), `via ${LEAD_CHANGE_SOURCE_LABELS[change.change_source] || change.change_source}`]
+                  .filter(Boolean)
+                  .join(' ')}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+      
+      <style jsx>{`
+        .lead-history {
+          padding: 1rem;
+          border-top: 1px solid #eee;
+        }
+        
+        .lead-history h3 {
+          margin: 0 0 0.5rem;
+          font-size: 1rem;
+        }
+        
+        .lead-history ul {
+          list-style: none;
+          margin: 0;
+          padding: 0;
+        }
+        
+        .lead-history li {
+          padding: 0.5rem 0;
+          border-bottom: 1px solid #f0f0f0;
+          font-size: 0.9rem;
+          word-break: break-word;
+        }
+        
+        .change-meta {
+          margin-top: 0.25rem;
+          color: #777;
+          font-size: 0.8rem;
+        }
+        
+        .history-empty {
+          color: #777;
+          font-size: 0.9rem;
+        }
+      `}</style>
+    </div>
+  );
+}
+
+// ============================================================================
+// LeadInfo Component - Contact details shown in the dialer views
+// ============================================================================
+// Whether the dialer may call a lead's number
+function canCallLead(lead) {
+  return lead.phone_status !== 'invalid' && Boolean(lead.phone) && !lead.dnc_at;
+}
+
+// How a lead's time zone was worked out (see services/leadTimeZone.js)
+const TIME_ZONE_SOURCE_LABELS = {
+  sheet: 'from the sheet',
+  area_code: 'from the area code',
+  country: 'from the country'
+};
+
+function LeadInfo({ lead, canCall }) {
+  const timeZones = getLeadTimeZones(lead);
+  const callingRules = useCallingRules();
+  // The tel: link dials without the server's checks, so only offer it while calling is allowed
+  const linkPhone = canCall && Boolean(callingRules) && checkCallingHours(lead, callingRules).status === 'allowed';
+  
+  return (
+    <div className="lead-details">
+      <div className="detail-row">
+        <div className="detail-label">Email:</div>
+        <div className="detail-value">
+          <a href={`mailto:${lead.email}`}>{lead.email}</a>
+        </div>
+      </div>
+      
+      <div className="detail-row">
+        <div className="detail-label">Phone:</div>
+        <div className="detail-value">
+          {linkPhone ? (
+            <a href={buildTelUri(lead)}>
+              <PhoneNumber lead={lead} />
+            </a>
+          ) : (
+            <PhoneNumber lead={lead} />
+          )}
+        </div>
+      </div>
+      
+      {timeZones.length > 0 && (
+        <div className="detail-row">
+          <div className="detail-label">Time zone:</div>
+          <div className="detail-value">
+            {timeZones.join(' / ')}
+            {TIME_ZONE_SOURCE_LABELS[lead.timezone_source] && ` (${TIME_ZONE_SOURCE_LABELS[lead.timezone_source]})`}
+          </div>
+        </div>
+      )}
+      
+      <div className="detail-row">
+        <div className="detail-label">Company:</div>
+        <div className="detail-value">{lead.company}</div>
+      </div>
+      
+      <div className="detail-row">
+        <div className="detail-label">Status:</div>
+        <div className="detail-value">
+          {lead.status}
+          {lead.last_disposition && ` (last call: ${getDispositionLabel(lead.last_disposition)})`}
+        </div>
+      </div>
+      
+      {lead.notes && (
+        <div className="detail-row notes">
+          <div className="detail-label">Notes:</div>
+          <div className="detail-value">{lead.notes}</div>
+        </div>
+      )}
+      
+      <style jsx>{`
         .lead-details {
           padding: 1rem;
         }
@@ -676,12 +3470,537 @@ function LeadDetail({ lead, onClose }) {
           border-radius: 4px;
           white-space: pre-line;
         }
+      `}</style>
+    </div>
+  );
+}
+
+// ============================================================================
+// CallPanel Component - Places a call, records its disposition, shows history
+// ============================================================================
+// Returns a whole number of seconds between two Date objects
+function secondsBetween(start, end) {
+  return Math.max(0, Math.round((end - start) / 1000));
+}
+
+// Formats a call duration in seconds as "m:ss"
+function formatDuration(seconds) {
+  if (seconds === null || seconds === undefined) return '';
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+// The lead's own time zone when known, otherwise the rep's
+function leadTimeZone(lead) {
+  return isValidTimeZone(lead.timezone) ? lead.timezone : getLocalTimeZone();
+}
+
+// Callback fields of the disposition form, suggesting tomorrow morning lead time
+function emptyCallbackForm(lead) {
+  const timeZone = leadTimeZone(lead);
+  const { date, time } = suggestCallbackSlot(timeZone);
+  return { schedule: false, date, time, timeZone, notes: '' };
+}
+
+// Calling rules from /api/calling-hours, fetched once per page load
+let callingRulesRequest = null;
+
+function useCallingRules() {
+  const session = useSession();
+  const [rules, setRules] = useState(null);
+  const accessToken = session ? session.access_token : null;
+  
+  useEffect(() => {
+    if (!accessToken) return undefined;
+    let cancelled = false;
+    
+    if (!callingRulesRequest) {
+      callingRulesRequest = fetch('/api/calling-hours', {
+        headers: { Authorization: `Bearer ${accessToken}` }
+      }).then(async (response) => {
+        const body = await response.json().catch(() => ({}));
+        if (!response.ok) {
+          throw new Error(body.error || `Request failed with status ${response.status}`);
+        }
+        return body.rules;
+      });
+      // A failed request is tried again by the next panel that opens
+      callingRulesRequest.catch(() => {
+        callingRulesRequest = null;
+      });
+    }
+    
+    callingRulesRequest
+      .then(result => {
+        if (!cancelled) setRules(result);
+      })
+      .catch(err => console.error('Error loading calling hours:', err));
+    
+    return () => {
+      cancelled = true;
+    };
+  }, [accessToken]);
+  
+  return rules;
+}
+
+function CallPanel({ lead, canCall, onLeadUpdated, onCallLogged, onPhaseChange }) {
+  const supabase = useSupabaseClient();
+  const session = useSession();
+  const callingRules = useCallingRules();
+  // Ticks every minute so the calling-hours check follows the clock
+  const [now, setNow] = useState(() => Date.now());
+  // The server's calling-hours check, when it refused a call
+  const [refusal, setRefusal] = useState(null);
+  // 'idle' -> 'in_call' -> 'disposition' -> 'idle'
+  const [phase, setPhase] = useState('idle');
+  const [callStartedAt, setCallStartedAt] = useState(null);
+  const [callEndedAt, setCallEndedAt] = useState(null);
+  // Call state reported by the telephony provider (see services/telephony)
+  const [activeCall, setActiveCall] = useState(null);
+  const [hangingUp, setHangingUp] = useState(false);
+  const callFinished = useRef(false);
+  const [form, setForm] = useState({ disposition: '', leadStatus: lead.status || 'new', notes: '' });
+  const [callbackForm, setCallbackForm] = useState(() => emptyCallbackForm(lead));
+  const [openCallback, setOpenCallback] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [historyLoading, setHistoryLoading] = useState(true);
+  
+  // Fetch every call logged for this lead, newest first
+  const fetchHistory = async () => {
+    setHistoryLoading(true);
+    
+    try {
+      const { data, error } = await supabase
+        .from('call_logs')
+        .select('*, rep:profiles(full_name, email)')
+        .eq('lead_id', lead.id)
+        .order('started_at', { ascending: false });
+      
+      if (error) throw error;
+      setHistory(data || []);
+    } catch (err) {
+      console.error('Error fetching call history:', err);
+    } finally {
+      setHistoryLoading(false);
+    }
+  };
+  
+  // The next callback promised to this lead, if any
+  const fetchOpenCallback = async () => {
+    const { data, error } = await supabase
+      .from('scheduled_callbacks')
+      .select('*')
+      .eq('lead_id', lead.id)
+      .is('completed_at', null)
+      .is('canceled_at', null)
+      .order('due_at', { ascending: true })
+      .limit(1);
+    
+    if (error) {
+      console.error('Error fetching scheduled callback:', error);
+      return;
+    }
+    setOpenCallback(data[0] || null);
+  };
+  
+  useEffect(() => {
+    fetchHistory();
+    fetchOpenCallback();
+    setPhase('idle');
+    setRefusal(null);
+  }, [lead.id]);
+  
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 60 * 1000);
+    return () => clearInterval(timer);
+  }, []);
+  
+  // Until the rules have loaded, only the server's answer is known
+  const compliance = callingRules ? checkCallingHours(lead, callingRules, new Date(now)) : refusal;
+  const outsideCallingHours = Boolean(compliance) && compliance.status === 'blocked';
+  const needsConfirmation = Boolean(compliance) && compliance.status === 'warn';
+  
+  // Lets a dialing session hold its controls while a call is open
+  useEffect(() => {
+    if (onPhaseChange) onPhaseChange(phase);
+  }, [phase]);
+  
+  // Moves to the disposition form, pre-selecting the outcome the provider reported
+  const finishCall = (finalCall) => {
+    if (callFinished.current) return;
+    callFinished.current = true;
+    
+    const suggested = finalCall.tracksStatus ? suggestDispositionForStatus(finalCall.status) : '';
+    const disposition = getDisposition(suggested);
+    setActiveCall(finalCall);
+    setCallEndedAt(new Date());
+    setForm({
+      disposition: suggested,
+      leadStatus: disposition ? disposition.leadStatus : lead.status || 'new',
+      notes: ''
+    });
+    setCallbackForm(emptyCallbackForm(lead));
+    setPhase('disposition');
+  };
+  
+  // Place the call through the configured provider and start timing it
+  const handleCall = async () => {
+    callFinished.current = false;
+    setActiveCall(null);
+    setCallStartedAt(new Date());
+    setCallEndedAt(null);
+    setError(null);
+    setPhase('in_call');
+    
+    try {
+      const call = await placeCall(session.access_token, lead.id, { acknowledgeWarning: needsConfirmation });
+      setActiveCall(call);
+      // Device-placed calls are dialled by the phone handler
+      if (call.clientAction && call.clientAction.type === 'open_uri') {
+        window.location.href = call.clientAction.uri;
+      }
+      if (isTerminalCallStatus(call.status)) finishCall(call);
+    } catch (err) {
+      console.error('Error placing call:', err);
+      if (err.compliance) {
+        setRefusal(err.compliance);
+      } else {
+        setError(`Failed to place the call: ${err.message}`);
+      }
+      setPhase('idle');
+    }
+  };
+  
+  // Follow the call's progress while the provider reports it
+  const watchedCallId = activeCall && activeCall.tracksStatus ? activeCall.providerCallId : null;
+  useEffect(() => {
+    if (phase !== 'in_call' || !watchedCallId) return undefined;
+    
+    return watchCall(session.access_token, watchedCallId, (call) => {
+      setActiveCall(call);
+      if (isTerminalCallStatus(call.status)) finishCall(call);
+    });
+  }, [phase, watchedCallId]);
+  
+  const handleEndCall = async () => {
+    if (!activeCall) return;
+    setHangingUp(true);
+    
+    try {
+      finishCall(await hangUpCall(session.access_token, activeCall.providerCallId));
+    } catch (err) {
+      // The call may already be over; the rep still records how it went
+      console.error('Error hanging up call:', err);
+      finishCall(activeCall);
+    } finally {
+      setHangingUp(false);
+    }
+  };
+  
+  // Talk time as reported by the provider, or as timed in the browser
+  const callDuration = () => (
+    activeCall && activeCall.durationSeconds !== null && activeCall.durationSeconds !== undefined
+      ? activeCall.durationSeconds
+      : secondsBetween(callStartedAt, callEndedAt)
+  );
+  
+  // Picking a disposition suggests the status it usually leaves the lead in
+  const handleDispositionChange = (value) => {
+    const disposition = getDisposition(value);
+    setForm({
+      ...form,
+      disposition: value,
+      leadStatus: disposition ? disposition.leadStatus : form.leadStatus
+    });
+  };
+  
+  const handleSave = async (e) => {
+    e.preventDefault();
+    if (!form.disposition) {
+      setError('Choose how the call went.');
+      return;
+    }
+    
+    const suppressing = form.disposition === 'do_not_call';
+    const callbackDueAt = callbackForm.schedule && !suppressing
+      ? zonedTimeToUtc(callbackForm.date, callbackForm.time, callbackForm.timeZone)
+      : null;
+    if (callbackDueAt && (Number.isNaN(callbackDueAt.getTime()) || callbackDueAt <= new Date())) {
+      setError('Choose a callback time in the future.');
+      return;
+    }
+    
+    setSaving(true);
+    setError(null);
+    
+    try {
+      // The log_call_on_lead trigger updates the lead's status and last contact
+      const { data: callLog, error } = await supabase
+        .from('call_logs')
+        .insert([{
+          lead_id: lead.id,
+          rep_id: session.user.id,
+          started_at: callStartedAt.toISOString(),
+          ended_at: callEndedAt.toISOString(),
+          duration_seconds: callDuration(),
+          disposition: form.disposition,
+          lead_status: form.leadStatus,
+          notes: form.notes.trim() || null,
+          provider: activeCall && activeCall.provider,
+          provider_call_id: activeCall && activeCall.providerCallId,
+          call_status: activeCall && activeCall.status,
+          recording_url: activeCall && activeCall.recordingUrl
+        }])
+        .select()
+        .single();
+      
+      if (error) throw error;
+      
+      // Logging the call has completed any earlier callback; this one is new
+      if (callbackDueAt) {
+        const { error: callbackError } = await supabase
+          .from('scheduled_callbacks')
+          .insert([{
+            lead_id: lead.id,
+            rep_id: session.user.id,
+            call_log_id: callLog.id,
+            due_at: callbackDueAt.toISOString(),
+            timezone: callbackForm.timeZone,
+            notes: callbackForm.notes.trim() || null
+          }]);
+        
+        if (callbackError) {
+          console.error('Error scheduling callback:', callbackError);
+          setError('The call was saved, but the callback could not be scheduled.');
+        }
+      }
+      
+      // The suppress_on_dnc_disposition trigger has put the number on the do-not-call list
+      onLeadUpdated({
+        ...lead,
+        status: form.leadStatus,
+        last_contacted_at: callEndedAt.toISOString(),
+        last_disposition: form.disposition,
+        dnc_at: suppressing && lead.phone_status === 'valid' ? callLog.created_at : lead.dnc_at
+      });
+      setPhase('idle');
+      fetchHistory();
+      fetchOpenCallback();
+      if (onCallLogged) onCallLogged(callLog);
+    } catch (err) {
+      console.error('Error saving call log:', err);
+      setError('Failed to save the call. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+  
+  const repName = (call) => {
+    if (session && call.rep_id === session.user.id) return 'You';
+    return (call.rep && (call.rep.full_name || call.rep.email)) || 'Another rep';
+  };
+  
+  return (
+    <div className="call-panel">
+      <div className="dialer-actions">
+        {lead.phone_status === 'invalid' && (
+          <div className="call-warning">
+            This phone number could not be validated. Fix it in the sheet before dialing.
+          </div>
+        )}
+        {lead.dnc_at && (
+          <div className="call-warning">
+            This number is on the do-not-call list and cannot be called.
+          </div>
+        )}
+        
+        {phase === 'idle' && (
+          <>
+            {openCallback && (
+              <div className={`callback-banner ${getCallbackState(openCallback) === 'overdue' ? 'overdue' : ''}`}>
+                Callback {getCallbackState(openCallback) === 'overdue' ? 'was due' : 'scheduled for'}
+                {' '}{formatInTimeZone(openCallback.due_at, openCallback.timezone)} lead time
+                {openCallback.timezone !== getLocalTimeZone() &&
+                  ` (${formatInTimeZone(openCallback.due_at, getLocalTimeZone())} your time)`}
+                {openCallback.notes && ` · ${openCallback.notes}`}
+              </div>
+            )}
+            {compliance && compliance.status !== 'allowed' && (
+              <div className="call-warning">{compliance.reasons.join(' ')}</div>
+            )}
+            {error && <div className="call-warning">{error}</div>}
+            <button className="call-button" onClick={handleCall} disabled={!canCall || outsideCallingHours}>
+              {needsConfirmation ? `Call ${lead.name} anyway` : `Call ${lead.name}`}
+            </button>
+          </>
+        )}
         
+        {phase === 'in_call' && (
+          <>
+            <div className="call-status">
+              {activeCall && activeCall.tracksStatus ? CALL_STATUS_LABELS[activeCall.status] : 'Calling'}
+              {' '}{lead.phone} (started {callStartedAt.toLocaleTimeString()})
+            </div>
+            <button className="end-call-button" onClick={handleEndCall} disabled={!activeCall || hangingUp}>
+              {activeCall && activeCall.tracksStatus ? 'Hang up' : 'End call'}
+            </button>
+          </>
+        )}
+        
+        {phase === 'disposition' && (
+          <form className="disposition-form" onSubmit={handleSave}>
+            <div className="call-status">
+              {activeCall && activeCall.tracksStatus && `${CALL_STATUS_LABELS[activeCall.status]} · `}
+              Call lasted {formatDuration(callDuration())}
+            </div>
+            
+            <label>
+              Outcome
+              <select
+                value={form.disposition}
+                onChange={(e) => handleDispositionChange(e.target.value)}
+              >
+                <option value="">Choose an outcome…</option>
+                {CALL_DISPOSITIONS.map(disposition => (
+                  <option key={disposition.value} value={disposition.value}>
+                    {disposition.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            
+            <label>
+              Lead status
+              <select
+                value={form.leadStatus}
+                onChange={(e) => setForm({ ...form, leadStatus: e.target.value })}
+              >
+                <option value="new">New</option>
+                <option value="contacted">Contacted</option>
+                <option value="converted">Converted</option>
+                <option value="rejected">Rejected</option>
+              </select>
+            </label>
+            
+            <label>
+              Notes
+              <textarea
+                rows="3"
+                value={form.notes}
+                onChange={(e) => setForm({ ...form, notes: e.target.value })}
+              />
+            </label>
+            
+            {form.disposition === 'do_not_call' ? (
+              <div className="call-warning">
+                Saving puts {lead.phone} on the do-not-call list. It will not be called again.
+              </div>
+            ) : (
+              <label className="callback-toggle">
+                <input
+                  type="checkbox"
+                  checked={callbackForm.schedule}
+                  onChange={(e) => setCallbackForm({ ...callbackForm, schedule: e.target.checked })}
+                />
+                Schedule a callback
+              </label>
+            )}
+            
+            {callbackForm.schedule && form.disposition !== 'do_not_call' && (
+              <div className="callback-fields">
+                <input
+                  type="date"
+                  value={callbackForm.date}
+                  onChange={(e) => setCallbackForm({ ...callbackForm, date: e.target.value })}
+                />
+                <input
+                  type="time"
+                  value={callbackForm.time}
+                  onChange={(e) => setCallbackForm({ ...callbackForm, time: e.target.value })}
+                />
+                <select
+                  value={callbackForm.timeZone}
+                  onChange={(e) => setCallbackForm({ ...callbackForm, timeZone: e.target.value })}
+                >
+                  {[...new Set([leadTimeZone(lead), getLocalTimeZone(), ...COMMON_TIME_ZONES])].map(timeZone => (
+                    <option key={timeZone} value={timeZone}>
+                      {timeZone}{timeZone === lead.timezone ? ' (lead)' : ''}
+                    </option>
+                  ))}
+                </select>
+                <input
+                  type="text"
+                  placeholder="What to follow up on"
+                  value={callbackForm.notes}
+                  onChange={(e) => setCallbackForm({ ...callbackForm, notes: e.target.value })}
+                />
+              </div>
+            )}
+            
+            {error && <div className="call-warning">{error}</div>}
+            
+            <button type="submit" className="call-button" disabled={saving}>
+              {saving ? 'Saving…' : 'Save call'}
+            </button>
+          </form>
+        )}
+      </div>
+      
+      <div className="call-history">
+        <h3>Call history</h3>
+        {historyLoading ? (
+          <div className="history-empty">Loading calls...</div>
+        ) : history.length === 0 ? (
+          <div className="history-empty">No calls logged yet.</div>
+        ) : (
+          <ul>
+            {history.map(call => (
+              <li key={call.id}>
+                <div className="history-summary">
+                  <strong>{getDispositionLabel(call.disposition)}</strong>
+                  {' · '}
+                  {new Date(call.started_at).toLocaleString()}
+                  {call.duration_seconds !== null && ` · ${formatDuration(call.duration_seconds)}`}
+                  {' · '}
+                  {repName(call)}
+                </div>
+                {call.notes && <div className="history-notes">{call.notes}</div>}
+                {call.recording_url && (
+                  <a href={call.recording_url} target="_blank" rel="noopener noreferrer">
+                    Listen to recording
+                  </a>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+      
+      <style jsx>{`
         .dialer-actions {
           padding: 1rem;
           border-top: 1px solid #eee;
           display: flex;
-          justify-content: center;
+          flex-direction: column;
+          align-items: center;
+          gap: 0.75rem;
+        }
+        
+        .call-warning {
+          color: #721c24;
+          background-color: #ffecec;
+          border: 1px solid #f5c6cb;
+          border-radius: 4px;
+          padding: 0.5rem;
+          font-size: 0.9rem;
+        }
+        
+        .call-status {
+          color: #555;
+          font-size: 0.9rem;
         }
         
         .call-button {
@@ -698,7 +4017,174 @@ function LeadDetail({ lead, onClose }) {
         .call-button:hover {
           background-color: #45a049;
         }
+        
+        .call-button:disabled {
+          background-color: #cccccc;
+          cursor: not-allowed;
+        }
+        
+        .end-call-button {
+          background-color: #f44336;
+          color: white;
+          border: none;
+          border-radius: 4px;
+          padding: 10px 24px;
+          font-size: 1rem;
+          cursor: pointer;
+        }
+        
+        .end-call-button:disabled {
+          background-color: #cccccc;
+          cursor: not-allowed;
+        }
+        
+        .disposition-form {
+          width: 100%;
+          display: flex;
+          flex-direction: column;
+          gap: 0.75rem;
+        }
+        
+        .disposition-form label {
+          display: flex;
+          flex-direction: column;
+          gap: 0.25rem;
+          font-weight: bold;
+          color: #555;
+        }
+        
+        .disposition-form select,
+        .disposition-form textarea {
+          font-weight: normal;
+          padding: 6px;
+          border: 1px solid #ddd;
+          border-radius: 4px;
+          font-family: inherit;
+        }
+        
+        .callback-banner {
+          width: 100%;
+          padding: 8px 10px;
+          background-color: #f0f7ff;
+          border: 1px solid #cfe3ff;
+          border-radius: 4px;
+          font-size: 0.9rem;
+        }
+        
+        .callback-banner.overdue {
+          background-color: #ffecec;
+          border-color: #f5c6cb;
+          color: #721c24;
+        }
+        
+        .disposition-form .callback-toggle {
+          flex-direction: row;
+          align-items: center;
+          gap: 0.5rem;
+        }
+        
+        .callback-fields {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 0.5rem;
+        }
+        
+        .callback-fields input, .callback-fields select {
+          padding: 6px;
+          border: 1px solid #ddd;
+          border-radius: 4px;
+        }
+        
+        .callback-fields input[type="text"] {
+          flex: 1 1 100%;
+        }
+        
+        .call-history {
+          padding: 1rem;
+          border-top: 1px solid #eee;
+        }
+        
+        .call-history h3 {
+          margin: 0 0 0.5rem;
+          font-size: 1rem;
+        }
+        
+        .call-history ul {
+          list-style: none;
+          margin: 0;
+          padding: 0;
+        }
+        
+        .call-history li {
+          padding: 0.5rem 0;
+          border-bottom: 1px solid #f0f0f0;
+          font-size: 0.9rem;
+        }
+        
+        .history-notes {
+          margin-top: 0.25rem;
+          color: #555;
+          white-space: pre-line;
+        }
+        
+        .call-history a {
+          display: inline-block;
+          margin-top: 0.25rem;
+          color: #0070f3;
+        }
+        
+        .history-empty {
+          color: #777;
+          font-size: 0.9rem;
+        }
       `}</style>
     </div>
   );
-} 
\ No newline at end of file
+}
+
+// ============================================================================
+// PhoneNumber Component - Normalized phone with extension and validity badge
+// ============================================================================
+function PhoneNumber({ lead }) {
+  return (
+    <span className="phone-number">
+      {lead.phone ? lead.phone : <span className="phone-missing">No phone</span>}
+      {lead.phone_extension && ` ext. ${lead.phone_extension}`}
+      {lead.phone_status === 'invalid' && (
+        <span className="phone-invalid" title={`Could not validate "${lead.phone_raw || lead.phone}"`}>
+          Invalid
+        </span>
+      )}
+      {lead.dnc_at && (
+        <span className="phone-dnc" title={`On the do-not-call list since ${new Date(lead.dnc_at).toLocaleDateString()}`}>
+          Do not call
+        </span>
+      )}
+      
+      <style jsx>{`
+        .phone-invalid {
+          margin-left: 0.5rem;
+          padding: 1px 6px;
+          border-radius: 10px;
+          background-color: #ffecec;
+          border: 1px solid #f5c6cb;
+          color: #721c24;
+          font-size: 0.75rem;
+        }
+        
+        .phone-dnc {
+          margin-left: 0.5rem;
+          padding: 1px 6px;
+          border-radius: 10px;
+          background-color: #333;
+          color: white;
+          font-size: 0.75rem;
+        }
+        
+        .phone-missing {
+          color: #999;
+        }
+      `}</style>
+    </span>
+  );
+}
@@ -0,0 +1,37 @@
+/**
+ * @fileoverview API Route for Calling Hours
+ *
+ * Returns the calling rules configured on the server (see
+ * services/callingCompliance.js), so the dialer can show reps which leads
+ * may be called right now before /api/calls refuses the call.
+ *
+ * === USAGE ===
+ *
+ * GET /api/calling-hours
+ * Authorization: Bearer <Supabase access token>
+ */
+
+import { getRequestUser } from '../../../services/apiAuth';
+import { getCallingRules } from '../../../services/callingCompliance';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // Only signed-in reps may read the calling rules
+  const user = await getRequestUser(req);
+  if (!user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  try {
+    return res.status(200).json({ rules: getCallingRules() });
+  } catch (error) {
+    console.error('Error in calling hours API route:', error);
+    return res.status(500).json({
+      error: 'Failed to load calling hours',
+      message: error.message
+    });
+  }
+}
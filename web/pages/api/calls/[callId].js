@@ -0,0 +1,63 @@
+/**
+ * @fileoverview API Route for a Call in Progress
+ * 
+ * Reports the state of a call placed with POST /api/calls, or hangs it up.
+ * Calls placed through a provider that tracks them (see provider_calls) are
+ * only available to the rep who placed them and to managers and admins.
+ * 
+ * === USAGE ===
+ * 
+ * GET /api/calls/<providerCallId> - Current call state
+ * DELETE /api/calls/<providerCallId> - Hang up (or cancel a ringing call)
+ * Authorization: Bearer <Supabase access token>
+ */
+
+import { getRequestUser, isManagerUser } from '../../../../services/apiAuth';
+import { createSupabaseServerClient } from '../../../../services/supabaseAuthService';
+import { getTelephonyProvider } from '../../../../services/telephony';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'DELETE') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+  
+  // Only signed-in reps may follow or end calls
+  const user = await getRequestUser(req);
+  if (!user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  
+  try {
+    const provider = getTelephonyProvider();
+    
+    // Providers with webhooks have every placed call recorded with its rep
+    if (provider.parseWebhookEvent) {
+      const { data: placedCall, error } = await createSupabaseServerClient()
+        .from('provider_calls')
+        .select('rep_id')
+        .eq('provider', provider.name)
+        .eq('provider_call_id', req.query.callId)
+        .maybeSingle();
+      
+      if (error) throw error;
+      if (!placedCall) {
+        return res.status(404).json({ error: 'Call not found' });
+      }
+      if (placedCall.rep_id !== user.id && !(await isManagerUser(user))) {
+        return res.status(403).json({ error: 'You can only follow calls you placed' });
+      }
+    }
+    
+    const call = req.method === 'DELETE'
+      ? await provider.hangUp(req.query.callId)
+      : await provider.getCallStatus(req.query.callId);
+    
+    return res.status(200).json({ call: { ...call, tracksStatus: provider.tracksStatus } });
+  } catch (error) {
+    console.error('Error in call API route:', error);
+    return res.status([400, 404].includes(error.status) ? error.status : 500).json({ 
+      error: req.method === 'DELETE' ? 'Failed to hang up call' : 'Failed to get call status',
+      message: error.message
+    });
+  }
+}
@@ -0,0 +1,100 @@
+/**
+ * @fileoverview API Route for Placing Calls
+ * 
+ * Starts a call to a lead through the configured telephony provider (see
+ * services/telephony/index.js). The response tells the dialer whether the
+ * provider reports the call's progress and, for device-placed calls, the
+ * tel: link to open. Calls from providers that send status webhooks are
+ * recorded in provider_calls so /api/telephony-webhook can tie them to the lead.
+ * 
+ * Reps may call the leads assigned to them, managers and admins any lead.
+ * 
+ * Numbers on the do-not-call list are refused with 403, checked against the
+ * list itself as well as the lead's dnc_at (see services/dncService.js).
+ * Calls outside the lead's calling hours (see services/callingCompliance.js)
+ * are refused with 403. When the check only warns, e.g. because the lead's
+ * time zone is unknown, the call is refused with 409 until the rep confirms
+ * it by sending acknowledgeWarning. Both responses include the check's
+ * result as `compliance`.
+ * 
+ * === USAGE ===
+ * 
+ * POST /api/calls
+ * Authorization: Bearer <Supabase access token>
+ * { "leadId": "<lead id>", "acknowledgeWarning": false }
+ */
+
+import { getRequestUser, isManagerUser } from '../../../../services/apiAuth';
+import { createSupabaseServerClient } from '../../../../services/supabaseAuthService';
+import { getTelephonyProvider } from '../../../../services/telephony';
+import { recordPlacedCall } from '../../../../services/callEvents';
+import { getCallingRules, checkCallingHours } from '../../../../services/callingCompliance';
+import { isPhoneSuppressed } from '../../../../services/dncService';
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+  
+  // Only signed-in reps may place calls
+  const user = await getRequestUser(req);
+  if (!user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  
+  const { leadId, acknowledgeWarning } = req.body || {};
+  if (!leadId) {
+    return res.status(400).json({ error: 'leadId is required' });
+  }
+  
+  try {
+    const supabase = createSupabaseServerClient();
+    const { data: lead, error } = await supabase
+      .from('leads')
+      .select('id, assigned_to, phone, phone_extension, phone_status, phone_country, timezone, timezone_source, dnc_at, archived_at')
+      .eq('id', leadId)
+      .maybeSingle();
+    
+    if (error) throw error;
+    if (!lead) {
+      return res.status(404).json({ error: 'Lead not found' });
+    }
+    if (lead.assigned_to !== user.id && !(await isManagerUser(user))) {
+      return res.status(403).json({ error: 'You can only call leads assigned to you' });
+    }
+    if (!lead.phone || lead.phone_status === 'invalid' || lead.archived_at) {
+      return res.status(400).json({ error: 'This lead cannot be called' });
+    }
+    if (lead.dnc_at || await isPhoneSuppressed(supabase, lead.phone)) {
+      return res.status(403).json({ error: 'This number is on the do-not-call list' });
+    }
+    
+    const compliance = checkCallingHours(lead, getCallingRules());
+    if (compliance.status === 'blocked') {
+      return res.status(403).json({ error: compliance.reasons.join(' '), compliance });
+    }
+    if (compliance.status === 'warn' && !acknowledgeWarning) {
+      return res.status(409).json({ error: compliance.reasons.join(' '), compliance });
+    }
+    
+    const provider = getTelephonyProvider();
+    const call = await provider.placeCall({
+      to: lead.phone,
+      extension: lead.phone_extension,
+      statusCallbackUrl: process.env.TELEPHONY_STATUS_CALLBACK_URL || null
+    });
+    
+    // Status webhooks are matched to the lead through this record
+    if (provider.parseWebhookEvent) {
+      await recordPlacedCall(supabase, call, { leadId: lead.id, repId: user.id });
+    }
+    
+    return res.status(201).json({ call: { ...call, tracksStatus: provider.tracksStatus } });
+  } catch (error) {
+    console.error('Error in place call API route:', error);
+    return res.status(500).json({ 
+      error: 'Failed to place call',
+      message: error.message
+    });
+  }
+}
@@ -0,0 +1,90 @@
+/**
+ * @fileoverview API Route for the Do-Not-Call List
+ *
+ * Lets managers and admins add numbers to the do-not-call list, one at a
+ * time or from an uploaded CSV file, and take numbers off it (see
+ * services/dncService.js). Numbers are normalized to E.164 first; values
+ * that are not phone numbers are returned under `invalid`. Every change is
+ * recorded in the dnc_audit table.
+ *
+ * === USAGE ===
+ *
+ * POST /api/dnc
+ * Authorization: Bearer <Supabase access token>
+ * { "phone": "+1 555 123 4567", "reason": "Asked on LinkedIn" }  - Add one number
+ * { "csv": "Phone\n555-123-4567\n...", "reason": "Purchased list" } - Add a CSV file
+ *
+ * DELETE /api/dnc
+ * Authorization: Bearer <Supabase access token>
+ * { "phone": "+15551234567" }
+ */
+
+import { getRequestUser, isManagerUser } from '../../../services/apiAuth';
+import { createSupabaseServerClient } from '../../../services/supabaseAuthService';
+import {
+  normalizeDncNumbers,
+  parseDncCsv,
+  addDncNumbers,
+  removeDncNumber
+} from '../../../services/dncService';
+
+// Upper bound on the numbers one upload may add
+const MAX_NUMBERS_PER_REQUEST = 10000;
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST' && req.method !== 'DELETE') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const user = await getRequestUser(req);
+  if (!user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  if (!(await isManagerUser(user))) {
+    return res.status(403).json({ error: 'Only managers can change the do-not-call list' });
+  }
+
+  const { phone, csv, reason } = req.body || {};
+
+  try {
+    const supabase = createSupabaseServerClient();
+
+    if (req.method === 'DELETE') {
+      const { phones } = normalizeDncNumbers([phone]);
+      if (phones.length === 0) {
+        return res.status(400).json({ error: 'phone must be a valid phone number' });
+      }
+
+      const removed = await removeDncNumber(supabase, phones[0], { removedBy: user.id });
+      if (!removed) {
+        return res.status(404).json({ error: 'This number is not on the do-not-call list' });
+      }
+      return res.status(200).json({ removed: phones[0] });
+    }
+
+    if (typeof csv !== 'string' && typeof phone !== 'string') {
+      return res.status(400).json({ error: 'Either phone or csv is required' });
+    }
+
+    const { phones, invalid } = typeof csv === 'string' ? parseDncCsv(csv) : normalizeDncNumbers([phone]);
+    if (phones.length === 0) {
+      return res.status(400).json({ error: 'No valid phone numbers to add', invalid });
+    }
+    if (phones.length > MAX_NUMBERS_PER_REQUEST) {
+      return res.status(400).json({ error: `Upload at most ${MAX_NUMBERS_PER_REQUEST} numbers at a time` });
+    }
+
+    const added = await addDncNumbers(supabase, phones, {
+      source: typeof csv === 'string' ? 'csv' : 'manual',
+      reason: typeof reason === 'string' && reason.trim() ? reason.trim() : null,
+      addedBy: user.id
+    });
+    return res.status(200).json({ listed: phones.length, added, invalid });
+  } catch (error) {
+    console.error('Error in do-not-call API route:', error);
+    return res.status(500).json({
+      error: 'Failed to update the do-not-call list',
+      message: error.message
+    });
+  }
+}
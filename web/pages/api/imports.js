@@ -0,0 +1,72 @@
+/**
+ * @fileoverview API Route for Importing Leads from Files
+ *
+ * Lets managers and admins import lead lists that arrive as CSV or XLSX files
+ * instead of living in a Google Sheet (see services/fileImport.js). The file
+ * is sent as the raw request body and read as a stream, so large files are
+ * never held in memory. With `?preview=1` only the first rows are read and
+ * returned with the lead each would become, so the column mapping can be
+ * checked before importing.
+ *
+ * === USAGE ===
+ *
+ * POST /api/imports?fileName=vendor-leads.xlsx&preview=1
+ * POST /api/imports?fileName=vendor-leads.xlsx
+ * Authorization: Bearer <Supabase access token>
+ * Content-Type: text/csv or application/vnd.openxmlformats-officedocument.spreadsheetml.sheet
+ * <file contents>
+ *
+ * Previews respond with { headerRow, columns, rows }; imports with counts of
+ * inserted, updated, unchanged and rejected rows, the first rejected rows
+ * and their reasons.
+ */
+
+import { getRequestUser, isManagerUser } from '../../../services/apiAuth';
+import { detectFileFormat, previewFileImport, importLeadFile } from '../../../services/fileImport';
+
+// The file is streamed from the request instead of parsed by Next.js
+export const config = {
+  api: {
+    bodyParser: false
+  }
+};
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const user = await getRequestUser(req);
+  if (!user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  if (!(await isManagerUser(user))) {
+    return res.status(403).json({ error: 'Only managers can import leads' });
+  }
+
+  const format = detectFileFormat(req.query.fileName, req.headers['content-type']);
+  if (!format) {
+    return res.status(400).json({ error: 'Upload a .csv or .xlsx file' });
+  }
+
+  try {
+    const options = { format, defaultPhoneCountry: req.query.defaultPhoneCountry || undefined };
+
+    if (req.query.preview) {
+      return res.status(200).json(await previewFileImport(req, options));
+    }
+
+    console.log(`Importing ${req.query.fileName || format} for ${user.email}`);
+    const result = await importLeadFile(req, options);
+    return res.status(result.success ? 200 : 500).json(result.success ? result : {
+      ...result,
+      error: `${result.rowsFailed} rows could not be written; import the file again to retry them`
+    });
+  } catch (error) {
+    console.error('Error in import API route:', error);
+    return res.status(error.status === 400 ? 400 : 500).json({
+      error: error.status === 400 ? error.message : 'Failed to import leads',
+      message: error.message
+    });
+  }
+}
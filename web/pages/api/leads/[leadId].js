@@ -0,0 +1,79 @@
+/**
+ * @fileoverview API Route for Editing a Lead
+ * 
+ * Validates and saves changes reps make in the lead view (see
+ * services/leadEdits.js). Reps may edit the leads assigned to them, managers
+ * and admins any lead. Every changed field is recorded in lead_audit, and
+ * edited fields are protected from the next sync according to their policy.
+ * 
+ * === USAGE ===
+ * 
+ * PATCH /api/leads/<leadId>
+ * Authorization: Bearer <Supabase access token>
+ * { "changes": { "phone": "+1 555 123 4567", "status": "contacted", "notes": "..." } }
+ * 
+ * Responds with { lead } on success, or 400 with { error, fieldErrors }
+ * when a value is invalid.
+ */
+
+import { getRequestUser, isManagerUser } from '../../../../services/apiAuth';
+import { createSupabaseServerClient } from '../../../../services/supabaseAuthService';
+import { validateLeadChanges } from '../../../../services/leadEdits';
+
+export default async function handler(req, res) {
+  if (req.method !== 'PATCH') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+  
+  const user = await getRequestUser(req);
+  if (!user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  
+  try {
+    const supabase = createSupabaseServerClient();
+    const { data: lead, error } = await supabase
+      .from('leads')
+      .select('id, assigned_to, phone_country, timezone_source')
+      .eq('id', req.query.leadId)
+      .maybeSingle();
+    
+    if (error) throw error;
+    if (!lead) {
+      return res.status(404).json({ error: 'Lead not found' });
+    }
+    if (lead.assigned_to !== user.id && !(await isManagerUser(user))) {
+      return res.status(403).json({ error: 'You can only edit leads assigned to you' });
+    }
+    
+    const { changes, errors } = validateLeadChanges((req.body || {}).changes, {
+      defaultPhoneCountry: lead.phone_country,
+      timeZoneSource: lead.timezone_source
+    });
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({ error: 'Some values are invalid', fieldErrors: errors });
+    }
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({ error: 'No changes to save' });
+    }
+    
+    const { data: updated, error: updateError } = await supabase.rpc('apply_lead_edit', {
+      lead_id: lead.id,
+      changes,
+      editor: user.id
+    });
+    
+    if (updateError) throw updateError;
+    if (!updated || updated.length === 0) {
+      return res.status(404).json({ error: 'Lead not found' });
+    }
+    
+    return res.status(200).json({ lead: updated[0] });
+  } catch (error) {
+    console.error('Error in edit lead API route:', error);
+    return res.status(500).json({ 
+      error: 'Failed to save lead',
+      message: error.message
+    });
+  }
+}
@@ -0,0 +1,70 @@
+/**
+ * @fileoverview API Route for Bulk Lead Assignment
+ * 
+ * Lets managers and admins assign a set of leads to a rep, unassign them, or
+ * hand them out with the assignment rules (see services/leadAssignment.js).
+ * 
+ * === USAGE ===
+ * 
+ * POST /api/leads/assign
+ * Authorization: Bearer <Supabase access token>
+ * { "leadIds": [...], "repId": "<user id>" }  - Assign to a rep
+ * { "leadIds": [...], "repId": null }         - Unassign
+ * { "leadIds": [...], "auto": true }          - Apply the assignment rules
+ */
+
+import { getRequestUser, isManagerUser } from '../../../../services/apiAuth';
+import { createSupabaseServerClient } from '../../../../services/supabaseAuthService';
+import { assignLeadsToRep, assignLeadsByRules } from '../../../../services/leadAssignment';
+
+// Upper bound on the leads one request may change
+const MAX_LEADS_PER_REQUEST = 1000;
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+  
+  const user = await getRequestUser(req);
+  if (!user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  if (!(await isManagerUser(user))) {
+    return res.status(403).json({ error: 'Only managers can assign leads' });
+  }
+  
+  const { leadIds, repId = null, auto = false } = req.body || {};
+  if (!Array.isArray(leadIds) || leadIds.length === 0 || leadIds.length > MAX_LEADS_PER_REQUEST) {
+    return res.status(400).json({ error: `leadIds must list 1 to ${MAX_LEADS_PER_REQUEST} leads` });
+  }
+  
+  try {
+    const supabase = createSupabaseServerClient();
+    
+    if (auto) {
+      const result = await assignLeadsByRules(supabase, { leadIds, onlyUnassigned: false });
+      return res.status(200).json(result);
+    }
+    
+    if (repId) {
+      const { data: rep, error } = await supabase
+        .from('profiles')
+        .select('id')
+        .eq('id', repId)
+        .maybeSingle();
+      if (error) throw error;
+      if (!rep) {
+        return res.status(400).json({ error: 'Unknown rep' });
+      }
+    }
+    
+    await assignLeadsToRep(supabase, leadIds, repId);
+    return res.status(200).json({ assigned: repId ? leadIds.length : 0, unassigned: repId ? 0 : leadIds.length });
+  } catch (error) {
+    console.error('Error in lead assignment API route:', error);
+    return res.status(500).json({ 
+      error: 'Failed to assign leads',
+      message: error.message
+    });
+  }
+}
@@ -0,0 +1,86 @@
+/**
+ * @fileoverview API Route for Exporting Leads to CSV
+ *
+ * Streams the leads of a Dashboard view as a CSV file, optionally with one
+ * row per logged call (see services/leadExport.js). The export runs with the
+ * caller's own access token, so Row Level Security applies: reps export only
+ * the leads they can see, managers and admins every lead.
+ *
+ * === USAGE ===
+ *
+ * GET /api/leads/export?status=contacted&assigned=me&tz=America/Chicago
+ * GET /api/leads/export?calls=1&disposition=connected,voicemail&calls_from=2024-05-01&calls_to=2024-05-31
+ * Authorization: Bearer <Supabase access token>
+ *
+ * Takes the Dashboard's URL parameters (see services/leadQuery.js) plus the
+ * export parameters in services/leadExport.js, and responds with the file.
+ * If the export fails after the file has started, its last row is an ERROR
+ * row and the response is aborted instead of ending normally.
+ */
+
+import { once } from 'events';
+import { getBearerToken, getRequestUser } from '../../../../services/apiAuth';
+import { createSupabaseUserClient } from '../../../../services/supabaseAuthService';
+import { parseExportOptions, exportFileName, exportLeadsCsv } from '../../../../services/leadExport';
+import { formatCsvRow } from '../../../../services/csvParser';
+
+// Exports can be far larger than Next.js's default response size warning
+export const config = {
+  api: {
+    responseLimit: false
+  }
+};
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const user = await getRequestUser(req);
+  if (!user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  const options = parseExportOptions(req.query);
+  const lines = exportLeadsCsv(createSupabaseUserClient(getBearerToken(req)), options, user.id);
+
+  // Read the header and first page before answering, so a failing query
+  // still gets an error response instead of a truncated file
+  let first;
+  let second;
+  try {
+    first = await lines.next();
+    second = await lines.next();
+  } catch (error) {
+    console.error('Error in export API route:', error);
+    return res.status(500).json({
+      error: 'Failed to export leads',
+      message: error.message
+    });
+  }
+
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${exportFileName(options)}"`);
+  res.setHeader('Cache-Control', 'no-store');
+
+  // The byte order mark makes Excel read the file as UTF-8
+  res.write(`\uFEFF${first.value}`);
+  try {
+    for (let result = second; !result.done; result = await lines.next()) {
+      if (!res.write(result.value)) {
+        await Promise.race([once(res, 'drain'), once(res, 'close')]);
+      }
+      // The client went away, so there is no one left to export to
+      if (res.destroyed) break;
+    }
+  } catch (error) {
+    // Too late for an error status: mark the file as incomplete and abort the
+    // response, so the download fails instead of looking finished
+    console.error('Export failed part way:', error);
+    res.write(formatCsvRow([`ERROR: the export failed here and this file is incomplete (${error.message})`]), () => {
+      res.destroy(error);
+    });
+    return;
+  }
+  res.end();
+}
@@ -0,0 +1,79 @@
+/**
+ * @fileoverview API Route for Merging Duplicate Leads
+ *
+ * Merges a lead flagged as a possible duplicate into the lead that survives
+ * (see services/leadDuplicates.js and the merge_leads function). The
+ * survivor's empty fields are filled from the duplicate, notes are combined,
+ * and the duplicate's call history and callbacks move to the survivor. The
+ * duplicate is archived and keeps pointing at the survivor, so the sync does
+ * not bring its sheet row back as a separate lead. Reps may merge leads that
+ * are both assigned to them, managers and admins any leads.
+ *
+ * === USAGE ===
+ *
+ * POST /api/leads/merge
+ * Authorization: Bearer <Supabase access token>
+ * { "survivorId": "<lead to keep>", "duplicateId": "<lead to merge into it>" }
+ *
+ * Responds with { lead }, the survivor after the merge.
+ */
+
+import { getRequestUser, isManagerUser } from '../../../../services/apiAuth';
+import { createSupabaseServerClient } from '../../../../services/supabaseAuthService';
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const user = await getRequestUser(req);
+  if (!user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  const { survivorId, duplicateId } = req.body || {};
+  if (typeof survivorId !== 'string' || typeof duplicateId !== 'string') {
+    return res.status(400).json({ error: 'survivorId and duplicateId are required' });
+  }
+  if (survivorId === duplicateId) {
+    return res.status(400).json({ error: 'A lead cannot be merged into itself' });
+  }
+
+  try {
+    const supabase = createSupabaseServerClient();
+    const { data: leads, error } = await supabase
+      .from('leads')
+      .select('id, assigned_to, merged_into')
+      .in('id', [survivorId, duplicateId]);
+
+    if (error) throw error;
+    if (leads.length < 2) {
+      return res.status(404).json({ error: 'Lead not found' });
+    }
+    if (leads.some(lead => lead.merged_into)) {
+      return res.status(409).json({ error: 'One of these leads has already been merged' });
+    }
+    if (leads.some(lead => lead.assigned_to !== user.id) && !(await isManagerUser(user))) {
+      return res.status(403).json({ error: 'You can only merge leads assigned to you' });
+    }
+
+    const { data: merged, error: mergeError } = await supabase.rpc('merge_leads', {
+      survivor_id: survivorId,
+      duplicate_id: duplicateId,
+      editor: user.id
+    });
+
+    if (mergeError) throw mergeError;
+    if (!merged || merged.length === 0) {
+      return res.status(409).json({ error: 'One of these leads has already been merged' });
+    }
+
+    return res.status(200).json({ lead: merged[0] });
+  } catch (error) {
+    console.error('Error in merge leads API route:', error);
+    return res.status(500).json({
+      error: 'Failed to merge leads',
+      message: error.message
+    });
+  }
+}
@@ -0,0 +1,71 @@
+/**
+ * @fileoverview API Route for Sheet Change Notifications
+ *
+ * Receives the changes the Apps Script in a synced spreadsheet reports
+ * (see docs/apps-script/sheetChangeWebhook.gs) and syncs the affected rows
+ * right away (see services/sheetWebhook.js). The cron sync of
+ * /api/sync-sheets stays in place to reconcile anything this misses.
+ *
+ * === SECURITY ===
+ *
+ * Every request must carry `Authorization: Bearer <SHEET_WEBHOOK_SECRET>`.
+ * Without SHEET_WEBHOOK_SECRET set, the route answers 404.
+ *
+ * === USAGE ===
+ *
+ * POST /api/sheet-webhook
+ * { "spreadsheetId": "...", "sheetName": "Leads", "startRow": 12, "endRow": 14 }
+ *
+ * Leave out startRow and endRow for changes without a range, such as rows
+ * being inserted or removed, and sheetName too if the tab is not known: every
+ * source of the spreadsheet is then synced. A change that arrives while another sync runs
+ * for too long gets 202 Accepted: its source is synced by the next cron run.
+ */
+
+import { isSheetWebhookRequest } from '../../../services/apiAuth';
+import { parseSheetChange, syncSheetChange } from '../../../services/sheetWebhook';
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!process.env.SHEET_WEBHOOK_SECRET) {
+    return res.status(404).json({ error: 'The sheet change webhook is not configured' });
+  }
+  if (!isSheetWebhookRequest(req)) {
+    return res.status(403).json({ error: 'Invalid webhook secret' });
+  }
+
+  const change = parseSheetChange(req.body);
+  if (!change) {
+    return res.status(400).json({ error: 'Expected spreadsheetId, and sheetName with an optional startRow and endRow' });
+  }
+
+  try {
+    const result = await syncSheetChange(change);
+
+    if (result.locked) {
+      return res.status(202).json({
+        queued: true,
+        message: 'Another sync is running; the change will be synced by the next scheduled sync'
+      });
+    }
+
+    if (!result.success) {
+      return res.status(500).json({
+        ...result,
+        error: 'Sync failed',
+        details: result.error
+      });
+    }
+
+    return res.status(200).json(result);
+  } catch (error) {
+    console.error('Error in sheet webhook API route:', error);
+    return res.status(500).json({
+      error: 'Unexpected error during sync',
+      message: error.message
+    });
+  }
+}
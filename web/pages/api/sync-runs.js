@@ -0,0 +1,43 @@
+/**
+ * @fileoverview API Route for Sync Run History
+ * 
+ * Lists the most recent sync runs recorded in the sync_runs table, newest
+ * first, so the state of the Google Sheets sync can be checked without
+ * digging through cron logs.
+ * 
+ * === USAGE ===
+ * 
+ * GET /api/sync-runs?limit=20
+ * Authorization: Bearer <Supabase access token>
+ */
+
+import { getRequestUser, isManagerUser } from '../../../services/apiAuth';
+import { listRecentSyncRuns } from '../../../services/syncRunHistory';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+  
+  // Only managers and admins may see sync history
+  const user = await getRequestUser(req);
+  if (!user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  if (!(await isManagerUser(user))) {
+    return res.status(403).json({ error: 'Only managers can view sync runs' });
+  }
+  
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+  
+  try {
+    const runs = await listRecentSyncRuns({ limit });
+    return res.status(200).json({ runs });
+  } catch (error) {
+    console.error('Error in sync runs API route:', error);
+    return res.status(500).json({ 
+      error: 'Failed to load sync runs',
+      message: error.message
+    });
+  }
+}
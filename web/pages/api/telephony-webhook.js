@@ -0,0 +1,89 @@
+/**
+ * @fileoverview API Route for Telephony Provider Webhooks
+ * 
+ * Receives call status and recording callbacks from the configured telephony
+ * provider (see services/telephony/index.js) and applies them to the call's
+ * state, its call log and its lead (see services/callEvents.js). Duplicate
+ * and out-of-order deliveries are acknowledged without changing anything, so
+ * the provider does not retry them.
+ * 
+ * === SECURITY ===
+ * 
+ * Every request must carry the provider's signature (for Twilio,
+ * X-Twilio-Signature computed over TELEPHONY_STATUS_CALLBACK_URL). Unsigned
+ * or wrongly signed requests get 403 Forbidden.
+ * 
+ * === USAGE ===
+ * 
+ * Set TELEPHONY_STATUS_CALLBACK_URL to the public URL of this route, e.g.
+ * https://your-app.vercel.app/api/telephony-webhook
+ */
+
+import { createSupabaseServerClient } from '../../../services/supabaseAuthService';
+import { getTelephonyProvider } from '../../../services/telephony';
+import { applyCallEvent } from '../../../services/callEvents';
+
+// The raw body is needed to check signatures computed over it
+export const config = {
+  api: {
+    bodyParser: false
+  }
+};
+
+// Reads the request body as a string
+async function readRawBody(req) {
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+// Parses a form-encoded or JSON webhook body into an object
+function parseBody(rawBody, contentType = '') {
+  if (contentType.includes('application/json')) {
+    return rawBody ? JSON.parse(rawBody) : {};
+  }
+  return Object.fromEntries(new URLSearchParams(rawBody));
+}
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+  
+  const provider = getTelephonyProvider();
+  if (!provider.parseWebhookEvent) {
+    return res.status(404).json({ error: `The ${provider.name} provider does not send webhooks` });
+  }
+  
+  let rawBody;
+  let params;
+  try {
+    rawBody = await readRawBody(req);
+    params = parseBody(rawBody, req.headers['content-type']);
+  } catch (error) {
+    return res.status(400).json({ error: 'Malformed webhook body' });
+  }
+  
+  if (!provider.verifyWebhook({ headers: req.headers, params, rawBody })) {
+    return res.status(403).json({ error: 'Invalid webhook signature' });
+  }
+  
+  const event = provider.parseWebhookEvent(params);
+  if (!event) {
+    return res.status(400).json({ error: 'Unrecognised webhook event' });
+  }
+  
+  try {
+    const outcome = await applyCallEvent(createSupabaseServerClient(), event, params);
+    return res.status(200).json({ eventId: event.eventId, outcome });
+  } catch (error) {
+    // A 5xx makes the provider redeliver, which is safe because events are idempotent
+    console.error('Error in telephony webhook API route:', error);
+    return res.status(500).json({ 
+      error: 'Failed to apply call event',
+      message: error.message
+    });
+  }
+}